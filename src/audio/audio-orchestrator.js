@@ -0,0 +1,617 @@
+// ============================================
+// AUDIO SYSTEM - Orchestrator
+// ============================================
+// Synthesizes all game sounds with the Web Audio API from Sound recipes.
+// Node graph: layer → [filter] → envelope → voice gain → panner → sfx gain → master → speakers
+// Music (MusicOrchestrator) schedules notes into a separate music gain → master.
+// The AudioContext is created lazily by unlock() (browsers only allow audio
+// after a user gesture), so every method is a safe no-op until then.
+// Audio never draws from RandomOrchestrator - it must not shift seeded runs.
+
+const AudioOrchestrator = {
+    // ==========================================
+    // STATE
+    // ==========================================
+    _context: null,
+    _contextFactory: null,   // () => AudioContext (injectable for tests)
+    _masterGain: null,
+    _sfxGain: null,
+    _musicGain: null,
+    _noiseBuffer: null,
+
+    _masterVolume: 0.8,
+    _sfxVolume: 0.8,
+    _musicVolume: 0.5,
+    _musicFade: 1,           // Music fade level (0-1), multiplied with music volume
+    _muted: false,
+    _paused: false,
+
+    _listener: { x: 0, z: 0, rotation: 0 },
+    _tensionVoice: null,     // Looping creak nodes while charging
+    _lastBumpTime: -Infinity,
+    _rattleTimers: null,     // WeakMap enemy -> seconds until next rattle
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Initialize the audio system (does not create the AudioContext yet)
+     * @param {Object} options - {contextFactory: Function returning an AudioContext}
+     */
+    init(options = {}) {
+        this._contextFactory = options.contextFactory || this._getDefaultFactory();
+        this._masterVolume = Sound.volume.MASTER;
+        this._sfxVolume = Sound.volume.SFX;
+        this._musicVolume = Sound.volume.MUSIC;
+        this._muted = false;
+        this.reset();
+    },
+
+    /**
+     * Create/resume the AudioContext - call from a user gesture (start button, key press)
+     * @returns {boolean} True if audio is available
+     */
+    unlock() {
+        if (!this._context) {
+            if (!this._contextFactory) return false;
+            try {
+                this._context = this._contextFactory();
+            } catch (e) {
+                console.warn('AudioOrchestrator: Web Audio unavailable', e);
+                this._contextFactory = null;
+                return false;
+            }
+            this._createGraph();
+        }
+        if (this._context.state === 'suspended' && this._context.resume) {
+            this._context.resume();
+        }
+        return true;
+    },
+
+    /**
+     * Check if the AudioContext has been created
+     * @returns {boolean} True if sounds can play
+     */
+    isAvailable() {
+        return this._context !== null;
+    },
+
+    /**
+     * Stop looping sounds and clear per-run state (volume settings are kept)
+     */
+    reset() {
+        this.stopTension();
+        this._paused = false;
+        this._lastBumpTime = -Infinity;
+        this._rattleTimers = new WeakMap();
+        this._applyMasterGain(0);
+    },
+
+    // ==========================================
+    // VOLUME
+    // ==========================================
+
+    /**
+     * Set master volume
+     * @param {number} volume - Volume (0-1)
+     */
+    setMasterVolume(volume) {
+        this._masterVolume = this._clamp01(volume);
+        this._applyMasterGain(0);
+    },
+
+    /**
+     * @returns {number} Master volume (0-1)
+     */
+    getMasterVolume() {
+        return this._masterVolume;
+    },
+
+    /**
+     * Set sound effects volume
+     * @param {number} volume - Volume (0-1)
+     */
+    setSfxVolume(volume) {
+        this._sfxVolume = this._clamp01(volume);
+        if (this._sfxGain) this._sfxGain.gain.value = this._sfxVolume;
+    },
+
+    /**
+     * @returns {number} Sound effects volume (0-1)
+     */
+    getSfxVolume() {
+        return this._sfxVolume;
+    },
+
+    /**
+     * Set music volume
+     * @param {number} volume - Volume (0-1)
+     */
+    setMusicVolume(volume) {
+        this._musicVolume = this._clamp01(volume);
+        this._applyMusicGain(0);
+    },
+
+    /**
+     * @returns {number} Music volume (0-1)
+     */
+    getMusicVolume() {
+        return this._musicVolume;
+    },
+
+    /**
+     * Fade the music bus (used for GAME_OVER fade-out and restart)
+     * @param {number} level - Target fade level (0-1)
+     * @param {number} seconds - Fade duration (0 = immediate)
+     */
+    fadeMusic(level, seconds = 0) {
+        this._musicFade = this._clamp01(level);
+        this._applyMusicGain(seconds);
+    },
+
+    /**
+     * Mute or unmute all audio
+     * @param {boolean} muted - True to mute
+     */
+    setMuted(muted) {
+        this._muted = !!muted;
+        this._applyMasterGain(0);
+    },
+
+    /**
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return this._muted;
+    },
+
+    /**
+     * Fade out and silence audio while the game is paused
+     */
+    pause() {
+        this._paused = true;
+        this.stopTension();
+        this._applyMasterGain(Sound.volume.PAUSE_FADE);
+    },
+
+    /**
+     * Fade audio back in after pause
+     */
+    resume() {
+        this._paused = false;
+        this._applyMasterGain(Sound.volume.PAUSE_FADE);
+    },
+
+    /**
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+        return this._paused;
+    },
+
+    // ==========================================
+    // SPATIAL
+    // ==========================================
+
+    /**
+     * Update listener position/facing (call each frame with the camera)
+     * @param {Object} position - Listener position {x, z}
+     * @param {number} rotation - Yaw in radians (0 = facing -Z, like the player cart)
+     */
+    setListener(position, rotation) {
+        this._listener.x = position.x;
+        this._listener.z = position.z;
+        this._listener.rotation = rotation || 0;
+    },
+
+    /**
+     * Get stereo pan and distance gain for a world position
+     * @param {Object} position - Source position {x, z} (null = centered, full volume)
+     * @returns {Object} {pan: -1..1, gain: 0..1}
+     */
+    getSpatial(position) {
+        if (!position) return { pan: 0, gain: 1 };
+
+        const config = Sound.spatial;
+        const dx = position.x - this._listener.x;
+        const dz = position.z - this._listener.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        let gain = 1;
+        if (distance >= config.MAX_DISTANCE) {
+            gain = 0;
+        } else if (distance > config.REF_DISTANCE) {
+            gain = 1 - (distance - config.REF_DISTANCE) / (config.MAX_DISTANCE - config.REF_DISTANCE);
+        }
+
+        if (distance < 0.001) return { pan: 0, gain };
+
+        // Project onto the listener's right vector (forward is (-sin, -cos))
+        const rot = this._listener.rotation;
+        const rightX = Math.cos(rot);
+        const rightZ = -Math.sin(rot);
+        const pan = ((dx * rightX + dz * rightZ) / distance) * config.PAN_STRENGTH;
+
+        return { pan, gain };
+    },
+
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+
+    /**
+     * Play a sound recipe
+     * @param {Object[]} recipe - Layers from Sound (see sound.js)
+     * @param {Object} options - {position: {x, z} for spatial sounds, volume: 0-1}
+     * @returns {boolean} True if the sound was scheduled
+     */
+    play(recipe, options = {}) {
+        if (!this._context || this._paused || !recipe) return false;
+
+        const spatial = this.getSpatial(options.position);
+        const volume = (options.volume ?? 1) * spatial.gain;
+        if (volume <= 0) return false;
+
+        const ctx = this._context;
+        const voice = ctx.createGain();
+        voice.gain.value = volume;
+
+        // Stereo panner is missing in some older browsers - fall back to centered
+        if (ctx.createStereoPanner) {
+            const panner = ctx.createStereoPanner();
+            panner.pan.value = spatial.pan;
+            voice.connect(panner);
+            panner.connect(this._sfxGain);
+        } else {
+            voice.connect(this._sfxGain);
+        }
+
+        const now = ctx.currentTime;
+        recipe.forEach(layer => this._playLayer(layer, voice, now));
+        return true;
+    },
+
+    /**
+     * Schedule a recipe on the music bus at an exact context time
+     * @param {Object[]} recipe - Layers (see sound.js)
+     * @param {number} time - AudioContext time to start at
+     * @returns {boolean} True if scheduled
+     */
+    playMusic(recipe, time) {
+        if (!this._context || !recipe) return false;
+        recipe.forEach(layer => this._playLayer(layer, this._musicGain, time));
+        return true;
+    },
+
+    /**
+     * Current AudioContext time (the clock music is scheduled against)
+     * @returns {number} Seconds, or 0 before unlock()
+     */
+    getTime() {
+        return this._context ? this._context.currentTime : 0;
+    },
+
+    /**
+     * Play a weapon's fire sound
+     * @param {string} weaponId - Weapon id
+     * @returns {boolean} True if played
+     */
+    playFire(weaponId) {
+        return this.play(Sound.getFireRecipe(weaponId));
+    },
+
+    /**
+     * Play a skeleton rattle at a position
+     * @param {Object} position - Enemy position {x, z}
+     * @returns {boolean} True if played
+     */
+    playSkeletonRattle(position) {
+        return this.play(Sound.sfx.skeletonRattle, { position });
+    },
+
+    /**
+     * Play a ranged enemy's throw at a position
+     * @param {Object} position - Enemy position {x, z}
+     * @returns {boolean} True if played
+     */
+    playEnemyThrow(position) {
+        return this.play(Sound.sfx.boneThrow, { position });
+    },
+
+    /**
+     * Play an obstacle being shoved at a position
+     * @param {Object} position - Obstacle position {x, z}
+     * @returns {boolean} True if played
+     */
+    playObstacleShove(position) {
+        return this.play(Sound.sfx.obstacleShove, { position });
+    },
+
+    /**
+     * Play the dinosaur boss roar
+     * @param {Object} position - Optional dino position {x, z}
+     * @returns {boolean} True if played
+     */
+    playBossRoar(position = null) {
+        // Roar is an announcement - keep it audible from anywhere in the mall
+        const spatial = this.getSpatial(position);
+        return this.play(Sound.sfx.dinoRoar, {
+            position: spatial.gain > 0 ? position : null
+        });
+    },
+
+    /**
+     * Play a pickup chime
+     * @param {string} kind - 'weapon' | 'ammo' | 'time' | 'powerup'
+     * @returns {boolean} True if played
+     */
+    playPickup(kind) {
+        return this.play(Sound.getPickupRecipe(kind));
+    },
+
+    /**
+     * Play a cart wall bump (throttled while grinding along a wall)
+     * @param {number} intensity - Impact intensity (0-1)
+     * @param {Object} position - Optional impact position {x, z}
+     * @returns {boolean} True if played
+     */
+    playWallBump(intensity, position = null) {
+        if (!this._context || intensity < Sound.timing.MIN_BUMP_INTENSITY) return false;
+
+        const now = this._context.currentTime;
+        if (now - this._lastBumpTime < Sound.timing.WALL_BUMP_COOLDOWN) return false;
+
+        const played = this.play(Sound.sfx.wallBump, { position, volume: Math.min(1, intensity) });
+        if (played) this._lastBumpTime = now;
+        return played;
+    },
+
+    // ==========================================
+    // LOOPS & PER-FRAME UPDATES
+    // ==========================================
+
+    /**
+     * Update the slingshot creak loop from weapon tension
+     * @param {number} tensionRatio - Current tension as 0-1 (0 stops the creak)
+     */
+    updateTension(tensionRatio) {
+        if (!this._context || this._paused || !(tensionRatio > 0)) {
+            this.stopTension();
+            return;
+        }
+
+        const config = Sound.tension;
+        const t = Math.min(1, tensionRatio);
+        if (!this._tensionVoice) this._tensionVoice = this._createTensionVoice();
+
+        const voice = this._tensionVoice;
+        const now = this._context.currentTime;
+        voice.osc.frequency.setTargetAtTime(this._lerp(config.freq.min, config.freq.max, t), now, 0.03);
+        voice.filter.frequency.setTargetAtTime(this._lerp(config.filterFreq.min, config.filterFreq.max, t), now, 0.03);
+        voice.gain.gain.setTargetAtTime(this._lerp(config.gain.min, config.gain.max, t), now, 0.03);
+    },
+
+    /**
+     * Stop the slingshot creak loop
+     */
+    stopTension() {
+        const voice = this._tensionVoice;
+        this._tensionVoice = null;
+        if (!voice || !this._context) return;
+
+        const stopAt = this._context.currentTime + 0.05;
+        voice.gain.gain.setTargetAtTime(0, this._context.currentTime, 0.01);
+        voice.osc.stop(stopAt);
+        voice.wobble.stop(stopAt);
+    },
+
+    /**
+     * Rattle the nearest skeletons at random intervals
+     * @param {Array} enemies - Enemy meshes
+     * @param {number} dt - Delta time in seconds
+     */
+    updateEnemies(enemies, dt) {
+        if (!this._context || this._paused || !enemies) return;
+
+        const timing = Sound.timing;
+        const nearby = enemies
+            .filter(e => e?.userData?.active && this._isSkeleton(e))
+            .map(e => ({ enemy: e, gain: this.getSpatial(e.position).gain }))
+            .filter(entry => entry.gain > 0)
+            .sort((a, b) => b.gain - a.gain)
+            .slice(0, timing.MAX_RATTLING);
+
+        nearby.forEach(({ enemy }) => {
+            // Stagger the first rattle so a room of skeletons doesn't clatter in unison
+            const remaining = (this._rattleTimers.has(enemy)
+                ? this._rattleTimers.get(enemy)
+                : this._randomRattleInterval()) - dt;
+
+            if (remaining <= 0) {
+                this.playSkeletonRattle(enemy.position);
+                this._rattleTimers.set(enemy, this._randomRattleInterval());
+            } else {
+                this._rattleTimers.set(enemy, remaining);
+            }
+        });
+    },
+
+    // ==========================================
+    // INTERNAL
+    // ==========================================
+
+    /**
+     * Build master/sfx gain nodes and the shared noise buffer
+     * @private
+     */
+    _createGraph() {
+        const ctx = this._context;
+        this._masterGain = ctx.createGain();
+        this._masterGain.connect(ctx.destination);
+        this._sfxGain = ctx.createGain();
+        this._sfxGain.gain.value = this._sfxVolume;
+        this._sfxGain.connect(this._masterGain);
+        this._musicGain = ctx.createGain();
+        this._musicGain.connect(this._masterGain);
+        this._applyMasterGain(0);
+        this._applyMusicGain(0);
+
+        // One second of white noise, reused by every noise layer
+        const length = ctx.sampleRate;
+        this._noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = this._noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    },
+
+    /**
+     * Schedule one recipe layer
+     * @private
+     */
+    _playLayer(layer, output, now) {
+        const ctx = this._context;
+        const start = now + (layer.delay || 0);
+        const end = start + layer.duration;
+
+        let source;
+        if (layer.wave === 'noise') {
+            source = ctx.createBufferSource();
+            source.buffer = this._noiseBuffer;
+            source.loop = true;
+        } else {
+            source = ctx.createOscillator();
+            source.type = layer.wave;
+            source.frequency.setValueAtTime(layer.freq, start);
+            if (layer.freqEnd) source.frequency.exponentialRampToValueAtTime(layer.freqEnd, end);
+        }
+
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(layer.gain, start + (layer.attack || 0.005));
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        if (layer.filter) {
+            const filter = ctx.createBiquadFilter();
+            filter.type = layer.filter.type;
+            filter.frequency.value = layer.filter.freq;
+            filter.Q.value = layer.filter.q ?? 1;
+            source.connect(filter);
+            filter.connect(envelope);
+        } else {
+            source.connect(envelope);
+        }
+        envelope.connect(output);
+
+        source.onended = () => envelope.disconnect();
+        source.start(start);
+        source.stop(end + 0.05);
+    },
+
+    /**
+     * Create the looping creak: sawtooth → bandpass → gain, with a wobble LFO on the gain
+     * @private
+     */
+    _createTensionVoice() {
+        const ctx = this._context;
+        const config = Sound.tension;
+
+        const osc = ctx.createOscillator();
+        osc.type = config.wave;
+        osc.frequency.value = config.freq.min;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = config.filterFreq.min;
+        filter.Q.value = config.filterQ;
+
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+
+        const wobble = ctx.createOscillator();
+        wobble.frequency.value = config.wobbleRate;
+        const wobbleGain = ctx.createGain();
+        wobbleGain.gain.value = config.gain.min * config.wobbleDepth;
+        wobble.connect(wobbleGain);
+        wobbleGain.connect(gain.gain);
+
+        osc.connect(filter);
+        filter.connect(gain);
+        gain.connect(this._sfxGain);
+
+        osc.start();
+        wobble.start();
+        return { osc, filter, gain, wobble };
+    },
+
+    /**
+     * Apply master volume, mute and pause to the master gain
+     * @private
+     * @param {number} fadeTime - Fade time constant in seconds (0 = immediate)
+     */
+    _applyMasterGain(fadeTime) {
+        if (!this._masterGain) return;
+        const target = (this._muted || this._paused) ? 0 : this._masterVolume;
+        if (fadeTime > 0) {
+            this._masterGain.gain.setTargetAtTime(target, this._context.currentTime, fadeTime / 3);
+        } else {
+            this._masterGain.gain.value = target;
+        }
+    },
+
+    /**
+     * Apply music volume and fade level to the music gain
+     * @private
+     * @param {number} fadeTime - Fade duration in seconds (0 = immediate)
+     */
+    _applyMusicGain(fadeTime) {
+        if (!this._musicGain) return;
+        const target = this._musicVolume * this._musicFade;
+        if (fadeTime > 0) {
+            this._musicGain.gain.setTargetAtTime(target, this._context.currentTime, fadeTime / 3);
+        } else {
+            this._musicGain.gain.value = target;
+        }
+    },
+
+    /**
+     * @private
+     */
+    _isSkeleton(enemy) {
+        return enemy.userData.type === 'SKELETON' || enemy.userData.config?.id === 'skeleton';
+    },
+
+    /**
+     * Random seconds until the next rattle (Math.random - cosmetic only)
+     * @private
+     */
+    _randomRattleInterval() {
+        const { min, max } = Sound.timing.RATTLE_INTERVAL;
+        return min + Math.random() * (max - min);
+    },
+
+    /**
+     * @private
+     */
+    _getDefaultFactory() {
+        if (typeof window === 'undefined') return null;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return AudioContextClass ? () => new AudioContextClass() : null;
+    },
+
+    /**
+     * @private
+     */
+    _lerp(a, b, t) {
+        return a + (b - a) * t;
+    },
+
+    /**
+     * @private
+     */
+    _clamp01(value) {
+        return Math.max(0, Math.min(1, Number(value) || 0));
+    }
+};
@@ -0,0 +1,593 @@
+// ============================================
+// AUDIO DOMAIN - Unit Tests
+// ============================================
+// Tests for Sound data, AudioOrchestrator (with a mock AudioContext) and MusicOrchestrator
+
+(function(test) {
+    'use strict';
+
+    // Minimal AudioContext stand-in that records created nodes
+    function createMockContext() {
+        const param = (value = 0) => ({
+            value,
+            setValueAtTime(v) { this.value = v; },
+            linearRampToValueAtTime(v) { this.value = v; },
+            exponentialRampToValueAtTime(v) { this.value = v; },
+            setTargetAtTime(v) { this.value = v; }
+        });
+        const node = (kind, extra = {}) => {
+            const n = {
+                kind,
+                connections: [],
+                connect(target) { this.connections.push(target); },
+                disconnect() { this.connections = []; },
+                ...extra
+            };
+            ctx.nodes.push(n);
+            return n;
+        };
+        const source = (kind, extra) => node(kind, {
+            started: false,
+            stopped: false,
+            start() { this.started = true; },
+            stop() { this.stopped = true; },
+            ...extra
+        });
+
+        const ctx = {
+            nodes: [],
+            currentTime: 0,
+            sampleRate: 100,
+            state: 'running',
+            destination: { kind: 'destination' },
+            createGain: () => node('gain', { gain: param(1) }),
+            createStereoPanner: () => node('panner', { pan: param(0) }),
+            createBiquadFilter: () => node('filter', { type: 'lowpass', frequency: param(350), Q: param(1) }),
+            createOscillator: () => source('oscillator', { type: 'sine', frequency: param(440) }),
+            createBufferSource: () => source('bufferSource', { buffer: null, loop: false }),
+            createBuffer: (channels, length) => {
+                const data = new Float32Array(length);
+                return { getChannelData: () => data };
+            },
+            resume() { this.state = 'running'; }
+        };
+        return ctx;
+    }
+
+    const countNodes = (ctx, kind) => ctx.nodes.filter(n => n.kind === kind).length;
+
+    // ==========================================
+    // SOUND DATA TESTS
+    // ==========================================
+
+    test.describe('Sound Data', () => {
+        const VALID_WAVES = ['sine', 'square', 'sawtooth', 'triangle', 'noise'];
+
+        const checkRecipe = (name, recipe) => {
+            test.assertTrue(Array.isArray(recipe) && recipe.length > 0, `${name} should have layers`);
+            recipe.forEach(layer => {
+                test.assertTrue(VALID_WAVES.includes(layer.wave), `${name} has invalid wave ${layer.wave}`);
+                test.assertTrue(layer.freq > 0, `${name} needs a frequency`);
+                test.assertTrue(layer.duration > 0, `${name} needs a duration`);
+                test.assertInRange(layer.gain, 0, 1, `${name} gain should be 0-1`);
+                if (layer.freqEnd !== undefined) test.assertTrue(layer.freqEnd > 0, `${name} freqEnd must be > 0 for exponential ramps`);
+            });
+        };
+
+        test.it('should have valid volume defaults', () => {
+            test.assertInRange(Sound.volume.MASTER, 0, 1);
+            test.assertInRange(Sound.volume.SFX, 0, 1);
+        });
+
+        test.it('should define fire sounds for every registered weapon', () => {
+            ['slingshot', 'watergun', 'nerfgun', 'lasergun', 'dinonizer', 'dartrifle'].forEach(id => {
+                test.assertTrue(Sound.sfx.fire[id] !== undefined, `Missing fire sound for ${id}`);
+            });
+        });
+
+        test.it('should fall back to default fire sound for unknown weapons', () => {
+            test.assertEqual(Sound.getFireRecipe('banana'), Sound.sfx.FIRE_DEFAULT);
+        });
+
+        test.it('should fall back to powerup chime for unknown pickups', () => {
+            test.assertEqual(Sound.getPickupRecipe('mystery'), Sound.sfx.pickup.powerup);
+        });
+
+        test.it('should have valid recipes', () => {
+            Object.keys(Sound.sfx.fire).forEach(id => checkRecipe(`fire.${id}`, Sound.sfx.fire[id]));
+            Object.keys(Sound.sfx.pickup).forEach(id => checkRecipe(`pickup.${id}`, Sound.sfx.pickup[id]));
+            checkRecipe('FIRE_DEFAULT', Sound.sfx.FIRE_DEFAULT);
+            checkRecipe('skeletonRattle', Sound.sfx.skeletonRattle);
+            checkRecipe('dinoRoar', Sound.sfx.dinoRoar);
+            checkRecipe('wallBump', Sound.sfx.wallBump);
+            checkRecipe('obstacleShove', Sound.sfx.obstacleShove);
+        });
+    });
+
+    // ==========================================
+    // AUDIO ORCHESTRATOR TESTS
+    // ==========================================
+
+    test.describe('Audio System - Context', () => {
+        test.afterEach(() => {
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: createMockContext });
+        });
+
+        test.it('should not create a context until unlocked', () => {
+            let created = 0;
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => { created++; return createMockContext(); } });
+            test.assertFalse(AudioOrchestrator.isAvailable());
+            test.assertFalse(AudioOrchestrator.playFire('slingshot'), 'Should not play before unlock');
+            test.assertEqual(created, 0);
+
+            test.assertTrue(AudioOrchestrator.unlock());
+            AudioOrchestrator.unlock();
+            test.assertTrue(AudioOrchestrator.isAvailable());
+            test.assertEqual(created, 1, 'Context should be created once');
+        });
+
+        test.it('should stay silent when Web Audio is unavailable', () => {
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => { throw new Error('no audio'); } });
+            const warn = console.warn;
+            console.warn = () => {};
+            try {
+                test.assertFalse(AudioOrchestrator.unlock());
+            } finally {
+                console.warn = warn;
+            }
+            test.assertFalse(AudioOrchestrator.playBossRoar());
+            AudioOrchestrator.updateTension(1);
+            test.assertEqual(AudioOrchestrator._tensionVoice, null);
+        });
+
+        test.it('should resume a suspended context on unlock', () => {
+            const ctx = createMockContext();
+            ctx.state = 'suspended';
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => ctx });
+            AudioOrchestrator.unlock();
+            test.assertEqual(ctx.state, 'running');
+        });
+    });
+
+    test.describe('Audio System - Volume', () => {
+        let ctx;
+
+        test.beforeEach(() => {
+            ctx = createMockContext();
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => ctx });
+            AudioOrchestrator.unlock();
+        });
+
+        test.it('should apply master volume to the master gain', () => {
+            AudioOrchestrator.setMasterVolume(0.5);
+            test.assertEqual(AudioOrchestrator.getMasterVolume(), 0.5);
+            test.assertEqual(AudioOrchestrator._masterGain.gain.value, 0.5);
+        });
+
+        test.it('should apply sfx volume to the sfx gain', () => {
+            AudioOrchestrator.setSfxVolume(0.25);
+            test.assertEqual(AudioOrchestrator.getSfxVolume(), 0.25);
+            test.assertEqual(AudioOrchestrator._sfxGain.gain.value, 0.25);
+        });
+
+        test.it('should clamp volume to 0-1', () => {
+            AudioOrchestrator.setMasterVolume(3);
+            test.assertEqual(AudioOrchestrator.getMasterVolume(), 1);
+            AudioOrchestrator.setSfxVolume(-1);
+            test.assertEqual(AudioOrchestrator.getSfxVolume(), 0);
+        });
+
+        test.it('should silence master gain when muted and restore on unmute', () => {
+            AudioOrchestrator.setMasterVolume(0.7);
+            AudioOrchestrator.setMuted(true);
+            test.assertTrue(AudioOrchestrator.isMuted());
+            test.assertEqual(AudioOrchestrator._masterGain.gain.value, 0);
+            AudioOrchestrator.setMuted(false);
+            test.assertEqual(AudioOrchestrator._masterGain.gain.value, 0.7);
+        });
+
+        test.it('should mute on pause and block new sounds until resume', () => {
+            AudioOrchestrator.setMasterVolume(0.6);
+            AudioOrchestrator.pause();
+            test.assertTrue(AudioOrchestrator.isPaused());
+            test.assertEqual(AudioOrchestrator._masterGain.gain.value, 0);
+            test.assertFalse(AudioOrchestrator.playFire('slingshot'), 'Should not play while paused');
+
+            AudioOrchestrator.resume();
+            test.assertFalse(AudioOrchestrator.isPaused());
+            test.assertEqual(AudioOrchestrator._masterGain.gain.value, 0.6);
+            test.assertTrue(AudioOrchestrator.playFire('slingshot'));
+        });
+
+        test.it('should apply music volume and fade to the music gain', () => {
+            AudioOrchestrator.setMusicVolume(0.5);
+            test.assertEqual(AudioOrchestrator.getMusicVolume(), 0.5);
+            test.assertEqual(AudioOrchestrator._musicGain.gain.value, 0.5);
+            AudioOrchestrator.fadeMusic(0.5);
+            test.assertEqual(AudioOrchestrator._musicGain.gain.value, 0.25);
+            AudioOrchestrator.fadeMusic(1);
+        });
+
+        test.it('should route music notes to the music gain', () => {
+            AudioOrchestrator.playMusic([{ wave: 'sine', freq: 220, duration: 0.5, gain: 0.1 }], 1);
+            const envelope = ctx.nodes.filter(n => n.kind === 'gain').pop();
+            test.assertEqual(envelope.connections[0], AudioOrchestrator._musicGain);
+        });
+
+        test.it('should keep volume settings across reset', () => {
+            AudioOrchestrator.setMasterVolume(0.3);
+            AudioOrchestrator.pause();
+            AudioOrchestrator.reset();
+            test.assertEqual(AudioOrchestrator.getMasterVolume(), 0.3);
+            test.assertFalse(AudioOrchestrator.isPaused(), 'Reset should clear pause');
+        });
+    });
+
+    test.describe('Audio System - Spatial', () => {
+        test.beforeEach(() => {
+            AudioOrchestrator.init({ contextFactory: createMockContext });
+            AudioOrchestrator.setListener({ x: 0, z: 0 }, 0);
+        });
+
+        test.it('should center non-positional sounds at full volume', () => {
+            const spatial = AudioOrchestrator.getSpatial(null);
+            test.assertEqual(spatial.pan, 0);
+            test.assertEqual(spatial.gain, 1);
+        });
+
+        test.it('should pan right for sources to the right of the camera', () => {
+            // Facing -Z at rotation 0, so +X is to the right
+            const spatial = AudioOrchestrator.getSpatial({ x: 10, z: 0 });
+            test.assertCloseTo(spatial.pan, Sound.spatial.PAN_STRENGTH, 0.001);
+        });
+
+        test.it('should pan left for sources to the left of the camera', () => {
+            const spatial = AudioOrchestrator.getSpatial({ x: -10, z: 0 });
+            test.assertCloseTo(spatial.pan, -Sound.spatial.PAN_STRENGTH, 0.001);
+        });
+
+        test.it('should center sources straight ahead', () => {
+            const spatial = AudioOrchestrator.getSpatial({ x: 0, z: -10 });
+            test.assertCloseTo(spatial.pan, 0, 0.001);
+        });
+
+        test.it('should follow listener rotation', () => {
+            // Turned 90 degrees left (facing -X): a source at -Z is now on the right
+            AudioOrchestrator.setListener({ x: 0, z: 0 }, Math.PI / 2);
+            const spatial = AudioOrchestrator.getSpatial({ x: 0, z: -10 });
+            test.assertCloseTo(spatial.pan, Sound.spatial.PAN_STRENGTH, 0.001);
+        });
+
+        test.it('should fade with distance and go silent past max distance', () => {
+            const near = AudioOrchestrator.getSpatial({ x: 0, z: -Sound.spatial.REF_DISTANCE });
+            const mid = AudioOrchestrator.getSpatial({ x: 0, z: -30 });
+            const far = AudioOrchestrator.getSpatial({ x: 0, z: -(Sound.spatial.MAX_DISTANCE + 1) });
+            test.assertEqual(near.gain, 1);
+            test.assertTrue(mid.gain > 0 && mid.gain < 1, 'Mid distance should be attenuated');
+            test.assertEqual(far.gain, 0);
+        });
+    });
+
+    test.describe('Audio System - Effects', () => {
+        let ctx;
+
+        test.beforeEach(() => {
+            ctx = createMockContext();
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => ctx });
+            AudioOrchestrator.unlock();
+            AudioOrchestrator.setListener({ x: 0, z: 0 }, 0);
+        });
+
+        test.it('should create one source per recipe layer', () => {
+            const before = countNodes(ctx, 'oscillator') + countNodes(ctx, 'bufferSource');
+            AudioOrchestrator.playFire('slingshot');
+            const after = countNodes(ctx, 'oscillator') + countNodes(ctx, 'bufferSource');
+            test.assertEqual(after - before, Sound.sfx.fire.slingshot.length);
+        });
+
+        test.it('should route sounds through the sfx gain', () => {
+            AudioOrchestrator.playPickup('ammo');
+            const panner = ctx.nodes.filter(n => n.kind === 'panner').pop();
+            test.assertEqual(panner.connections[0], AudioOrchestrator._sfxGain);
+        });
+
+        test.it('should pan spatial sounds by position', () => {
+            AudioOrchestrator.playSkeletonRattle({ x: 10, z: 0 });
+            const panner = ctx.nodes.filter(n => n.kind === 'panner').pop();
+            test.assertTrue(panner.pan.value > 0, 'Rattle to the right should pan right');
+        });
+
+        test.it('should skip sounds beyond hearing distance', () => {
+            test.assertFalse(AudioOrchestrator.playSkeletonRattle({ x: 0, z: -500 }));
+        });
+
+        test.it('should play boss roar even when the dino is far away', () => {
+            test.assertTrue(AudioOrchestrator.playBossRoar({ x: 0, z: -500 }));
+        });
+
+        test.it('should throttle wall bumps while grinding', () => {
+            test.assertTrue(AudioOrchestrator.playWallBump(0.8));
+            test.assertFalse(AudioOrchestrator.playWallBump(0.8), 'Second bump within cooldown');
+            ctx.currentTime += Sound.timing.WALL_BUMP_COOLDOWN + 0.01;
+            test.assertTrue(AudioOrchestrator.playWallBump(0.8));
+        });
+
+        test.it('should ignore very soft wall bumps', () => {
+            test.assertFalse(AudioOrchestrator.playWallBump(Sound.timing.MIN_BUMP_INTENSITY / 2));
+        });
+    });
+
+    test.describe('Audio System - Loops', () => {
+        let ctx;
+
+        test.beforeEach(() => {
+            ctx = createMockContext();
+            AudioOrchestrator._context = null;
+            AudioOrchestrator.init({ contextFactory: () => ctx });
+            AudioOrchestrator.unlock();
+            AudioOrchestrator.setListener({ x: 0, z: 0 }, 0);
+        });
+
+        test.it('should start creak while tension is above zero', () => {
+            AudioOrchestrator.updateTension(0.2);
+            test.assertTrue(AudioOrchestrator._tensionVoice !== null);
+        });
+
+        test.it('should raise creak pitch with tension', () => {
+            AudioOrchestrator.updateTension(0.1);
+            const low = AudioOrchestrator._tensionVoice.osc.frequency.value;
+            AudioOrchestrator.updateTension(1);
+            const high = AudioOrchestrator._tensionVoice.osc.frequency.value;
+            test.assertTrue(high > low, 'Pitch should rise with tension');
+            test.assertEqual(high, Sound.tension.freq.max);
+        });
+
+        test.it('should reuse the creak voice across frames', () => {
+            AudioOrchestrator.updateTension(0.3);
+            const voice = AudioOrchestrator._tensionVoice;
+            AudioOrchestrator.updateTension(0.6);
+            test.assertEqual(AudioOrchestrator._tensionVoice, voice);
+        });
+
+        test.it('should stop creak when tension drops to zero', () => {
+            AudioOrchestrator.updateTension(0.5);
+            const voice = AudioOrchestrator._tensionVoice;
+            AudioOrchestrator.updateTension(0);
+            test.assertEqual(AudioOrchestrator._tensionVoice, null);
+            test.assertTrue(voice.osc.stopped, 'Oscillator should be stopped');
+        });
+
+        test.it('should stop creak on pause', () => {
+            AudioOrchestrator.updateTension(0.5);
+            AudioOrchestrator.pause();
+            test.assertEqual(AudioOrchestrator._tensionVoice, null);
+        });
+
+        test.it('should rattle nearby skeletons when their timer runs out', () => {
+            const skeleton = { position: { x: 3, z: 0 }, userData: { active: true, type: 'SKELETON' } };
+            const before = countNodes(ctx, 'bufferSource');
+            AudioOrchestrator.updateEnemies([skeleton], 0);
+            AudioOrchestrator.updateEnemies([skeleton], Sound.timing.RATTLE_INTERVAL.max + 0.1);
+            test.assertEqual(countNodes(ctx, 'bufferSource') - before, Sound.sfx.skeletonRattle.length);
+        });
+
+        test.it('should ignore non-skeletons and inactive enemies', () => {
+            const dino = { position: { x: 3, z: 0 }, userData: { active: true, type: 'DINOSAUR' } };
+            const dead = { position: { x: 3, z: 0 }, userData: { active: false, type: 'SKELETON' } };
+            const before = ctx.nodes.length;
+            AudioOrchestrator.updateEnemies([dino, dead], 10);
+            AudioOrchestrator.updateEnemies([dino, dead], 10);
+            test.assertEqual(ctx.nodes.length, before);
+        });
+
+        test.it('should limit how many skeletons rattle at once', () => {
+            const skeletons = [];
+            for (let i = 0; i < 6; i++) {
+                skeletons.push({ position: { x: i, z: 0 }, userData: { active: true, type: 'SKELETON' } });
+            }
+            const before = countNodes(ctx, 'bufferSource');
+            AudioOrchestrator.updateEnemies(skeletons, 0);
+            AudioOrchestrator.updateEnemies(skeletons, Sound.timing.RATTLE_INTERVAL.max + 0.1);
+            const rattles = (countNodes(ctx, 'bufferSource') - before) / Sound.sfx.skeletonRattle.length;
+            test.assertEqual(rattles, Sound.timing.MAX_RATTLING);
+        });
+    });
+
+    // ==========================================
+    // MUSIC TESTS
+    // ==========================================
+
+    test.describe('Sound Data - Music', () => {
+        test.it('should map every shelf theme to a motif', () => {
+            RoomTheme.getShelfThemes().forEach(themeId => {
+                const motifId = Sound.getMotifForTheme(themeId);
+                test.assertTrue(Sound.music.motifs[motifId] !== undefined, `${themeId} should have a motif`);
+            });
+        });
+
+        test.it('should keep the current motif in corridor rooms', () => {
+            test.assertEqual(Sound.getMotifForTheme('JUNCTION'), null);
+            test.assertEqual(Sound.getMotifForTheme('ENTRANCE'), null);
+        });
+
+        test.it('should give FROZEN and TOYS their own motifs', () => {
+            test.assertEqual(Sound.getMotifForTheme('FROZEN'), 'FROZEN');
+            test.assertEqual(Sound.getMotifForTheme('TOYS'), 'CHIPTUNE');
+            test.assertTrue(Sound.music.motifs.FROZEN.tempo < Sound.music.motifs.CHIPTUNE.tempo, 'Frozen should be slower');
+        });
+
+        test.it('should have valid motifs', () => {
+            Object.keys(Sound.music.motifs).forEach(id => {
+                const motif = Sound.music.motifs[id];
+                test.assertTrue(motif.tempo > 0, `${id} tempo`);
+                test.assertTrue(motif.root > 0, `${id} root`);
+                test.assertTrue(motif.scale.length > 0 && motif.scale[0] === 0, `${id} scale starts on root`);
+                test.assertTrue(motif.progression.length > 0, `${id} progression`);
+                test.assertTrue(motif.arpeggio.length > 0, `${id} arpeggio`);
+                ['pad', 'bass', 'arpeggio'].forEach(part => test.assertTrue(!!motif.waves[part], `${id} ${part} wave`));
+            });
+        });
+
+        test.it('should compute note frequencies with octave wrap', () => {
+            const motif = Sound.music.motifs.DEFAULT;
+            test.assertCloseTo(Sound.getNoteFrequency(motif, 0), motif.root);
+            test.assertCloseTo(Sound.getNoteFrequency(motif, 0, 1), motif.root * 2);
+            test.assertCloseTo(Sound.getNoteFrequency(motif, motif.scale.length), motif.root * 2);
+            test.assertCloseTo(Sound.getNoteFrequency(motif, 0, -1), motif.root / 2);
+        });
+    });
+
+    test.describe('Music System', () => {
+        let audio;
+
+        // Stand-in for AudioOrchestrator's music bus
+        const createMockAudio = () => ({
+            time: 0,
+            fade: 1,
+            scheduled: [],
+            isAvailable() { return true; },
+            getTime() { return this.time; },
+            fadeMusic(level) { this.fade = level; },
+            playMusic(notes, time) { this.scheduled.push({ notes, time }); return true; }
+        });
+
+        // Run the sequencer for whole bars with intensity pinned to its target
+        const playBars = (bars) => {
+            MusicOrchestrator._intensity = MusicOrchestrator.getTargetIntensity();
+            const barLength = MusicOrchestrator.getStepDuration() * Sound.music.STEPS_PER_BAR;
+            const end = audio.time + barLength * bars;
+            while (audio.time < end) {
+                audio.time += 0.05;
+                MusicOrchestrator._intensity = MusicOrchestrator.getTargetIntensity();
+                MusicOrchestrator.update(0);
+            }
+        };
+        const allNotes = () => audio.scheduled.flatMap(s => s.notes);
+
+        test.beforeEach(() => {
+            audio = createMockAudio();
+            MusicOrchestrator.init(audio);
+        });
+
+        test.afterEach(() => {
+            MusicOrchestrator.init(AudioOrchestrator);
+        });
+
+        test.it('should not schedule notes until started', () => {
+            MusicOrchestrator.update(1);
+            test.assertEqual(audio.scheduled.length, 0);
+        });
+
+        test.it('should schedule only within the lookahead window', () => {
+            MusicOrchestrator.start();
+            MusicOrchestrator.update(0);
+            audio.scheduled.forEach(s => test.assertTrue(s.time < audio.time + Sound.music.LOOKAHEAD));
+            test.assertTrue(audio.scheduled.length > 0, 'Should schedule the first notes');
+        });
+
+        test.it('should play only pads at low intensity', () => {
+            MusicOrchestrator.start();
+            playBars(1);
+            const waves = new Set(allNotes().map(n => n.wave));
+            test.assertFalse(waves.has('noise'), 'No drums at low intensity');
+            audio.scheduled.forEach(s => test.assertEqual(s.notes.length, 3, 'Only the three-note pad chord per bar'));
+        });
+
+        test.it('should add layers as enemy count rises', () => {
+            MusicOrchestrator.start();
+            MusicOrchestrator.setEnemyCount(Sound.music.intensity.ENEMY_FULL);
+            MusicOrchestrator.setTimerPercent(0);
+            playBars(1);
+            test.assertTrue(allNotes().some(n => n.wave === 'noise'), 'Should add hats at full intensity');
+            test.assertTrue(allNotes().length > 10, 'Should add bass and arpeggio');
+        });
+
+        test.it('should raise target intensity with enemies and elapsed time', () => {
+            const config = Sound.music.intensity;
+            test.assertEqual(MusicOrchestrator.getTargetIntensity(), 0);
+            MusicOrchestrator.setEnemyCount(config.ENEMY_FULL);
+            test.assertCloseTo(MusicOrchestrator.getTargetIntensity(), config.ENEMY_WEIGHT);
+            MusicOrchestrator.setTimerPercent(0);
+            test.assertCloseTo(MusicOrchestrator.getTargetIntensity(), Math.min(1, config.ENEMY_WEIGHT + config.TIME_WEIGHT));
+        });
+
+        test.it('should ease intensity instead of jumping', () => {
+            MusicOrchestrator.setEnemyCount(100);
+            MusicOrchestrator.update(0.1);
+            test.assertCloseTo(MusicOrchestrator.getIntensity(), Sound.music.intensity.SMOOTHING * 0.1);
+        });
+
+        test.it('should switch motif on the next bar after a room change', () => {
+            MusicOrchestrator.start();
+            MusicOrchestrator.update(0);
+            MusicOrchestrator.setTheme('FROZEN');
+            test.assertEqual(MusicOrchestrator.getMotifId(), 'DEFAULT', 'Should finish the current bar');
+            playBars(1.1);
+            test.assertEqual(MusicOrchestrator.getMotifId(), 'FROZEN');
+        });
+
+        test.it('should keep motif when entering a junction', () => {
+            MusicOrchestrator.setTheme('TOYS');
+            MusicOrchestrator.setTheme('JUNCTION');
+            MusicOrchestrator.start();
+            test.assertEqual(MusicOrchestrator.getMotifId(), 'CHIPTUNE');
+        });
+
+        test.it('should switch to boss music immediately', () => {
+            MusicOrchestrator.start('PRODUCE');
+            playBars(0.5);
+            MusicOrchestrator.startBoss();
+            test.assertTrue(MusicOrchestrator.isBossActive());
+            test.assertEqual(MusicOrchestrator.getMotifId(), 'BOSS');
+            test.assertEqual(MusicOrchestrator.getTargetIntensity(), 1);
+        });
+
+        test.it('should return to the room motif after the boss', () => {
+            MusicOrchestrator.start('PRODUCE');
+            MusicOrchestrator.startBoss();
+            MusicOrchestrator.stopBoss();
+            playBars(1.1);
+            test.assertEqual(MusicOrchestrator.getMotifId(), 'GROCERY');
+        });
+
+        test.it('should fade out and stop on game over', () => {
+            MusicOrchestrator.start();
+            MusicOrchestrator.fadeOut();
+            test.assertFalse(MusicOrchestrator.isPlaying());
+            test.assertEqual(audio.fade, 0);
+            const count = audio.scheduled.length;
+            audio.time += 1;
+            MusicOrchestrator.update(0);
+            test.assertEqual(audio.scheduled.length, count, 'No notes after fade out');
+        });
+
+        test.it('should fade back in on start', () => {
+            MusicOrchestrator.fadeOut();
+            MusicOrchestrator.start();
+            test.assertEqual(audio.fade, 1);
+        });
+
+        test.it('should resync after a pause instead of bursting missed notes', () => {
+            MusicOrchestrator.start();
+            MusicOrchestrator.update(0);
+            const before = audio.scheduled.length;
+            audio.time += 30;
+            MusicOrchestrator.update(0);
+            const stepsScheduled = Math.ceil(Sound.music.LOOKAHEAD / MusicOrchestrator.getStepDuration()) + 1;
+            test.assertTrue(audio.scheduled.length - before <= stepsScheduled, 'Should only schedule the lookahead window');
+        });
+
+        test.it('should speed up with intensity', () => {
+            const calm = MusicOrchestrator.getStepDuration();
+            MusicOrchestrator._intensity = 1;
+            test.assertTrue(MusicOrchestrator.getStepDuration() < calm);
+        });
+    });
+
+})(window.TestFramework || { describe: () => {}, it: () => {}, beforeEach: () => {}, skip: () => {} });
@@ -0,0 +1,296 @@
+// ============================================
+// MUSIC SYSTEM - Adaptive Procedural Music
+// ============================================
+// Step sequencer that plays a motif per room department (Sound.music) and
+// adds layers as intensity rises with live enemies and the run timer.
+// Notes are scheduled slightly ahead on the AudioContext clock from update(dt),
+// so the music stops with the game loop on pause. Boss music overrides the
+// department motif while a dinosaur is alive.
+
+const MusicOrchestrator = {
+    // ==========================================
+    // STATE
+    // ==========================================
+    _audio: null,            // AudioOrchestrator (context, music bus)
+    _playing: false,
+    _motifId: 'DEFAULT',     // Motif currently playing
+    _themeMotifId: 'DEFAULT', // Motif for the current room (restored after boss)
+    _boss: false,
+    _step: 0,                // Next sequencer step (0..STEPS_PER_BAR * bars)
+    _nextStepTime: 0,        // AudioContext time of the next step
+    _enemyCount: 0,
+    _timerPercent: 1,        // GameSession timer remaining (1 = full)
+    _intensity: 0,           // Smoothed intensity (0-1)
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Initialize the music system
+     * @param {Object} audioOrchestrator - AudioOrchestrator providing the context and music bus
+     */
+    init(audioOrchestrator) {
+        this._audio = audioOrchestrator || (typeof AudioOrchestrator !== 'undefined' ? AudioOrchestrator : null);
+        this.reset();
+    },
+
+    /**
+     * Stop music and clear run state
+     */
+    reset() {
+        this._playing = false;
+        this._motifId = 'DEFAULT';
+        this._themeMotifId = 'DEFAULT';
+        this._boss = false;
+        this._step = 0;
+        this._nextStepTime = 0;
+        this._enemyCount = 0;
+        this._timerPercent = 1;
+        this._intensity = 0;
+    },
+
+    // ==========================================
+    // PLAYBACK CONTROL
+    // ==========================================
+
+    /**
+     * Start the sequencer (fades the music bus back in)
+     * @param {string} themeId - Optional starting room theme
+     */
+    start(themeId = null) {
+        if (themeId) this.setTheme(themeId);
+        this._motifId = this._boss ? 'BOSS' : this._themeMotifId;
+        this._playing = true;
+        this._step = 0;
+        this._nextStepTime = this._getTime() + 0.05;
+        if (this._audio) this._audio.fadeMusic(1, 0);
+    },
+
+    /**
+     * Stop scheduling new notes immediately
+     */
+    stop() {
+        this._playing = false;
+    },
+
+    /**
+     * Fade the music out and stop the sequencer (GAME_OVER)
+     * @param {number} seconds - Fade duration (default: Sound.music.FADE_OUT)
+     */
+    fadeOut(seconds = Sound.music.FADE_OUT) {
+        this._playing = false;
+        if (this._audio) this._audio.fadeMusic(0, seconds);
+    },
+
+    /**
+     * @returns {boolean} True while the sequencer is running
+     */
+    isPlaying() {
+        return this._playing;
+    },
+
+    // ==========================================
+    // INPUTS
+    // ==========================================
+
+    /**
+     * Switch to the motif for a room theme (takes effect at the next bar)
+     * @param {string} themeId - RoomTheme id
+     */
+    setTheme(themeId) {
+        const motifId = Sound.getMotifForTheme(themeId);
+        if (motifId) this._themeMotifId = motifId;
+    },
+
+    /**
+     * Set the live enemy count (from the per-frame enemy tally)
+     * @param {number} count - Active enemies
+     */
+    setEnemyCount(count) {
+        this._enemyCount = Math.max(0, count || 0);
+    },
+
+    /**
+     * Set the run timer remaining as a fraction (GameSession.getTimerPercent())
+     * @param {number} percent - 1 at start, 0 when time is up
+     */
+    setTimerPercent(percent) {
+        this._timerPercent = Math.max(0, Math.min(1, percent));
+    },
+
+    /**
+     * Switch to boss music immediately (restarts the bar)
+     */
+    startBoss() {
+        if (this._boss) return;
+        this._boss = true;
+        this._motifId = 'BOSS';
+        this._step = 0;
+        this._nextStepTime = Math.max(this._nextStepTime, this._getTime());
+    },
+
+    /**
+     * Return to the room motif at the next bar (call when no dinosaur is left)
+     */
+    stopBoss() {
+        this._boss = false;
+    },
+
+    /**
+     * @returns {boolean} True while boss music is active
+     */
+    isBossActive() {
+        return this._boss;
+    },
+
+    // ==========================================
+    // INTENSITY
+    // ==========================================
+
+    /**
+     * Target intensity from enemy count and elapsed run time (1 during boss)
+     * @returns {number} Intensity (0-1)
+     */
+    getTargetIntensity() {
+        if (this._boss) return 1;
+        const config = Sound.music.intensity;
+        const enemies = Math.min(1, this._enemyCount / config.ENEMY_FULL);
+        const elapsed = 1 - this._timerPercent;
+        return Math.min(1, enemies * config.ENEMY_WEIGHT + elapsed * config.TIME_WEIGHT);
+    },
+
+    /**
+     * @returns {number} Current smoothed intensity (0-1)
+     */
+    getIntensity() {
+        return this._intensity;
+    },
+
+    /**
+     * @returns {string} Motif id currently playing
+     */
+    getMotifId() {
+        return this._motifId;
+    },
+
+    // ==========================================
+    // UPDATE
+    // ==========================================
+
+    /**
+     * Advance intensity and schedule notes up to the lookahead window
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        // Ease toward the target so a single kill doesn't flip layers on and off
+        const target = this.getTargetIntensity();
+        const maxStep = Sound.music.intensity.SMOOTHING * dt;
+        this._intensity += Math.max(-maxStep, Math.min(maxStep, target - this._intensity));
+
+        if (!this._playing || !this._audio || !this._audio.isAvailable()) return;
+
+        const now = this._getTime();
+        // After a pause the clock has moved on - resync instead of bursting missed notes
+        if (this._nextStepTime < now) this._nextStepTime = now;
+
+        const horizon = now + Sound.music.LOOKAHEAD;
+        while (this._nextStepTime < horizon) {
+            this._scheduleStep(this._step, this._nextStepTime);
+            this._nextStepTime += this.getStepDuration();
+            this._step++;
+        }
+    },
+
+    /**
+     * Length of one 16th-note step at the current motif tempo and intensity
+     * @returns {number} Seconds
+     */
+    getStepDuration() {
+        const motif = this._getMotif();
+        const tempo = motif.tempo * (1 + this._intensity * Sound.music.intensity.TEMPO_BOOST);
+        return 60 / tempo / 4;
+    },
+
+    // ==========================================
+    // INTERNAL
+    // ==========================================
+
+    /**
+     * Schedule all notes for one sequencer step
+     * @private
+     */
+    _scheduleStep(step, time) {
+        const config = Sound.music;
+        const barStep = step % config.STEPS_PER_BAR;
+
+        // Motif changes land on bar lines
+        if (barStep === 0) {
+            this._motifId = this._boss ? 'BOSS' : this._themeMotifId;
+        }
+
+        const motif = this._getMotif();
+        const bar = Math.floor(step / config.STEPS_PER_BAR);
+        const chord = motif.progression[bar % motif.progression.length];
+        const stepTime = this.getStepDuration();
+        const intensity = this._boss ? 1 : this._intensity;
+        const notes = [];
+
+        // Pad: chord (root, third, fifth) held for the bar
+        if (barStep === 0) {
+            const duration = stepTime * config.STEPS_PER_BAR;
+            [0, 2, 4].forEach(offset => notes.push(this._note(motif.waves.pad,
+                Sound.getNoteFrequency(motif, chord + offset), duration, config.gains.pad, duration * 0.25)));
+        }
+
+        // Bass: chord root an octave down on beats 1 and 3
+        if (intensity >= config.layers.BASS && barStep % 8 === 0) {
+            notes.push(this._note(motif.waves.bass,
+                Sound.getNoteFrequency(motif, chord, -1), stepTime * 6, config.gains.bass, 0.01));
+        }
+
+        // Arpeggio: 8th notes an octave up
+        if (intensity >= config.layers.ARPEGGIO && barStep % 2 === 0) {
+            const offset = motif.arpeggio[(barStep / 2) % motif.arpeggio.length];
+            if (offset !== null) {
+                notes.push(this._note(motif.waves.arpeggio,
+                    Sound.getNoteFrequency(motif, chord + offset, 1), stepTime * 1.5, config.gains.arpeggio, 0.005));
+            }
+        }
+
+        // Drums: kick on beats, hats on off-beat 8ths
+        if (intensity >= config.layers.DRUMS) {
+            if (barStep % 4 === 0) {
+                notes.push({ wave: 'sine', freq: 130, freqEnd: 45, duration: 0.18, attack: 0.002, gain: config.gains.kick });
+            }
+            if (barStep % 4 === 2) {
+                notes.push({ wave: 'noise', freq: 7000, duration: 0.04, attack: 0.001, gain: config.gains.hat,
+                    filter: { type: 'highpass', freq: 7000, q: 1 } });
+            }
+        }
+
+        if (notes.length > 0) this._audio.playMusic(notes, time);
+    },
+
+    /**
+     * Build a recipe layer for a sequenced note
+     * @private
+     */
+    _note(wave, freq, duration, gain, attack) {
+        return { wave, freq, duration, gain, attack };
+    },
+
+    /**
+     * @private
+     */
+    _getMotif() {
+        return Sound.music.motifs[this._motifId] || Sound.music.motifs.DEFAULT;
+    },
+
+    /**
+     * @private
+     */
+    _getTime() {
+        return this._audio ? this._audio.getTime() : 0;
+    }
+};
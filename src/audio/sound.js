@@ -0,0 +1,276 @@
+// ============================================
+// SOUND - Procedural Sound Definitions
+// ============================================
+// Pure data for AudioOrchestrator and MusicOrchestrator. Every sound is
+// synthesized with the Web Audio API from these recipes - no audio files are loaded.
+//
+// A recipe is a list of layers played together:
+//   wave     - 'sine' | 'square' | 'sawtooth' | 'triangle' | 'noise'
+//   freq     - start frequency in Hz (oscillators) / filter sweep start (noise)
+//   freqEnd  - optional end frequency (exponential sweep over duration)
+//   duration - layer length in seconds
+//   attack   - fade-in time in seconds (decay fills the rest)
+//   gain     - peak layer volume (0-1)
+//   delay    - optional start offset in seconds (arpeggios, echoes)
+//   filter   - optional {type, freq, q} BiquadFilter applied to the layer
+
+const Sound = {
+    // ==========================================
+    // VOLUME
+    // ==========================================
+    volume: {
+        MASTER: 0.8,
+        SFX: 0.8,
+        MUSIC: 0.5,
+        PAUSE_FADE: 0.15          // Seconds to fade out/in on pause/resume
+    },
+
+    // ==========================================
+    // SPATIAL
+    // ==========================================
+    // Enemy sounds are panned by angle to the camera and fade with distance
+    spatial: {
+        REF_DISTANCE: 6,          // Full volume inside this distance
+        MAX_DISTANCE: 60,         // Silent beyond this distance
+        PAN_STRENGTH: 0.9         // Max stereo pan (keeps a little in both ears)
+    },
+
+    // ==========================================
+    // THROTTLING
+    // ==========================================
+    timing: {
+        WALL_BUMP_COOLDOWN: 0.25, // Seconds between bump sounds while grinding
+        MIN_BUMP_INTENSITY: 0.1,
+        RATTLE_INTERVAL: { min: 1.5, max: 4 },  // Seconds between skeleton rattles
+        MAX_RATTLING: 3           // Nearest skeletons that may rattle at once
+    },
+
+    // ==========================================
+    // SLINGSHOT TENSION CREAK (looping)
+    // ==========================================
+    tension: {
+        wave: 'sawtooth',
+        freq: { min: 35, max: 110 },          // Creak pitch rises with tension
+        filterFreq: { min: 500, max: 2200 },
+        filterQ: 6,
+        gain: { min: 0.02, max: 0.12 },
+        wobbleRate: 11,                       // Hz - rope/rubber flutter
+        wobbleDepth: 0.5
+    },
+
+    // ==========================================
+    // ONE-SHOT EFFECTS
+    // ==========================================
+    sfx: {
+        // Weapon fire sounds keyed by weapon id (FIRE_DEFAULT for unknown weapons)
+        fire: {
+            slingshot: [
+                { wave: 'triangle', freq: 320, freqEnd: 90, duration: 0.18, attack: 0.003, gain: 0.35 },
+                { wave: 'noise', freq: 2500, duration: 0.06, attack: 0.001, gain: 0.2, filter: { type: 'highpass', freq: 2500, q: 1 } }
+            ],
+            watergun: [
+                { wave: 'noise', freq: 1800, duration: 0.12, attack: 0.005, gain: 0.25, filter: { type: 'bandpass', freq: 1800, q: 3 } },
+                { wave: 'sine', freq: 600, freqEnd: 900, duration: 0.08, attack: 0.002, gain: 0.08 }
+            ],
+            nerfgun: [
+                { wave: 'square', freq: 180, freqEnd: 60, duration: 0.07, attack: 0.001, gain: 0.2 },
+                { wave: 'noise', freq: 900, duration: 0.05, attack: 0.001, gain: 0.25, filter: { type: 'lowpass', freq: 1200, q: 1 } }
+            ],
+            dartrifle: [
+                { wave: 'square', freq: 220, freqEnd: 80, duration: 0.05, attack: 0.001, gain: 0.16 },
+                { wave: 'noise', freq: 1100, duration: 0.04, attack: 0.001, gain: 0.2, filter: { type: 'lowpass', freq: 1500, q: 1 } }
+            ],
+            lasergun: [
+                { wave: 'sawtooth', freq: 1400, freqEnd: 200, duration: 0.2, attack: 0.002, gain: 0.18 },
+                { wave: 'square', freq: 2100, freqEnd: 300, duration: 0.15, attack: 0.002, gain: 0.06 }
+            ],
+            dinonizer: [
+                { wave: 'sine', freq: 90, freqEnd: 500, duration: 0.35, attack: 0.01, gain: 0.3 },
+                { wave: 'triangle', freq: 600, freqEnd: 1800, duration: 0.3, attack: 0.01, gain: 0.12, delay: 0.05 }
+            ]
+        },
+        FIRE_DEFAULT: [
+            { wave: 'triangle', freq: 400, freqEnd: 150, duration: 0.12, attack: 0.002, gain: 0.25 }
+        ],
+
+        // Bony clatter - short filtered noise ticks
+        skeletonRattle: [
+            { wave: 'noise', freq: 3000, duration: 0.04, attack: 0.001, gain: 0.25, filter: { type: 'bandpass', freq: 3000, q: 8 } },
+            { wave: 'noise', freq: 2400, duration: 0.04, attack: 0.001, gain: 0.2, delay: 0.07, filter: { type: 'bandpass', freq: 2400, q: 8 } },
+            { wave: 'noise', freq: 3400, duration: 0.04, attack: 0.001, gain: 0.18, delay: 0.13, filter: { type: 'bandpass', freq: 3400, q: 8 } }
+        ],
+
+        // Bone thrown by a ranged skeleton - quick whoosh
+        boneThrow: [
+            { wave: 'noise', freq: 1400, duration: 0.18, attack: 0.03, gain: 0.2, filter: { type: 'bandpass', freq: 1400, q: 2 } }
+        ],
+
+        // Obstacle shoved by a stock clerk - heavy thud and a floor scrape
+        obstacleShove: [
+            { wave: 'sine', freq: 110, freqEnd: 50, duration: 0.25, attack: 0.005, gain: 0.35 },
+            { wave: 'noise', freq: 500, duration: 0.4, attack: 0.02, gain: 0.18, delay: 0.05, filter: { type: 'lowpass', freq: 800, q: 1 } }
+        ],
+
+        // Low growl sweeping down, with a noisy throat layer
+        dinoRoar: [
+            { wave: 'sawtooth', freq: 140, freqEnd: 55, duration: 1.4, attack: 0.08, gain: 0.35, filter: { type: 'lowpass', freq: 900, q: 2 } },
+            { wave: 'sawtooth', freq: 147, freqEnd: 58, duration: 1.4, attack: 0.1, gain: 0.25, filter: { type: 'lowpass', freq: 700, q: 2 } },
+            { wave: 'noise', freq: 600, duration: 1.2, attack: 0.15, gain: 0.3, filter: { type: 'bandpass', freq: 500, q: 1.5 } }
+        ],
+
+        // Pickup chimes keyed by kind (weapon, ammo, time, powerup)
+        pickup: {
+            weapon: [
+                { wave: 'square', freq: 523, duration: 0.1, attack: 0.005, gain: 0.12 },
+                { wave: 'square', freq: 659, duration: 0.1, attack: 0.005, gain: 0.12, delay: 0.08 },
+                { wave: 'square', freq: 784, duration: 0.1, attack: 0.005, gain: 0.12, delay: 0.16 },
+                { wave: 'square', freq: 1047, duration: 0.25, attack: 0.005, gain: 0.12, delay: 0.24 }
+            ],
+            ammo: [
+                { wave: 'triangle', freq: 880, duration: 0.08, attack: 0.003, gain: 0.2 },
+                { wave: 'triangle', freq: 1320, duration: 0.12, attack: 0.003, gain: 0.2, delay: 0.06 }
+            ],
+            time: [
+                { wave: 'sine', freq: 1047, duration: 0.3, attack: 0.005, gain: 0.2 },
+                { wave: 'sine', freq: 1568, duration: 0.4, attack: 0.005, gain: 0.15, delay: 0.1 }
+            ],
+            powerup: [
+                { wave: 'triangle', freq: 440, freqEnd: 1760, duration: 0.35, attack: 0.01, gain: 0.2 }
+            ]
+        },
+
+        // Cart hitting a wall/shelf - metal clang over a thud
+        wallBump: [
+            { wave: 'sine', freq: 110, freqEnd: 50, duration: 0.15, attack: 0.002, gain: 0.4 },
+            { wave: 'square', freq: 620, freqEnd: 540, duration: 0.18, attack: 0.001, gain: 0.06, filter: { type: 'bandpass', freq: 1200, q: 6 } },
+            { wave: 'noise', freq: 1500, duration: 0.05, attack: 0.001, gain: 0.2, filter: { type: 'lowpass', freq: 1500, q: 1 } }
+        ]
+    },
+
+    // ==========================================
+    // ADAPTIVE MUSIC
+    // ==========================================
+    // A 16-step sequencer plays a motif per department. Intensity (0-1) adds
+    // layers: pad always, then bass, arpeggio and drums past each threshold.
+    music: {
+        STEPS_PER_BAR: 16,        // 16th notes
+        LOOKAHEAD: 0.2,           // Seconds of notes scheduled ahead of the clock
+        FADE_OUT: 2.5,            // Seconds to fade out on GAME_OVER
+        intensity: {
+            ENEMY_FULL: 8,        // Live enemies for full enemy contribution
+            ENEMY_WEIGHT: 0.6,
+            TIME_WEIGHT: 0.4,     // Contribution as the run timer runs out
+            SMOOTHING: 0.5,       // Max intensity change per second
+            TEMPO_BOOST: 0.2      // Tempo multiplier added at full intensity
+        },
+        layers: {
+            BASS: 0.2,            // Intensity needed for each layer
+            ARPEGGIO: 0.45,
+            DRUMS: 0.7
+        },
+        gains: { pad: 0.06, bass: 0.12, arpeggio: 0.05, kick: 0.25, hat: 0.04 },
+
+        // Room theme -> motif id. Themes not listed (JUNCTION, ENTRANCE)
+        // keep whatever motif is playing so corridors don't flip the music.
+        themeMotifs: {
+            PRODUCE: 'GROCERY', DAIRY: 'GROCERY', SNACKS: 'GROCERY',
+            BEVERAGES: 'GROCERY', BAKERY: 'GROCERY',
+            FROZEN: 'FROZEN',
+            ELECTRONICS: 'SYNTH', GAMING: 'SYNTH', APPLIANCES: 'SYNTH',
+            TOYS: 'CHIPTUNE',
+            SPORTS: 'DRIVE', CLOTHING: 'DRIVE',
+            PHARMACY: 'STERILE'
+        },
+
+        // Scales are semitone offsets, progression is scale degree per bar,
+        // arpeggio is scale steps above the chord root per 8th note (null = rest)
+        motifs: {
+            DEFAULT: {
+                tempo: 100, root: 220, scale: [0, 2, 3, 5, 7, 8, 10],
+                progression: [0, 5, 3, 4], arpeggio: [0, 2, 4, 2, 0, 2, 4, 6],
+                waves: { pad: 'triangle', bass: 'sawtooth', arpeggio: 'square' }
+            },
+            GROCERY: {
+                tempo: 96, root: 196, scale: [0, 2, 4, 5, 7, 9, 11],
+                progression: [0, 3, 4, 0], arpeggio: [0, 2, 4, null, 4, 2, 0, null],
+                waves: { pad: 'triangle', bass: 'triangle', arpeggio: 'sine' }
+            },
+            FROZEN: {
+                tempo: 72, root: 293.66, scale: [0, 2, 4, 6, 7, 9, 11],
+                progression: [0, 1, 5, 4], arpeggio: [0, 4, 7, null, 4, null, 2, null],
+                waves: { pad: 'sine', bass: 'sine', arpeggio: 'sine' }
+            },
+            SYNTH: {
+                tempo: 118, root: 164.81, scale: [0, 2, 3, 5, 7, 8, 10],
+                progression: [0, 0, 5, 6], arpeggio: [0, 2, 4, 7, 4, 2, 0, 2],
+                waves: { pad: 'sawtooth', bass: 'sawtooth', arpeggio: 'sawtooth' }
+            },
+            CHIPTUNE: {
+                tempo: 140, root: 261.63, scale: [0, 2, 4, 5, 7, 9, 11],
+                progression: [0, 4, 5, 3], arpeggio: [0, 2, 4, 7, 0, 2, 4, 7],
+                waves: { pad: 'square', bass: 'triangle', arpeggio: 'square' }
+            },
+            DRIVE: {
+                tempo: 126, root: 146.83, scale: [0, 2, 3, 5, 7, 9, 10],
+                progression: [0, 3, 0, 4], arpeggio: [0, null, 4, 2, 0, null, 4, 6],
+                waves: { pad: 'triangle', bass: 'square', arpeggio: 'triangle' }
+            },
+            STERILE: {
+                tempo: 84, root: 349.23, scale: [0, 2, 4, 7, 9],
+                progression: [0, 2, 3, 1], arpeggio: [0, null, 2, null, 4, null, 2, null],
+                waves: { pad: 'sine', bass: 'triangle', arpeggio: 'sine' }
+            },
+            BOSS: {
+                tempo: 150, root: 110, scale: [0, 1, 3, 5, 7, 8, 10],
+                progression: [0, 1, 0, 6], arpeggio: [0, 1, 0, 4, 0, 1, 6, 4],
+                waves: { pad: 'sawtooth', bass: 'sawtooth', arpeggio: 'square' }
+            }
+        }
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Get the fire sound recipe for a weapon
+     * @param {string} weaponId - Weapon id (e.g. 'slingshot')
+     * @returns {Object[]} Recipe layers
+     */
+    getFireRecipe(weaponId) {
+        return this.sfx.fire[weaponId] || this.sfx.FIRE_DEFAULT;
+    },
+
+    /**
+     * Get the chime recipe for a pickup kind
+     * @param {string} kind - 'weapon' | 'ammo' | 'time' | 'powerup'
+     * @returns {Object[]} Recipe layers
+     */
+    getPickupRecipe(kind) {
+        return this.sfx.pickup[kind] || this.sfx.pickup.powerup;
+    },
+
+    /**
+     * Get the music motif id for a room theme
+     * @param {string} themeId - RoomTheme id (e.g. 'FROZEN')
+     * @returns {string|null} Motif id, or null if the theme keeps the current motif
+     */
+    getMotifForTheme(themeId) {
+        return this.music.themeMotifs[themeId] || null;
+    },
+
+    /**
+     * Frequency of a scale degree in a motif (degrees wrap into higher octaves)
+     * @param {Object} motif - Motif from Sound.music.motifs
+     * @param {number} degree - Scale degree (0 = root)
+     * @param {number} octave - Octave offset
+     * @returns {number} Frequency in Hz
+     */
+    getNoteFrequency(motif, degree, octave = 0) {
+        const length = motif.scale.length;
+        const wrapped = ((degree % length) + length) % length;
+        const octaves = octave + Math.floor(degree / length);
+        const semitones = motif.scale[wrapped] + octaves * 12;
+        return motif.root * Math.pow(2, semitones / 12);
+    }
+};
@@ -0,0 +1,34 @@
+// ============================================
+// BASKET ANIMATION - Pure Animation Logic
+// ============================================
+// Stateless animation functions for basket enemy
+// Receives all data as parameters
+
+const BasketAnimation = {
+    /**
+     * Animate basket movement - quick hops with a squash on landing
+     * @param {THREE.Group} enemyMesh - Enemy mesh with userData references
+     * @param {number} walkTimer - Current walk animation timer
+     * @param {number} walkSpeed - Walk speed multiplier
+     * @returns {number} Updated walk timer
+     */
+    animateWalk(enemyMesh, walkTimer, walkSpeed = 7) {
+        if (!enemyMesh || !enemyMesh.userData) return walkTimer;
+
+        const { body } = enemyMesh.userData;
+        if (!body) return walkTimer;
+
+        // One hop per half cycle
+        const hop = Math.abs(Math.sin(walkTimer));
+        body.position.y = hop * 0.35;
+
+        // Squash near the floor, stretch in the air
+        const squash = 1 - (1 - hop) * 0.15;
+        body.scale.set(1 + (1 - squash) * 0.5, squash, 1 + (1 - squash) * 0.5);
+
+        // Rattle side to side
+        body.rotation.z = Math.sin(walkTimer * 2) * 0.12;
+
+        return walkTimer;
+    }
+};
@@ -0,0 +1,180 @@
+// ============================================
+// BASKET MESH - Pure Mesh Creation
+// ============================================
+// Stateless mesh creation for the possessed shopping basket
+// Receives all dependencies as parameters
+
+const BasketMesh = {
+    /**
+     * Create complete basket enemy with health bar
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} config - Enemy type config
+     * @returns {THREE.Group} Complete basket group with health bar
+     */
+    createEnemy(THREE, config) {
+        const group = new THREE.Group();
+
+        // Merge theme with config for mesh creation
+        const configWithTheme = { ...config, visual: { ...Basket.theme, size: config.size } };
+
+        const visual = this.createMesh(THREE, configWithTheme);
+        group.add(visual);
+
+        // Copy all userData references
+        Object.assign(group.userData, visual.userData);
+        group.userData.cart = visual;
+
+        const healthBar = this._createHealthBar(THREE);
+        healthBar.position.y = (config.size?.h || 0.7) + 0.9;
+        healthBar.rotation.x = -0.3;
+        group.add(healthBar);
+        group.userData.healthBar = healthBar;
+
+        return group;
+    },
+
+    /**
+     * Create basket mesh - open plastic basket with a handle and glowing eyes
+     * Player looks at -Z, sees +Z side of enemy, so we build with front at +Z
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} config - Enemy type config with visual theme
+     * @returns {THREE.Group} Basket mesh group
+     */
+    createMesh(THREE, config) {
+        const group = new THREE.Group();
+        const v = config.visual;
+        const size = v.size || { w: 0.9, h: 0.7, d: 0.7 };
+
+        const plasticMat = new THREE.MeshStandardMaterial({ color: v.plasticColor, roughness: 0.5 });
+        const handleMat = new THREE.MeshStandardMaterial({ color: v.handleColor, roughness: 0.6 });
+        const eyeMat = new THREE.MeshStandardMaterial({
+            color: v.eyeColor,
+            emissive: v.eyeColor,
+            emissiveIntensity: 0.8
+        });
+
+        // Body sits in its own group so the hop can lift and squash it
+        const body = new THREE.Group();
+        const wall = 0.06;
+
+        const bottom = new THREE.Mesh(new THREE.BoxGeometry(size.w, wall, size.d), plasticMat);
+        bottom.position.y = wall / 2;
+        body.add(bottom);
+
+        // Front/back and side walls, slightly flared
+        [1, -1].forEach(side => {
+            const frontBack = new THREE.Mesh(new THREE.BoxGeometry(size.w, size.h, wall), plasticMat);
+            frontBack.position.set(0, size.h / 2, side * (size.d / 2));
+            frontBack.rotation.x = side * 0.08;
+            frontBack.castShadow = true;
+            body.add(frontBack);
+
+            const sideWall = new THREE.Mesh(new THREE.BoxGeometry(wall, size.h, size.d), plasticMat);
+            sideWall.position.set(side * (size.w / 2), size.h / 2, 0);
+            sideWall.rotation.z = -side * 0.08;
+            sideWall.castShadow = true;
+            body.add(sideWall);
+        });
+
+        // Handle: two uprights and a grip across the top
+        const handleHeight = 0.5 * size.h;
+        [1, -1].forEach(side => {
+            const upright = new THREE.Mesh(new THREE.BoxGeometry(0.05, handleHeight, 0.05), handleMat);
+            upright.position.set(side * 0.3 * size.w, size.h + handleHeight / 2, 0);
+            body.add(upright);
+        });
+        const grip = new THREE.Mesh(new THREE.BoxGeometry(0.65 * size.w, 0.07, 0.09), handleMat);
+        grip.position.y = size.h + handleHeight;
+        body.add(grip);
+
+        // Glowing eyes on the front wall
+        [-1, 1].forEach(side => {
+            const eye = new THREE.Mesh(new THREE.SphereGeometry(0.07 * size.w, 8, 8), eyeMat);
+            eye.position.set(side * 0.2 * size.w, 0.65 * size.h, size.d / 2 + wall);
+            body.add(eye);
+        });
+
+        group.add(body);
+
+        group.userData.body = body;
+        group.userData.plasticMat = plasticMat;
+
+        return group;
+    },
+
+    // ==========================================
+    // HEALTH BAR
+    // ==========================================
+
+    /**
+     * Create health bar
+     * @private
+     * @param {THREE} THREE - Three.js library
+     * @returns {THREE.Group} Health bar group
+     */
+    _createHealthBar(THREE) {
+        const group = new THREE.Group();
+        const width = 1.0;
+
+        const bg = new THREE.Mesh(
+            new THREE.PlaneGeometry(width + 0.1, 0.2),
+            new THREE.MeshBasicMaterial({ color: 0x1a1a1a })
+        );
+        group.add(bg);
+
+        const fillMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+        const fill = new THREE.Mesh(
+            new THREE.PlaneGeometry(width - 0.05, 0.12),
+            fillMat
+        );
+        fill.position.z = 0.01;
+        group.add(fill);
+
+        group.userData.fill = fill;
+        group.userData.fillMat = fillMat;
+        group.userData.width = width;
+
+        return group;
+    },
+
+    /**
+     * Update health bar display
+     * @param {THREE.Group} healthBar - Health bar group
+     * @param {number} percent - Health percentage (0-1)
+     */
+    updateHealthBar(healthBar, percent) {
+        if (!healthBar || !healthBar.userData.fill) return;
+
+        const fill = healthBar.userData.fill;
+        const width = healthBar.userData.width || 1.0;
+
+        fill.scale.x = Math.max(0, percent);
+        fill.position.x = -(width / 2) * (1 - percent);
+
+        const mat = healthBar.userData.fillMat;
+        if (percent > 0.6) {
+            mat.color.setHex(0x00ff00);
+        } else if (percent > 0.3) {
+            mat.color.setHex(0xffff00);
+        } else {
+            mat.color.setHex(0xff0000);
+        }
+    },
+
+    /**
+     * Apply hit flash effect to the basket plastic
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} intensity - Flash intensity
+     */
+    applyHitFlash(enemyMesh, intensity) {
+        const mat = enemyMesh?.userData?.plasticMat;
+        if (!mat || !mat.emissive) return;
+
+        if (intensity > 0) {
+            mat.emissive.setHex(0xffffff);
+            mat.emissiveIntensity = intensity;
+        } else {
+            mat.emissiveIntensity = 0;
+        }
+    }
+};
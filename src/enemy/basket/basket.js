@@ -0,0 +1,84 @@
+// ============================================
+// BASKET - Behavioral Module
+// ============================================
+// Possessed shopping basket (swarm behavior): small, fast and fragile,
+// hunts in flocking packs. Delegates to mesh and animation.
+
+var EnemyTypeRegistry = (typeof globalThis !== 'undefined')
+    ? (globalThis.EnemyTypeRegistry = globalThis.EnemyTypeRegistry || {})
+    : {};
+
+const Basket = {
+    // ==========================================
+    // IDENTITY
+    // ==========================================
+
+    id: 'basket',
+    name: 'Possessed Basket',
+
+    // ==========================================
+    // CONFIGURATION (References central config)
+    // ==========================================
+
+    get config() {
+        return Enemy.types.BASKET;
+    },
+
+    // ==========================================
+    // THEME (Colors and visual styling)
+    // ==========================================
+
+    theme: {
+        plasticColor: 0xc0392b,   // Red store basket
+        handleColor: 0x2c2c2c,    // Black handle
+        eyeColor: 0xff00aa        // Glowing possessed eyes
+    },
+
+    // ==========================================
+    // MESH CREATION (Delegates to BasketMesh)
+    // ==========================================
+
+    /**
+     * Create basket mesh
+     * @param {THREE} THREE - Three.js library
+     * @returns {THREE.Group} Basket mesh group
+     */
+    createMesh(THREE, config = this.config) {
+        return BasketMesh.createEnemy(THREE, config);
+    },
+
+    // ==========================================
+    // ANIMATION (Delegates to BasketAnimation)
+    // ==========================================
+
+    /**
+     * Animate basket hopping
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} walkTimer - Walk animation timer
+     * @returns {number} Updated walk timer
+     */
+    animateWalk(enemyMesh, walkTimer) {
+        const walkSpeed = this.config.walkSpeed || 7;
+        return BasketAnimation.animateWalk(enemyMesh, walkTimer, walkSpeed);
+    },
+
+    /**
+     * Apply hit flash effect
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} intensity - Flash intensity
+     */
+    applyHitFlash(enemyMesh, intensity) {
+        BasketMesh.applyHitFlash(enemyMesh, intensity);
+    },
+
+    /**
+     * Update basket health bar
+     * @param {THREE.Group} healthBar - Health bar mesh
+     * @param {number} percent - Health percent 0-1
+     */
+    updateHealthBar(healthBar, percent) {
+        BasketMesh.updateHealthBar(healthBar, percent);
+    }
+};
+
+EnemyTypeRegistry.BASKET = Basket;
@@ -84,5 +84,57 @@ const DinosaurAnimation = {
         }
 
         return walkTimer;
+    },
+
+    /**
+     * Pose the dinosaur for a boss attack (applied after animateWalk)
+     * Wind-ups build up over attack.duration so the player can read them:
+     * the charge rears back, digs in and trembles; the tail swipe twists the
+     * body and cocks the tail to one side. The rush itself keeps the head down.
+     * Call with no attack to settle back into the rest pose.
+     * @param {THREE.Group} enemyMesh - Enemy mesh with userData references
+     * @param {Object|null} attack - Boss attack {type, stage, timer, duration}
+     */
+    animateAttack(enemyMesh, attack) {
+        if (!enemyMesh || !enemyMesh.userData) return;
+
+        const { dinosaur, head, tail, leftLeg, rightLeg } = enemyMesh.userData;
+        // animateWalk never touches these, so the first call sees the rest pose
+        const rest = enemyMesh.userData.restPose || (enemyMesh.userData.restPose = {
+            bodyYaw: dinosaur ? dinosaur.rotation.y : 0,
+            headPitch: head ? head.rotation.x : 0
+        });
+
+        if (dinosaur) {
+            dinosaur.rotation.y = rest.bodyYaw;
+            dinosaur.position.x = 0;
+        }
+        if (head) head.rotation.x = rest.headPitch;
+        if (!attack) return;
+
+        const progress = attack.duration > 0
+            ? Math.max(0, Math.min(1, 1 - attack.timer / attack.duration))
+            : 1;
+
+        if (attack.type === 'charge' && attack.stage === 'windup') {
+            if (dinosaur) {
+                dinosaur.rotation.x = -0.15 * progress;
+                // Tremble harder as the charge gets close
+                dinosaur.position.x = Math.sin(attack.timer * 60) * 0.06 * progress;
+            }
+            if (head) head.rotation.x = rest.headPitch - 0.4 * progress;
+            if (leftLeg) leftLeg.rotation.x = -0.3 * progress;
+            if (rightLeg) rightLeg.rotation.x = 0.3 * progress;
+            if (tail) tail.rotation.x = 0.25 * progress;
+        } else if (attack.type === 'charge') {
+            if (dinosaur) dinosaur.rotation.x = 0.12;
+            if (head) head.rotation.x = rest.headPitch - 0.35;
+        } else if (attack.type === 'tailSwipe') {
+            if (dinosaur) dinosaur.rotation.y = rest.bodyYaw - 0.35 * progress;
+            if (tail) {
+                tail.rotation.y = 1.1 * progress;
+                tail.rotation.x = 0.15 * progress;
+            }
+        }
     }
 };
@@ -68,6 +68,15 @@ const Dinosaur = {
         return DinosaurAnimation.animateWalk(enemyMesh, walkTimer, walkSpeed);
     },
 
+    /**
+     * Pose dinosaur for a boss attack wind-up or rush (null settles to rest)
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {Object|null} attack - Boss attack {type, stage, timer, duration}
+     */
+    animateAttack(enemyMesh, attack) {
+        DinosaurAnimation.animateAttack(enemyMesh, attack);
+    },
+
     /**
      * Apply hit flash effect
      * @param {THREE.Group} enemyMesh - Enemy mesh
@@ -23,6 +23,18 @@ const EnemyAI = {
     get fleeMinDistance() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.FLEE_MIN_DISTANCE : 10; },
     get fleeStopDistance() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.FLEE_STOP_DISTANCE : 16; },
     get fleeSpeedMult() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.FLEE_SPEED_MULT : 1.4; },
+    get rangedPreferredDistance() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.RANGED_PREFERRED_DISTANCE : 14; },
+    get rangedDistanceTolerance() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.RANGED_DISTANCE_TOLERANCE : 3; },
+    get rangedStrafeSpeed() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.RANGED_STRAFE_SPEED : 0.6; },
+    get rangedStrafeInterval() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.RANGED_STRAFE_INTERVAL : 2.5; },
+    get rangedRetreatSpeed() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.RANGED_RETREAT_SPEED : 0.8; },
+    get shoveStandoff() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.SHOVE_STANDOFF : 0.2; },
+    get pathFollowTimeout() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.PATH_FOLLOW_TIMEOUT : 8; },
+    get pathReplanInterval() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.PATH_REPLAN_INTERVAL : 0.5; },
+    get pathWaypointRadius() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.PATH_WAYPOINT_RADIUS : 1.2; },
+    get pathSpeed() { return (typeof Enemy !== 'undefined' && Enemy.behaviorDefaults) ? Enemy.behaviorDefaults.PATH_SPEED : 0.8; },
+    get investigateSpeed() { return (typeof Enemy !== 'undefined' && Enemy.perception) ? Enemy.perception.INVESTIGATE_SPEED : 0.6; },
+    get investigateReach() { return (typeof Enemy !== 'undefined' && Enemy.perception) ? Enemy.perception.INVESTIGATE_REACH : 3.5; },
 
     /**
      * Update enemy AI behavior
@@ -30,12 +42,25 @@ const EnemyAI = {
      * @param {Object} playerPos - Player position
      * @param {number} dt - Delta time
      * @param {number} baseSpeed - Base movement speed
-     * @param {Object} [aiOptions] - AI options {collisionCheck, hasLineOfSight}
+     * @param {Object} [aiOptions] - AI options {collisionCheck, hasLineOfSight, findPath, onRangedAttack, obstacles, onShove, flock,
+     *   isSameRoom, onBossPhase, onTailSwipe, onSummon}
      */
     updateBehavior(enemy, playerPos, dt, baseSpeed, aiOptions = {}) {
         if (!enemy) return;
 
-        const { collisionCheck = null, hasLineOfSight = null } = aiOptions;
+        const {
+            collisionCheck = null,
+            hasLineOfSight = null,
+            findPath = null,
+            onRangedAttack = null,
+            obstacles = null,
+            onShove = null,
+            flock = null,
+            isSameRoom = null,
+            onBossPhase = null,
+            onTailSwipe = null,
+            onSummon = null
+        } = aiOptions;
 
         // Support both instance data and THREE.Group meshes
         const data = enemy.userData || enemy;
@@ -44,7 +69,8 @@ const EnemyAI = {
         const config = data.config;
         if (!config) return;
 
-        const behavior = config.behavior;
+        // Per-instance behavior (e.g. ranged skeletons) overrides the type default
+        const behavior = data.behavior || config.behavior;
         const position = enemy.position;
         const oldX = position.x;
         const oldZ = position.z;
@@ -63,6 +89,15 @@ const EnemyAI = {
             data.lostSightTimer = (data.lostSightTimer || 0) + dt;
         }
 
+        // Perception: spotting the player alerts the room, noises make idle enemies suspicious
+        if (typeof EnemyPerception !== 'undefined' && EnemyPerception.update(enemy, canSeePlayer, dt)) {
+            EnemyPerception.alertRoom(enemy, flock, playerPos, isSameRoom);
+        }
+        // Hunters that heard something (and are not busy with the player) go and look
+        const investigating = !canSeePlayer && !config.boss && !data.shoveTarget &&
+            data.alertState === 'suspicious' && !!data.noiseTarget &&
+            ['chase', 'ranged', 'shove', 'swarm'].includes(behavior);
+
         // Decay flee block timer (used to avoid walls/obstacles when fleeing)
         if (data.fleeBlockedTimer) {
             data.fleeBlockedTimer = Math.max(0, data.fleeBlockedTimer - dt);
@@ -81,31 +116,33 @@ const EnemyAI = {
         }
 
         // Execute behavior based on LOS
-        switch (behavior) {
+        switch (investigating ? 'investigate' : behavior) {
+            case 'investigate':
+                this._behaviorInvestigate(enemy, data, dt, baseSpeed, {
+                    collisionCheck,
+                    hasLineOfSight,
+                    findPath
+                });
+                break;
             case 'chase':
-                if (canSeePlayer) {
-                    // Can see player - chase with local bypass logic when physically blocked
-                    this._behaviorChaseHybrid(enemy, data, playerPos, dt, baseSpeed, {
+                if (config.boss) {
+                    this._behaviorBoss(enemy, data, playerPos, dt, baseSpeed, {
                         collisionCheck,
                         hasLineOfSight,
-                        canSeeTarget: canSeePlayer
+                        findPath,
+                        canSeeTarget: canSeePlayer,
+                        onBossPhase,
+                        onTailSwipe,
+                        onSummon
                     });
-                } else if (data.lastSeenPlayerPos && data.lostSightTimer < this.lostSightTimeout) {
-                    // Lost sight recently - move to last known position
-                    this._behaviorChaseHybrid(enemy, data, data.lastSeenPlayerPos, dt, baseSpeed * this.lostSightSpeed, {
-                        collisionCheck,
-                        hasLineOfSight,
-                        canSeeTarget: false
-                    });
-                } else {
-                    // No LOS for a while - wander in room
-                    data.chaseBypassTarget = null;
-                    data.chaseBypassTimer = 0;
-                    data.chaseNoProgressTimer = 0;
-                    data.chaseLastDistToTarget = null;
-                    data.chaseIsBypassing = false;
-                    this._behaviorWander(enemy, data, dt, baseSpeed);
+                    break;
                 }
+                this._behaviorPursue(enemy, data, playerPos, dt, baseSpeed, {
+                    collisionCheck,
+                    hasLineOfSight,
+                    findPath,
+                    canSeeTarget: canSeePlayer
+                });
                 break;
             case 'flee':
                 if (data.fleeBlockedTimer > 0) {
@@ -115,6 +152,32 @@ const EnemyAI = {
                     this._behaviorFlee(enemy, data, playerPos, dt, baseSpeed);
                 }
                 break;
+            case 'ranged':
+                this._behaviorRanged(enemy, data, playerPos, dt, baseSpeed, {
+                    collisionCheck,
+                    hasLineOfSight,
+                    canSeeTarget: canSeePlayer,
+                    onRangedAttack
+                });
+                break;
+            case 'shove':
+                this._behaviorShove(enemy, data, playerPos, dt, baseSpeed, {
+                    collisionCheck,
+                    hasLineOfSight,
+                    findPath,
+                    canSeeTarget: canSeePlayer,
+                    obstacles,
+                    onShove
+                });
+                break;
+            case 'swarm':
+                this._behaviorSwarm(enemy, data, playerPos, dt, baseSpeed, {
+                    collisionCheck,
+                    canSeeTarget: canSeePlayer,
+                    flock,
+                    isSameRoom
+                });
+                break;
             case 'patrol':
                 this._behaviorPatrol({ position, config, patrolTimer: data.patrolTimer || 0 }, playerPos, dt, baseSpeed);
                 data.patrolTimer = (data.patrolTimer || 0) + dt;
@@ -131,16 +194,17 @@ const EnemyAI = {
         }
 
         // Random drift only for non-chase behaviors with LOS.
-        // Chase behavior should move directly when LOS is clear.
-        const allowDrift = canSeePlayer && behavior !== 'chase';
+        // Chase behavior should move directly when LOS is clear; ranged strafes and swarms flock on their own.
+        const steered = behavior === 'chase' || behavior === 'ranged' || behavior === 'shove' || behavior === 'swarm';
+        const allowDrift = canSeePlayer && !steered;
         if (allowDrift) {
             data.driftTimer = (data.driftTimer || 0) + dt;
             if (data.driftTimer > config.driftInterval) {
                 data.driftTimer = 0;
-                data.driftSpeed = (Math.random() - 0.5) * config.driftSpeed;
+                data.driftSpeed = RandomOrchestrator.spread(config.driftSpeed);
             }
             position.x += (data.driftSpeed || 0) * dt;
-        } else if (behavior === 'chase') {
+        } else if (steered) {
             data.driftTimer = 0;
             data.driftSpeed = 0;
         }
@@ -157,7 +221,7 @@ const EnemyAI = {
                 position.z = oldZ;
                 data.wanderDirZ = -(data.wanderDirZ || 0);
             }
-            if ((collision.blockedX || collision.blockedZ) && behavior === 'chase') {
+            if ((collision.blockedX || collision.blockedZ) && steered) {
                 data.chaseBlockedTimer = Math.max(data.chaseBlockedTimer || 0, this.chaseStuckTimeout);
                 data.chaseNoProgressTimer = Math.max(data.chaseNoProgressTimer || 0, this.chaseStuckTimeout);
                 data.chaseBypassTarget = null;
@@ -237,7 +301,7 @@ const EnemyAI = {
 
         const preferredSign = (typeof data.chaseStrafeSign === 'number' && data.chaseStrafeSign !== 0)
             ? Math.sign(data.chaseStrafeSign)
-            : (Math.random() < 0.5 ? -1 : 1);
+            : (RandomOrchestrator.next() < 0.5 ? -1 : 1);
         const signOrder = [preferredSign, -preferredSign];
         const sideBase = this.chaseBypassDistance;
         const sideMultipliers = [1, 1.35];
@@ -376,6 +440,573 @@ const EnemyAI = {
         }
     },
 
+    /**
+     * Pursue the player: chase while in sight, track them through doors and
+     * around shelves for a while after losing sight (findPath), or head for
+     * the last seen spot without a path, then wander
+     */
+    _behaviorPursue(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const { collisionCheck = null, hasLineOfSight = null, findPath = null, canSeeTarget = true } = aiOptions;
+
+        if (canSeeTarget) {
+            data.navPath = null;
+            // Can see player - chase with local bypass logic when physically blocked
+            this._behaviorChaseHybrid(enemy, data, playerPos, dt, baseSpeed, {
+                collisionCheck,
+                hasLineOfSight,
+                canSeeTarget: true
+            });
+        } else if (findPath && data.lastSeenPlayerPos && data.lostSightTimer < this.pathFollowTimeout &&
+            this._followPath(enemy, data, playerPos, dt, baseSpeed * this.pathSpeed, findPath)) {
+            // Out of sight - following a path toward the player into other rooms
+        } else if (data.lastSeenPlayerPos && data.lostSightTimer < this.lostSightTimeout) {
+            // Lost sight recently - move to last known position
+            this._behaviorChaseHybrid(enemy, data, data.lastSeenPlayerPos, dt, baseSpeed * this.lostSightSpeed, {
+                collisionCheck,
+                hasLineOfSight,
+                canSeeTarget: false
+            });
+        } else {
+            // No LOS for a while - wander in room
+            data.navPath = null;
+            data.chaseBypassTarget = null;
+            data.chaseBypassTimer = 0;
+            data.chaseNoProgressTimer = 0;
+            data.chaseLastDistToTarget = null;
+            data.chaseIsBypassing = false;
+            this._behaviorWander(enemy, data, dt, baseSpeed);
+        }
+    },
+
+    /**
+     * Investigate behavior - walk over to the last noise heard
+     * Uses findPath when available so noises in the next room are reachable.
+     * Once there the noise is dropped and the enemy falls back to its normal
+     * behavior (usually wandering) while it stays suspicious.
+     */
+    _behaviorInvestigate(enemy, data, dt, baseSpeed, aiOptions = {}) {
+        const { collisionCheck = null, hasLineOfSight = null, findPath = null } = aiOptions;
+        const target = data.noiseTarget;
+        const speed = baseSpeed * this.investigateSpeed;
+
+        if (this._distance2D(enemy.position, target) < this.investigateReach) {
+            data.noiseTarget = null;
+            data.navPath = null;
+            return;
+        }
+        if (findPath && this._followPath(enemy, data, target, dt, speed, findPath)) return;
+
+        this._behaviorChaseHybrid(enemy, data, target, dt, speed, {
+            collisionCheck,
+            hasLineOfSight,
+            canSeeTarget: false
+        });
+    },
+
+    /**
+     * Walk a navigation path toward a target, replanning every pathReplanInterval
+     * Replans start from wherever the enemy is, so each one routes around the
+     * blockers of the room it is in by then.
+     * @private
+     * @returns {boolean} True if there was a path to follow
+     */
+    _followPath(enemy, data, targetPos, dt, baseSpeed, findPath) {
+        const position = enemy.position;
+        const config = data.config || enemy.config || {};
+
+        data.navReplanTimer = (data.navReplanTimer || 0) - dt;
+        if (!data.navPath || data.navReplanTimer <= 0) {
+            data.navPath = findPath(position.x, position.z, targetPos.x, targetPos.z) || null;
+            data.navReplanTimer = this.pathReplanInterval;
+        }
+
+        const path = data.navPath;
+        while (path && path.length > 0 && this._distance2D(position, path[0]) < this.pathWaypointRadius) {
+            path.shift();
+        }
+        if (!path || path.length === 0) {
+            data.navPath = null;
+            return false;
+        }
+
+        this._moveTowards2D(position, path[0], baseSpeed * (config.speed || 0), dt);
+        return true;
+    },
+
+    /**
+     * Boss behavior - chase, with attacks unlocked phase by phase
+     * The phase follows health (see _updateBossPhase). Charge and tail swipe
+     * first wind up in place (bossAttack.stage 'windup', posed by the type
+     * module's animateAttack) so the player can read them. A charge then rushes
+     * in a straight line until its time is up or a wall stops it; contact
+     * damage during the rush is up to the onPlayerCollision callback. A tail
+     * swipe reports whether the player was still in reach via onTailSwipe.
+     * Summons run alongside movement through onSummon, which returns the
+     * spawned minions so live ones count against summon.maxLive.
+     */
+    _behaviorBoss(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const config = data.config || enemy.config || {};
+        const boss = config.boss;
+        const {
+            collisionCheck = null,
+            hasLineOfSight = null,
+            findPath = null,
+            canSeeTarget = true,
+            onBossPhase = null,
+            onTailSwipe = null,
+            onSummon = null
+        } = aiOptions;
+
+        this._updateBossPhase(enemy, data, onBossPhase);
+        const phase = boss.phases[data.bossPhase] || {};
+        const attacks = phase.attacks || [];
+        const speed = baseSpeed * (phase.speedMult || 1);
+
+        data.chargeCooldown = Math.max(0, (data.chargeCooldown || 0) - dt);
+        data.tailSwipeCooldown = Math.max(0, (data.tailSwipeCooldown || 0) - dt);
+        data.summonCooldown = Math.max(0, (data.summonCooldown || 0) - dt);
+
+        if (attacks.includes('summon') && data.summonCooldown <= 0 && onSummon) {
+            data.summonCooldown = boss.summon.cooldown;
+            data.minions = (data.minions || []).filter(minion => (minion.userData || minion).active);
+            const count = Math.min(boss.summon.count, boss.summon.maxLive - data.minions.length);
+            if (count > 0) {
+                const spawned = onSummon(enemy, { ...boss.summon, count });
+                if (Array.isArray(spawned)) data.minions.push(...spawned);
+            }
+        }
+
+        if (data.bossAttack) {
+            this._updateBossAttack(enemy, data, playerPos, dt, speed, { collisionCheck, onTailSwipe });
+            return;
+        }
+
+        const position = enemy.position;
+        const dist = this._distance2D(position, playerPos);
+        if (attacks.includes('tailSwipe') && data.tailSwipeCooldown <= 0 && dist <= boss.tailSwipe.radius) {
+            data.bossAttack = { type: 'tailSwipe', stage: 'windup', timer: boss.tailSwipe.windup, duration: boss.tailSwipe.windup };
+            return;
+        }
+
+        const charge = boss.charge;
+        if (attacks.includes('charge') && data.chargeCooldown <= 0 && canSeeTarget &&
+            dist >= charge.minRange && dist <= charge.maxRange) {
+            // Direction is locked at the start of the wind-up - sidestep to dodge
+            data.bossAttack = {
+                type: 'charge',
+                stage: 'windup',
+                timer: charge.windup,
+                duration: charge.windup,
+                dirX: (playerPos.x - position.x) / dist,
+                dirZ: (playerPos.z - position.z) / dist
+            };
+            return;
+        }
+
+        this._behaviorPursue(enemy, data, playerPos, dt, speed, { collisionCheck, hasLineOfSight, findPath, canSeeTarget });
+    },
+
+    /**
+     * Advance the boss phase once health drops to a phase threshold
+     * Phases never go back (healing does not undo an enrage).
+     * @private
+     */
+    _updateBossPhase(enemy, data, onBossPhase) {
+        const phases = data.config.boss.phases;
+        const percent = data.health / (data.maxHealth || data.config.health);
+        const current = data.bossPhase || 0;
+
+        let next = current;
+        for (let i = phases.length - 1; i > current; i--) {
+            if (percent <= phases[i].threshold) {
+                next = i;
+                break;
+            }
+        }
+
+        data.bossPhase = next;
+        if (next !== current && onBossPhase) {
+            onBossPhase(enemy, phases[next], next);
+        }
+    },
+
+    /**
+     * Run the current boss attack (wind-up, then the swipe or the rush)
+     * @private
+     */
+    _updateBossAttack(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const { collisionCheck = null, onTailSwipe = null } = aiOptions;
+        const boss = data.config.boss;
+        const attack = data.bossAttack;
+        const position = enemy.position;
+        attack.timer -= dt;
+
+        if (attack.stage === 'windup') {
+            if (attack.timer > 0) return;
+
+            if (attack.type === 'tailSwipe') {
+                const swipe = boss.tailSwipe;
+                data.bossAttack = null;
+                data.tailSwipeCooldown = swipe.cooldown;
+                if (onTailSwipe) {
+                    onTailSwipe(enemy, { ...swipe, hitPlayer: this._distance2D(position, playerPos) <= swipe.radius });
+                }
+                return;
+            }
+
+            attack.stage = 'active';
+            attack.timer = boss.charge.duration;
+            attack.duration = boss.charge.duration;
+            return;
+        }
+
+        // Charging: straight line, ends early against walls and shelves
+        const step = baseSpeed * data.config.speed * boss.charge.speedMult * dt;
+        const nextX = position.x + attack.dirX * step;
+        const nextZ = position.z + attack.dirZ * step;
+        const probe = collisionCheck ? collisionCheck(nextX, nextZ, position.x, position.z) : null;
+        const blocked = !!(probe?.blocked || probe?.blockedX || probe?.blockedZ);
+
+        if (!blocked) {
+            position.x = nextX;
+            position.z = nextZ;
+        }
+        if (blocked || attack.timer <= 0) {
+            data.bossAttack = null;
+            data.chargeCooldown = boss.charge.cooldown;
+        }
+    },
+
+    /**
+     * Ranged behavior - hold a preferred distance, strafe, throw when the shot is clear
+     * Closes in (with chase bypass steering) when too far or out of sight and
+     * backs off when too close. Strafing shares chaseStrafeSign with the bypass
+     * logic, so a blocked strafe flips sides the same way a blocked chase does.
+     * Throws only while hasLineOfSight (walls, shelves and obstacles) is clear.
+     */
+    _behaviorRanged(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const position = enemy.position;
+        const config = data.config || enemy.config || {};
+        const ranged = config.ranged || {};
+        const { canSeeTarget = true, collisionCheck = null, onRangedAttack = null } = aiOptions;
+        const dist = this._distance2D(position, playerPos);
+        const speed = baseSpeed * (config.speed || 0);
+
+        data.rangedCooldown = Math.max(0, (data.rangedCooldown || 0) - dt);
+
+        if (!canSeeTarget) {
+            // Reposition toward the last seen spot - bypass waypoints prefer ones that reopen the shot
+            data.rangedStrafeTimer = 0;
+            if (data.lastSeenPlayerPos && data.lostSightTimer < this.lostSightTimeout) {
+                this._behaviorChaseHybrid(enemy, data, data.lastSeenPlayerPos, dt, baseSpeed, aiOptions);
+            } else {
+                data.chaseBypassTarget = null;
+                data.chaseBypassTimer = 0;
+                this._behaviorWander(enemy, data, dt, baseSpeed);
+            }
+            return;
+        }
+
+        const preferred = this.rangedPreferredDistance;
+        const tolerance = this.rangedDistanceTolerance;
+        if (dist > preferred + tolerance) {
+            this._behaviorChaseHybrid(enemy, data, playerPos, dt, baseSpeed, aiOptions);
+        } else if (dist > 0.001) {
+            data.chaseBypassTarget = null;
+            data.chaseBypassTimer = 0;
+            data.chaseIsBypassing = false;
+
+            const nx = (playerPos.x - position.x) / dist;
+            const nz = (playerPos.z - position.z) / dist;
+            if (dist < preferred - tolerance) {
+                position.x -= nx * speed * this.rangedRetreatSpeed * dt;
+                position.z -= nz * speed * this.rangedRetreatSpeed * dt;
+            } else {
+                data.rangedStrafeTimer = (data.rangedStrafeTimer || 0) + dt;
+                if (!data.chaseStrafeSign || data.rangedStrafeTimer > this.rangedStrafeInterval) {
+                    data.rangedStrafeTimer = 0;
+                    data.chaseStrafeSign = RandomOrchestrator.next() < 0.5 ? -1 : 1;
+                }
+                const step = speed * this.rangedStrafeSpeed * dt;
+                let sideX = -nz * data.chaseStrafeSign;
+                let sideZ = nx * data.chaseStrafeSign;
+                // Probe the strafe step so a wall or shelf flips sides before bumping it
+                if (collisionCheck) {
+                    const probe = collisionCheck(position.x + sideX * step, position.z + sideZ * step, position.x, position.z);
+                    if (probe?.blocked || probe?.blockedX || probe?.blockedZ) {
+                        data.chaseStrafeSign *= -1;
+                        sideX = -sideX;
+                        sideZ = -sideZ;
+                    }
+                }
+                position.x += sideX * step;
+                position.z += sideZ * step;
+            }
+        }
+
+        const range = ranged.range || Infinity;
+        if (onRangedAttack && data.rangedCooldown === 0 && dist <= range) {
+            data.rangedCooldown = ranged.cooldown || 2;
+            onRangedAttack(enemy, { x: playerPos.x, z: playerPos.z });
+        }
+    },
+
+    /**
+     * Shove behavior - push the nearest obstacle into the player
+     * Claims a free obstacle within shove.searchRadius (obstacle.userData.shoveClaim
+     * keeps two enemies off the same one), walks to the spot behind it on the far
+     * side from the player and calls onShove once the player is in range and in
+     * sight. Pursues the player while no obstacle is free or the shove cools down.
+     * hasLineOfSight should ignore data.shoveTarget, so the enemy sees past the
+     * obstacle it is about to push but not past any other.
+     */
+    _behaviorShove(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const position = enemy.position;
+        const config = data.config || enemy.config || {};
+        const shove = config.shove || {};
+        const { canSeeTarget = true, obstacles = null, onShove = null } = aiOptions;
+
+        data.shoveCooldown = Math.max(0, (data.shoveCooldown || 0) - dt);
+
+        let target = data.shoveTarget || null;
+        if (target && !this._isShoveable(target, enemy)) {
+            this._releaseShoveTarget(enemy, data);
+            target = null;
+        }
+        if (!target && data.shoveCooldown === 0) {
+            target = this._findShoveTarget(enemy, obstacles, shove.searchRadius || Infinity);
+            if (target) {
+                target.userData.shoveClaim = enemy;
+                data.shoveTarget = target;
+            }
+        }
+        if (!target) {
+            this._behaviorPursue(enemy, data, playerPos, dt, baseSpeed, aiOptions);
+            return;
+        }
+
+        // Push spot: behind the obstacle on the line from the player through it
+        const obsPos = target.position;
+        const obsToPlayer = this._distance2D(obsPos, playerPos);
+        const awayX = obsToPlayer > 0.001 ? (obsPos.x - playerPos.x) / obsToPlayer : 0;
+        const awayZ = obsToPlayer > 0.001 ? (obsPos.z - playerPos.z) / obsToPlayer : 1;
+        const offset = this._getObstacleRadius(target) + (config.collisionRadius || 1.5) + this.shoveStandoff;
+        const spot = { x: obsPos.x + awayX * offset, z: obsPos.z + awayZ * offset };
+        const distToSpot = this._distance2D(position, spot);
+
+        if (distToSpot > (shove.reach || 0.8)) {
+            if (distToSpot > this.chaseMinDistance) {
+                // Route around the obstacle (and anything else) on the way to the spot
+                this._behaviorChaseHybrid(enemy, data, spot, dt, baseSpeed, {
+                    collisionCheck: aiOptions.collisionCheck || null,
+                    hasLineOfSight: aiOptions.hasLineOfSight || null
+                });
+            } else {
+                this._moveTowards2D(position, spot, baseSpeed * (config.speed || 0), dt);
+            }
+            return;
+        }
+
+        // In position - wait for a clear shot
+        if (onShove && canSeeTarget && obsToPlayer <= (shove.range || Infinity)) {
+            this._releaseShoveTarget(enemy, data);
+            data.shoveCooldown = shove.cooldown || 3;
+            onShove(enemy, target, { x: -awayX, z: -awayZ });
+        }
+    },
+
+    /**
+     * Nearest obstacle an enemy may claim for a shove
+     * @private
+     */
+    _findShoveTarget(enemy, obstacles, searchRadius) {
+        if (!obstacles) return null;
+
+        let best = null;
+        let bestDist = searchRadius;
+        obstacles.forEach(obs => {
+            if (!this._isShoveable(obs, enemy)) return;
+            const dist = this._distance2D(enemy.position, obs.position);
+            if (dist <= bestDist) {
+                best = obs;
+                bestDist = dist;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Standing obstacle that is unclaimed, claimed by this enemy or by a dead one
+     * @private
+     */
+    _isShoveable(obs, enemy) {
+        const userData = obs?.userData;
+        if (!userData || !userData.active || userData.hit) return false;
+        const claim = userData.shoveClaim;
+        return !claim || claim === enemy || !(claim.userData || claim).active;
+    },
+
+    /**
+     * @private
+     */
+    _releaseShoveTarget(enemy, data) {
+        const target = data.shoveTarget;
+        if (target && target.userData.shoveClaim === enemy) {
+            target.userData.shoveClaim = null;
+        }
+        data.shoveTarget = null;
+    },
+
+    /**
+     * @private
+     */
+    _getObstacleRadius(obs) {
+        return obs.userData.collisionRadius ||
+            obs.userData.config?.collisionRadius ||
+            (obs.userData.width ? obs.userData.width / 2 : 1.5);
+    },
+
+    /**
+     * Swarm behavior - boids flocking with pack mates while homing in on the player
+     * Separation, alignment and cohesion come from _getFlockSteering. The pack
+     * seeks the player while in sight, the last seen spot for a while after
+     * losing sight, and otherwise drifts back toward home at wander speed.
+     * A step collisionCheck would block loses that velocity component, so the
+     * pack slides along walls and shelves instead of piling into them.
+     */
+    _behaviorSwarm(enemy, data, playerPos, dt, baseSpeed, aiOptions = {}) {
+        const position = enemy.position;
+        const config = data.config || enemy.config || {};
+        const swarm = config.swarm || {};
+        const { canSeeTarget = true, collisionCheck = null, flock = null, isSameRoom = null } = aiOptions;
+
+        // Pick what to seek and how fast
+        let target = null;
+        let maxSpeed = baseSpeed * (config.speed || 0);
+        if (canSeeTarget) {
+            target = playerPos;
+        } else if (data.lastSeenPlayerPos && data.lostSightTimer < this.lostSightTimeout) {
+            target = data.lastSeenPlayerPos;
+            maxSpeed *= this.lostSightSpeed;
+        } else {
+            const home = data.spawnPosition || position;
+            if (this._distance2D(position, home) > this.homeRadius / 2) target = home;
+            maxSpeed = baseSpeed * this.wanderSpeed;
+        }
+        if (maxSpeed <= 0) return;
+
+        const neighbors = this._getFlockmates(enemy, flock, swarm.neighborRadius || 7, isSameRoom);
+        const steer = this._getFlockSteering(position, neighbors, swarm, maxSpeed);
+
+        if (target) {
+            const dist = this._distance2D(position, target);
+            if (dist > 0.001) {
+                const seekWeight = swarm.seekWeight ?? 1;
+                steer.x += ((target.x - position.x) / dist) * seekWeight;
+                steer.z += ((target.z - position.z) / dist) * seekWeight;
+            }
+        }
+
+        // Desired velocity at full speed along the steering; ease the current velocity toward it
+        const steerLength = Math.sqrt(steer.x * steer.x + steer.z * steer.z);
+        const desiredX = steerLength > 0.001 ? (steer.x / steerLength) * maxSpeed : 0;
+        const desiredZ = steerLength > 0.001 ? (steer.z / steerLength) * maxSpeed : 0;
+        const blend = Math.min(1, (swarm.turnRate || 4) * dt);
+        let velX = (data.swarmVelX || 0) + (desiredX - (data.swarmVelX || 0)) * blend;
+        let velZ = (data.swarmVelZ || 0) + (desiredZ - (data.swarmVelZ || 0)) * blend;
+
+        // Slide along walls and shelves
+        if (collisionCheck) {
+            const probe = collisionCheck(position.x + velX * dt, position.z + velZ * dt, position.x, position.z);
+            if (probe?.blockedX) velX = 0;
+            if (probe?.blockedZ) velZ = 0;
+        }
+
+        data.swarmVelX = velX;
+        data.swarmVelZ = velZ;
+        position.x += velX * dt;
+        position.z += velZ * dt;
+    },
+
+    /**
+     * Active enemies of the same type close enough to flock with
+     * @param {Object} enemy - Enemy (mesh or instance data)
+     * @param {Array} flock - Candidate enemies (usually every enemy)
+     * @param {number} radius - Neighbor radius
+     * @param {Function} [isSameRoom] - (aX, aZ, bX, bZ) => boolean, limits the pack to one room
+     * @returns {Array} Neighboring enemies
+     * @private
+     */
+    _getFlockmates(enemy, flock, radius, isSameRoom = null) {
+        if (!flock) return [];
+
+        const data = enemy.userData || enemy;
+        const typeId = data.config?.id;
+        const position = enemy.position;
+
+        return flock.filter(other => {
+            if (!other || other === enemy) return false;
+            const otherData = other.userData || other;
+            if (!otherData.active || otherData.config?.id !== typeId) return false;
+            if (this._distance2D(position, other.position) > radius) return false;
+            return !isSameRoom || isSameRoom(position.x, position.z, other.position.x, other.position.z);
+        });
+    },
+
+    /**
+     * Combined boids steering from pack mates (separation + alignment + cohesion)
+     * Each rule is scaled to roughly unit length before weighting.
+     * @param {Object} position - Position {x, z}
+     * @param {Array} neighbors - Flockmates (from _getFlockmates)
+     * @param {Object} swarm - Swarm config (radii and weights)
+     * @param {number} maxSpeed - Swarm speed, used to normalize alignment
+     * @returns {Object} Steering vector {x, z}
+     * @private
+     */
+    _getFlockSteering(position, neighbors, swarm = {}, maxSpeed = 1) {
+        const steer = { x: 0, z: 0 };
+        if (!neighbors || neighbors.length === 0) return steer;
+
+        const separationRadius = swarm.separationRadius || 1.8;
+        const neighborRadius = swarm.neighborRadius || 7;
+        let sepX = 0, sepZ = 0;
+        let alignX = 0, alignZ = 0;
+        let centerX = 0, centerZ = 0;
+
+        neighbors.forEach(other => {
+            const otherData = other.userData || other;
+            const dx = position.x - other.position.x;
+            const dz = position.z - other.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            // Separation: push harder the closer a mate is
+            if (dist > 0.001 && dist < separationRadius) {
+                const push = 1 - dist / separationRadius;
+                sepX += (dx / dist) * push;
+                sepZ += (dz / dist) * push;
+            }
+
+            alignX += otherData.swarmVelX || 0;
+            alignZ += otherData.swarmVelZ || 0;
+            centerX += other.position.x;
+            centerZ += other.position.z;
+        });
+
+        const count = neighbors.length;
+        const speed = maxSpeed > 0 ? maxSpeed : 1;
+        alignX /= count * speed;
+        alignZ /= count * speed;
+        const cohX = (centerX / count - position.x) / neighborRadius;
+        const cohZ = (centerZ / count - position.z) / neighborRadius;
+
+        const separationWeight = swarm.separationWeight ?? 1.6;
+        const alignmentWeight = swarm.alignmentWeight ?? 0.6;
+        const cohesionWeight = swarm.cohesionWeight ?? 0.5;
+        steer.x = sepX * separationWeight + alignX * alignmentWeight + cohX * cohesionWeight;
+        steer.z = sepZ * separationWeight + alignZ * alignmentWeight + cohZ * cohesionWeight;
+        return steer;
+    },
+
     /**
      * Wander behavior - smart movement when can't see player
      * Priorities: 1) Return home if too far, 2) Search last seen position, 3) Random wander
@@ -402,7 +1033,7 @@ const EnemyAI = {
         }
 
         // Priority 2: Occasionally move towards last seen player position
-        if (data.lastSeenPlayerPos && Math.random() < this.searchLastSeenChance * dt) {
+        if (data.lastSeenPlayerPos && RandomOrchestrator.next() < this.searchLastSeenChance * dt) {
             const dx = data.lastSeenPlayerPos.x - position.x;
             const dz = data.lastSeenPlayerPos.z - position.z;
             const dist = Math.sqrt(dx * dx + dz * dz);
@@ -417,7 +1048,7 @@ const EnemyAI = {
         data.wanderTimer = (data.wanderTimer || 0) + dt;
         if (!data.wanderDirX || !data.wanderDirZ || data.wanderTimer > this.wanderInterval) {
             data.wanderTimer = 0;
-            const angle = Math.random() * Math.PI * 2;
+            const angle = RandomOrchestrator.next() * Math.PI * 2;
             data.wanderDirX = Math.cos(angle);
             data.wanderDirZ = Math.sin(angle);
         }
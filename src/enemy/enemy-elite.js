@@ -0,0 +1,159 @@
+// ============================================
+// ENEMY ELITE MODIFIERS
+// ============================================
+// Champion variants - armored, fast, splitting, vampiric, shielded (stateless)
+// Definitions live in Enemy.eliteModifiers; per-enemy state lives on enemy.userData:
+//   elite - {modifiers: [ids], shield, shieldMax, shieldRegenTimer} (absent on regular enemies)
+
+const EnemyElite = {
+    get definitions() {
+        return (typeof Enemy !== 'undefined' && Enemy.eliteModifiers) ? Enemy.eliteModifiers : {};
+    },
+
+    /**
+     * Turn an enemy into an elite
+     * Unknown and repeated ids are dropped.
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {Array<string>} modifiers - Modifier ids, e.g. ['armored', 'fast']
+     * @returns {Array<string>} Ids that were applied
+     */
+    apply(enemy, modifiers) {
+        const data = enemy?.userData || enemy;
+        if (!data || !Array.isArray(modifiers)) return [];
+
+        const ids = modifiers.filter((id, i) => this.definitions[id] && modifiers.indexOf(id) === i);
+        if (ids.length === 0) return [];
+
+        const shieldMax = ids.reduce((total, id) => total + (this.definitions[id].shield || 0), 0);
+        data.elite = {
+            modifiers: ids,
+            shield: shieldMax,
+            shieldMax,
+            shieldRegenTimer: 0
+        };
+        return ids;
+    },
+
+    /**
+     * Check whether an enemy is an elite
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {boolean}
+     */
+    isElite(enemy) {
+        return !!(enemy?.userData || enemy)?.elite;
+    },
+
+    /**
+     * Definitions of an enemy's modifiers
+     * @private
+     */
+    _getDefs(enemy) {
+        const elite = (enemy?.userData || enemy)?.elite;
+        if (!elite) return [];
+        return elite.modifiers.map(id => this.definitions[id]).filter(Boolean);
+    },
+
+    /**
+     * Reduce incoming damage by armor and shield
+     * Armor scales the hit down; the shield then soaks up what it can and
+     * restarts its regen delay.
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {number} amount - Incoming damage
+     * @returns {number} Damage left for health
+     */
+    absorbDamage(enemy, amount) {
+        const elite = (enemy?.userData || enemy)?.elite;
+        if (!elite) return amount;
+
+        let remaining = this._getDefs(enemy).reduce((dmg, def) => dmg * (def.damageTaken ?? 1), amount);
+        if (elite.shieldMax > 0) {
+            const absorbed = Math.min(elite.shield, remaining);
+            elite.shield -= absorbed;
+            remaining -= absorbed;
+            elite.shieldRegenTimer = this._getDefs(enemy)
+                .reduce((delay, def) => Math.max(delay, def.shieldRegenDelay || 0), 0);
+        }
+        return remaining;
+    },
+
+    /**
+     * Advance an elite's shield regen by one frame
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {number} dt - Delta time
+     */
+    update(enemy, dt) {
+        const elite = (enemy?.userData || enemy)?.elite;
+        if (!elite || !(elite.shieldMax > 0) || elite.shield >= elite.shieldMax) return;
+
+        elite.shieldRegenTimer -= dt;
+        if (elite.shieldRegenTimer <= 0) {
+            elite.shield = elite.shieldMax;
+            elite.shieldRegenTimer = 0;
+        }
+    },
+
+    /**
+     * Combined speed multiplier of an enemy's modifiers
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number} 1 for regular enemies
+     */
+    getSpeedMultiplier(enemy) {
+        return this._getDefs(enemy).reduce((mult, def) => mult * (def.speedMultiplier ?? 1), 1);
+    },
+
+    /**
+     * Vampiric elites heal when they hit the player (capped at max health)
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number} Health regained
+     */
+    onHitPlayer(enemy) {
+        const data = enemy?.userData || enemy;
+        if (!data?.elite || !data.active) return 0;
+
+        const steal = this._getDefs(enemy).reduce((total, def) => total + (def.lifeSteal || 0), 0);
+        const healed = Math.min(steal, Math.max(0, (data.maxHealth || 0) - data.health));
+        data.health += healed;
+        return healed;
+    },
+
+    /**
+     * Minions a splitting elite leaves behind
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {Object|null} {type, count, radius} or null
+     */
+    getSplit(enemy) {
+        const def = this._getDefs(enemy).find(d => d.split);
+        return def ? { ...def.split } : null;
+    },
+
+    /**
+     * Extra score for killing an elite
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number} Sum of the modifiers' scoreBonus
+     */
+    getScoreBonus(enemy) {
+        return this._getDefs(enemy).reduce((total, def) => total + (def.scoreBonus || 0), 0);
+    },
+
+    /**
+     * Name tag text, e.g. "Armored Fast Skeleton Driver"
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {string} Empty for regular enemies
+     */
+    getName(enemy) {
+        const defs = this._getDefs(enemy);
+        if (defs.length === 0) return '';
+        const data = enemy?.userData || enemy;
+        return [...defs.map(def => def.name), data.config?.name || 'Enemy'].join(' ');
+    },
+
+    /**
+     * Glow color of an elite
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number|null} Hex color of the first modifier, null for regular enemies
+     */
+    getColor(enemy) {
+        const defs = this._getDefs(enemy);
+        return defs.length > 0 ? defs[0].color : null;
+    }
+};
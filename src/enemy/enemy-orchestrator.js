@@ -30,6 +30,7 @@ const EnemyOrchestrator = {
     // Effect constants (use Enemy.effects if available)
     get hitFlashInitial() { return (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects.HIT_FLASH_INITIAL : 1; },
     get hitFlashDecay() { return (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects.HIT_FLASH_DECAY : 5; },
+    get statusTintIntensity() { return (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects.STATUS_TINT_INTENSITY : 0.35; },
 
     // References
     enemyData: null,
@@ -170,7 +171,7 @@ const EnemyOrchestrator = {
      * Deal damage to an enemy
      * @param {Object} enemy - Enemy to damage (mesh with userData OR instance data)
      * @param {number} amount - Damage amount
-     * @returns {Object} Damage result with scores
+     * @returns {Object} Damage result with scores (split {type, count, radius} when a splitting elite dies)
      */
     damage(enemy, amount = 1) {
         if (!enemy) return null;
@@ -179,6 +180,10 @@ const EnemyOrchestrator = {
         const data = enemy.userData || enemy;
         if (!data.active) return null;
 
+        // Elite armor and shield soak up part of the hit
+        const elite = typeof EnemyElite !== 'undefined' && EnemyElite.isElite(enemy);
+        if (elite) amount = EnemyElite.absorbDamage(enemy, amount);
+
         data.health -= amount;
         const effects = (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects : { HIT_FLASH_INITIAL: 1 };
         data.hitFlash = effects.HIT_FLASH_INITIAL;
@@ -191,32 +196,78 @@ const EnemyOrchestrator = {
         }
 
         const config = data.config || {};
+        const scoreDestroy = destroyed
+            ? (config.scoreDestroy || 300) + (elite ? EnemyElite.getScoreBonus(enemy) : 0)
+            : 0;
         return {
             hit: true,
             destroyed: destroyed,
             scoreHit: config.scoreHit || 100,
-            scoreDestroy: destroyed ? (config.scoreDestroy || 300) : 0,
-            totalScore: (config.scoreHit || 100) + (destroyed ? (config.scoreDestroy || 300) : 0)
+            scoreDestroy,
+            totalScore: (config.scoreHit || 100) + scoreDestroy,
+            split: destroyed && elite ? EnemyElite.getSplit(enemy) : null
         };
     },
 
+    /**
+     * Shove an enemy (cart ram) - it slides along velocity, slowing down over time
+     * Bosses stand their ground.
+     * @param {Object} enemy - Enemy mesh
+     * @param {Object} velocity - Knockback velocity {x, z} in units per second
+     * @returns {boolean} True if the enemy was knocked back
+     */
+    knockback(enemy, velocity) {
+        const data = enemy?.userData;
+        if (!data || !data.active || data.config?.boss || !velocity) return false;
+        data.knockback = { x: velocity.x, z: velocity.z };
+        return true;
+    },
+
+    /**
+     * Move an enemy along its knockback, stopping at walls
+     * @private
+     */
+    _updateKnockback(enemy, dt, collisionCheck) {
+        const kb = enemy.userData.knockback;
+        if (!kb) return;
+
+        const effects = (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects : {};
+        const oldX = enemy.position.x;
+        const oldZ = enemy.position.z;
+        enemy.position.x += kb.x * dt;
+        enemy.position.z += kb.z * dt;
+        if (collisionCheck) {
+            const collision = collisionCheck(enemy.position.x, enemy.position.z, oldX, oldZ);
+            if (collision?.blockedX) { enemy.position.x = oldX; kb.x = 0; }
+            if (collision?.blockedZ) { enemy.position.z = oldZ; kb.z = 0; }
+        }
+
+        const falloff = Math.exp(-(effects.KNOCKBACK_DECAY ?? 5) * dt);
+        kb.x *= falloff;
+        kb.z *= falloff;
+        if (Math.sqrt(kb.x * kb.x + kb.z * kb.z) < (effects.KNOCKBACK_MIN_SPEED ?? 0.3)) {
+            enemy.userData.knockback = null;
+        }
+    },
+
     /**
      * Update enemy AI behavior
      * @param {Object} enemy - Enemy to update (can be instance data OR THREE.Group mesh)
      * @param {Object} playerPos - Player position
      * @param {number} dt - Delta time
      * @param {number} baseSpeed - Base movement speed
-     * @param {Object} [aiOptions] - AI options {collisionCheck, hasLineOfSight}
+     * @param {Object} [aiOptions] - AI options {collisionCheck, hasLineOfSight, findPath, onRangedAttack, obstacles, onShove, flock,
+     *   isSameRoom, onBossPhase, onTailSwipe, onSummon}
      */
     updateBehavior(enemy, playerPos, dt, baseSpeed, aiOptions = {}) {
-        // Apply slow effect if active
+        // Status effects: stunned enemies do nothing, soaked ones move slower
         let effectiveSpeed = baseSpeed;
-        if (enemy.userData?.slowedUntil && Date.now() < enemy.userData.slowedUntil) {
-            effectiveSpeed *= enemy.userData.slowMultiplier || 1.0;
-        } else if (enemy.userData?.slowedUntil) {
-            // Clean up expired slow
-            delete enemy.userData.slowedUntil;
-            delete enemy.userData.slowMultiplier;
+        if (typeof EnemyStatus !== 'undefined') {
+            if (EnemyStatus.isIncapacitated(enemy)) return;
+            effectiveSpeed *= EnemyStatus.getSpeedMultiplier(enemy);
+        }
+        if (typeof EnemyElite !== 'undefined') {
+            effectiveSpeed *= EnemyElite.getSpeedMultiplier(enemy);
         }
 
         // Delegate to AI module with modified speed
@@ -225,6 +276,150 @@ const EnemyOrchestrator = {
         }
     },
 
+    /**
+     * Apply a weapon's status effects to an enemy it hit (delegates to EnemyStatus)
+     * @param {Object} enemy - Enemy mesh
+     * @param {Array} effects - Weapon.types[*].projectile.effects entries {id, headshotOnly?, ...overrides}
+     * @param {Object} [context] - Hit context {headshot}
+     * @returns {Array<string>} Ids of the effects that took hold
+     */
+    applyEffects(enemy, effects, context = {}) {
+        if (typeof EnemyStatus === 'undefined' || !Array.isArray(effects)) return [];
+        return effects
+            .filter(effect => !effect.headshotOnly || context.headshot)
+            .filter(effect => EnemyStatus.apply(enemy, effect))
+            .map(effect => effect.id);
+    },
+
+    /**
+     * Advance status effects and deal their tick damage (burning)
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {number} dt - Delta time
+     * @param {Function} [onStatusDamage] - Callback(enemy, damage, result) after tick damage lands
+     */
+    _updateStatusEffects(enemy, dt, onStatusDamage = null) {
+        if (typeof EnemyStatus === 'undefined') return;
+
+        const tickDamage = EnemyStatus.update(enemy, dt);
+        if (tickDamage > 0) {
+            const result = this.damage(enemy, tickDamage);
+            if (result && onStatusDamage) {
+                onStatusDamage(enemy, tickDamage, result);
+            }
+        }
+    },
+
+    /**
+     * Turn an enemy mesh into an elite: modifiers, glow and name tag
+     * Call right after createMesh, before the first update, so the glow
+     * becomes the base color the status tint and hit flash restore.
+     * @param {THREE.Group} enemy - Enemy mesh from createMesh
+     * @param {Array<string>} modifiers - Enemy.eliteModifiers ids
+     * @param {THREE} [THREE] - Three.js library (omit for data only)
+     * @returns {Array<string>} Ids that were applied
+     */
+    applyElite(enemy, modifiers, THREE = null) {
+        if (typeof EnemyElite === 'undefined' || !enemy?.userData) return [];
+
+        const applied = EnemyElite.apply(enemy, modifiers);
+        if (applied.length === 0 || !THREE) return applied;
+
+        const glow = EnemyElite.getColor(enemy);
+        const intensity = (typeof Enemy !== 'undefined' && Enemy.effects)
+            ? Enemy.effects.ELITE_GLOW_INTENSITY : 0.25;
+        const root = enemy.userData.cart || enemy;
+        root.traverse(child => {
+            const mat = child.material;
+            if (!mat || !mat.emissive) return;
+            mat.emissive.setHex(glow);
+            mat.emissiveIntensity = intensity;
+        });
+
+        const tag = this._createNameTag(THREE, EnemyElite.getName(enemy), glow);
+        if (tag) {
+            const offset = (typeof Enemy !== 'undefined' && Enemy.effects) ? Enemy.effects.ELITE_TAG_OFFSET : 0.6;
+            const barY = enemy.userData.healthBar ? enemy.userData.healthBar.position.y : (enemy.userData.config?.size?.h || 2) + 1;
+            tag.position.y = barY + offset;
+            enemy.add(tag);
+            enemy.userData.nameTag = tag;
+        }
+        return applied;
+    },
+
+    /**
+     * Create a camera-facing name tag sprite
+     * @private
+     */
+    _createNameTag(THREE, text, color) {
+        if (!text || typeof document === 'undefined' || !THREE.Sprite) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.font = 'bold 34px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeText(text, 256, 32);
+        ctx.fillStyle = '#' + color.toString(16).padStart(6, '0');
+        ctx.fillText(text, 256, 32);
+
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthWrite: false
+        });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(4, 0.5, 1);
+        return sprite;
+    },
+
+    /**
+     * Tint an enemy's lit materials for its status effects
+     * Original emissive colors are kept on each child and restored once the
+     * tint clears. Only touches materials when the tint changes (statusTint
+     * undefined forces a repaint, e.g. after a hit flash).
+     * @param {Object} data - Enemy userData (or instance data) holding statusTint
+     * @param {THREE.Object3D} root - Visual root to tint (userData.cart)
+     * @param {number|null} tint - Hex color, or null for none
+     */
+    _applyStatusTint(data, root, tint) {
+        if (data.statusTint === tint || !root || typeof root.traverse !== 'function') return;
+        data.statusTint = tint;
+
+        const intensity = this.statusTintIntensity;
+        root.traverse(child => {
+            const mat = child.material;
+            if (!mat || !mat.emissive) return;
+            if (child.userData.baseEmissive === undefined) {
+                child.userData.baseEmissive = mat.emissive.getHex();
+                child.userData.baseEmissiveIntensity = mat.emissiveIntensity;
+            }
+            if (tint === null) {
+                mat.emissive.setHex(child.userData.baseEmissive);
+                mat.emissiveIntensity = child.userData.baseEmissiveIntensity;
+            } else {
+                mat.emissive.setHex(tint);
+                mat.emissiveIntensity = intensity;
+            }
+        });
+    },
+
+    /**
+     * Emit a noise that nearby enemies hear (delegates to EnemyPerception)
+     * @param {Array} enemies - Enemy meshes
+     * @param {Object} noise - {x, z, type, radius?} e.g. type 'fire', 'wallBump', 'obstacleHit'
+     * @returns {number} How many enemies heard it
+     */
+    emitNoise(enemies, noise) {
+        if (typeof EnemyPerception === 'undefined') return 0;
+        return EnemyPerception.emitNoise(enemies, noise);
+    },
+
     /**
      * Chase behavior - passthrough to AI module (for testing)
      */
@@ -266,6 +461,13 @@ const EnemyOrchestrator = {
             // Update AI
             this.updateBehavior(enemy, playerPos, dt, baseSpeed);
 
+            // Status effects (durations, burning ticks) and their tint under the hit flash
+            this._updateStatusEffects(enemy, dt);
+            if (typeof EnemyElite !== 'undefined') EnemyElite.update(enemy, dt);
+            if (enemy.mesh && enemy.mesh.userData.cart && typeof EnemyStatus !== 'undefined') {
+                this._applyStatusTint(enemy, enemy.mesh.userData.cart, EnemyStatus.getTint(enemy));
+            }
+
             // Update hit flash
             if (enemy.hitFlash > 0) {
                 enemy.hitFlash -= dt * this.hitFlashDecay;
@@ -277,25 +479,8 @@ const EnemyOrchestrator = {
                         module.applyHitFlash(enemy.mesh.userData.cart, enemy.hitFlash);
                     }
                 }
-            }
-
-            // Update slow visual effect (blue tint)
-            if (enemy.mesh && enemy.mesh.userData.cart) {
-                const isSlowed = enemy.slowedUntil && Date.now() < enemy.slowedUntil;
-                const cart = enemy.mesh.userData.cart;
-
-                cart.traverse(child => {
-                    if (child.material && child.material.emissive) {
-                        if (isSlowed) {
-                            // Apply blue tint for slow effect
-                            child.material.emissive.setHex(0x3498db);
-                            child.material.emissiveIntensity = 0.3;
-                        } else if (enemy.hitFlash === 0) {
-                            // Clear slow visual only if hit flash is also done
-                            child.material.emissiveIntensity = 0;
-                        }
-                    }
-                });
+                // Flash over - let the status tint repaint what it overwrote
+                if (enemy.hitFlash === 0) enemy.statusTint = undefined;
             }
 
             // Animate carried health up (subtle bob + slow spin)
@@ -343,9 +528,9 @@ const EnemyOrchestrator = {
      */
     trySpawn(cameraPos, aisleWidth, THREE, typeId = 'SKELETON') {
         if (!this.canSpawn()) return null;
-        if (Math.random() > this.spawnChance) return null;
+        if (RandomOrchestrator.next() > this.spawnChance) return null;
 
-        const x = (Math.random() - 0.5) * (aisleWidth - 4);
+        const x = RandomOrchestrator.spread(aisleWidth - 4);
         const z = cameraPos.z - this.spawnDistance;
 
         return this.spawn(typeId, x, z, THREE);
@@ -377,18 +562,25 @@ const EnemyOrchestrator = {
         const carryChance = (typeId === 'SKELETON' || config.id === 'skeleton')
             ? (config.healthCarryChance ?? 0.2)
             : 0;
+        // Some of a type fight at range (only types with a ranged attack roll for it)
+        const behavior = (config.ranged && config.rangedChance && RandomOrchestrator.next() < config.rangedChance)
+            ? 'ranged'
+            : config.behavior;
 
         return {
             type: typeId,
             config: config,
+            behavior: behavior,
+            rangedCooldown: behavior === 'ranged' ? config.ranged.cooldown : 0,
             health: config.health,
             maxHealth: config.health,
             active: true,
-            driftSpeed: (Math.random() - 0.5) * config.driftSpeed,
+            driftSpeed: RandomOrchestrator.spread(config.driftSpeed),
             driftTimer: 0,
             hitFlash: 0,
-            walkTimer: Math.random() * Math.PI * 2,
-            carriesHealth: Math.random() < carryChance
+            alertState: 'idle',
+            walkTimer: RandomOrchestrator.next() * Math.PI * 2,
+            carriesHealth: RandomOrchestrator.next() < carryChance
         };
     },
 
@@ -447,7 +639,7 @@ const EnemyOrchestrator = {
                 heartMesh.position.set(0, 1.55, 0.5);
                 heartMesh.rotation.x = -0.15;
                 heartMesh.userData.baseY = heartMesh.position.y;
-                heartMesh.userData.bobPhase = Math.random() * Math.PI * 2;
+                heartMesh.userData.bobPhase = RandomOrchestrator.next() * Math.PI * 2;
                 group.userData.cart.add(heartMesh);
                 group.userData.healthCarryMesh = heartMesh;
             }
@@ -495,7 +687,13 @@ const EnemyOrchestrator = {
         const dz = playerPosition.z - enemy.position.z;
         const lookDir = Math.atan2(dx, dz);
         const behavior = enemy.userData.config?.behavior;
-        enemy.rotation.y = behavior === 'flee' ? (lookDir + Math.PI) : lookDir;
+        const bossAttack = enemy.userData.bossAttack;
+        if (bossAttack && bossAttack.type === 'charge') {
+            // Keep facing the locked charge direction
+            enemy.rotation.y = Math.atan2(bossAttack.dirX, bossAttack.dirZ);
+        } else {
+            enemy.rotation.y = behavior === 'flee' ? (lookDir + Math.PI) : lookDir;
+        }
 
         // Get type module for animations
         const typeId = enemy.userData.type;
@@ -514,6 +712,21 @@ const EnemyOrchestrator = {
             enemy.userData.walkTimer = module.animateWalk(enemy.userData.cart, enemy.userData.walkTimer, walkSpeed);
         }
 
+        // Boss attack poses (wind-up telegraphs) override the walk cycle
+        if (module && typeof module.animateAttack === 'function') {
+            module.animateAttack(enemy.userData.cart, bossAttack || null);
+        }
+
+        // Perception tells (idle / suspicious / alert)
+        if (module && typeof module.showAlertState === 'function') {
+            module.showAlertState(enemy.userData.cart, enemy.userData.alertState || 'idle');
+        }
+
+        // Status tint (soaked, burning, stunned) under the hit flash
+        if (typeof EnemyStatus !== 'undefined') {
+            this._applyStatusTint(enemy.userData, enemy.userData.cart, EnemyStatus.getTint(enemy));
+        }
+
         // Hit flash
         if (enemy.userData.hitFlash > 0) {
             enemy.userData.hitFlash -= dt * this.hitFlashDecay;
@@ -531,6 +744,8 @@ const EnemyOrchestrator = {
                     }
                 });
             }
+            // Flash over - let the status tint repaint what it overwrote
+            if (enemy.userData.hitFlash === 0) enemy.userData.statusTint = undefined;
         }
     },
 
@@ -541,8 +756,10 @@ const EnemyOrchestrator = {
      * @param {boolean} isInvulnerable - Whether player is invulnerable
      * @param {number} collisionDistance - Collision distance threshold
      * @param {Function} onPlayerCollision - Callback when collision detected
+     * @param {Function} onToyCollected - Callback when the cart collects a toy
+     * @param {Function} onRam - Callback(enemy) on contact; returning true means the cart rammed it (no player damage)
      */
-    _checkPlayerCollision(enemy, playerCart, isInvulnerable, collisionDistance, onPlayerCollision, onToyCollected) {
+    _checkPlayerCollision(enemy, playerCart, isInvulnerable, collisionDistance, onPlayerCollision, onToyCollected, onRam = null) {
         if (!enemy.userData.active || !playerCart) return;
 
         const cartDist = Math.sqrt(
@@ -563,8 +780,19 @@ const EnemyOrchestrator = {
             return;
         }
 
+        // A fast enough cart hits first
+        if (onRam && cartDist < effectiveRadius && onRam(enemy)) return;
+
         if (!isInvulnerable && onPlayerCollision && cartDist < effectiveRadius) {
             onPlayerCollision(enemy);
+
+            // Vampiric elites heal off the hit
+            if (typeof EnemyElite !== 'undefined' && EnemyElite.onHitPlayer(enemy) > 0) {
+                const module = this.getEnemyModule(enemy.userData.type);
+                if (enemy.userData.healthBar && module && typeof module.updateHealthBar === 'function') {
+                    module.updateHealthBar(enemy.userData.healthBar, this.getHealthPercent(enemy));
+                }
+            }
         }
     },
 
@@ -607,6 +835,15 @@ const EnemyOrchestrator = {
      * @param {Function} options.onPlayerCollision - Callback when enemy hits player (damage)
      * @param {Function} options.collisionCheck - Wall collision check function(newX, newZ, oldX, oldZ)
      * @param {Function} options.hasLineOfSight - LOS check function(fromX, fromZ, toX, toZ, enemyRadius?, enemy?)
+     * @param {Function} options.findPath - Path search function(fromX, fromZ, toX, toZ, enemyRadius?, enemy?) -> [{x, z}] or null
+     * @param {Function} options.onRangedAttack - Callback(enemy, targetPos) when a ranged enemy throws
+     * @param {Function} options.onShove - Callback(enemy, obstacle, direction {x, z}) when a shove enemy pushes an obstacle
+     * @param {Function} options.isSameRoom - Check function(aX, aZ, bX, bZ) limiting swarm packs to one room
+     * @param {Function} options.onBossPhase - Callback(enemy, phase, phaseIndex) when a boss enters a new phase
+     * @param {Function} options.onTailSwipe - Callback(enemy, swipe {radius, damage, hitPlayer}) when a boss tail swipe lands
+     * @param {Function} options.onSummon - Callback(enemy, summon {type, count, radius}) when a boss summons minions
+     * @param {Function} options.onStatusDamage - Callback(enemy, damage, result) when a status effect (burning) ticks damage
+     * @param {Function} options.onRam - Callback(enemy) on cart contact; return true if the cart rammed it (skips player damage)
      * @param {Array} options.obstacles - Obstacle meshes for collision
      * @param {Array} options.shelves - Shelf meshes for collision
      * @param {number} options.despawnDistance - Distance to despawn (uses Enemy.system.DESPAWN_DISTANCE)
@@ -622,6 +859,15 @@ const EnemyOrchestrator = {
             onPlayerCollision = null,
             collisionCheck = null,
             hasLineOfSight = null,
+            findPath = null,
+            onRangedAttack = null,
+            onShove = null,
+            isSameRoom = null,
+            onBossPhase = null,
+            onTailSwipe = null,
+            onSummon = null,
+            onStatusDamage = null,
+            onRam = null,
             clampToRoomBounds = null,
             obstacles = null,
             shelves = null,
@@ -632,6 +878,11 @@ const EnemyOrchestrator = {
         enemies.forEach(enemy => {
             if (!enemy.userData.active) return;
 
+            // Status effects first - burning can finish an enemy off
+            this._updateStatusEffects(enemy, dt, onStatusDamage);
+            if (!enemy.userData.active) return;
+            if (typeof EnemyElite !== 'undefined') EnemyElite.update(enemy, dt);
+
             const wallRadius = this._getWallCollisionRadius(enemy);
             const enemyCollisionCheck = collisionCheck
                 ? (nX, nZ, oX, oZ) => collisionCheck(nX, nZ, oX, oZ, wallRadius, enemy)
@@ -639,12 +890,25 @@ const EnemyOrchestrator = {
             const enemyHasLineOfSight = hasLineOfSight
                 ? (fX, fZ, tX, tZ) => hasLineOfSight(fX, fZ, tX, tZ, wallRadius, enemy)
                 : null;
+            const enemyFindPath = findPath
+                ? (fX, fZ, tX, tZ) => findPath(fX, fZ, tX, tZ, wallRadius, enemy)
+                : null;
 
             // AI behavior with wall collision and LOS awareness
             this.updateBehavior(enemy, playerPosition, dt, baseSpeed, {
                 collisionCheck: enemyCollisionCheck,
-                hasLineOfSight: enemyHasLineOfSight
+                hasLineOfSight: enemyHasLineOfSight,
+                findPath: enemyFindPath,
+                onRangedAttack,
+                obstacles,
+                onShove,
+                flock: enemies,
+                isSameRoom,
+                onBossPhase,
+                onTailSwipe,
+                onSummon
             });
+            this._updateKnockback(enemy, dt, enemyCollisionCheck);
 
             // Environment collision (obstacles, other enemies, shelves)
             // Run multiple passes to handle nested overlaps
@@ -661,7 +925,7 @@ const EnemyOrchestrator = {
             this._updateVisuals(enemy, options);
 
             // Player collision detection (supports toy collection)
-            this._checkPlayerCollision(enemy, playerCart, isInvulnerable, collisionDistance, onPlayerCollision, options.onToyCollected || null);
+            this._checkPlayerCollision(enemy, playerCart, isInvulnerable, collisionDistance, onPlayerCollision, options.onToyCollected || null, onRam);
         });
     }
 };
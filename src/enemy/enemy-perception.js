@@ -0,0 +1,153 @@
+// ============================================
+// ENEMY PERCEPTION
+// ============================================
+// Hearing and alert propagation (stateless)
+// Per-enemy state lives on enemy.userData:
+//   alertState  - 'idle' | 'suspicious' | 'alert'
+//   alertTimer  - seconds left before the state winds down a step
+//   noiseTarget - {x, z} of the last noise heard, cleared once investigated
+
+const EnemyPerception = {
+    states: ['idle', 'suspicious', 'alert'],
+
+    get config() {
+        return (typeof Enemy !== 'undefined' && Enemy.perception) ? Enemy.perception : {
+            SUSPICION_DURATION: 6,
+            ALERT_DURATION: 5,
+            ALERT_RADIUS: 25,
+            INVESTIGATE_SPEED: 0.6,
+            INVESTIGATE_REACH: 3.5,
+            NOISE_RADIUS: { fire: 22, wallBump: 12, obstacleHit: 16 }
+        };
+    },
+
+    /**
+     * Radius a kind of noise carries
+     * @param {string} type - Noise type ('fire', 'wallBump', 'obstacleHit')
+     * @returns {number} Radius in world units (0 for unknown types)
+     */
+    getNoiseRadius(type) {
+        return this.config.NOISE_RADIUS?.[type] || 0;
+    },
+
+    /**
+     * Let every enemy in range hear a noise
+     * @param {Array} enemies - Enemy meshes (or instance data)
+     * @param {Object} noise - {x, z, type, radius?} radius defaults to the type's NOISE_RADIUS
+     * @returns {number} How many enemies heard it
+     */
+    emitNoise(enemies, noise) {
+        if (!enemies || !noise) return 0;
+        const radius = noise.radius ?? this.getNoiseRadius(noise.type);
+        if (!(radius > 0)) return 0;
+
+        let heard = 0;
+        enemies.forEach(enemy => {
+            if (this.hear(enemy, { ...noise, radius })) heard++;
+        });
+        return heard;
+    },
+
+    /**
+     * A single enemy hears a noise
+     * Idle and suspicious enemies in range turn suspicious and head for the
+     * noise (see EnemyAI._behaviorInvestigate). Alert enemies are already
+     * hunting the player and ignore it.
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {Object} noise - {x, z, radius}
+     * @returns {boolean} True if the enemy was in range
+     */
+    hear(enemy, noise) {
+        const data = enemy?.userData || enemy;
+        if (!data || !data.active) return false;
+
+        const dx = enemy.position.x - noise.x;
+        const dz = enemy.position.z - noise.z;
+        if (dx * dx + dz * dz > noise.radius * noise.radius) return false;
+
+        if (data.alertState !== 'alert') {
+            data.alertState = 'suspicious';
+            data.alertTimer = this.config.SUSPICION_DURATION;
+            data.noiseTarget = { x: noise.x, z: noise.z };
+            data.navPath = null;
+        }
+        return true;
+    },
+
+    /**
+     * Advance an enemy's perception state for one frame
+     * Seeing the player makes it alert. Out of sight the state winds down
+     * alert -> suspicious -> idle as alertTimer runs out.
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {boolean} canSeePlayer - Line of sight this frame
+     * @param {number} dt - Delta time
+     * @returns {boolean} True if the enemy just became alert
+     */
+    update(enemy, canSeePlayer, dt) {
+        const data = enemy?.userData || enemy;
+        if (!data) return false;
+
+        if (canSeePlayer) {
+            const wasAlert = data.alertState === 'alert';
+            data.alertState = 'alert';
+            data.alertTimer = this.config.ALERT_DURATION;
+            data.noiseTarget = null;
+            return !wasAlert;
+        }
+
+        if (!data.alertState || data.alertState === 'idle') {
+            data.alertState = 'idle';
+            return false;
+        }
+
+        data.alertTimer = (data.alertTimer || 0) - dt;
+        if (data.alertTimer <= 0) {
+            if (data.alertState === 'alert') {
+                data.alertState = 'suspicious';
+                data.alertTimer = this.config.SUSPICION_DURATION;
+            } else {
+                data.alertState = 'idle';
+                data.alertTimer = 0;
+                data.noiseTarget = null;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Spread an enemy's alert to others nearby in the same room
+     * Alerted enemies get the player's position as their last sighting, so
+     * they pursue (and path-follow) as if they had seen the player themselves.
+     * They do not spread the alert any further.
+     * @param {Object} enemy - Enemy that spotted the player
+     * @param {Array} flock - All enemy meshes
+     * @param {Object} playerPos - Player position {x, z}
+     * @param {Function} [isSameRoom] - Check function(aX, aZ, bX, bZ)
+     * @returns {number} How many enemies were alerted
+     */
+    alertRoom(enemy, flock, playerPos, isSameRoom = null) {
+        if (!flock || !playerPos) return 0;
+
+        const position = enemy.position;
+        const radius = this.config.ALERT_RADIUS;
+        let alerted = 0;
+        flock.forEach(other => {
+            if (!other || other === enemy) return;
+            const otherData = other.userData || other;
+            if (!otherData.active || otherData.alertState === 'alert') return;
+
+            const dx = other.position.x - position.x;
+            const dz = other.position.z - position.z;
+            if (dx * dx + dz * dz > radius * radius) return;
+            if (isSameRoom && !isSameRoom(position.x, position.z, other.position.x, other.position.z)) return;
+
+            otherData.alertState = 'alert';
+            otherData.alertTimer = this.config.ALERT_DURATION;
+            otherData.noiseTarget = null;
+            otherData.lastSeenPlayerPos = { x: playerPos.x, z: playerPos.z };
+            otherData.lostSightTimer = 0;
+            alerted++;
+        });
+        return alerted;
+    }
+};
@@ -0,0 +1,149 @@
+// ============================================
+// ENEMY STATUS EFFECTS
+// ============================================
+// Timed effects on enemies - soaked, burning, stunned (stateless)
+// Definitions live in Enemy.statusEffects; per-enemy state lives on enemy.userData:
+//   statusEffects  - {id: {def, remaining, stacks, tickTimer}}
+//   statusImmunity - {id: seconds left before the effect can take hold again}
+
+const EnemyStatus = {
+    get definitions() {
+        return (typeof Enemy !== 'undefined' && Enemy.statusEffects) ? Enemy.statusEffects : {};
+    },
+
+    /**
+     * Apply a status effect to an enemy, following the effect's stacking rule
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {string|Object} effect - Effect id, or {id, ...overrides} as declared by a weapon
+     * @returns {boolean} True if the effect took hold (new, refreshed or stacked)
+     */
+    apply(enemy, effect) {
+        const data = enemy?.userData || enemy;
+        if (!data || !data.active) return false;
+
+        const spec = typeof effect === 'string' ? { id: effect } : (effect || {});
+        const base = this.definitions[spec.id];
+        if (!base) return false;
+        if ((data.config?.statusImmune || []).includes(spec.id)) return false;
+        if (data.statusImmunity?.[spec.id] > 0) return false;
+
+        const def = { ...base, ...spec };
+        data.statusEffects = data.statusEffects || {};
+        const active = data.statusEffects[def.id];
+        if (!active) {
+            data.statusEffects[def.id] = {
+                def,
+                remaining: def.duration || 0,
+                stacks: 1,
+                tickTimer: def.tickInterval || 0
+            };
+            return true;
+        }
+
+        if (def.stacking === 'ignore') return false;
+        if (def.stacking === 'stack') {
+            active.stacks = Math.min(active.stacks + 1, def.maxStacks || Infinity);
+        }
+        active.def = def;
+        active.remaining = Math.max(active.remaining, def.duration || 0);
+        return true;
+    },
+
+    /**
+     * Advance an enemy's effects by one frame
+     * Counts durations and immunity down and collects tick damage. Applying
+     * the damage is left to the caller (EnemyOrchestrator), so kills go
+     * through the same path as weapon hits.
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {number} dt - Delta time
+     * @returns {number} Tick damage dealt this frame
+     */
+    update(enemy, dt) {
+        const data = enemy?.userData || enemy;
+        if (!data) return 0;
+
+        const immunity = data.statusImmunity;
+        if (immunity) {
+            Object.keys(immunity).forEach(id => {
+                immunity[id] -= dt;
+                if (immunity[id] <= 0) delete immunity[id];
+            });
+        }
+
+        const effects = data.statusEffects;
+        if (!effects) return 0;
+
+        let damage = 0;
+        Object.keys(effects).forEach(id => {
+            const active = effects[id];
+            const def = active.def;
+
+            if (def.tickInterval > 0 && def.tickDamage > 0) {
+                active.tickTimer -= dt;
+                while (active.tickTimer <= 0) {
+                    damage += def.tickDamage * active.stacks;
+                    active.tickTimer += def.tickInterval;
+                }
+            }
+
+            active.remaining -= dt;
+            if (active.remaining <= 0) {
+                delete effects[id];
+                if (def.immunity > 0) {
+                    data.statusImmunity = data.statusImmunity || {};
+                    data.statusImmunity[id] = def.immunity;
+                }
+            }
+        });
+        return damage;
+    },
+
+    /**
+     * Check whether an effect is active
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @param {string} id - Effect id
+     * @returns {boolean}
+     */
+    has(enemy, id) {
+        const data = enemy?.userData || enemy;
+        return !!data?.statusEffects?.[id];
+    },
+
+    /**
+     * Combined speed multiplier of all active effects
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number} 1 when nothing slows the enemy
+     */
+    getSpeedMultiplier(enemy) {
+        const effects = (enemy?.userData || enemy)?.statusEffects;
+        if (!effects) return 1;
+        return Object.values(effects).reduce((mult, active) => mult * (active.def.speedMultiplier ?? 1), 1);
+    },
+
+    /**
+     * Check whether an active effect (e.g. stunned) shuts the enemy's AI off
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {boolean}
+     */
+    isIncapacitated(enemy) {
+        const effects = (enemy?.userData || enemy)?.statusEffects;
+        if (!effects) return false;
+        return Object.values(effects).some(active => active.def.disablesAI);
+    },
+
+    /**
+     * Tint to show for the active effects
+     * @param {Object} enemy - Enemy mesh (or instance data)
+     * @returns {number|null} Hex color of the last declared active effect with a tint
+     */
+    getTint(enemy) {
+        const effects = (enemy?.userData || enemy)?.statusEffects;
+        if (!effects) return null;
+
+        let tint = null;
+        Object.keys(this.definitions).forEach(id => {
+            if (effects[id] && effects[id].def.tint !== undefined) tint = effects[id].def.tint;
+        });
+        return tint;
+    }
+};
@@ -21,6 +21,15 @@ const Enemy = {
             collisionRadius: 2.5,
             walkSpeed: 3.5,               // Walking animation speed
             healthCarryChance: 0.2,       // 20% chance to carry health up
+            rangedChance: 0.25,           // Share of skeletons that keep their distance and throw bones
+            ranged: {
+                projectileType: 'bone',
+                damage: 10,
+                speed: 24,                // Throw speed (units/s)
+                cooldown: 2.4,            // Seconds between throws
+                range: 28,                // Max throw distance
+                launchHeight: 2.0         // Release height above the floor
+            },
             size: { w: 2.2, h: 1.5, d: 2.8 }
         },
 
@@ -38,6 +47,38 @@ const Enemy = {
             collisionRadius: 5.5,          // Larger collision for big dino
             walkSpeed: 2.5,                // Slower stomp animation
             isBoss: true,                  // Boss flag for special handling
+            boss: {
+                // Phase starts once health fraction drops to its threshold (phases only advance)
+                phases: [
+                    { id: 'stalk', threshold: 1, attacks: [] },
+                    { id: 'charge', threshold: 0.75, attacks: ['charge'], message: 'DINO CHARGE!' },
+                    { id: 'tail', threshold: 0.5, attacks: ['charge', 'tailSwipe'], message: 'TAIL SWIPE!' },
+                    { id: 'enraged', threshold: 0.25, attacks: ['charge', 'tailSwipe', 'summon'], speedMult: 1.3, message: 'DINO ENRAGED!' }
+                ],
+                charge: {
+                    windup: 1.1,           // Telegraph before rushing (seconds)
+                    duration: 1.2,         // Straight-line rush time
+                    speedMult: 4,          // Multiplier on chase speed while rushing
+                    minRange: 8,           // Only charges from at least this far
+                    maxRange: 35,
+                    cooldown: 5,
+                    damage: 35             // Contact damage while rushing
+                },
+                tailSwipe: {
+                    windup: 0.7,
+                    radius: 8,             // Hits the player within this distance
+                    damage: 25,
+                    cooldown: 4
+                },
+                summon: {
+                    type: 'SKELETON',
+                    count: 2,              // Skeletons per summon
+                    maxLive: 6,            // Summoned minions alive at once - summons top up to this
+                    radius: 7,             // Spawn distance from the boss
+                    cooldown: 10
+                }
+            },
+            statusImmune: ['stunned'],     // Headshots can't lock the boss down
             size: { w: 3.5, h: 2.5, d: 4.5 }  // Much larger
         },
 
@@ -58,6 +99,55 @@ const Enemy = {
             isToy: true,
             toyPoints: 250,
             size: { w: 1.35, h: 1.55, d: 1.45 }
+        },
+
+        STOCK_CLERK: {
+            id: 'stock_clerk',
+            name: 'Stock Clerk',
+            health: 3,
+            speed: 0.26,
+            damage: 15,
+            behavior: 'shove',            // Pushes obstacles into the player
+            scoreHit: 150,
+            scoreDestroy: 500,
+            driftInterval: 1.5,
+            driftSpeed: 2,
+            collisionRadius: 1.3,
+            walkSpeed: 3,
+            shove: {
+                searchRadius: 25,         // Only claims obstacles this close
+                range: 16,                // Shoves when the player is this close to the obstacle
+                speed: 20,                // Slide speed of a shoved obstacle (units/s)
+                damage: 20,               // Damage when a shoved obstacle hits the player
+                cooldown: 3,              // Seconds before looking for the next obstacle
+                reach: 0.8                // How close to the push spot counts as in position
+            },
+            size: { w: 1.2, h: 2.3, d: 0.9 }
+        },
+
+        BASKET: {
+            id: 'basket',
+            name: 'Possessed Basket',
+            health: 1,
+            speed: 0.5,                   // Fast - packs rush the player
+            damage: 5,
+            behavior: 'swarm',            // Flocks with the rest of its pack
+            scoreHit: 0,
+            scoreDestroy: 100,
+            driftInterval: 1.0,
+            driftSpeed: 1,
+            collisionRadius: 1.0,
+            walkSpeed: 7,                 // Hop animation speed
+            swarm: {
+                neighborRadius: 7,        // Pack mates this close steer together
+                separationRadius: 1.8,    // Push away from pack mates closer than this
+                separationWeight: 1.6,
+                alignmentWeight: 0.6,
+                cohesionWeight: 0.5,
+                seekWeight: 1.0,          // Pull toward the player (or last seen spot)
+                turnRate: 4               // How quickly velocity follows the steering (per second)
+            },
+            size: { w: 0.9, h: 0.7, d: 0.7 }
         }
     },
 
@@ -65,7 +155,7 @@ const Enemy = {
     defaultType: 'SKELETON',
 
     // Behavior definitions (what behaviors exist)
-    behaviors: ['chase', 'patrol', 'stationary', 'ranged', 'wander', 'flee'],
+    behaviors: ['chase', 'patrol', 'stationary', 'ranged', 'wander', 'flee', 'shove', 'swarm'],
 
     // Behavior constants (defaults for AI)
     behaviorDefaults: {
@@ -86,13 +176,110 @@ const Enemy = {
         SEARCH_LAST_SEEN_CHANCE: 0.4, // Chance to move towards last seen position
         FLEE_MIN_DISTANCE: 10,       // Start fleeing when player is this close
         FLEE_STOP_DISTANCE: 16,      // Stop fleeing (return to wander) past this distance
-        FLEE_SPEED_MULT: 1.4         // Speed multiplier when fleeing
+        FLEE_SPEED_MULT: 1.4,        // Speed multiplier when fleeing
+        RANGED_PREFERRED_DISTANCE: 14, // Ranged enemies hold this distance from the player
+        RANGED_DISTANCE_TOLERANCE: 3,  // Band around the preferred distance where they strafe
+        RANGED_STRAFE_SPEED: 0.6,      // Speed multiplier while strafing
+        RANGED_STRAFE_INTERVAL: 2.5,   // Seconds before switching strafe direction
+        RANGED_RETREAT_SPEED: 0.8,     // Speed multiplier when backing away
+        SHOVE_STANDOFF: 0.2,           // Gap left between a shoving enemy and its obstacle
+        PATH_FOLLOW_TIMEOUT: 8,        // Seconds an unseen player is tracked through rooms before giving up
+        PATH_REPLAN_INTERVAL: 0.5,     // Seconds between path searches while tracking
+        PATH_WAYPOINT_RADIUS: 1.2,     // Distance at which a path waypoint counts as reached
+        PATH_SPEED: 0.8                // Speed multiplier while following a path
+    },
+
+    // Perception (hearing and alert propagation, see EnemyPerception)
+    perception: {
+        SUSPICION_DURATION: 6,       // Seconds a suspicious enemy stays on edge before going idle
+        ALERT_DURATION: 5,           // Seconds an alerted enemy stays alert without seeing the player
+        ALERT_RADIUS: 25,            // An enemy that spots the player alerts others this close (same room)
+        INVESTIGATE_SPEED: 0.6,      // Speed multiplier while walking to a noise
+        INVESTIGATE_REACH: 3.5,      // Distance at which a noise counts as investigated (past CHASE_MIN_DISTANCE)
+        NOISE_RADIUS: {              // How far each kind of noise carries
+            fire: 22,
+            wallBump: 12,
+            obstacleHit: 16
+        }
+    },
+
+    // Status effects weapons can inflict (see EnemyStatus)
+    // Weapons list them in Weapon.types[*].projectile.effects as {id, ...overrides}.
+    // stacking: 'refresh' restarts the timer, 'stack' adds a stack (up to maxStacks)
+    // and restarts the timer, 'ignore' leaves an active effect alone.
+    // immunity: seconds after the effect ends before it can take hold again.
+    // When several are active the tint of the one declared last wins.
+    statusEffects: {
+        soaked: {
+            duration: 2,
+            stacking: 'refresh',
+            speedMultiplier: 0.5,        // Waterlogged wheels
+            tint: 0x3498db
+        },
+        burning: {
+            duration: 3,
+            stacking: 'stack',
+            maxStacks: 3,
+            tickInterval: 0.5,           // Seconds between damage ticks
+            tickDamage: 0.2,             // Damage per tick per stack
+            tint: 0xff5722
+        },
+        stunned: {
+            duration: 0.8,
+            stacking: 'ignore',
+            immunity: 1.5,               // No stun-locking
+            speedMultiplier: 0,
+            disablesAI: true,            // No moving, throwing or boss attacks
+            tint: 0xfff176
+        }
+    },
+
+    // Elite modifiers rolled onto planned enemies (see EnemyElite, SpawnOrchestrator.rollEliteModifiers)
+    // Every modifier adds its color as a glow, its name to the name tag and
+    // scoreBonus to the kill score. When several are rolled the first one's color is used.
+    eliteModifiers: {
+        armored: {
+            name: 'Armored',
+            color: 0x95a5a6,
+            scoreBonus: 300,
+            damageTaken: 0.5             // Share of incoming damage that gets through
+        },
+        fast: {
+            name: 'Fast',
+            color: 0x2ecc71,
+            scoreBonus: 200,
+            speedMultiplier: 1.5
+        },
+        splitting: {
+            name: 'Splitting',
+            color: 0x9b59b6,
+            scoreBonus: 250,
+            split: { type: 'BASKET', count: 3, radius: 2 }  // Spawned where it dies
+        },
+        vampiric: {
+            name: 'Vampiric',
+            color: 0xc0392b,
+            scoreBonus: 300,
+            lifeSteal: 2                 // Health regained each time it hits the player
+        },
+        shielded: {
+            name: 'Shielded',
+            color: 0x00bcd4,
+            scoreBonus: 300,
+            shield: 2,                   // Damage absorbed before health is touched
+            shieldRegenDelay: 4          // Seconds without damage before the shield comes back
+        }
     },
 
     // Visual effect constants
     effects: {
         HIT_FLASH_INITIAL: 1,        // Initial hit flash intensity
-        HIT_FLASH_DECAY: 5           // Hit flash decay rate per second
+        HIT_FLASH_DECAY: 5,          // Hit flash decay rate per second
+        STATUS_TINT_INTENSITY: 0.35, // Emissive intensity of status effect tints
+        ELITE_GLOW_INTENSITY: 0.25,  // Emissive intensity of the elite glow
+        ELITE_TAG_OFFSET: 0.6,       // Name tag height above the health bar
+        KNOCKBACK_DECAY: 5,          // Knockback speed falloff per second (exponential)
+        KNOCKBACK_MIN_SPEED: 0.3     // Knockback ends below this speed
     },
 
     // System defaults
@@ -122,11 +309,12 @@ const Enemy = {
             position: { ...position },
             spawnPosition: { ...position },  // Remember where we spawned (home)
             active: true,
-            driftSpeed: (Math.random() - 0.5) * config.driftSpeed,
+            driftSpeed: RandomOrchestrator.spread(config.driftSpeed),
             driftTimer: 0,
             hitFlash: 0,
             patrolTimer: 0,
-            walkTimer: Math.random() * Math.PI * 2  // Random start phase for walking
+            alertState: 'idle',
+            walkTimer: RandomOrchestrator.next() * Math.PI * 2  // Random start phase for walking
         };
     },
 
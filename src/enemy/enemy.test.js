@@ -157,12 +157,14 @@
             test.assertTrue(!!globalThis.EnemyTypeRegistry.SKELETON);
             test.assertTrue(!!globalThis.EnemyTypeRegistry.DINOSAUR);
             test.assertTrue(!!globalThis.EnemyTypeRegistry.TOY);
+            test.assertTrue(!!globalThis.EnemyTypeRegistry.STOCK_CLERK);
+            test.assertTrue(!!globalThis.EnemyTypeRegistry.BASKET);
         });
 
         test.it('should expose required hooks for each type', () => {
             const registry = globalThis.EnemyTypeRegistry || {};
 
-            ['SKELETON', 'DINOSAUR', 'TOY'].forEach((key) => {
+            ['SKELETON', 'DINOSAUR', 'TOY', 'STOCK_CLERK', 'BASKET'].forEach((key) => {
                 const entry = registry[key];
                 test.assertTrue(!!entry);
                 test.assertTrue(typeof entry.createMesh === 'function');
@@ -735,6 +737,898 @@
         });
     });
 
+    // ==========================================
+    // ENEMY AI - PATHFINDING TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Pathfinding', () => {
+        // Player out of sight in the next room; the path heads for the door first
+        const playerPos = { x: 45, y: 0, z: 15 };
+        const hidden = () => false;
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should follow the path toward an unseen player it was chasing', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            e.lastSeenPlayerPos = { x: 25, z: 15 };
+            const findPath = () => [{ x: 28, z: 15 }, { x: 32, z: 15 }, { x: 45, z: 15 }];
+
+            for (let i = 0; i < 10; i++) {
+                EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            }
+            test.assertTrue(e.position.x > 15 && e.position.z > 5, 'Should head for the first waypoint');
+            test.assertTrue(Array.isArray(e.navPath));
+        });
+
+        test.it('should drop reached waypoints and replan on an interval', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 27.5, 15, null);
+            e.lastSeenPlayerPos = { x: 25, z: 15 };
+            let searches = 0;
+            const findPath = () => {
+                searches++;
+                return [{ x: 28, z: 15 }, { x: 32, z: 15 }];
+            };
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            test.assertEqual(e.navPath[0].x, 32, 'The waypoint underfoot counts as reached');
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            test.assertEqual(searches, 1);
+
+            for (let i = 0; i < 5; i++) {
+                EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            }
+            test.assertEqual(searches, 2, 'Should search again after PATH_REPLAN_INTERVAL');
+        });
+
+        test.it('should not track a player it has never seen', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            let searches = 0;
+            const findPath = () => {
+                searches++;
+                return [{ x: 45, z: 15 }];
+            };
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            test.assertEqual(searches, 0);
+        });
+
+        test.it('should give up tracking after PATH_FOLLOW_TIMEOUT', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            e.lastSeenPlayerPos = { x: 25, z: 15 };
+            e.lostSightTimer = Enemy.behaviorDefaults.PATH_FOLLOW_TIMEOUT;
+            let searches = 0;
+            const findPath = () => {
+                searches++;
+                return [{ x: 45, z: 15 }];
+            };
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            test.assertEqual(searches, 0);
+            test.assertEqual(e.navPath || null, null);
+        });
+
+        test.it('should fall back to the last seen spot when there is no path', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            e.lastSeenPlayerPos = { x: 15, z: 25 };
+            e.lostSightTimer = 0;
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath: () => null });
+            test.assertTrue(e.position.z > 5, 'Should head for the last seen spot');
+            test.assertEqual(e.navPath, null);
+        });
+    });
+
+    // ==========================================
+    // ENEMY AI - PERCEPTION TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Perception', () => {
+        const playerPos = { x: 45, y: 0, z: 15 };
+        const hidden = () => false;
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should start idle', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            test.assertEqual(e.alertState, 'idle');
+            test.assertEqual(EnemyOrchestrator.createEnemyData('SKELETON').alertState, 'idle');
+        });
+
+        test.it('should make enemies within the noise radius suspicious', () => {
+            const near = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const far = EnemyOrchestrator.spawn('SKELETON', 80, 5, null);
+
+            const heard = EnemyOrchestrator.emitNoise([near, far], { type: 'fire', x: 20, z: 5 });
+            test.assertEqual(heard, 1);
+            test.assertEqual(near.alertState, 'suspicious');
+            test.assertEqual(near.noiseTarget.x, 20);
+            test.assertEqual(far.alertState, 'idle');
+        });
+
+        test.it('should size noises by type', () => {
+            const radius = Enemy.perception.NOISE_RADIUS;
+            test.assertTrue(radius.fire > radius.obstacleHit && radius.obstacleHit > radius.wallBump);
+            test.assertEqual(EnemyPerception.getNoiseRadius('unknown'), 0);
+        });
+
+        test.it('should walk over to investigate a noise', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyOrchestrator.emitNoise([e], { type: 'fire', x: 15, z: 20 });
+
+            for (let i = 0; i < 5; i++) {
+                EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden });
+            }
+            test.assertTrue(e.position.z > 5, 'Should head toward the noise');
+            test.assertEqual(e.alertState, 'suspicious');
+        });
+
+        test.it('should follow a path to a noise in another room', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyOrchestrator.emitNoise([e], { type: 'fire', x: 30, z: 5, radius: 40 });
+            let target = null;
+            const findPath = (fX, fZ, tX, tZ) => {
+                target = { x: tX, z: tZ };
+                return [{ x: 25, z: 15 }, { x: 30, z: 5 }];
+            };
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden, findPath });
+            test.assertEqual(target.x, 30, 'Should path to the noise, not the player');
+            test.assertTrue(e.position.z > 5, 'Should head for the first waypoint');
+        });
+
+        test.it('should drop the noise once it gets there', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyOrchestrator.emitNoise([e], { type: 'fire', x: 16, z: 5 });
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: hidden });
+            test.assertEqual(e.noiseTarget, null);
+            test.assertEqual(e.alertState, 'suspicious');
+        });
+
+        test.it('should become alert on sight and calm down step by step', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true });
+            test.assertEqual(e.alertState, 'alert');
+
+            EnemyPerception.update(e, false, Enemy.perception.ALERT_DURATION + 0.1);
+            test.assertEqual(e.alertState, 'suspicious');
+            EnemyPerception.update(e, false, Enemy.perception.SUSPICION_DURATION + 0.1);
+            test.assertEqual(e.alertState, 'idle');
+        });
+
+        test.it('should ignore noises while alert', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyPerception.update(e, true, 0.1);
+
+            EnemyOrchestrator.emitNoise([e], { type: 'fire', x: 20, z: 5 });
+            test.assertEqual(e.alertState, 'alert');
+            test.assertEqual(e.noiseTarget, null);
+        });
+
+        test.it('should alert others in the same room when it spots the player', () => {
+            const spotter = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const roommate = EnemyOrchestrator.spawn('SKELETON', 20, 20, null);
+            const nextRoom = EnemyOrchestrator.spawn('SKELETON', 35, 5, null);
+            const flock = [spotter, roommate, nextRoom];
+            const isSameRoom = (aX, aZ, bX, bZ) => Math.floor(aX / 30) === Math.floor(bX / 30);
+            const sees = (fX) => fX === 15;
+
+            EnemyOrchestrator.updateBehavior(spotter, playerPos, 0.1, 10, { hasLineOfSight: sees, flock, isSameRoom });
+            test.assertEqual(roommate.alertState, 'alert');
+            test.assertEqual(roommate.lastSeenPlayerPos.x, playerPos.x);
+            test.assertEqual(roommate.lostSightTimer, 0);
+            test.assertEqual(nextRoom.alertState, 'idle');
+
+            // Alerted enemies pursue the player's position as if they had seen it
+            EnemyOrchestrator.updateBehavior(roommate, playerPos, 0.1, 10, { hasLineOfSight: hidden, flock, isSameRoom });
+            test.assertTrue(roommate.position.x > 20, 'Should move toward the reported position');
+            test.assertEqual(nextRoom.alertState, 'idle', 'Alerts should not chain');
+        });
+
+        test.it('should not send bosses off to investigate', () => {
+            const boss = EnemyOrchestrator.spawn('DINOSAUR', 15, 5, null);
+            EnemyOrchestrator.emitNoise([boss], { type: 'fire', x: 15, z: 20 });
+
+            EnemyOrchestrator.updateBehavior(boss, playerPos, 0.1, 10, { hasLineOfSight: hidden });
+            test.assertTrue(boss.noiseTarget !== null, 'Boss keeps the noise but does not walk to it');
+        });
+    });
+
+    // ==========================================
+    // ENEMY STATUS EFFECT TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Status Effects', () => {
+        const playerPos = { x: 15, y: 0, z: 25 };
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should refresh a soak instead of stacking it', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyStatus.apply(e, 'soaked');
+            EnemyStatus.update(e, 1.5);
+            test.assertTrue(EnemyStatus.apply(e, 'soaked'));
+            test.assertEqual(e.statusEffects.soaked.stacks, 1);
+            test.assertCloseTo(e.statusEffects.soaked.remaining, Enemy.statusEffects.soaked.duration, 0.0001);
+        });
+
+        test.it('should slow soaked enemies', () => {
+            const dry = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const wet = EnemyOrchestrator.spawn('SKELETON', 25, 5, null);
+            EnemyStatus.apply(wet, 'soaked');
+
+            EnemyOrchestrator.updateBehavior(dry, playerPos, 0.1, 10);
+            EnemyOrchestrator.updateBehavior(wet, { ...playerPos, x: 25 }, 0.1, 10);
+            test.assertCloseTo((wet.position.z - 5) / (dry.position.z - 5), Enemy.statusEffects.soaked.speedMultiplier, 0.01);
+        });
+
+        test.it('should stack burning up to maxStacks and tick damage per stack', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const burning = Enemy.statusEffects.burning;
+            for (let i = 0; i < burning.maxStacks + 2; i++) EnemyStatus.apply(e, 'burning');
+            test.assertEqual(e.statusEffects.burning.stacks, burning.maxStacks);
+
+            const damage = EnemyStatus.update(e, burning.tickInterval);
+            test.assertCloseTo(damage, burning.tickDamage * burning.maxStacks, 0.0001);
+            test.assertCloseTo(EnemyStatus.update(e, burning.tickInterval / 2), 0, 0.0001);
+        });
+
+        test.it('should expire effects after their duration', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyStatus.apply(e, 'soaked');
+            EnemyStatus.update(e, Enemy.statusEffects.soaked.duration + 0.1);
+            test.assertFalse(EnemyStatus.has(e, 'soaked'));
+            test.assertEqual(EnemyStatus.getSpeedMultiplier(e), 1);
+        });
+
+        test.it('should freeze stunned enemies and keep them from being stun-locked', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const stunned = Enemy.statusEffects.stunned;
+            EnemyStatus.apply(e, 'stunned');
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10);
+            test.assertEqual(e.position.z, 5, 'Stunned enemies should not move');
+            test.assertFalse(EnemyStatus.apply(e, 'stunned'), "A running stun is not extended ('ignore')");
+
+            EnemyStatus.update(e, stunned.duration + 0.1);
+            test.assertFalse(EnemyStatus.has(e, 'stunned'));
+            test.assertFalse(EnemyStatus.apply(e, 'stunned'), 'Immune right after a stun');
+            EnemyStatus.update(e, stunned.immunity + 0.1);
+            test.assertTrue(EnemyStatus.apply(e, 'stunned'));
+        });
+
+        test.it('should respect type immunities', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 15, 5, null);
+            test.assertFalse(EnemyStatus.apply(dino, 'stunned'));
+            test.assertTrue(EnemyStatus.apply(dino, 'soaked'));
+        });
+
+        test.it('should apply headshot-only weapon effects on headshots only', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const effects = Weapon.types.NERFGUN.projectile.effects;
+            test.assertArrayEqual(EnemyOrchestrator.applyEffects(e, effects, { headshot: false }), []);
+            test.assertArrayEqual(EnemyOrchestrator.applyEffects(e, effects, { headshot: true }), ['stunned']);
+        });
+
+        test.it('should declare weapon effects on projectiles', () => {
+            test.assertEqual(Weapon.types.WATERGUN.projectile.effects[0].id, 'soaked');
+            test.assertEqual(Weapon.types.LASERGUN.projectile.effects[0].id, 'burning');
+            test.assertTrue(!!Enemy.statusEffects.stunned, 'Every declared effect needs a definition');
+        });
+
+        test.it('should tint by the last declared active effect', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            test.assertEqual(EnemyStatus.getTint(e), null);
+            EnemyStatus.apply(e, 'stunned');
+            EnemyStatus.apply(e, 'soaked');
+            test.assertEqual(EnemyStatus.getTint(e), Enemy.statusEffects.stunned.tint);
+        });
+
+        test.it('should report burning damage through onStatusDamage in updateAll', () => {
+            const burning = Enemy.statusEffects.burning;
+            const enemy = {
+                position: { x: 15, y: 0, z: 5 },
+                rotation: { y: 0 },
+                userData: { ...EnemyOrchestrator.createEnemyData('SKELETON'), health: burning.tickDamage }
+            };
+            EnemyStatus.apply(enemy, 'burning');
+            const reports = [];
+
+            EnemyOrchestrator.updateAll([enemy], {
+                playerPosition: playerPos,
+                dt: burning.tickInterval,
+                baseSpeed: 10,
+                onStatusDamage: (e, damage, result) => reports.push(result)
+            });
+            test.assertEqual(reports.length, 1);
+            test.assertTrue(reports[0].destroyed, 'Burning can finish an enemy off');
+            test.assertFalse(enemy.userData.active);
+        });
+    });
+
+    // ==========================================
+    // ENEMY ELITE MODIFIER TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Elite Modifiers', () => {
+        const playerPos = { x: 15, y: 0, z: 25 };
+        const mods = Enemy.eliteModifiers;
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should apply only known modifiers once each', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            test.assertArrayEqual(EnemyElite.apply(e, ['fast', 'bogus', 'fast', 'armored']), ['fast', 'armored']);
+            test.assertTrue(EnemyElite.isElite(e));
+            test.assertEqual(EnemyElite.getName(e), 'Fast Armored ' + Enemy.types.SKELETON.name);
+            test.assertEqual(EnemyElite.getColor(e), mods.fast.color);
+            test.assertFalse(EnemyElite.isElite(EnemyOrchestrator.spawn('SKELETON', 25, 5, null)));
+        });
+
+        test.it('should cut damage taken by armored elites', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyElite.apply(e, ['armored']);
+            EnemyOrchestrator.damage(e, 2);
+            test.assertCloseTo(e.health, e.maxHealth - 2 * mods.armored.damageTaken, 0.0001);
+        });
+
+        test.it('should soak hits with the shield and regenerate it after a delay', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyElite.apply(e, ['shielded']);
+            EnemyOrchestrator.damage(e, mods.shielded.shield + 1);
+            test.assertEqual(e.health, e.maxHealth - 1, 'Only the overflow reaches health');
+            test.assertEqual(e.elite.shield, 0);
+
+            EnemyElite.update(e, mods.shielded.shieldRegenDelay / 2);
+            test.assertEqual(e.elite.shield, 0);
+            EnemyElite.update(e, mods.shielded.shieldRegenDelay);
+            test.assertEqual(e.elite.shield, mods.shielded.shield);
+        });
+
+        test.it('should move fast elites quicker', () => {
+            const normal = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const fast = EnemyOrchestrator.spawn('SKELETON', 25, 5, null);
+            EnemyElite.apply(fast, ['fast']);
+
+            EnemyOrchestrator.updateBehavior(normal, playerPos, 0.1, 10);
+            EnemyOrchestrator.updateBehavior(fast, { ...playerPos, x: 25 }, 0.1, 10);
+            test.assertCloseTo((fast.position.z - 5) / (normal.position.z - 5), mods.fast.speedMultiplier, 0.01);
+        });
+
+        test.it('should heal vampiric elites on hitting the player, up to max health', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyElite.apply(e, ['vampiric']);
+            e.health = e.maxHealth - 1;
+            test.assertEqual(EnemyElite.onHitPlayer(e), 1);
+            test.assertEqual(e.health, e.maxHealth);
+            test.assertEqual(EnemyElite.onHitPlayer(EnemyOrchestrator.spawn('SKELETON', 25, 5, null)), 0);
+        });
+
+        test.it('should heal through the player collision check', () => {
+            const enemy = {
+                position: { x: 0, y: 0, z: 0 },
+                userData: { ...EnemyOrchestrator.createEnemyData('SKELETON') }
+            };
+            EnemyElite.apply(enemy, ['vampiric']);
+            enemy.userData.health = 1;
+            let hits = 0;
+            EnemyOrchestrator._checkPlayerCollision(enemy, { position: { x: 0, z: 0 } }, false, 3.5, () => hits++);
+            test.assertEqual(hits, 1);
+            test.assertEqual(enemy.userData.health, 1 + mods.vampiric.lifeSteal);
+        });
+
+        test.it('should add the score bonus and split on kill', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            EnemyElite.apply(e, ['splitting', 'fast']);
+            const hit = EnemyOrchestrator.damage(e, 1);
+            test.assertEqual(hit.scoreDestroy, 0);
+            test.assertEqual(hit.split, null);
+
+            const kill = EnemyOrchestrator.damage(e, e.maxHealth);
+            test.assertEqual(kill.scoreDestroy, Enemy.types.SKELETON.scoreDestroy + mods.splitting.scoreBonus + mods.fast.scoreBonus);
+            test.assertEqual(kill.split.type, mods.splitting.split.type);
+            test.assertEqual(kill.split.count, mods.splitting.split.count);
+        });
+
+        test.it('should leave regular enemies untouched', () => {
+            const e = EnemyOrchestrator.spawn('SKELETON', 15, 5, null);
+            const kill = EnemyOrchestrator.damage(e, e.maxHealth);
+            test.assertEqual(kill.scoreDestroy, Enemy.types.SKELETON.scoreDestroy);
+            test.assertEqual(kill.split, null);
+            test.assertEqual(EnemyElite.getSpeedMultiplier(e), 1);
+        });
+
+        test.it('should glow and carry a name tag when applied to a mesh', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = EnemyOrchestrator.createMesh(THREE, 'SKELETON', 0, 0);
+            EnemyOrchestrator.applyElite(enemy, ['vampiric'], THREE);
+
+            let glowing = 0;
+            enemy.userData.cart.traverse(child => {
+                if (child.material?.emissive?.getHex() === mods.vampiric.color) glowing++;
+            });
+            test.assertTrue(glowing > 0, 'Lit materials take the modifier color');
+            const tag = enemy.userData.nameTag;
+            if (tag) {
+                test.assertTrue(tag.position.y > enemy.userData.healthBar.position.y, 'Name tag sits above the health bar');
+            }
+        });
+    });
+
+    // ==========================================
+    // ENEMY AI - RANGED BEHAVIOR TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Ranged Behavior', () => {
+        const playerPos = { x: 0, y: 0, z: 0 };
+        const spawnRanged = (x, z) => {
+            const e = EnemyOrchestrator.spawn('SKELETON', x, z, null);
+            e.behavior = 'ranged';
+            e.rangedCooldown = 0;
+            return e;
+        };
+        const distToPlayer = (e) => Math.sqrt(e.position.x * e.position.x + e.position.z * e.position.z);
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should give skeletons a ranged attack using bone projectiles', () => {
+            test.assertEqual(Enemy.types.SKELETON.ranged.projectileType, 'bone');
+            test.assertTrue(Enemy.types.SKELETON.rangedChance > 0);
+        });
+
+        test.it('should only roll ranged behavior for types with a ranged attack', () => {
+            const originalNext = RandomOrchestrator.next;
+            RandomOrchestrator.next = () => 0;
+            const skeleton = EnemyOrchestrator.createEnemyData('SKELETON');
+            const dino = EnemyOrchestrator.createEnemyData('DINOSAUR');
+            RandomOrchestrator.next = originalNext;
+
+            test.assertEqual(skeleton.behavior, 'ranged');
+            test.assertEqual(skeleton.rangedCooldown, Enemy.types.SKELETON.ranged.cooldown);
+            test.assertEqual(dino.behavior, Enemy.types.DINOSAUR.behavior);
+        });
+
+        test.it('should close in when farther than the preferred distance', () => {
+            const e = spawnRanged(0, -30);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true });
+            test.assertTrue(distToPlayer(e) < 30);
+        });
+
+        test.it('should back off when closer than the preferred distance', () => {
+            const e = spawnRanged(0, -5);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true });
+            test.assertTrue(distToPlayer(e) > 5);
+        });
+
+        test.it('should strafe sideways at the preferred distance', () => {
+            const preferred = Enemy.behaviorDefaults.RANGED_PREFERRED_DISTANCE;
+            const e = spawnRanged(0, -preferred);
+            e.chaseStrafeSign = 1;
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true });
+            test.assertTrue(Math.abs(e.position.x) > 0.01, 'Should move sideways');
+            test.assertCloseTo(distToPlayer(e), preferred, 0.5);
+        });
+
+        test.it('should flip strafe direction when the side step is blocked', () => {
+            const preferred = Enemy.behaviorDefaults.RANGED_PREFERRED_DISTANCE;
+            const e = spawnRanged(0, -preferred);
+            e.chaseStrafeSign = 1;
+            const collisionCheck = (newX) => ({ blocked: newX < 0, blockedX: newX < 0, blockedZ: false });
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, collisionCheck });
+            test.assertEqual(e.chaseStrafeSign, -1);
+            test.assertTrue(e.position.x > 0, 'Should strafe away from the blocked side');
+        });
+
+        test.it('should throw when the shot is clear and cooldown is ready', () => {
+            const e = spawnRanged(0, -14);
+            const throws = [];
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, {
+                hasLineOfSight: () => true,
+                onRangedAttack: (enemy, target) => throws.push({ enemy, target })
+            });
+            test.assertEqual(throws.length, 1);
+            test.assertEqual(throws[0].enemy, e);
+            test.assertEqual(throws[0].target.x, 0);
+            test.assertEqual(e.rangedCooldown, Enemy.types.SKELETON.ranged.cooldown);
+        });
+
+        test.it('should not throw again until the cooldown expires', () => {
+            const e = spawnRanged(0, -14);
+            let throws = 0;
+            const options = { hasLineOfSight: () => true, onRangedAttack: () => throws++ };
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, options);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, options);
+            test.assertEqual(throws, 1);
+        });
+
+        test.it('should not throw without line of sight', () => {
+            const e = spawnRanged(0, -14);
+            let throws = 0;
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, {
+                hasLineOfSight: () => false,
+                onRangedAttack: () => throws++
+            });
+            test.assertEqual(throws, 0);
+        });
+
+        test.it('should not throw beyond attack range', () => {
+            const e = spawnRanged(0, -(Enemy.types.SKELETON.ranged.range + 10));
+            let throws = 0;
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, {
+                hasLineOfSight: () => true,
+                onRangedAttack: () => throws++
+            });
+            test.assertEqual(throws, 0);
+        });
+    });
+
+    test.describe('Enemy System - Shove Behavior', () => {
+        const playerPos = { x: 0, y: 0, z: 0 };
+        const makeObstacle = (x, z) => ({
+            position: { x, y: 0, z },
+            userData: { active: true, hit: false, collisionRadius: 1 }
+        });
+        // Push spot for an obstacle on the -Z axis: obstacle radius + clerk radius + standoff
+        const spotOffset = () => 1 + Enemy.types.STOCK_CLERK.collisionRadius + Enemy.behaviorDefaults.SHOVE_STANDOFF;
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should define the stock clerk with shove behavior and scores', () => {
+            const clerk = Enemy.types.STOCK_CLERK;
+            test.assertEqual(clerk.id, 'stock_clerk');
+            test.assertEqual(clerk.behavior, 'shove');
+            test.assertTrue(Enemy.behaviors.includes('shove'));
+            test.assertTrue(clerk.scoreHit > 0);
+            test.assertTrue(clerk.scoreDestroy > clerk.scoreHit);
+            test.assertTrue(clerk.shove.damage > 0);
+        });
+
+        test.it('should claim the nearest standing obstacle and head behind it', () => {
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 8, -12, null);
+            const near = makeObstacle(0, -10);
+            const far = makeObstacle(0, -20);
+            const hit = makeObstacle(6, -12);
+            hit.userData.hit = true;
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [far, hit, near] });
+
+            test.assertEqual(e.shoveTarget, near);
+            test.assertEqual(near.userData.shoveClaim, e);
+            test.assertTrue(e.position.x < 8, 'Should move toward the push spot');
+        });
+
+        test.it('should skip obstacles claimed by another live enemy', () => {
+            const other = EnemyOrchestrator.spawn('STOCK_CLERK', 20, -20, null);
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 0, -14, null);
+            const claimed = makeObstacle(0, -10);
+            const free = makeObstacle(5, -15);
+            claimed.userData.shoveClaim = other;
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [claimed, free] });
+            test.assertEqual(e.shoveTarget, free);
+
+            other.active = false;
+            free.userData.hit = true;
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [claimed, free] });
+            test.assertEqual(e.shoveTarget, claimed, 'Claims of dead enemies should lapse');
+        });
+
+        test.it('should shove the obstacle toward the player once in position', () => {
+            const obs = makeObstacle(0, -8);
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 0, -8 - spotOffset(), null);
+            const shoves = [];
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, {
+                hasLineOfSight: () => true,
+                obstacles: [obs],
+                onShove: (enemy, obstacle, direction) => shoves.push({ enemy, obstacle, direction })
+            });
+
+            test.assertEqual(shoves.length, 1);
+            test.assertEqual(shoves[0].enemy, e);
+            test.assertEqual(shoves[0].obstacle, obs);
+            test.assertCloseTo(shoves[0].direction.x, 0, 0.001);
+            test.assertCloseTo(shoves[0].direction.z, 1, 0.001);
+            test.assertEqual(e.shoveTarget, null);
+            test.assertEqual(obs.userData.shoveClaim, null);
+            test.assertEqual(e.shoveCooldown, Enemy.types.STOCK_CLERK.shove.cooldown);
+        });
+
+        test.it('should wait in position while the player is out of range or out of sight', () => {
+            const range = Enemy.types.STOCK_CLERK.shove.range;
+            const obs = makeObstacle(0, -(range + 5));
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 0, -(range + 5) - spotOffset(), null);
+            let shoves = 0;
+            const onShove = () => shoves++;
+
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [obs], onShove });
+            test.assertEqual(shoves, 0);
+
+            obs.position.z = -8;
+            e.position.z = -8 - spotOffset();
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => false, obstacles: [obs], onShove });
+            test.assertEqual(shoves, 0);
+            test.assertEqual(e.shoveTarget, obs);
+        });
+
+        test.it('should drop its obstacle once it has been knocked over', () => {
+            const obs = makeObstacle(0, -10);
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 6, -16, null);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [obs] });
+            test.assertEqual(e.shoveTarget, obs);
+
+            obs.userData.hit = true;
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [obs] });
+            test.assertEqual(e.shoveTarget, null);
+            test.assertEqual(obs.userData.shoveClaim, null);
+        });
+
+        test.it('should chase the player when no obstacle is in reach', () => {
+            const e = EnemyOrchestrator.spawn('STOCK_CLERK', 0, -20, null);
+            const distant = makeObstacle(0, -20 - Enemy.types.STOCK_CLERK.shove.searchRadius - 5);
+            EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, obstacles: [distant] });
+            test.assertFalse(!!e.shoveTarget, 'Should not claim an obstacle out of reach');
+            test.assertTrue(e.position.z > -20, 'Should close in on the player');
+        });
+    });
+
+    test.describe('Enemy System - Swarm Behavior', () => {
+        const playerPos = { x: 0, y: 0, z: 0 };
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should define the basket as a fast, fragile swarm enemy', () => {
+            const basket = Enemy.types.BASKET;
+            test.assertEqual(basket.id, 'basket');
+            test.assertEqual(basket.behavior, 'swarm');
+            test.assertTrue(Enemy.behaviors.includes('swarm'));
+            test.assertEqual(basket.health, 1);
+            test.assertTrue(basket.speed > Enemy.types.SKELETON.speed);
+        });
+
+        test.it('should only flock with active pack mates of the same type in range', () => {
+            const e = EnemyOrchestrator.spawn('BASKET', 0, -10, null);
+            const mate = EnemyOrchestrator.spawn('BASKET', 2, -10, null);
+            const far = EnemyOrchestrator.spawn('BASKET', 30, -10, null);
+            const dead = EnemyOrchestrator.spawn('BASKET', 0, -12, null);
+            const skeleton = EnemyOrchestrator.spawn('SKELETON', 1, -11, null);
+            dead.active = false;
+            const flock = [e, mate, far, dead, skeleton];
+
+            const mates = EnemyAI._getFlockmates(e, flock, 7);
+            test.assertEqual(mates.length, 1);
+            test.assertEqual(mates[0], mate);
+
+            const otherRoom = EnemyAI._getFlockmates(e, flock, 7, (aX, aZ, bX) => bX < 1);
+            test.assertEqual(otherRoom.length, 0, 'Mates in another room should be ignored');
+        });
+
+        test.it('should separate from close mates and cohere with distant ones', () => {
+            const swarm = Enemy.types.BASKET.swarm;
+            const position = { x: 0, z: 0 };
+
+            const close = EnemyAI._getFlockSteering(position, [{ position: { x: 0.5, z: 0 }, userData: {} }], swarm, 10);
+            test.assertTrue(close.x < 0, 'Should push away from a crowding mate');
+
+            const distant = EnemyAI._getFlockSteering(position, [{ position: { x: 5, z: 0 }, userData: {} }], swarm, 10);
+            test.assertTrue(distant.x > 0, 'Should pull toward the pack center');
+        });
+
+        test.it('should align with the heading of its mates', () => {
+            const swarm = { ...Enemy.types.BASKET.swarm, cohesionWeight: 0 };
+            const mates = [
+                { position: { x: 3, z: 0 }, userData: { swarmVelX: 0, swarmVelZ: 10 } },
+                { position: { x: -3, z: 0 }, userData: { swarmVelX: 0, swarmVelZ: 10 } }
+            ];
+            const steer = EnemyAI._getFlockSteering({ x: 0, z: 0 }, mates, swarm, 10);
+            test.assertCloseTo(steer.x, 0, 0.001);
+            test.assertCloseTo(steer.z, swarm.alignmentWeight, 0.001);
+        });
+
+        test.it('should home in on the player it can see', () => {
+            const e = EnemyOrchestrator.spawn('BASKET', 0, -20, null);
+            for (let i = 0; i < 10; i++) {
+                EnemyOrchestrator.updateBehavior(e, playerPos, 0.1, 10, { hasLineOfSight: () => true, flock: [e] });
+            }
+            test.assertTrue(e.position.z > -20, 'Should close in on the player');
+            test.assertTrue(e.swarmVelZ > 0, 'Should keep its velocity for pack mates to align with');
+        });
+
+        test.it('should slide along walls instead of stopping', () => {
+            const e = EnemyOrchestrator.spawn('BASKET', 0, -20, null);
+            e.swarmVelX = 3;
+            e.swarmVelZ = 3;
+            // Wall blocks movement along Z only
+            const collisionCheck = (nX, nZ, oX, oZ) => ({ blockedX: false, blockedZ: nZ !== oZ });
+
+            EnemyOrchestrator.updateBehavior(e, { x: 20, z: 0 }, 0.1, 10, { hasLineOfSight: () => true, collisionCheck, flock: [e] });
+            test.assertEqual(e.position.z, -20);
+            test.assertTrue(e.position.x > 0, 'Should keep moving along the wall');
+            test.assertEqual(e.swarmVelZ, 0);
+        });
+    });
+
+    // ==========================================
+    // ENEMY AI - BOSS PHASE TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Boss Phases', () => {
+        const boss = Enemy.types.DINOSAUR.boss;
+        const seePlayer = () => true;
+
+        // Run updates until the predicate holds (or give up)
+        const runUntil = (dino, playerPos, options, predicate, maxSteps = 60) => {
+            for (let i = 0; i < maxSteps && !predicate(); i++) {
+                EnemyOrchestrator.updateBehavior(dino, playerPos, 0.1, 10, options);
+            }
+        };
+
+        test.beforeEach(() => {
+            EnemyOrchestrator.init(Enemy, null);
+        });
+
+        test.it('should advance phases as health drops and announce each one', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -40, null);
+            const announced = [];
+            const options = { hasLineOfSight: seePlayer, onBossPhase: (e, phase, index) => announced.push(index) };
+
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(dino.bossPhase, 0);
+            test.assertEqual(announced.length, 0);
+
+            EnemyOrchestrator.damage(dino, 3);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(boss.phases[dino.bossPhase].id, 'charge');
+
+            // A big hit skips straight to the phase its health lands in
+            EnemyOrchestrator.damage(dino, 5);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(boss.phases[dino.bossPhase].id, 'enraged');
+            test.assertEqual(announced.join(','), '1,3');
+        });
+
+        test.it('should never drop back to an earlier phase', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -40, null);
+            EnemyOrchestrator.damage(dino, 8);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, { hasLineOfSight: seePlayer });
+
+            dino.health = dino.maxHealth;
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, { hasLineOfSight: seePlayer });
+            test.assertEqual(boss.phases[dino.bossPhase].id, 'enraged');
+        });
+
+        test.it('should only chase before the first threshold', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -20, null);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, { hasLineOfSight: seePlayer });
+            test.assertEqual(dino.bossAttack || null, null);
+            test.assertTrue(dino.position.z > -20, 'Should chase the player');
+        });
+
+        test.it('should wind up a charge in place, then rush along the locked direction', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -20, null);
+            EnemyOrchestrator.damage(dino, 3);
+            const options = { hasLineOfSight: seePlayer };
+
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(dino.bossAttack.type, 'charge');
+            test.assertEqual(dino.bossAttack.stage, 'windup');
+            test.assertEqual(dino.position.z, -20, 'Should stand still while telegraphing');
+
+            // Player sidesteps during the wind-up - the rush keeps its original heading
+            const sidestep = { x: 15, z: 0 };
+            runUntil(dino, sidestep, options, () => dino.bossAttack?.stage === 'active');
+            test.assertEqual(dino.bossAttack.stage, 'active');
+
+            EnemyOrchestrator.updateBehavior(dino, sidestep, 0.1, 10, options);
+            test.assertTrue(dino.position.z > -20, 'Should rush forward');
+            test.assertCloseTo(dino.position.x, 0, 0.001);
+        });
+
+        test.it('should end a charge early when it slams into a wall', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -20, null);
+            EnemyOrchestrator.damage(dino, 3);
+            let wall = false;
+            const options = {
+                hasLineOfSight: seePlayer,
+                collisionCheck: () => ({ blockedX: wall, blockedZ: wall })
+            };
+
+            runUntil(dino, { x: 0, z: 0 }, options, () => dino.bossAttack?.stage === 'active');
+            wall = true;
+            const z = dino.position.z;
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(dino.position.z, z);
+            test.assertEqual(dino.bossAttack, null);
+            test.assertEqual(dino.chargeCooldown, boss.charge.cooldown);
+        });
+
+        test.it('should tail swipe a player in reach and report whether it landed', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -5, null);
+            EnemyOrchestrator.damage(dino, 5);
+            const swipes = [];
+            const options = { hasLineOfSight: seePlayer, onTailSwipe: (e, swipe) => swipes.push(swipe) };
+
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(dino.bossAttack.type, 'tailSwipe');
+            runUntil(dino, { x: 0, z: 0 }, options, () => swipes.length > 0);
+            test.assertEqual(swipes.length, 1);
+            test.assertTrue(swipes[0].hitPlayer);
+            test.assertEqual(swipes[0].damage, boss.tailSwipe.damage);
+
+            // Backing off during the wind-up dodges it
+            dino.tailSwipeCooldown = 0;
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            runUntil(dino, { x: 0, z: 30 }, options, () => swipes.length > 1);
+            test.assertFalse(swipes[1].hitPlayer);
+        });
+
+        test.it('should summon minions on a cooldown once enraged', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -40, null);
+            const summons = [];
+            const options = { hasLineOfSight: seePlayer, onSummon: (e, summon) => summons.push(summon) };
+
+            EnemyOrchestrator.damage(dino, 7);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(summons.length, 0, 'Only the enraged phase summons');
+
+            EnemyOrchestrator.damage(dino, 1);
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(summons.length, 1);
+            test.assertEqual(summons[0].type, 'SKELETON');
+
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(summons.length, 1, 'Should wait for the cooldown');
+            dino.summonCooldown = 0;
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(summons.length, 2);
+        });
+
+        test.it('should cap live summoned minions at maxLive', () => {
+            const dino = EnemyOrchestrator.spawn('DINOSAUR', 0, -40, null);
+            const minions = [];
+            const options = {
+                hasLineOfSight: seePlayer,
+                onSummon: (e, summon) => {
+                    const spawned = Array.from({ length: summon.count }, () => ({ active: true }));
+                    minions.push(...spawned);
+                    return spawned;
+                }
+            };
+            const live = () => minions.filter(m => m.active).length;
+            EnemyOrchestrator.damage(dino, 8);
+
+            for (let i = 0; i < 10; i++) {
+                dino.summonCooldown = 0;
+                EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+                test.assertTrue(live() <= boss.summon.maxLive, `Summon ${i} exceeded the cap`);
+            }
+            test.assertEqual(live(), boss.summon.maxLive);
+
+            // Killing a minion frees one slot, not a whole summon
+            minions[0].active = false;
+            dino.summonCooldown = 0;
+            EnemyOrchestrator.updateBehavior(dino, { x: 0, z: 0 }, 0.1, 10, options);
+            test.assertEqual(live(), boss.summon.maxLive);
+            test.assertEqual(minions.length, boss.summon.maxLive + 1);
+        });
+    });
+
     // ==========================================
     // ENEMY AI - ENVIRONMENT COLLISION TESTS
     // ==========================================
@@ -949,6 +1843,61 @@
         });
     });
 
+    // ==========================================
+    // CART RAM TESTS
+    // ==========================================
+
+    test.describe('Enemy System - Cart Ram', () => {
+        const createEnemy = (x = 0, z = 0, config = { collisionRadius: 2.5 }) => ({
+            position: { x, y: 0, z },
+            userData: { active: true, config }
+        });
+        const cart = { position: { x: 1, y: 0, z: 0 } };
+
+        test.it('should skip player damage when the cart rams', () => {
+            let hits = 0, rams = 0;
+            EnemyOrchestrator._checkPlayerCollision(createEnemy(), cart, false, 2.5, () => hits++, null, () => ++rams > 0);
+            test.assertEqual(rams, 1);
+            test.assertEqual(hits, 0, 'A ram is not a hit on the player');
+        });
+
+        test.it('should hurt the player when the ram does not land', () => {
+            let hits = 0;
+            EnemyOrchestrator._checkPlayerCollision(createEnemy(), cart, false, 2.5, () => hits++, null, () => false);
+            test.assertEqual(hits, 1);
+        });
+
+        test.it('should not ram enemies out of reach', () => {
+            let rams = 0;
+            EnemyOrchestrator._checkPlayerCollision(createEnemy(10, 0), cart, false, 2.5, null, null, () => ++rams > 0);
+            test.assertEqual(rams, 0);
+        });
+
+        test.it('should slide knocked back enemies and slow them down', () => {
+            const enemy = createEnemy();
+            test.assertTrue(EnemyOrchestrator.knockback(enemy, { x: 10, z: 0 }));
+            EnemyOrchestrator._updateKnockback(enemy, 0.1, null);
+            test.assertCloseTo(enemy.position.x, 1, 0.001);
+            test.assertTrue(enemy.userData.knockback.x < 10, 'Knockback decays');
+            for (let i = 0; i < 50; i++) EnemyOrchestrator._updateKnockback(enemy, 0.1, null);
+            test.assertEqual(enemy.userData.knockback, null, 'Knockback wears off');
+        });
+
+        test.it('should stop knockback at walls', () => {
+            const enemy = createEnemy();
+            EnemyOrchestrator.knockback(enemy, { x: 10, z: 10 });
+            EnemyOrchestrator._updateKnockback(enemy, 0.1, () => ({ blocked: true, blockedX: true, blockedZ: false }));
+            test.assertEqual(enemy.position.x, 0);
+            test.assertCloseTo(enemy.position.z, 1, 0.001);
+        });
+
+        test.it('should not knock back bosses', () => {
+            const boss = createEnemy(0, 0, { boss: {} });
+            test.assertFalse(EnemyOrchestrator.knockback(boss, { x: 10, z: 0 }));
+            test.assertEqual(boss.userData.knockback, undefined);
+        });
+    });
+
     // ==========================================
     // ENEMY SPAWN POSITION TESTS
     // ==========================================
@@ -1226,6 +2175,50 @@
             test.assertTrue(enemy.userData.healthBar !== undefined);
         });
 
+        test.it('should pose the dinosaur for attacks and settle back to rest', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = DinosaurMesh.createEnemy(THREE, Enemy.get('DINOSAUR'));
+            const { dinosaur, head } = enemy.userData;
+            const restYaw = dinosaur.rotation.y;
+            const restPitch = head.rotation.x;
+
+            DinosaurAnimation.animateAttack(enemy, { type: 'charge', stage: 'windup', timer: 0, duration: 1 });
+            test.assertTrue(head.rotation.x < restPitch, 'Charge wind-up should lower the head');
+
+            DinosaurAnimation.animateAttack(enemy, { type: 'tailSwipe', stage: 'windup', timer: 0, duration: 1 });
+            test.assertTrue(dinosaur.rotation.y !== restYaw, 'Tail swipe should twist the body');
+            test.assertCloseTo(head.rotation.x, restPitch, 0.0001);
+
+            DinosaurAnimation.animateAttack(enemy, null);
+            test.assertCloseTo(dinosaur.rotation.y, restYaw, 0.0001);
+            test.assertCloseTo(head.rotation.x, restPitch, 0.0001);
+        });
+
+        test.it('should show the skeleton alert marker by perception state', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = SkeletonMesh.createEnemy(THREE, Enemy.get('SKELETON'));
+            const visual = enemy.userData.cart;
+            const indicator = visual.userData.alertIndicator;
+            test.assertFalse(indicator.visible, 'Hidden while idle');
+
+            Skeleton.showAlertState(visual, 'suspicious');
+            test.assertTrue(indicator.visible);
+            test.assertEqual(indicator.userData.material.color.getHex(), Skeleton.theme.suspiciousColor);
+
+            Skeleton.showAlertState(visual, 'alert');
+            test.assertEqual(indicator.userData.material.color.getHex(), Skeleton.theme.alertColor);
+            test.assertTrue(visual.userData.leftEye.scale.y > 1, 'Eyes open wide when alert');
+
+            Skeleton.showAlertState(visual, 'idle');
+            test.assertFalse(indicator.visible);
+        });
+
         test.it('should keep toy mesh grounded while reaching hit-level height', () => {
             if (typeof THREE === 'undefined') {
                 test.skip('THREE.js not available');
@@ -1240,6 +2233,48 @@
             test.assertTrue(box.max.y >= 1.2, 'Toy mesh should visually reach hit-level height');
         });
 
+        test.it('should create stock clerk enemy with limbs and health bar', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = StockClerk.createMesh(THREE);
+            test.assertTrue(enemy instanceof THREE.Group);
+            test.assertTrue(enemy.userData.leftArm !== undefined);
+            test.assertTrue(enemy.userData.rightLeg !== undefined);
+            test.assertTrue(enemy.userData.healthBar.userData.fill !== undefined);
+
+            StockClerk.updateHealthBar(enemy.userData.healthBar, 0.5);
+            test.assertCloseTo(enemy.userData.healthBar.userData.fill.scale.x, 0.5, 0.001);
+        });
+
+        test.it('should keep stock clerk arms raised while walking', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = StockClerk.createMesh(THREE);
+            StockClerk.animateWalk(enemy.userData.cart, 1.3);
+            test.assertTrue(enemy.userData.leftArm.rotation.x < -1, 'Arms should reach forward');
+            test.assertTrue(enemy.userData.leftLeg.rotation.x !== 0, 'Legs should swing');
+        });
+
+        test.it('should create basket enemy that hops', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = Basket.createMesh(THREE);
+            test.assertTrue(enemy instanceof THREE.Group);
+            test.assertTrue(enemy.userData.healthBar.userData.fill !== undefined);
+
+            Basket.animateWalk(enemy.userData.cart, Math.PI / 2);
+            test.assertTrue(enemy.userData.body.position.y > 0, 'Basket should leave the floor mid-hop');
+
+            Basket.applyHitFlash(enemy.userData.cart, 1);
+            test.assertEqual(enemy.userData.plasticMat.emissiveIntensity, 1);
+        });
+
         test.it('should create health bar with THREE', () => {
             if (typeof THREE === 'undefined') {
                 test.skip('THREE.js not available');
@@ -21,6 +21,12 @@ const SkeletonMesh = {
         const visual = this.createMesh(THREE, configWithTheme);
         group.add(visual);
 
+        // Perception tell ("!" over the head, hidden while idle)
+        const alertIndicator = this._createAlertIndicator(THREE);
+        alertIndicator.position.y = 4.7;
+        visual.add(alertIndicator);
+        visual.userData.alertIndicator = alertIndicator;
+
         // Copy all userData references
         Object.assign(group.userData, visual.userData);
         group.userData.cart = visual;
@@ -883,6 +889,59 @@ const SkeletonMesh = {
         return group;
     },
 
+    /**
+     * Create the "!" marker shown over a suspicious or alert skeleton
+     * @private
+     * @param {THREE} THREE - Three.js library
+     * @returns {THREE.Group} Indicator group (hidden)
+     */
+    _createAlertIndicator(THREE) {
+        const group = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color: 0xffcc00 });
+
+        const bar = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.55, 0.16), material);
+        bar.position.y = 0.2;
+        group.add(bar);
+
+        const dot = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.16, 0.16), material);
+        dot.position.y = -0.25;
+        group.add(dot);
+
+        group.userData.material = material;
+        group.visible = false;
+        return group;
+    },
+
+    /**
+     * Show a skeleton's perception state
+     * Idle hides the marker; suspicious shows a small one, alert a full-size
+     * one and wide-open eyes.
+     * @param {THREE.Group} enemyMesh - Skeleton visual (holds alertIndicator and eye references)
+     * @param {string} state - 'idle' | 'suspicious' | 'alert'
+     * @param {Object} [theme] - Colors {suspiciousColor, alertColor}
+     */
+    updateAlertIndicator(enemyMesh, state, theme = {}) {
+        if (!enemyMesh || !enemyMesh.userData) return;
+
+        const indicator = enemyMesh.userData.alertIndicator;
+        if (indicator) {
+            indicator.visible = state === 'suspicious' || state === 'alert';
+            if (indicator.visible) {
+                const alert = state === 'alert';
+                indicator.userData.material.color.setHex(alert
+                    ? (theme.alertColor ?? 0xff2200)
+                    : (theme.suspiciousColor ?? 0xffcc00));
+                indicator.scale.setScalar(alert ? 1 : 0.7);
+            }
+        }
+
+        // Squashed angry eyes open wide once the skeleton is onto the player
+        const eyeScaleY = state === 'alert' ? 1.1 : 0.7;
+        [enemyMesh.userData.leftEye, enemyMesh.userData.rightEye].forEach(eye => {
+            if (eye) eye.scale.y = eyeScaleY;
+        });
+    },
+
     /**
      * Update skeleton health bar display
      * @param {THREE.Group} healthBar - Health bar group
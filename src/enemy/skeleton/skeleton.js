@@ -33,7 +33,9 @@ const Skeleton = {
         eyeColor: 0xff0000,       // Blood red eyes
         smileColor: 0x8b0000,     // Dark red smile
         cartColor: 0x1a1a1a,      // Dark cart
-        hornColor: 0x8b0000       // Devil horns
+        hornColor: 0x8b0000,      // Devil horns
+        suspiciousColor: 0xffcc00, // "!" marker when suspicious
+        alertColor: 0xff2200      // "!" marker when alert
     },
 
     // ==========================================
@@ -92,6 +94,17 @@ const Skeleton = {
         return SkeletonAnimation.animateWalk(enemyMesh, walkTimer, walkSpeed);
     },
 
+    /**
+     * Show perception state (alert marker and eyes)
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {string} state - 'idle' | 'suspicious' | 'alert'
+     */
+    showAlertState(enemyMesh, state) {
+        if (typeof SkeletonMesh !== 'undefined' && SkeletonMesh.updateAlertIndicator) {
+            SkeletonMesh.updateAlertIndicator(enemyMesh, state, this.theme);
+        }
+    },
+
     /**
      * Update skeleton health bar
      * @param {THREE.Group} healthBar - Health bar mesh
@@ -0,0 +1,41 @@
+// ============================================
+// STOCK CLERK ANIMATION - Pure Animation Logic
+// ============================================
+// Stateless animation functions for stock clerk enemy
+// Receives all data as parameters
+
+const StockClerkAnimation = {
+    /**
+     * Animate stock clerk walking - stiff zombie shamble with arms held out
+     * @param {THREE.Group} enemyMesh - Enemy mesh with userData references
+     * @param {number} walkTimer - Current walk animation timer
+     * @param {number} walkSpeed - Walk speed multiplier
+     * @returns {number} Updated walk timer
+     */
+    animateWalk(enemyMesh, walkTimer, walkSpeed = 3) {
+        if (!enemyMesh || !enemyMesh.userData) return walkTimer;
+
+        const { leftLeg, rightLeg, leftArm, rightArm, head } = enemyMesh.userData;
+
+        // Short, dragging steps
+        const legSwing = Math.sin(walkTimer) * 0.35;
+        if (leftLeg) leftLeg.rotation.x = -legSwing;
+        if (rightLeg) rightLeg.rotation.x = legSwing;
+
+        // Arms stay raised toward the front and bob out of step with the legs
+        const armReach = -Math.PI / 2 + 0.15;
+        if (leftArm) leftArm.rotation.x = armReach + Math.sin(walkTimer * 0.9) * 0.1;
+        if (rightArm) rightArm.rotation.x = armReach + Math.sin(walkTimer * 0.9 + Math.PI) * 0.1;
+
+        // Lolling head
+        if (head) {
+            head.rotation.x = 0.25 + Math.sin(walkTimer * 0.5) * 0.06;
+            head.rotation.z = Math.sin(walkTimer * 0.7) * 0.12;
+        }
+
+        // Lurch from side to side
+        enemyMesh.rotation.z = Math.sin(walkTimer) * 0.04;
+
+        return walkTimer;
+    }
+};
@@ -0,0 +1,214 @@
+// ============================================
+// STOCK CLERK MESH - Pure Mesh Creation
+// ============================================
+// Stateless mesh creation for the zombie stock clerk
+// Receives all dependencies as parameters
+
+const StockClerkMesh = {
+    /**
+     * Create complete stock clerk enemy with health bar
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} config - Enemy type config
+     * @returns {THREE.Group} Complete stock clerk group with health bar
+     */
+    createEnemy(THREE, config) {
+        const group = new THREE.Group();
+
+        // Merge theme with config for mesh creation
+        const configWithTheme = { ...config, visual: { ...StockClerk.theme, size: config.size } };
+
+        const visual = this.createMesh(THREE, configWithTheme);
+        group.add(visual);
+
+        // Copy all userData references
+        Object.assign(group.userData, visual.userData);
+        group.userData.cart = visual;
+
+        const healthBar = this._createHealthBar(THREE);
+        healthBar.position.y = (config.size?.h || 2.3) + 0.6;
+        healthBar.rotation.x = -0.3;
+        group.add(healthBar);
+        group.userData.healthBar = healthBar;
+
+        return group;
+    },
+
+    /**
+     * Create stock clerk mesh - shambling zombie in a store vest, arms out to push
+     * Player looks at -Z, sees +Z side of enemy, so we build with front at +Z
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} config - Enemy type config with visual theme
+     * @returns {THREE.Group} Stock clerk mesh group
+     */
+    createMesh(THREE, config) {
+        const group = new THREE.Group();
+        const v = config.visual;
+        const size = v.size || { w: 1.2, h: 2.3, d: 0.9 };
+
+        const skinMat = new THREE.MeshStandardMaterial({ color: v.skinColor, roughness: 0.9 });
+        const shirtMat = new THREE.MeshStandardMaterial({ color: v.shirtColor, roughness: 0.8 });
+        const vestMat = new THREE.MeshStandardMaterial({ color: v.vestColor, roughness: 0.7 });
+        const pantsMat = new THREE.MeshStandardMaterial({ color: v.pantsColor, roughness: 0.85 });
+        const tagMat = new THREE.MeshStandardMaterial({ color: v.tagColor, roughness: 0.4 });
+        const eyeMat = new THREE.MeshStandardMaterial({
+            color: v.eyeColor,
+            emissive: v.eyeColor,
+            emissiveIntensity: 0.6
+        });
+
+        const legHeight = 0.42 * size.h;
+        const torsoHeight = 0.36 * size.h;
+        const torsoWidth = 0.6 * size.w;
+        const torsoDepth = 0.38 * size.d;
+
+        // Legs (pivot at the hip so rotation swings them)
+        const createLimb = (w, h, d, mat) => {
+            const limb = new THREE.Group();
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
+            mesh.position.y = -h / 2;
+            mesh.castShadow = true;
+            limb.add(mesh);
+            return limb;
+        };
+
+        const leftLeg = createLimb(0.2 * size.w, legHeight, 0.24 * size.d, pantsMat);
+        const rightLeg = createLimb(0.2 * size.w, legHeight, 0.24 * size.d, pantsMat);
+        leftLeg.position.set(0.15 * size.w, legHeight, 0);
+        rightLeg.position.set(-0.15 * size.w, legHeight, 0);
+        group.add(leftLeg, rightLeg);
+
+        // Torso: shirt with the store vest over the front
+        const torso = new THREE.Mesh(new THREE.BoxGeometry(torsoWidth, torsoHeight, torsoDepth), shirtMat);
+        torso.position.y = legHeight + torsoHeight / 2;
+        torso.castShadow = true;
+        group.add(torso);
+
+        const vest = new THREE.Mesh(
+            new THREE.BoxGeometry(torsoWidth * 1.04, torsoHeight * 0.92, torsoDepth * 1.08),
+            vestMat
+        );
+        vest.position.y = torso.position.y - torsoHeight * 0.04;
+        group.add(vest);
+
+        // Name tag on the vest
+        const tag = new THREE.Mesh(new THREE.BoxGeometry(0.18 * size.w, 0.05 * size.h, 0.02), tagMat);
+        tag.position.set(0.14 * size.w, torso.position.y + torsoHeight * 0.2, torsoDepth * 0.56);
+        group.add(tag);
+
+        // Arms reach forward (+Z) - pivot at the shoulder
+        const armLength = 0.34 * size.h;
+        const shoulderY = legHeight + torsoHeight * 0.9;
+        const leftArm = createLimb(0.14 * size.w, armLength, 0.16 * size.d, shirtMat);
+        const rightArm = createLimb(0.14 * size.w, armLength, 0.16 * size.d, shirtMat);
+        [leftArm, rightArm].forEach((arm, i) => {
+            const hand = new THREE.Mesh(new THREE.BoxGeometry(0.16 * size.w, 0.08 * size.h, 0.18 * size.d), skinMat);
+            hand.position.y = -armLength - 0.04 * size.h;
+            arm.add(hand);
+            arm.position.set((i === 0 ? 1 : -1) * (torsoWidth / 2 + 0.08 * size.w), shoulderY, 0);
+            arm.rotation.x = -Math.PI / 2 + 0.15;
+        });
+        group.add(leftArm, rightArm);
+
+        // Head: slumped forward, sunken glowing eyes
+        const head = new THREE.Group();
+        const skull = new THREE.Mesh(new THREE.BoxGeometry(0.36 * size.w, 0.17 * size.h, 0.36 * size.d), skinMat);
+        skull.castShadow = true;
+        head.add(skull);
+        [-1, 1].forEach(side => {
+            const eye = new THREE.Mesh(new THREE.SphereGeometry(0.035 * size.w, 8, 8), eyeMat);
+            eye.position.set(side * 0.08 * size.w, 0.02 * size.h, 0.18 * size.d);
+            head.add(eye);
+        });
+        const jaw = new THREE.Mesh(new THREE.BoxGeometry(0.26 * size.w, 0.04 * size.h, 0.1 * size.d), pantsMat);
+        jaw.position.set(0, -0.05 * size.h, 0.16 * size.d);
+        head.add(jaw);
+        head.position.set(0, legHeight + torsoHeight + 0.1 * size.h, 0.04 * size.d);
+        head.rotation.x = 0.25;
+        group.add(head);
+
+        group.userData.body = torso;
+        group.userData.head = head;
+        group.userData.leftArm = leftArm;
+        group.userData.rightArm = rightArm;
+        group.userData.leftLeg = leftLeg;
+        group.userData.rightLeg = rightLeg;
+
+        return group;
+    },
+
+    // ==========================================
+    // HEALTH BAR
+    // ==========================================
+
+    /**
+     * Create health bar
+     * @private
+     * @param {THREE} THREE - Three.js library
+     * @returns {THREE.Group} Health bar group
+     */
+    _createHealthBar(THREE) {
+        const group = new THREE.Group();
+        const width = 1.6;
+
+        const bg = new THREE.Mesh(
+            new THREE.PlaneGeometry(width + 0.1, 0.25),
+            new THREE.MeshBasicMaterial({ color: 0x1a1a1a })
+        );
+        group.add(bg);
+
+        const fillMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+        const fill = new THREE.Mesh(
+            new THREE.PlaneGeometry(width - 0.05, 0.15),
+            fillMat
+        );
+        fill.position.z = 0.01;
+        group.add(fill);
+
+        group.userData.fill = fill;
+        group.userData.fillMat = fillMat;
+        group.userData.width = width;
+
+        return group;
+    },
+
+    /**
+     * Update health bar display
+     * @param {THREE.Group} healthBar - Health bar group
+     * @param {number} percent - Health percentage (0-1)
+     */
+    updateHealthBar(healthBar, percent) {
+        if (!healthBar || !healthBar.userData.fill) return;
+
+        const fill = healthBar.userData.fill;
+        const width = healthBar.userData.width || 1.6;
+
+        fill.scale.x = Math.max(0, percent);
+        fill.position.x = -(width / 2) * (1 - percent);
+
+        const mat = healthBar.userData.fillMat;
+        if (percent > 0.6) {
+            mat.color.setHex(0x00ff00);
+        } else if (percent > 0.3) {
+            mat.color.setHex(0xffff00);
+        } else {
+            mat.color.setHex(0xff0000);
+        }
+    },
+
+    /**
+     * Apply hit flash effect to the torso
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} intensity - Flash intensity
+     */
+    applyHitFlash(enemyMesh, intensity) {
+        const body = enemyMesh?.userData?.body;
+        if (!body || !body.material || !body.material.emissive) return;
+
+        if (intensity > 0) {
+            body.material.emissive.setHex(0xffffff);
+            body.material.emissiveIntensity = intensity;
+        } else {
+            body.material.emissiveIntensity = 0;
+        }
+    }
+};
@@ -0,0 +1,87 @@
+// ============================================
+// STOCK CLERK - Behavioral Module
+// ============================================
+// Zombie stock clerk (shove behavior): walks to the nearest obstacle and
+// pushes it into the player. Delegates to mesh and animation.
+
+var EnemyTypeRegistry = (typeof globalThis !== 'undefined')
+    ? (globalThis.EnemyTypeRegistry = globalThis.EnemyTypeRegistry || {})
+    : {};
+
+const StockClerk = {
+    // ==========================================
+    // IDENTITY
+    // ==========================================
+
+    id: 'stock_clerk',
+    name: 'Stock Clerk',
+
+    // ==========================================
+    // CONFIGURATION (References central config)
+    // ==========================================
+
+    get config() {
+        return Enemy.types.STOCK_CLERK;
+    },
+
+    // ==========================================
+    // THEME (Colors and visual styling)
+    // ==========================================
+
+    theme: {
+        skinColor: 0x8fa37a,      // Sickly green-grey
+        shirtColor: 0xd8d2c4,     // Stained work shirt
+        vestColor: 0x1f5fa8,      // Store-blue vest
+        pantsColor: 0x5a4a3a,     // Brown slacks
+        tagColor: 0xf1c40f,       // Name tag
+        eyeColor: 0xccff33        // Glowing eyes
+    },
+
+    // ==========================================
+    // MESH CREATION (Delegates to StockClerkMesh)
+    // ==========================================
+
+    /**
+     * Create stock clerk mesh
+     * @param {THREE} THREE - Three.js library
+     * @returns {THREE.Group} Stock clerk mesh group
+     */
+    createMesh(THREE, config = this.config) {
+        return StockClerkMesh.createEnemy(THREE, config);
+    },
+
+    // ==========================================
+    // ANIMATION (Delegates to StockClerkAnimation)
+    // ==========================================
+
+    /**
+     * Animate stock clerk walking
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} walkTimer - Walk animation timer
+     * @returns {number} Updated walk timer
+     */
+    animateWalk(enemyMesh, walkTimer) {
+        const walkSpeed = this.config.walkSpeed || 3;
+        return StockClerkAnimation.animateWalk(enemyMesh, walkTimer, walkSpeed);
+    },
+
+    /**
+     * Apply hit flash effect
+     * @param {THREE.Group} enemyMesh - Enemy mesh
+     * @param {number} intensity - Flash intensity
+     */
+    applyHitFlash(enemyMesh, intensity) {
+        StockClerkMesh.applyHitFlash(enemyMesh, intensity);
+    },
+
+    /**
+     * Update stock clerk health bar
+     * @param {THREE.Group} healthBar - Health bar mesh
+     * @param {number} percent - Health percent 0-1
+     */
+    updateHealthBar(healthBar, percent) {
+        StockClerkMesh.updateHealthBar(healthBar, percent);
+    }
+};
+
+EnemyTypeRegistry.STOCK_CLERK = StockClerk;
@@ -14,8 +14,12 @@ const CollisionOrchestrator = {
                 obstacleQuickCheckDist: 64,
                 enemyHitboxYOffset: 1.2,
                 enemyHitRadius: 2.5,
+                headshotYOffset: 2.2,
                 obstacleHitYFactor: 0.4,
                 obstacleHitRadiusFactor: 0.8,
+                playerHitYOffset: 1.2,
+                playerHitRadius: 1.6,
+                projectileShootDownRadius: 0.9,
                 defaultHitRadius: 2,
                 defaultObstacleHeight: 2,
                 defaultObstacleWidth: 2,
@@ -23,6 +27,7 @@ const CollisionOrchestrator = {
                 losDoorTolerance: 1
             };
     },
+
     // ==========================================
     // DISTANCE-BASED COLLISION
     // ==========================================
@@ -789,15 +794,32 @@ const CollisionOrchestrator = {
     // ==========================================
 
     /**
-     * Process projectile hits against enemies, obstacles, walls, and shelves
-     * Uses sweep collision for fast-moving projectiles
-     * @param {Array} projectiles - Array of projectile meshes
+     * Check if a projectile was fired by an enemy (userData.faction)
+     * @param {Object} proj - Projectile mesh
+     * @returns {boolean}
+     */
+    isEnemyProjectile(proj) {
+        return proj?.userData?.faction === 'enemy';  // Projectile.factions.ENEMY
+    },
+
+    /**
+     * Process projectile hits against enemies, obstacles, walls, shelves and the player
+     * Uses sweep collision for fast-moving projectiles. Player shots hit enemies and
+     * obstacles; enemy shots (userData.faction 'enemy') hit the player, are stopped by
+     * walls, shelves and obstacles, and can be shot down by player shots.
+     * Player shots with userData.ricochet bounce off walls and shelves until it runs out.
+     * @param {Array} projectiles - Array of projectile meshes (both factions)
      * @param {Array} enemies - Array of enemy meshes
      * @param {Array} obstacles - Array of obstacle meshes
      * @param {Object} options - Options and callbacks
      * @param {Function} options.onEnemyHit - Callback(enemy, damage, closestPoint, destroyed)
      * @param {Function} options.onObstacleHit - Callback(obstacle, closestPoint)
-     * @param {Function} options.onWallHit - Callback(position) when hitting wall/shelf
+     * @param {Function} options.onWallHit - Callback(position) when hitting wall/shelf (or an obstacle, for enemy shots)
+     * @param {Function} options.onPlayerHit - Callback(projectile, damage, hitPoint) when an enemy shot hits the player
+     * @param {Function} options.onProjectileShotDown - Callback(enemyShot, playerShot, hitPoint)
+     * @param {Function} options.onPuddle - Callback(position, puddle) when a shot with userData.puddle stops
+     * @param {Object} options.playerPosition - Player position {x, z} (enemy shots ignore the player without it)
+     * @param {boolean} options.playerInvulnerable - Enemy shots pass through the player while true
      * @param {Object} options.gridOrchestrator - Grid system for wall collision
      * @param {Object} options.roomConfig - Room config for wall collision
      * @param {Array} options.shelves - Shelf meshes for collision
@@ -809,14 +831,22 @@ const CollisionOrchestrator = {
             onObstacleHit = null,
             onWallHit = null,
             onSplashHit = null,
+            onPlayerHit = null,
+            onProjectileShotDown = null,
+            onPuddle = null,
+            playerPosition = null,
+            playerInvulnerable = false,
             gridOrchestrator = null,
             roomConfig = null,
             shelves = null,
             THREE
         } = options;
 
+        this._processShootDowns(projectiles, onProjectileShotDown);
+
         projectiles.forEach(proj => {
             if (!proj.userData.active) return;
+            const enemyShot = this.isEnemyProjectile(proj);
 
             // Store previous position for sweep check
             const prevPos = proj.userData.prevPosition || proj.position.clone();
@@ -830,8 +860,9 @@ const CollisionOrchestrator = {
             }
 
             // Check wall collision (using 2D line check + room boundary check)
-            // Only check if projectile has moved a meaningful distance (not just spawned)
-            if (gridOrchestrator && roomConfig && proj.userData.active && projLen > 0.5) {
+            // Only check if projectile has moved a meaningful distance (not just spawned).
+            // Enemy shots are slow enough to cover less than that per frame - always check them.
+            if (gridOrchestrator && roomConfig && proj.userData.active && (projLen > 0.5 || enemyShot)) {
                 let hitWall = false;
                 // Check if LOS is blocked between prev and current position (room-to-room)
                 if (!this.hasLineOfSight(prevPos.x, prevPos.z, currPos.x, currPos.z, gridOrchestrator, roomConfig)) {
@@ -843,6 +874,14 @@ const CollisionOrchestrator = {
                     hitWall = true;
                 }
 
+                if (hitWall && !enemyShot && proj.userData.ricochet > 0) {
+                    if (onWallHit) {
+                        onWallHit(currPos.clone());
+                    }
+                    this._ricochet(proj, prevPos, this._wallBlockedAxis(prevPos, currPos, gridOrchestrator, roomConfig));
+                    return;
+                }
+
                 if (hitWall) {
                     proj.userData.active = false;
                     if (onWallHit) {
@@ -852,14 +891,15 @@ const CollisionOrchestrator = {
                     const projConfig = proj.userData.projectileConfig ||
                         (typeof Projectile !== 'undefined' && proj.userData.projectileType
                             ? Projectile.get(proj.userData.projectileType) : null);
-                    if (projConfig?.splash && projConfig.splashRadius > 0) {
+                    if (!enemyShot && projConfig?.splash && projConfig.splashRadius > 0) {
                         this.processSplashDamage(
                             { x: currPos.x, y: currPos.y, z: currPos.z },
-                            projConfig.splashRadius,
+                            projConfig.splashRadius * (proj.userData.splashScale || 1),
                             projConfig.splashDamage || 0.5,
                             enemies,
                             null,
-                            onSplashHit || onEnemyHit
+                            onSplashHit || onEnemyHit,
+                            proj.userData.effects
                         );
                     }
                 }
@@ -885,6 +925,13 @@ const CollisionOrchestrator = {
                     };
 
                     if (this.lineAABB2D({ x: prevPos.x, z: prevPos.z }, { x: currPos.x, z: currPos.z }, box)) {
+                        if (!enemyShot && proj.userData.ricochet > 0) {
+                            if (onWallHit) {
+                                onWallHit(currPos.clone());
+                            }
+                            this._ricochet(proj, prevPos, prevPos.x < box.minX || prevPos.x > box.maxX ? 'x' : 'z');
+                            return;
+                        }
                         proj.userData.active = false;
                         if (onWallHit) {
                             onWallHit(currPos.clone());
@@ -893,14 +940,15 @@ const CollisionOrchestrator = {
                         const projConfig = proj.userData.projectileConfig ||
                             (typeof Projectile !== 'undefined' && proj.userData.projectileType
                                 ? Projectile.get(proj.userData.projectileType) : null);
-                        if (projConfig?.splash && projConfig.splashRadius > 0) {
+                        if (!enemyShot && projConfig?.splash && projConfig.splashRadius > 0) {
                             this.processSplashDamage(
                                 { x: currPos.x, y: currPos.y, z: currPos.z },
-                                projConfig.splashRadius,
+                                projConfig.splashRadius * (proj.userData.splashScale || 1),
                                 projConfig.splashDamage || 0.5,
                                 enemies,
                                 null,
-                                onSplashHit || onEnemyHit
+                                onSplashHit || onEnemyHit,
+                                proj.userData.effects
                             );
                         }
                         break;
@@ -908,8 +956,17 @@ const CollisionOrchestrator = {
                 }
             }
 
-            // Check enemy collisions with early exit and optimized vectors
+            // Enemy shots: obstacles block them, then check the player
             const cfg = this.config;
+            if (enemyShot) {
+                this._processEnemyShot(proj, prevPos, currPos, obstacles, {
+                    onWallHit, onPlayerHit, playerPosition, playerInvulnerable
+                });
+                proj.userData.prevPosition = proj.position.clone();
+                return;
+            }
+
+            // Check enemy collisions with early exit and optimized vectors
             for (let i = 0; i < enemies.length && proj.userData.active; i++) {
                 const enemy = enemies[i];
                 if (!enemy.userData.active) continue;
@@ -934,7 +991,15 @@ const CollisionOrchestrator = {
                     const dist = closestPoint.distanceTo(enemyCenter);
 
                     if (dist < hitRadius) {
-                        proj.userData.active = false;
+                        // Piercing shots carry on through (each enemy is hit once)
+                        const hitEnemies = proj.userData.hitEnemies || [];
+                        if (hitEnemies.includes(enemy)) continue;
+                        if (proj.userData.pierce > 0) {
+                            proj.userData.pierce--;
+                            proj.userData.hitEnemies = [...hitEnemies, enemy];
+                        } else {
+                            proj.userData.active = false;
+                        }
                         const damage = proj.userData.damage || 1;
 
                         // Get projectile config for status effects
@@ -962,25 +1027,28 @@ const CollisionOrchestrator = {
                             ? EnemyOrchestrator.damage(enemy, damage)
                             : { hit: true, destroyed: enemy.userData.health <= damage };
 
-                        if (result && onEnemyHit) {
-                            onEnemyHit(enemy, damage, closestPoint, result);
+                        // Weapon status effects (soaked, stunned on headshots, burning) on survivors
+                        if (result && !result.destroyed && proj.userData.effects && typeof EnemyOrchestrator !== 'undefined') {
+                            const headY = enemy.userData.config?.headshotHeight ?? cfg.headshotYOffset;
+                            const headshot = closestPoint.y - enemy.position.y >= headY;
+                            result.headshot = headshot;
+                            result.effects = EnemyOrchestrator.applyEffects(enemy, proj.userData.effects, { headshot });
                         }
 
-                        // Apply slow effect if projectile has slow and enemy not destroyed
-                        if (projConfig?.slow?.enabled && result && !result.destroyed) {
-                            enemy.userData.slowedUntil = Date.now() + (projConfig.slow.duration * 1000);
-                            enemy.userData.slowMultiplier = projConfig.slow.speedMultiplier;
+                        if (result && onEnemyHit) {
+                            onEnemyHit(enemy, damage, closestPoint, result);
                         }
 
                         // Process splash damage if projectile has splash properties
                         if (projConfig?.splash && projConfig.splashRadius > 0) {
                             this.processSplashDamage(
                                 closestPoint,
-                                projConfig.splashRadius,
+                                projConfig.splashRadius * (proj.userData.splashScale || 1),
                                 projConfig.splashDamage || 0.5,
                                 enemies,
                                 enemy,
-                                onSplashHit || onEnemyHit
+                                onSplashHit || onEnemyHit,
+                                proj.userData.effects
                             );
                         }
                     }
@@ -1027,22 +1095,131 @@ const CollisionOrchestrator = {
                         if (projConfig?.splash && projConfig.splashRadius > 0) {
                             this.processSplashDamage(
                                 closestPoint,
-                                projConfig.splashRadius,
+                                projConfig.splashRadius * (proj.userData.splashScale || 1),
                                 projConfig.splashDamage || 0.5,
                                 enemies,
                                 null,
-                                onSplashHit || onEnemyHit
+                                onSplashHit || onEnemyHit,
+                                proj.userData.effects
                             );
                         }
                     }
                 }
             }
 
+            // Water gun puddle shots leave a puddle wherever they stop
+            if (!proj.userData.active && proj.userData.puddle && onPuddle) {
+                onPuddle(currPos.clone(), proj.userData.puddle);
+            }
+
             // Store current position for next frame's sweep check
             proj.userData.prevPosition = proj.position.clone();
         });
     },
 
+    /**
+     * Bounce a ricochet shot off a wall or shelf instead of stopping it
+     * Steps it back to where it was before the wall and flips its velocity
+     * across the blocked axis.
+     * @param {Object} proj - Projectile mesh (userData.ricochet > 0)
+     * @param {Object} prevPos - Position before this frame's move
+     * @param {string} axis - 'x' or 'z', the axis the surface blocks
+     * @private
+     */
+    _ricochet(proj, prevPos, axis) {
+        proj.userData.ricochet--;
+        proj.userData.velocity[axis] = -proj.userData.velocity[axis];
+        proj.position.copy(prevPos);
+        proj.userData.prevPosition = prevPos.clone();
+    },
+
+    /**
+     * Which axis a room wall blocks for a move (the X-only part of the move hits it, or not)
+     * @private
+     */
+    _wallBlockedAxis(prevPos, currPos, gridOrchestrator, roomConfig) {
+        const blockedX = !this.hasLineOfSight(prevPos.x, prevPos.z, currPos.x, prevPos.z, gridOrchestrator, roomConfig) ||
+            this.isHittingRoomWall(currPos.x, prevPos.z, gridOrchestrator, roomConfig, 0.2);
+        return blockedX ? 'x' : 'z';
+    },
+
+    /**
+     * Resolve an enemy shot against obstacles and the player hitbox
+     * Sweeps from the previous to the current position so fast throws
+     * can't tunnel through the cart.
+     * @private
+     */
+    _processEnemyShot(proj, prevPos, currPos, obstacles, options) {
+        const { onWallHit, onPlayerHit, playerPosition, playerInvulnerable } = options;
+        const cfg = this.config;
+
+        for (let i = 0; i < obstacles.length && proj.userData.active; i++) {
+            const obs = obstacles[i];
+            if (!obs.userData.active || obs.userData.hit) continue;
+
+            const obsDx = obs.position.x - currPos.x;
+            const obsDz = obs.position.z - currPos.z;
+            if (obsDx * obsDx + obsDz * obsDz > cfg.obstacleQuickCheckDist) continue;
+
+            const obsHeight = obs.userData.height || cfg.defaultObstacleHeight;
+            const obsWidth = obs.userData.width || cfg.defaultObstacleWidth;
+            const obsCenter = {
+                x: obs.position.x,
+                y: obs.position.y + obsHeight * cfg.obstacleHitYFactor,
+                z: obs.position.z
+            };
+            if (this._sweepHit(prevPos, currPos, obsCenter, obsWidth * cfg.obstacleHitRadiusFactor)) {
+                proj.userData.active = false;
+                if (onWallHit) onWallHit(currPos.clone());
+            }
+        }
+
+        if (!proj.userData.active || !playerPosition || playerInvulnerable) return;
+
+        const playerCenter = { x: playerPosition.x, y: cfg.playerHitYOffset, z: playerPosition.z };
+        const hit = this._sweepHit(prevPos, currPos, playerCenter, cfg.playerHitRadius);
+        if (hit) {
+            proj.userData.active = false;
+            if (onPlayerHit) onPlayerHit(proj, proj.userData.damage || 1, hit.point);
+        }
+    },
+
+    /**
+     * Player shots knock shootable enemy shots out of the air (both are consumed)
+     * @private
+     */
+    _processShootDowns(projectiles, onShotDown) {
+        const targets = projectiles.filter(p => p.userData.active && this.isEnemyProjectile(p) &&
+            p.userData.projectileConfig?.shootable);
+        if (targets.length === 0) return;
+
+        const radius = this.config.projectileShootDownRadius;
+        projectiles.forEach(proj => {
+            if (!proj.userData.active || this.isEnemyProjectile(proj)) return;
+            const prevPos = proj.userData.prevPosition || proj.position;
+
+            for (const target of targets) {
+                if (!target.userData.active) continue;
+                const hit = this._sweepHit(prevPos, proj.position, target.position, radius);
+                if (hit) {
+                    proj.userData.active = false;
+                    target.userData.active = false;
+                    if (onShotDown) onShotDown(target, proj, hit.point);
+                    break;
+                }
+            }
+        });
+    },
+
+    /**
+     * Sweep test that also catches a segment ending inside the sphere
+     * @private
+     */
+    _sweepHit(prevPos, currPos, center, radius) {
+        return this.sweepSphere(prevPos, currPos, center, radius) ||
+            (this.distance3D(currPos, center) < radius ? { point: currPos.clone() } : null);
+    },
+
     /**
      * Process splash damage from a projectile impact
      * @param {Object} impactPos - Impact position {x, y, z}
@@ -1051,8 +1228,9 @@ const CollisionOrchestrator = {
      * @param {Array} enemies - Enemy meshes to check
      * @param {Object} hitEnemy - The enemy that was directly hit (to exclude)
      * @param {Function} onSplashHit - Callback(enemy, damage, result)
+     * @param {Array} [effects] - Status effects for splashed survivors (headshot-only ones never apply)
      */
-    processSplashDamage(impactPos, splashRadius, splashDamage, enemies, hitEnemy, onSplashHit) {
+    processSplashDamage(impactPos, splashRadius, splashDamage, enemies, hitEnemy, onSplashHit, effects = null) {
         if (!enemies || splashRadius <= 0 || splashDamage <= 0) return;
 
         const splashRadiusSq = splashRadius * splashRadius;
@@ -1078,6 +1256,9 @@ const CollisionOrchestrator = {
                         ? EnemyOrchestrator.damage(enemy, damage)
                         : { hit: true, destroyed: enemy.userData.health <= damage };
 
+                    if (result && !result.destroyed && effects && typeof EnemyOrchestrator !== 'undefined') {
+                        result.effects = EnemyOrchestrator.applyEffects(enemy, effects);
+                    }
                     if (result && onSplashHit) {
                         // Pass 4 args to match onEnemyHit signature (enemy, damage, closestPoint, result)
                         onSplashHit(enemy, damage, impactPos, result);
@@ -1246,6 +1427,7 @@ const CollisionOrchestrator = {
      * @param {Array} options.obstacles - Obstacle meshes to check against
      * @param {Array} options.shelves - Shelf meshes to check against
      * @param {number} options.playerRadius - Player collision radius (for margin)
+     * @param {Object} options.ignoreObstacle - Obstacle mesh that doesn't block (one being shoved)
      * @returns {boolean} True if line of sight exists
      */
     hasLineOfSightWithPhysicals(fromX, fromZ, toX, toZ, options) {
@@ -1254,7 +1436,8 @@ const CollisionOrchestrator = {
             roomConfig,
             obstacles = null,
             shelves = null,
-            playerRadius = 1.2
+            playerRadius = 1.2,
+            ignoreObstacle = null
         } = options;
 
         // 1. First check basic wall/door LOS
@@ -1271,7 +1454,7 @@ const CollisionOrchestrator = {
         if (obstacles && obstacles.length > 0) {
             for (const obs of obstacles) {
                 // Skip inactive or hit obstacles
-                if (!obs.userData?.active || obs.userData.hit) continue;
+                if (!obs.userData?.active || obs.userData.hit || obs === ignoreObstacle) continue;
 
                 // Get obstacle collision radius
                 const obsRadius = obs.userData.collisionRadius ||
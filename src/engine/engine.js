@@ -35,8 +35,17 @@ const Engine = {
         TURN_LEFT: 'turnLeft',
         TURN_RIGHT: 'turnRight',
         FIRE: 'fire',
+        ALT_FIRE: 'altFire',         // Weapon secondary fire (onAltFireStart/onAltFireRelease)
         PAUSE: 'pause',
-        FREEZE: 'freeze'
+        FREEZE: 'freeze',
+        WEAPON_NEXT: 'weaponNext',
+        WEAPON_PREV: 'weaponPrev',
+        WEAPON_1: 'weapon1',         // Weapon slots in pickup order
+        WEAPON_2: 'weapon2',
+        WEAPON_3: 'weapon3',
+        WEAPON_4: 'weapon4',
+        WEAPON_5: 'weapon5',
+        WEAPON_6: 'weapon6'
     },
 
     // Default key bindings (key code -> action)
@@ -50,8 +59,43 @@ const Engine = {
         'KeyD': 'turnRight',
         'ArrowRight': 'turnRight',
         'Space': 'fire',
+        'KeyF': 'altFire',
         'Escape': 'pause',
-        'KeyP': 'freeze'
+        'KeyP': 'freeze',
+        'KeyC': 'weaponNext',
+        'KeyZ': 'weaponPrev',
+        'WheelDown': 'weaponNext',   // Mouse wheel (InputOrchestrator wheel listener)
+        'WheelUp': 'weaponPrev',
+        'Digit1': 'weapon1',
+        'Digit2': 'weapon2',
+        'Digit3': 'weapon3',
+        'Digit4': 'weapon4',
+        'Digit5': 'weapon5',
+        'Digit6': 'weapon6',
+        // Gamepad buttons (standard mapping index)
+        'Gamepad0': 'fire',          // A / Cross
+        'Gamepad7': 'fire',          // Right trigger (pressure sets slingshot tension)
+        'Gamepad6': 'altFire',       // Left trigger
+        'Gamepad4': 'weaponPrev',    // Left bumper
+        'Gamepad5': 'weaponNext',    // Right bumper
+        'Gamepad9': 'pause',         // Start / Options
+        'Gamepad12': 'forward',      // D-pad
+        'Gamepad13': 'backward',
+        'Gamepad14': 'turnLeft',
+        'Gamepad15': 'turnRight'
+    },
+
+    // Gamepad polling (standard mapping)
+    gamepad: {
+        MOVE_AXIS: 1,                // Left stick Y (up is negative) -> forward/backward
+        TURN_AXIS: 0,                // Left stick X -> turnLeft/turnRight
+        DEADZONE: 0.2,               // Stick deflection ignored around center
+        PRESS_THRESHOLD: 0.1         // Trigger value that counts as a press
+    },
+
+    // On-screen touch controls
+    touch: {
+        DEADZONE: 0.15               // Joystick deflection ignored around center (fraction of UI.touch.STICK_RADIUS)
     },
 
     // ==========================================
@@ -99,8 +143,12 @@ const Engine = {
             // Hitbox configuration
             enemyHitboxYOffset: 1.2,         // Y offset for enemy hitbox center
             enemyHitRadius: 2.5,             // Radius for projectile-enemy hits
+            headshotYOffset: 2.2,            // Hits at least this high above an enemy's feet are headshots
             obstacleHitYFactor: 0.4,         // Multiply obstacle height for hitbox Y center
             obstacleHitRadiusFactor: 0.8,    // Multiply obstacle width for hit radius
+            playerHitYOffset: 1.2,           // Y offset for the player cart hitbox center (enemy shots)
+            playerHitRadius: 1.6,            // Radius for enemy projectile-player hits
+            projectileShootDownRadius: 0.9,  // Player shot vs shootable enemy shot
 
             // Default hit radius (when not specified)
             defaultHitRadius: 2,
@@ -112,6 +160,13 @@ const Engine = {
             losDoorTolerance: 3              // Extra width tolerance for door checks
         },
 
+        // Enemy pathfinding (NavigationOrchestrator)
+        navigation: {
+            cellSize: 1.5,                   // Nav grid cell size inside a room
+            maxRooms: 4,                     // Most doors a path may cross before giving up
+            doorStep: 2                      // Waypoint distance either side of a door opening
+        },
+
         // Spawn limits
         spawn: {
             maxEnemies: 10,
@@ -134,6 +189,27 @@ const Engine = {
         UI: 'ui'
     },
 
+    // ==========================================
+    // PLAYER SETTINGS
+    // ==========================================
+    // Options in the settings panel (persisted by SettingsOrchestrator).
+    // type: 'range' (min/max/step), 'toggle' (boolean) or 'select' (options)
+    settings: {
+        fov: { type: 'range', min: 60, max: 100, step: 5, default: 75 },
+        pixelRatio: { type: 'select', options: [0.5, 0.75, 1, 1.5, 2], default: 1 },  // defaults.render.pixelRatio
+        shadows: { type: 'toggle', default: true },                                      // defaults.render.shadowMapEnabled
+        postProcessing: { type: 'toggle', default: false },
+        bloomStrength: { type: 'range', min: 0, max: 1, step: 0.05, default: 0.4 },
+        vignette: { type: 'toggle', default: true },
+        aimProfile: { type: 'select', options: ['STANDARD', 'NONE'], default: 'STANDARD' },  // Weapon.aimProfiles
+        mouseAim: { type: 'toggle', default: false },                                   // Pointer-lock mouse aim
+        mouseSensitivity: { type: 'range', min: 0.2, max: 3, step: 0.1, default: 1 },
+        touchControls: { type: 'select', options: ['AUTO', 'ON', 'OFF'], default: 'AUTO' },  // On-screen controls (AUTO: touch devices)
+        masterVolume: { type: 'range', min: 0, max: 1, step: 0.05, default: 0.8 },      // Sound.volume.MASTER
+        sfxVolume: { type: 'range', min: 0, max: 1, step: 0.05, default: 0.8 },         // Sound.volume.SFX
+        musicVolume: { type: 'range', min: 0, max: 1, step: 0.05, default: 0.5 }        // Sound.volume.MUSIC
+    },
+
     // ==========================================
     // HELPER METHODS
     // ==========================================
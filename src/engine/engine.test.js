@@ -391,6 +391,18 @@
             test.assertFalse(result, 'Should be blocked by obstacle in path');
         });
 
+        test.it('hasLineOfSightWithPhysicals - should see past the ignored obstacle only', () => {
+            const shoved = { position: { x: 5, z: 5 }, userData: { active: true, hit: false, collisionRadius: 2 } };
+            const other = { position: { x: 8, z: 8 }, userData: { active: true, hit: false, collisionRadius: 1 } };
+
+            test.assertTrue(CollisionOrchestrator.hasLineOfSightWithPhysicals(0, 0, 10, 10, {
+                obstacles: [shoved], ignoreObstacle: shoved
+            }), 'Ignored obstacle should not block');
+            test.assertFalse(CollisionOrchestrator.hasLineOfSightWithPhysicals(0, 0, 10, 10, {
+                obstacles: [shoved, other], ignoreObstacle: shoved
+            }), 'Other obstacles still block');
+        });
+
         test.it('hasLineOfSightWithPhysicals - should not be blocked by obstacle off to side', () => {
             const mockGrid = {
                 getRoomAtWorld: () => ({
@@ -532,6 +544,475 @@
         });
     });
 
+    // ==========================================
+    // NAVIGATION TESTS
+    // ==========================================
+
+    test.describe('Engine: Navigation', () => {
+        const roomConfig = { UNIT: 30, DOOR_WIDTH: 8 };
+
+        // Minimal room grid over a { 'x_z': doors[] } layout
+        const makeGrid = (layout) => {
+            const rooms = {};
+            Object.keys(layout).forEach(key => {
+                const [gridX, gridZ] = key.split('_').map(Number);
+                rooms[key] = { gridX, gridZ, doors: layout[key] };
+            });
+            const getRoom = (x, z) => rooms[`${x}_${z}`] || null;
+            const offsets = { north: [0, -1], south: [0, 1], east: [1, 0], west: [-1, 0] };
+            return {
+                getRoom,
+                getRoomAtWorld: (x, z) => getRoom(Math.floor(x / 30), Math.floor(z / 30)),
+                getNeighbors: (x, z) => {
+                    const neighbors = {};
+                    Object.keys(offsets).forEach(dir => {
+                        const room = getRoom(x + offsets[dir][0], z + offsets[dir][1]);
+                        if (room) neighbors[dir] = room;
+                    });
+                    return neighbors;
+                },
+                areConnected: (x1, z1, x2, z2) => {
+                    const dir = Object.keys(offsets).find(d => offsets[d][0] === x2 - x1 && offsets[d][1] === z2 - z1);
+                    return !!dir && getRoom(x1, z1).doors.includes(dir);
+                }
+            };
+        };
+
+        // 0_0 -- 1_0, with 1_1 below 1_0; 0_1 is next to 0_0 but walled off
+        const grid = makeGrid({
+            '0_0': ['east'],
+            '1_0': ['west', 'south'],
+            '1_1': ['north'],
+            '0_1': []
+        });
+
+        test.it('should find rooms through doors, not through walls', () => {
+            const path = NavigationOrchestrator.findRoomPath(grid.getRoom(0, 0), grid.getRoom(1, 1), grid);
+            test.assertEqual(path.map(r => `${r.gridX}_${r.gridZ}`).join(','), '0_0,1_0,1_1');
+            test.assertEqual(NavigationOrchestrator.findRoomPath(grid.getRoom(0, 0), grid.getRoom(0, 1), grid), null);
+        });
+
+        test.it('should give up beyond maxRooms and for walkers too wide for doors', () => {
+            const from = grid.getRoom(0, 0);
+            const to = grid.getRoom(1, 1);
+            test.assertEqual(NavigationOrchestrator.findRoomPath(from, to, grid, { maxRooms: 1 }), null);
+            test.assertEqual(NavigationOrchestrator.findRoomPath(from, to, grid, { roomConfig, radius: 4 }), null);
+            test.assertEqual(NavigationOrchestrator.findRoomPath(from, to, grid, { roomConfig, radius: 1 }).length, 3);
+        });
+
+        test.it('should place door points on the shared wall center', () => {
+            const door = NavigationOrchestrator.getDoorPoint(grid.getRoom(0, 0), grid.getRoom(1, 0), roomConfig);
+            test.assertEqual(door.x, 30);
+            test.assertEqual(door.z, 15);
+            const before = NavigationOrchestrator.getDoorPoint(grid.getRoom(0, 0), grid.getRoom(1, 0), roomConfig, 2);
+            test.assertEqual(before.x, 28);
+        });
+
+        test.it('should walk straight to a target in the same open room', () => {
+            const path = NavigationOrchestrator.findPath(5, 5, 25, 20, { gridOrchestrator: grid, roomConfig, radius: 1 });
+            test.assertEqual(path.length, 1);
+            test.assertEqual(path[0].x, 25);
+            test.assertEqual(path[0].z, 20);
+        });
+
+        test.it('should route around a shelf between start and target', () => {
+            const shelf = { position: { x: 15, z: 15 }, userData: { width: 4, depth: 20 } };
+            const path = NavigationOrchestrator.findPath(5, 15, 25, 15, {
+                gridOrchestrator: grid, roomConfig, shelves: [shelf], radius: 1
+            });
+            test.assertTrue(path.length > 1, 'Should bend around the shelf');
+            const grid2 = NavigationOrchestrator.buildNavGrid(grid.getRoom(0, 0), { roomConfig, shelves: [shelf], radius: 1 });
+            let prev = { x: 5, z: 15 };
+            path.forEach(point => {
+                test.assertTrue(NavigationOrchestrator._isLineOpen(grid2, prev, point, -1, -1), 'No leg should cut through the shelf');
+                prev = point;
+            });
+        });
+
+        test.it('should ignore knocked-over obstacles', () => {
+            const obstacle = { position: { x: 15, z: 15 }, userData: { active: true, hit: false, collisionRadius: 2 } };
+            const room = grid.getRoom(0, 0);
+            const standing = NavigationOrchestrator.buildNavGrid(room, { roomConfig, obstacles: [obstacle], radius: 1 });
+            const cell = NavigationOrchestrator._cellAt(standing, { x: 15, z: 15 });
+            test.assertEqual(standing.blocked[cell], 1);
+
+            obstacle.userData.hit = true;
+            const fallen = NavigationOrchestrator.buildNavGrid(room, { roomConfig, obstacles: [obstacle], radius: 1 });
+            test.assertEqual(fallen.blocked[cell], 0);
+        });
+
+        test.it('should lead through each door in turn to another room', () => {
+            const path = NavigationOrchestrator.findPath(15, 15, 45, 45, { gridOrchestrator: grid, roomConfig, radius: 1 });
+            const last = path[path.length - 1];
+            test.assertEqual(last.x, 45);
+            test.assertEqual(last.z, 45);
+            // Passes the east door of 0_0 (x = 30, z = 15) and the south door of 1_0 (x = 45, z = 30)
+            test.assertTrue(path.some(p => p.x === 32 && p.z === 15), 'Should step through the east door');
+            test.assertTrue(path.some(p => p.x === 45 && p.z === 32), 'Should step through the south door');
+        });
+
+        test.it('should return null when the target cannot be reached', () => {
+            test.assertEqual(NavigationOrchestrator.findPath(15, 15, 15, 45, { gridOrchestrator: grid, roomConfig }), null);
+            test.assertEqual(NavigationOrchestrator.findPath(15, 15, 200, 200, { gridOrchestrator: grid, roomConfig }), null);
+        });
+    });
+
+    // ==========================================
+    // PROJECTILE FACTION TESTS (enemy shots)
+    // ==========================================
+
+    test.describe('Engine Collision: Projectile Factions', () => {
+        const makeProjectile = (prev, curr, faction, extra = {}) => ({
+            position: new THREE.Vector3(curr.x, curr.y, curr.z),
+            userData: {
+                active: true,
+                damage: 10,
+                faction,
+                prevPosition: new THREE.Vector3(prev.x, prev.y, prev.z),
+                ...extra
+            }
+        });
+        const throughPlayer = (faction, extra) =>
+            makeProjectile({ x: 0, y: 1.2, z: -3 }, { x: 0, y: 1.2, z: 3 }, faction, extra);
+        const player = { x: 0, z: 0 };
+
+        test.it('should hit the player when an enemy shot passes through the hitbox', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const proj = throughPlayer('enemy', { damage: 12 });
+            const hits = [];
+            CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                playerPosition: player,
+                onPlayerHit: (p, damage) => hits.push(damage)
+            });
+            test.assertArrayEqual(hits, [12]);
+            test.assertFalse(proj.userData.active, 'Projectile should be consumed');
+        });
+
+        test.it('should not hit the player with player shots', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const proj = throughPlayer('player');
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                playerPosition: player,
+                onPlayerHit: () => hits++
+            });
+            test.assertEqual(hits, 0);
+            test.assertTrue(proj.userData.active);
+        });
+
+        test.it('should not hit enemies with enemy shots', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = { position: new THREE.Vector3(0, 0, 10), userData: { active: true, health: 4 } };
+            const proj = makeProjectile({ x: 0, y: 1.2, z: 8 }, { x: 0, y: 1.2, z: 12 }, 'enemy');
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [enemy], [], { onEnemyHit: () => hits++ });
+            test.assertEqual(hits, 0);
+            test.assertEqual(enemy.userData.health, 4);
+        });
+
+        test.it('should let enemy shots pass through an invulnerable player', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const proj = throughPlayer('enemy');
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                playerPosition: player,
+                playerInvulnerable: true,
+                onPlayerHit: () => hits++
+            });
+            test.assertEqual(hits, 0);
+            test.assertTrue(proj.userData.active);
+        });
+
+        test.it('should not hit when the enemy shot passes wide', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const proj = makeProjectile({ x: 5, y: 1.2, z: -3 }, { x: 5, y: 1.2, z: 3 }, 'enemy');
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                playerPosition: player,
+                onPlayerHit: () => hits++
+            });
+            test.assertEqual(hits, 0);
+            test.assertTrue(proj.userData.active);
+        });
+
+        test.it('should stop enemy shots at walls before reaching the player', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const originalLOS = CollisionOrchestrator.hasLineOfSight;
+            CollisionOrchestrator.hasLineOfSight = () => false;
+            const proj = throughPlayer('enemy');
+            let hits = 0;
+            let wallHits = 0;
+            try {
+                CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                    gridOrchestrator: {},
+                    roomConfig: {},
+                    playerPosition: player,
+                    onPlayerHit: () => hits++,
+                    onWallHit: () => wallHits++
+                });
+            } finally {
+                CollisionOrchestrator.hasLineOfSight = originalLOS;
+            }
+            test.assertEqual(hits, 0);
+            test.assertEqual(wallHits, 1);
+            test.assertFalse(proj.userData.active);
+        });
+
+        test.it('should block enemy shots with shelves', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const shelf = { position: { x: 0, z: -2 }, userData: { width: 4, depth: 2, height: 3 } };
+            const proj = throughPlayer('enemy');
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [], {
+                shelves: [shelf],
+                playerPosition: player,
+                onPlayerHit: () => hits++
+            });
+            test.assertEqual(hits, 0);
+            test.assertFalse(proj.userData.active);
+        });
+
+        test.it('should block enemy shots with obstacles without scoring them', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const obstacle = { position: new THREE.Vector3(0, 0, -2), userData: { active: true, height: 2, width: 2 } };
+            const proj = throughPlayer('enemy');
+            let hits = 0;
+            let obstacleHits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [obstacle], {
+                playerPosition: player,
+                onPlayerHit: () => hits++,
+                onObstacleHit: () => obstacleHits++
+            });
+            test.assertEqual(hits, 0);
+            test.assertEqual(obstacleHits, 0);
+            test.assertFalse(proj.userData.active);
+            test.assertFalse(!!obstacle.userData.hit, 'Obstacle should stay standing');
+        });
+
+        test.it('should shoot down shootable enemy shots', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const bone = makeProjectile({ x: 0, y: 1.5, z: -10 }, { x: 0, y: 1.5, z: -10 }, 'enemy', {
+                projectileConfig: { shootable: true }
+            });
+            const stone = makeProjectile({ x: 0, y: 1.5, z: -8 }, { x: 0, y: 1.5, z: -12 }, 'player');
+            const shotDown = [];
+            CollisionOrchestrator.processProjectileHits([stone, bone], [], [], {
+                onProjectileShotDown: (shot, proj) => shotDown.push({ shot, proj })
+            });
+            test.assertEqual(shotDown.length, 1);
+            test.assertEqual(shotDown[0].shot, bone);
+            test.assertEqual(shotDown[0].proj, stone);
+            test.assertFalse(bone.userData.active);
+            test.assertFalse(stone.userData.active);
+        });
+
+        test.it('should not shoot down enemy shots that are not shootable', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const spit = makeProjectile({ x: 0, y: 1.5, z: -10 }, { x: 0, y: 1.5, z: -10 }, 'enemy', {
+                projectileConfig: {}
+            });
+            const stone = makeProjectile({ x: 0, y: 1.5, z: -8 }, { x: 0, y: 1.5, z: -12 }, 'player');
+            CollisionOrchestrator.processProjectileHits([stone, spit], [], [], {});
+            test.assertTrue(spit.userData.active);
+            test.assertTrue(stone.userData.active);
+        });
+    });
+
+    // ==========================================
+    // STATUS EFFECT TESTS (weapon effects on hit)
+    // ==========================================
+
+    test.describe('Engine Collision: Status Effects', () => {
+        const stun = [{ id: 'stunned', headshotOnly: true }];
+        const shotAt = (y) => ({
+            position: new THREE.Vector3(0, y, 12),
+            userData: {
+                active: true,
+                damage: 1,
+                faction: 'player',
+                effects: stun,
+                prevPosition: new THREE.Vector3(0, y, 8)
+            }
+        });
+        const makeEnemy = () => ({ position: new THREE.Vector3(0, 0, 10), userData: { active: true, health: 5, maxHealth: 5 } });
+
+        test.it('should stun on a headshot only', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const body = makeEnemy();
+            const head = makeEnemy();
+            const results = [];
+            CollisionOrchestrator.processProjectileHits([shotAt(1.2)], [body], [], { onEnemyHit: (e, d, p, r) => results.push(r) });
+            CollisionOrchestrator.processProjectileHits([shotAt(3)], [head], [], { onEnemyHit: (e, d, p, r) => results.push(r) });
+
+            test.assertFalse(EnemyStatus.has(body, 'stunned'), 'Body shot should not stun');
+            test.assertTrue(EnemyStatus.has(head, 'stunned'), 'Headshot should stun');
+            test.assertFalse(results[0].headshot);
+            test.assertTrue(results[1].headshot);
+            test.assertArrayEqual(results[1].effects, ['stunned']);
+        });
+
+        test.it('should apply splash effects to survivors but skip headshot-only ones', () => {
+            const near = { position: { x: 1, z: 0 }, userData: { active: true, health: 10, maxHealth: 10 } };
+            const dead = { position: { x: 0, z: 1 }, userData: { active: true, health: 1, maxHealth: 1 } };
+            CollisionOrchestrator.processSplashDamage({ x: 0, y: 0, z: 0 }, 5, 2, [near, dead], null, null,
+                [{ id: 'soaked' }, ...stun]);
+
+            test.assertTrue(EnemyStatus.has(near, 'soaked'));
+            test.assertFalse(EnemyStatus.has(near, 'stunned'));
+            test.assertFalse(EnemyStatus.has(dead, 'soaked'), 'Killed enemies get no effects');
+        });
+    });
+
+    // ==========================================
+    // UPGRADED SHOT TESTS (pierce, splash scale)
+    // ==========================================
+
+    test.describe('Engine Collision: Upgraded Shots', () => {
+        const shot = (extra = {}) => ({
+            position: new THREE.Vector3(0, 1.2, 12),
+            userData: {
+                active: true,
+                damage: 1,
+                faction: 'player',
+                prevPosition: new THREE.Vector3(0, 1.2, 8),
+                ...extra
+            }
+        });
+        const makeEnemy = (x, z) => ({ position: new THREE.Vector3(x, 0, z), userData: { active: true, health: 5, maxHealth: 5 } });
+
+        test.it('should pass a piercing shot through enemies in a line', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemies = [makeEnemy(0, 9.5), makeEnemy(0, 11)];
+            const proj = shot({ pierce: 1 });
+            const hit = [];
+            CollisionOrchestrator.processProjectileHits([proj], enemies, [], { onEnemyHit: (e) => hit.push(e) });
+            test.assertArrayEqual(hit, enemies);
+            test.assertFalse(proj.userData.active, 'Stops at the enemy after its last pierce');
+        });
+
+        test.it('should stop a regular shot at the first enemy', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemies = [makeEnemy(0, 9.5), makeEnemy(0, 11)];
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([shot()], enemies, [], { onEnemyHit: () => hits++ });
+            test.assertEqual(hits, 1);
+            test.assertEqual(enemies[1].userData.health, 5);
+        });
+
+        test.it('should hit each enemy only once while piercing', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const enemy = makeEnemy(0, 10);
+            const proj = shot({ pierce: 2 });
+            let hits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [enemy], [], { onEnemyHit: () => hits++ });
+            proj.userData.prevPosition = new THREE.Vector3(0, 1.2, 9);
+            CollisionOrchestrator.processProjectileHits([proj], [enemy], [], { onEnemyHit: () => hits++ });
+            test.assertEqual(hits, 1);
+            test.assertEqual(proj.userData.pierce, 1);
+            test.assertTrue(proj.userData.active);
+        });
+
+        test.it('should scale splash radius per shot', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const projectileConfig = { splash: true, splashRadius: 2, splashDamage: 2 };
+            const splashed = (splashScale) => {
+                const enemies = [makeEnemy(0, 10), makeEnemy(3, 10)];
+                let count = 0;
+                CollisionOrchestrator.processProjectileHits([shot({ projectileConfig, splashScale })], enemies, [], {
+                    onEnemyHit: () => {},
+                    onSplashHit: () => count++
+                });
+                return count;
+            };
+            test.assertEqual(splashed(1), 0, 'Out of the base radius');
+            test.assertEqual(splashed(2), 1, 'Inside the doubled radius');
+        });
+
+        test.it('should bounce a ricochet shot off a shelf', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const shelves = [{ position: { x: 0, z: 10 }, userData: { width: 4, depth: 2, height: 3 } }];
+            const proj = shot({ ricochet: 1, velocity: new THREE.Vector3(0, 0, 60) });
+            let wallHits = 0;
+            CollisionOrchestrator.processProjectileHits([proj], [], [], { shelves, onWallHit: () => wallHits++ });
+            test.assertTrue(proj.userData.active, 'Bounces instead of stopping');
+            test.assertEqual(proj.userData.velocity.z, -60);
+            test.assertEqual(proj.position.z, 8, 'Stepped back out of the shelf');
+            test.assertEqual(proj.userData.ricochet, 0);
+            test.assertEqual(wallHits, 1);
+
+            const spent = shot({ ricochet: 0, velocity: new THREE.Vector3(0, 0, 60) });
+            CollisionOrchestrator.processProjectileHits([spent], [], [], { shelves });
+            test.assertFalse(spent.userData.active, 'Stops once the bounces run out');
+        });
+
+        test.it('should report where a puddle shot stops', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const puddle = { radius: 5, duration: 6 };
+            const landed = [];
+            CollisionOrchestrator.processProjectileHits([shot({ puddle })], [makeEnemy(0, 10)], [], {
+                onEnemyHit: () => {},
+                onPuddle: (pos, p) => landed.push({ pos, p })
+            });
+            test.assertEqual(landed.length, 1);
+            test.assertEqual(landed[0].p, puddle);
+
+            landed.length = 0;
+            CollisionOrchestrator.processProjectileHits([shot({ puddle })], [], [], { onPuddle: (pos, p) => landed.push(p) });
+            test.assertEqual(landed.length, 0, 'Still flying');
+        });
+    });
+
     // ==========================================
     // SPLASH DAMAGE TESTS
     // ==========================================
@@ -603,6 +1084,27 @@
             test.assertEqual(hitCount, 1, 'Should skip inactive enemy');
         });
 
+        test.it('should wipe out a basket pack with one watergun splash', () => {
+            const blob = Weapon.types.WATERGUN.projectile;
+            const impactPos = { x: 0, y: 0, z: 0 };
+            const pack = [];
+            for (let i = 0; i < SpawnOrchestrator.config.swarmPackMax; i++) {
+                const angle = (i / SpawnOrchestrator.config.swarmPackMax) * Math.PI * 2;
+                const dist = SpawnOrchestrator.config.swarmPackRadius;
+                pack.push({
+                    position: { x: Math.cos(angle) * dist, z: Math.sin(angle) * dist },
+                    userData: { active: true, health: Enemy.types.BASKET.health, config: Enemy.types.BASKET }
+                });
+            }
+            let destroyed = 0;
+
+            CollisionOrchestrator.processSplashDamage(impactPos, blob.splashRadius, blob.splashDamage, pack, null, (enemy, damage, pos, result) => {
+                if (result.destroyed) destroyed++;
+            });
+
+            test.assertEqual(destroyed, pack.length, 'Every basket in the pack should be destroyed');
+        });
+
         test.it('should not damage if splashRadius is 0', () => {
             const impactPos = { x: 10, y: 2, z: 10 };
             const enemies = [
@@ -666,6 +1168,691 @@
             InputOrchestrator.destroy();
             test.assertEqual(InputOrchestrator.isInitialized(), false);
         });
+
+        test.it('should apply simulated actions like key presses', () => {
+            let fired = 0;
+            InputOrchestrator.onActionStart('forward', () => fired++);
+            InputOrchestrator.simulateAction('forward', true);
+            InputOrchestrator.simulateAction('forward', true);
+            test.assertTrue(InputOrchestrator.keys.forward);
+            test.assertEqual(fired, 1, 'Held movement key fires start once');
+            InputOrchestrator.simulateAction('forward', false);
+            test.assertFalse(InputOrchestrator.keys.forward);
+        });
+
+        test.it('should notify input listeners of starts and releases', () => {
+            const seen = [];
+            const listener = (action, pressed) => seen.push(`${action}:${pressed}`);
+            InputOrchestrator.addInputListener(listener);
+            InputOrchestrator.simulateAction('fire', true);
+            InputOrchestrator.simulateAction('fire', false);
+            InputOrchestrator.removeInputListener(listener);
+            InputOrchestrator.simulateAction('fire', true);
+            test.assertArrayEqual(seen, ['fire:true', 'fire:false']);
+        });
+
+        test.it('should ignore keyboard events when disabled', () => {
+            InputOrchestrator.setEnabled(false);
+            document.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW', key: 'w' }));
+            test.assertFalse(InputOrchestrator.keys.forward);
+            InputOrchestrator.setEnabled(true);
+            document.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyW', key: 'w' }));
+            test.assertTrue(InputOrchestrator.keys.forward);
+            document.dispatchEvent(new KeyboardEvent('keyup', { code: 'KeyW', key: 'w' }));
+        });
+    });
+
+    test.describe('Engine: Input Rebinding', () => {
+        const createStorage = () => ({
+            data: {},
+            getItem(key) { return key in this.data ? this.data[key] : null; },
+            setItem(key, value) { this.data[key] = String(value); },
+            removeItem(key) { delete this.data[key]; }
+        });
+        const press = (code) => InputOrchestrator._handleKeyDown({ code, preventDefault() {} });
+        const release = (code) => InputOrchestrator._handleKeyUp({ code, preventDefault() {} });
+
+        test.beforeEach(() => {
+            InputOrchestrator.init();
+        });
+
+        test.afterEach(() => {
+            InputOrchestrator.cancelCapture();
+            InputOrchestrator.resetBindings();
+            InputOrchestrator.destroy();
+            InputOrchestrator.clearAllCallbacks();
+        });
+
+        test.it('should list keys for an action in slot order', () => {
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('forward'), ['KeyW', 'ArrowUp']);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space']);
+        });
+
+        test.it('should replace a slot in place', () => {
+            const result = InputOrchestrator.bindKey('forward', 'KeyI', 0);
+            test.assertEqual(result.conflict, null);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('forward'), ['KeyI', 'ArrowUp']);
+            test.assertEqual(InputOrchestrator.getBinding('KeyW'), null);
+        });
+
+        test.it('should add a key to an empty slot', () => {
+            InputOrchestrator.bindKey('fire', 'KeyF', 1);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space', 'KeyF']);
+        });
+
+        test.it('should swap keys when the new key belongs to another action', () => {
+            const result = InputOrchestrator.bindKey('forward', 'KeyS', 0);
+            test.assertEqual(result.conflict, 'backward');
+            test.assertEqual(result.swappedKey, 'KeyW');
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('forward'), ['KeyS', 'ArrowUp']);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('backward'), ['KeyW', 'ArrowDown']);
+        });
+
+        test.it('should move a key when the conflicting slot was empty', () => {
+            const result = InputOrchestrator.bindKey('fire', 'KeyP', 1);
+            test.assertEqual(result.conflict, 'freeze');
+            test.assertEqual(result.swappedKey, null);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('freeze'), []);
+        });
+
+        test.it('should swap slots within the same action', () => {
+            const result = InputOrchestrator.bindKey('forward', 'ArrowUp', 0);
+            test.assertEqual(result.conflict, null);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('forward'), ['ArrowUp', 'KeyW']);
+        });
+
+        test.it('should reject unknown actions and empty keys', () => {
+            test.assertEqual(InputOrchestrator.bindKey('dance', 'KeyQ', 0), null);
+            test.assertEqual(InputOrchestrator.bindKey('fire', '', 0), null);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space']);
+        });
+
+        test.it('should release held actions when bindings change', () => {
+            press('KeyW');
+            test.assertTrue(InputOrchestrator.keys.forward);
+            InputOrchestrator.bindKey('forward', 'KeyI', 0);
+            test.assertFalse(InputOrchestrator.keys.forward);
+        });
+
+        test.it('should validate binding maps', () => {
+            test.assertFalse(InputOrchestrator.setBindings({ KeyQ: 'dance' }));
+            test.assertFalse(InputOrchestrator.setBindings(null));
+            test.assertEqual(InputOrchestrator.getBinding('KeyW'), 'forward');
+            test.assertTrue(InputOrchestrator.setBindings({ KeyQ: 'fire' }));
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['KeyQ']);
+        });
+
+        test.it('should reset to defaults', () => {
+            InputOrchestrator.bindKey('fire', 'KeyQ', 0);
+            InputOrchestrator.resetBindings();
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space']);
+            test.assertEqual(InputOrchestrator.getBinding('KeyQ'), null);
+        });
+
+        test.it('should save and load the binding map', () => {
+            const storage = createStorage();
+            InputOrchestrator.bindKey('fire', 'KeyQ', 0);
+            test.assertTrue(InputOrchestrator.saveBindings(storage));
+            InputOrchestrator.resetBindings();
+
+            test.assertTrue(InputOrchestrator.loadBindings(storage));
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['KeyQ']);
+        });
+
+        test.it('should keep current bindings for missing, corrupt or mismatched saves', () => {
+            const storage = createStorage();
+            test.assertFalse(InputOrchestrator.loadBindings(storage));
+
+            storage.setItem(InputOrchestrator.BINDINGS_STORAGE_KEY, '{not json');
+            test.assertFalse(InputOrchestrator.loadBindings(storage));
+
+            storage.setItem(InputOrchestrator.BINDINGS_STORAGE_KEY, JSON.stringify({ version: 99, bindings: { KeyQ: 'fire' } }));
+            test.assertFalse(InputOrchestrator.loadBindings(storage));
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space']);
+        });
+
+        test.it('should add default gamepad buttons to version 1 saves', () => {
+            const storage = createStorage();
+            storage.setItem(InputOrchestrator.BINDINGS_STORAGE_KEY, JSON.stringify({ version: 1, bindings: { KeyQ: 'fire' } }));
+            test.assertTrue(InputOrchestrator.loadBindings(storage));
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['KeyQ']);
+            test.assertArrayEqual(InputOrchestrator.getButtonsForAction('fire'), ['Gamepad0', 'Gamepad7']);
+        });
+
+        test.it('should add free weapon switching and alt fire bindings to version 2 saves', () => {
+            const storage = createStorage();
+            storage.setItem(InputOrchestrator.BINDINGS_STORAGE_KEY, JSON.stringify({ version: 2, bindings: { Digit1: 'fire', KeyF: 'freeze' } }));
+            test.assertTrue(InputOrchestrator.loadBindings(storage));
+            test.assertEqual(InputOrchestrator.getBinding('Digit1'), 'fire', 'User bindings win');
+            test.assertEqual(InputOrchestrator.getBinding('KeyF'), 'freeze', 'User bindings win');
+            test.assertEqual(InputOrchestrator.getBinding('Digit2'), 'weapon2');
+            test.assertEqual(InputOrchestrator.getBinding('Digit6'), 'weapon6');
+            test.assertEqual(InputOrchestrator.getBinding('WheelDown'), 'weaponNext');
+            test.assertEqual(InputOrchestrator.getBinding('Gamepad6'), 'altFire');
+
+            storage.setItem(InputOrchestrator.BINDINGS_STORAGE_KEY, JSON.stringify({ version: 2, bindings: { Digit6: 'fire' } }));
+            test.assertTrue(InputOrchestrator.loadBindings(storage));
+            test.assertEqual(InputOrchestrator.getBinding('Digit6'), 'fire', 'User bindings win');
+        });
+
+        test.it('should tap the action bound to a wheel notch', () => {
+            let next = 0, prev = 0, released = 0;
+            InputOrchestrator.onActionStart('weaponNext', () => next++);
+            InputOrchestrator.onActionStart('weaponPrev', () => prev++);
+            InputOrchestrator.onActionRelease('weaponNext', () => released++);
+            InputOrchestrator._handleWheel({ deltaY: 100 });
+            InputOrchestrator._handleWheel({ deltaY: -100 });
+            test.assertEqual(next, 1);
+            test.assertEqual(prev, 1);
+            test.assertEqual(released, 1, 'A notch is pressed and released at once');
+        });
+
+        test.it('should clear saved bindings', () => {
+            const storage = createStorage();
+            InputOrchestrator.saveBindings(storage);
+            InputOrchestrator.clearSavedBindings(storage);
+            test.assertEqual(storage.getItem(InputOrchestrator.BINDINGS_STORAGE_KEY), null);
+        });
+
+        test.it('should capture the next key instead of triggering its action', () => {
+            let captured;
+            InputOrchestrator.captureKey((code) => { captured = code; });
+            test.assertTrue(InputOrchestrator.isCapturing());
+            press('KeyW');
+            test.assertEqual(captured, 'KeyW');
+            test.assertFalse(InputOrchestrator.keys.forward);
+            test.assertFalse(InputOrchestrator.isCapturing());
+        });
+
+        test.it('should swallow the keyup of a captured key', () => {
+            let released = 0;
+            InputOrchestrator.onActionRelease('forward', () => released++);
+            InputOrchestrator.captureKey(() => {});
+            press('KeyW');
+            release('KeyW');
+            test.assertEqual(released, 0);
+        });
+
+        test.it('should cancel capture on Escape', () => {
+            let captured = 'unset';
+            let paused = 0;
+            InputOrchestrator.onActionStart('pause', () => paused++);
+            InputOrchestrator.captureKey((code) => { captured = code; });
+            press('Escape');
+            test.assertEqual(captured, null);
+            test.assertEqual(paused, 0);
+        });
+
+        test.it('should pass null to the callback when capture is cancelled', () => {
+            let captured = 'unset';
+            InputOrchestrator.captureKey((code) => { captured = code; });
+            InputOrchestrator.cancelCapture();
+            test.assertEqual(captured, null);
+            test.assertFalse(InputOrchestrator.isCapturing());
+        });
+    });
+
+    test.describe('Engine: Gamepad Input', () => {
+        // Standard-mapping pad: 17 buttons, 4 axes
+        const createPad = (pressed = {}, axes = [0, 0, 0, 0]) => ({
+            connected: true,
+            buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: (pressed[i] || 0) > 0.5, value: pressed[i] || 0 })),
+            axes
+        });
+
+        test.beforeEach(() => {
+            InputOrchestrator.init();
+            InputOrchestrator.pollGamepads([]);
+        });
+
+        test.afterEach(() => {
+            InputOrchestrator.cancelCapture();
+            InputOrchestrator.resetBindings();
+            InputOrchestrator.pollGamepads([]);
+            InputOrchestrator.destroy();
+            InputOrchestrator.clearAllCallbacks();
+        });
+
+        test.it('should press and release bound buttons', () => {
+            const seen = [];
+            InputOrchestrator.onActionStart('pause', () => seen.push('start'));
+            InputOrchestrator.onActionRelease('pause', () => seen.push('release'));
+            InputOrchestrator.pollGamepads([createPad({ 9: 1 })]);
+            InputOrchestrator.pollGamepads([createPad({ 9: 1 })]);
+            InputOrchestrator.pollGamepads([createPad()]);
+            test.assertArrayEqual(seen, ['start', 'release']);
+        });
+
+        test.it('should report trigger pressure for the held action', () => {
+            test.assertEqual(InputOrchestrator.getPressure('fire'), 1, 'Keys and idle input allow full pressure');
+            InputOrchestrator.pollGamepads([createPad({ 7: 0.4 })]);
+            test.assertCloseTo(InputOrchestrator.getPressure('fire'), 0.4, 0.001);
+            InputOrchestrator.pollGamepads([createPad({ 7: 0.8 })]);
+            test.assertCloseTo(InputOrchestrator.getPressure('fire'), 0.8, 0.001);
+            InputOrchestrator.pollGamepads([createPad()]);
+            test.assertEqual(InputOrchestrator.getPressure('fire'), 1);
+        });
+
+        test.it('should ignore trigger values below the press threshold', () => {
+            let fired = 0;
+            InputOrchestrator.onActionStart('fire', () => fired++);
+            InputOrchestrator.pollGamepads([createPad({ 7: 0.05 })]);
+            test.assertEqual(fired, 0);
+        });
+
+        test.it('should map the left stick to analog movement', () => {
+            InputOrchestrator.pollGamepads([createPad({}, [0.6, -1, 0, 0])]);
+            const analog = InputOrchestrator.getAnalogKeys();
+            test.assertTrue(InputOrchestrator.keys.forward);
+            test.assertTrue(InputOrchestrator.keys.turnRight);
+            test.assertEqual(analog.forward, 1);
+            test.assertCloseTo(analog.turnRight, 0.5, 0.001, 'Deflection is rescaled past the deadzone');
+            test.assertEqual(analog.backward, 0);
+        });
+
+        test.it('should ignore stick drift inside the deadzone', () => {
+            InputOrchestrator.pollGamepads([createPad({}, [0.1, -0.15, 0, 0])]);
+            test.assertFalse(InputOrchestrator.keys.forward);
+            test.assertFalse(InputOrchestrator.keys.turnRight);
+        });
+
+        test.it('should release stick movement when the stick centers', () => {
+            InputOrchestrator.pollGamepads([createPad({}, [0, -1, 0, 0])]);
+            InputOrchestrator.pollGamepads([createPad()]);
+            test.assertFalse(InputOrchestrator.keys.forward);
+            test.assertEqual(InputOrchestrator.getMovement().forward, 0);
+        });
+
+        test.it('should release held buttons when the pad disconnects', () => {
+            InputOrchestrator.pollGamepads([createPad({ 12: 1 })]);
+            test.assertTrue(InputOrchestrator.keys.forward);
+            InputOrchestrator.pollGamepads([]);
+            test.assertFalse(InputOrchestrator.keys.forward);
+        });
+
+        test.it('should treat keys as full magnitude', () => {
+            InputOrchestrator.simulateAction('backward', true);
+            test.assertEqual(InputOrchestrator.getAnalogKeys().backward, 1);
+            test.assertEqual(InputOrchestrator.getMovement().forward, -1);
+        });
+
+        test.it('should follow rebound buttons', () => {
+            let fired = 0;
+            InputOrchestrator.onActionStart('fire', () => fired++);
+            const result = InputOrchestrator.bindKey('fire', 'Gamepad2', 0);
+            test.assertEqual(result.conflict, null);
+            test.assertArrayEqual(InputOrchestrator.getButtonsForAction('fire'), ['Gamepad2', 'Gamepad7']);
+            test.assertArrayEqual(InputOrchestrator.getKeysForAction('fire'), ['Space'], 'Keys are untouched');
+            InputOrchestrator.pollGamepads([createPad({ 2: 1 })]);
+            test.assertEqual(fired, 1);
+        });
+
+        test.it('should capture a newly pressed button', () => {
+            let captured = null;
+            InputOrchestrator.pollGamepads([createPad({ 0: 1 })]);
+            InputOrchestrator.captureKey((code) => { captured = code; });
+            InputOrchestrator.pollGamepads([createPad({ 0: 1, 3: 1 })]);
+            test.assertEqual(captured, 'Gamepad3', 'Buttons held before capture are skipped');
+            test.assertFalse(InputOrchestrator.isCapturing());
+        });
+
+        test.it('should ignore the pad while input is disabled', () => {
+            InputOrchestrator.setEnabled(false);
+            InputOrchestrator.pollGamepads([createPad({ 12: 1 }, [0, -1, 0, 0])]);
+            test.assertFalse(InputOrchestrator.keys.forward);
+            InputOrchestrator.setEnabled(true);
+        });
+    });
+
+    test.describe('Engine: Touch Input', () => {
+        test.beforeEach(() => {
+            InputOrchestrator.init();
+            InputOrchestrator.pollGamepads([]);
+        });
+
+        test.afterEach(() => {
+            InputOrchestrator.pollGamepads([]);
+            InputOrchestrator.destroy();
+            InputOrchestrator.clearAllCallbacks();
+        });
+
+        test.it('should map the virtual stick to analog movement', () => {
+            InputOrchestrator.setVirtualStick(0.575, -1);
+            const analog = InputOrchestrator.getAnalogKeys();
+            test.assertTrue(InputOrchestrator.keys.forward);
+            test.assertEqual(analog.forward, 1);
+            test.assertCloseTo(analog.turnRight, 0.5, 0.001, 'Deflection is rescaled past the deadzone');
+            test.assertEqual(analog.turnLeft, 0);
+        });
+
+        test.it('should ignore small joystick offsets', () => {
+            InputOrchestrator.setVirtualStick(0.1, -0.1);
+            test.assertFalse(InputOrchestrator.isMoving());
+            test.assertFalse(InputOrchestrator.isTurning());
+        });
+
+        test.it('should press and release movement once per drag', () => {
+            const seen = [];
+            InputOrchestrator.onActionStart('backward', () => seen.push('start'));
+            InputOrchestrator.onActionRelease('backward', () => seen.push('release'));
+            InputOrchestrator.setVirtualStick(0, 0.5);
+            InputOrchestrator.setVirtualStick(0, 0.9);
+            InputOrchestrator.setVirtualStick(0, 0);
+            test.assertArrayEqual(seen, ['start', 'release']);
+            test.assertEqual(InputOrchestrator.getMovement().forward, 0);
+        });
+
+        test.it('should keep movement held while the gamepad stick still presses it', () => {
+            InputOrchestrator.pollGamepads([{ connected: true, buttons: [], axes: [0, -1] }]);
+            InputOrchestrator.setVirtualStick(0, -0.5);
+            InputOrchestrator.setVirtualStick(0, 0);
+            test.assertTrue(InputOrchestrator.keys.forward, 'Centering the joystick leaves the pad holding forward');
+            test.assertEqual(InputOrchestrator.getAnalogKeys().forward, 1);
+        });
+
+        test.it('should fire action callbacks from virtual buttons', () => {
+            const seen = [];
+            InputOrchestrator.onActionStart('fire', () => seen.push('start'));
+            InputOrchestrator.onActionRelease('fire', () => seen.push('release'));
+            InputOrchestrator.setVirtualButton('fire', true);
+            InputOrchestrator.setVirtualButton('fire', true);
+            InputOrchestrator.setVirtualButton('fire', false);
+            InputOrchestrator.setVirtualButton('fire', false);
+            test.assertArrayEqual(seen, ['start', 'release']);
+        });
+
+        test.it('should ignore touch input while input is disabled', () => {
+            let fired = 0;
+            InputOrchestrator.onActionStart('fire', () => fired++);
+            InputOrchestrator.setEnabled(false);
+            InputOrchestrator.setVirtualButton('fire', true);
+            InputOrchestrator.setVirtualStick(0, -1);
+            test.assertEqual(fired, 0);
+            test.assertFalse(InputOrchestrator.keys.forward);
+            InputOrchestrator.setEnabled(true);
+        });
+    });
+
+    test.describe('Engine: Mouse Aim Input', () => {
+        let canvas;
+        const lock = (element) => Object.defineProperty(document, 'pointerLockElement', { value: element, configurable: true });
+        const listeners = () => InputOrchestrator._mouseListeners;
+
+        test.beforeEach(() => {
+            InputOrchestrator.init();
+            canvas = document.createElement('canvas');
+            InputOrchestrator.enableMouseAim(canvas);
+        });
+
+        test.afterEach(() => {
+            delete document.pointerLockElement;
+            InputOrchestrator.setMouseSensitivity(1);
+            InputOrchestrator.destroy();
+            InputOrchestrator.clearAllCallbacks();
+        });
+
+        test.it('should ignore mouse movement until the pointer is locked', () => {
+            listeners().mousemove({ movementX: 10, movementY: 5 });
+            test.assertEqual(InputOrchestrator.consumeMouseDelta().x, 0);
+        });
+
+        test.it('should accumulate scaled movement while locked', () => {
+            lock(canvas);
+            InputOrchestrator.setMouseSensitivity(2);
+            listeners().mousemove({ movementX: 10, movementY: -3 });
+            listeners().mousemove({ movementX: 5, movementY: 0 });
+            test.assertEqual(InputOrchestrator.peekMouseDelta().x, 30, 'Peek does not clear');
+            const delta = InputOrchestrator.consumeMouseDelta();
+            test.assertEqual(delta.x, 30);
+            test.assertEqual(delta.y, -6);
+            test.assertEqual(InputOrchestrator.consumeMouseDelta().x, 0, 'Consume clears');
+        });
+
+        test.it('should fire on left click while locked', () => {
+            const seen = [];
+            InputOrchestrator.onActionStart('fire', () => seen.push('start'));
+            InputOrchestrator.onActionRelease('fire', () => seen.push('release'));
+            listeners().mousedown({ button: 0, preventDefault() {} });
+            test.assertEqual(seen.length, 0, 'Unlocked click only requests the lock');
+
+            lock(canvas);
+            listeners().mousedown({ button: 2, preventDefault() {} });
+            listeners().mousedown({ button: 0, preventDefault() {} });
+            listeners().mouseup({ button: 0 });
+            test.assertArrayEqual(seen, ['start', 'release']);
+        });
+
+        test.it('should press alt fire on right click while locked', () => {
+            const seen = [];
+            InputOrchestrator.onActionStart('altFire', () => seen.push('start'));
+            InputOrchestrator.onActionRelease('altFire', () => seen.push('release'));
+            lock(canvas);
+            listeners().mousedown({ button: 2, preventDefault() {} });
+            listeners().mouseup({ button: 0 });
+            test.assertArrayEqual(seen, ['start'], 'Left release leaves alt fire held');
+
+            lock(null);
+            listeners().pointerlockchange();
+            test.assertArrayEqual(seen, ['start', 'release'], 'Released when the lock is lost');
+        });
+
+        test.it('should release fire and notify when the lock is lost', () => {
+            const seen = [];
+            InputOrchestrator.onActionRelease('fire', () => seen.push('release'));
+            InputOrchestrator.onPointerLockChange((locked) => seen.push(`locked:${locked}`));
+            lock(canvas);
+            listeners().mousedown({ button: 0, preventDefault() {} });
+            listeners().mousemove({ movementX: 10, movementY: 0 });
+
+            lock(null);
+            listeners().pointerlockchange();
+            test.assertArrayEqual(seen, ['release', 'locked:false']);
+            test.assertEqual(InputOrchestrator.consumeMouseDelta().x, 0, 'Pending movement is dropped');
+        });
+
+        test.it('should ignore mouse input while input is disabled', () => {
+            lock(canvas);
+            InputOrchestrator.setEnabled(false);
+            listeners().mousemove({ movementX: 10, movementY: 0 });
+            test.assertEqual(InputOrchestrator.consumeMouseDelta().x, 0);
+            InputOrchestrator.setEnabled(true);
+        });
+
+        test.it('should detach listeners when mouse aim is disabled', () => {
+            InputOrchestrator.disableMouseAim();
+            test.assertFalse(InputOrchestrator.isMouseAimEnabled());
+            test.assertFalse(InputOrchestrator.isPointerLocked());
+        });
+    });
+
+    // ==========================================
+    // REPLAY TESTS
+    // ==========================================
+
+    test.describe('Engine: Replay System', () => {
+        let frameCount;
+        const mockLoop = {
+            _pre: [],
+            addPreUpdate(cb) { this._pre.push(cb); },
+            removePreUpdate(cb) { this._pre = this._pre.filter(c => c !== cb); },
+            getFrameCount() { return frameCount; },
+            tick(dt) { frameCount++; this._pre.forEach(cb => cb(dt)); }
+        };
+
+        test.beforeEach(() => {
+            frameCount = 0;
+            InputOrchestrator.init();
+            ReplayOrchestrator.init(InputOrchestrator, mockLoop);
+            RandomOrchestrator.setSeed(555);
+        });
+
+        test.afterEach(() => {
+            ReplayOrchestrator.destroy();
+            InputOrchestrator.destroy();
+            InputOrchestrator.clearAllCallbacks();
+            RandomOrchestrator.init();
+        });
+
+        test.it('should record frames, input events and seed', () => {
+            ReplayOrchestrator.startRecording();
+            InputOrchestrator.simulateAction('forward', true);
+            mockLoop.tick(0.016);
+            mockLoop.tick(0.02);
+            InputOrchestrator.simulateAction('forward', false);
+            const replay = ReplayOrchestrator.stopRecording();
+
+            test.assertEqual(replay.seed, 555);
+            test.assertEqual(replay.frames.length, 2);
+            test.assertEqual(replay.frames[1].dt, 0.02);
+            test.assertEqual(replay.frames[1].loopFrame, 2);
+            test.assertEqual(replay.events.length, 2);
+            test.assertEqual(replay.events[0].frame, 0);
+            test.assertEqual(replay.events[1].frame, 2);
+            test.assertFalse(replay.events[1].pressed);
+        });
+
+        test.it('should record and replay mouse movement per frame', () => {
+            ReplayOrchestrator.startRecording({ mouseAim: true });
+            InputOrchestrator.addMouseDelta(12, -4);
+            mockLoop.tick(0.016);
+            InputOrchestrator.consumeMouseDelta();
+            mockLoop.tick(0.016);
+            const replay = ReplayOrchestrator.stopRecording();
+            test.assertTrue(replay.mouseAim);
+            test.assertEqual(replay.frames[0].mouse.x, 12);
+            test.assertEqual(replay.frames[1].mouse, undefined, 'Frames without movement stay small');
+
+            const used = [];
+            ReplayOrchestrator.startPlayback(replay, { update: () => used.push(InputOrchestrator.consumeMouseDelta()) });
+            ReplayOrchestrator.playToEnd();
+            test.assertEqual(used[0].x, 12);
+            test.assertEqual(used[0].y, -4);
+            test.assertEqual(used[1].x, 0);
+        });
+
+        test.it('should record and replay partial stick and trigger pressure', () => {
+            const pad = (trigger, stickY) => [{
+                connected: true,
+                buttons: Array.from({ length: 17 }, (_, i) => ({ value: i === 7 ? trigger : 0 })),
+                axes: [0, stickY, 0, 0]
+            }];
+            const poll = (trigger, stickY) => {
+                InputOrchestrator.pollGamepads(pad(trigger, stickY));
+                mockLoop.tick(0.016);
+            };
+            InputOrchestrator.pollGamepads([]);
+            ReplayOrchestrator.startRecording();
+            poll(0.6, -0.575);
+            poll(0.6, -1);
+            poll(0, 0);
+            InputOrchestrator.pollGamepads([]);
+            const replay = ReplayOrchestrator.stopRecording();
+            const partial = replay.frames[0].analog.axes.forward;
+            test.assertTrue(partial > 0 && partial < 1, 'Partial deflection is stored');
+            test.assertEqual(replay.frames[1].analog.axes, undefined, 'Full deflection is not stored');
+            test.assertEqual(replay.frames[2].analog, undefined, 'Digital frames stay small');
+
+            const used = [];
+            ReplayOrchestrator.startPlayback(ReplayOrchestrator.serialize(replay), {
+                update: () => used.push({
+                    forward: InputOrchestrator.getAnalogKeys().forward,
+                    pressure: InputOrchestrator.getPressure('fire')
+                })
+            });
+            ReplayOrchestrator.playToEnd();
+            test.assertEqual(used[0].forward, partial, 'Partial stick replays partial');
+            test.assertEqual(used[0].pressure, 0.6, 'Half trigger replays half');
+            test.assertEqual(used[1].forward, 1);
+            test.assertEqual(used[2].forward, 0);
+            test.assertEqual(used[2].pressure, 1);
+        });
+
+        test.it('should record and replay partial touch joystick deflection', () => {
+            InputOrchestrator.pollGamepads([]);
+            ReplayOrchestrator.startRecording();
+            InputOrchestrator.setVirtualStick(0.575, -0.575);
+            mockLoop.tick(0.016);
+            InputOrchestrator.setVirtualStick(0, 0);
+            mockLoop.tick(0.016);
+            const replay = ReplayOrchestrator.stopRecording();
+            test.assertCloseTo(replay.frames[0].analog.axes.turnRight, 0.5, 0.001);
+
+            const used = [];
+            ReplayOrchestrator.startPlayback(replay, { update: () => used.push(InputOrchestrator.getAnalogKeys()) });
+            ReplayOrchestrator.playToEnd();
+            test.assertCloseTo(used[0].forward, 0.5, 0.001, 'Partial joystick replays partial');
+            test.assertCloseTo(used[0].turnRight, 0.5, 0.001);
+            test.assertEqual(used[1].forward, 0);
+        });
+
+        test.it('should not record when idle', () => {
+            InputOrchestrator.simulateAction('fire', true);
+            mockLoop.tick(0.016);
+            test.assertEqual(ReplayOrchestrator.getReplay(), null);
+        });
+
+        test.it('should round-trip through JSON', () => {
+            ReplayOrchestrator.startRecording();
+            mockLoop.tick(0.016);
+            const json = ReplayOrchestrator.serialize();
+            const parsed = ReplayOrchestrator.parse(json);
+            test.assertEqual(parsed.format, ReplayOrchestrator.FORMAT);
+            test.assertEqual(parsed.frames.length, 1);
+        });
+
+        test.it('should reject invalid replay data', () => {
+            test.assertThrows(() => ReplayOrchestrator.parse('{"format":"other"}'));
+            test.assertThrows(() => ReplayOrchestrator.parse({ format: ReplayOrchestrator.FORMAT, version: 1 }));
+            test.assertThrows(() => ReplayOrchestrator.parse({
+                format: ReplayOrchestrator.FORMAT, version: ReplayOrchestrator.FORMAT_VERSION + 1, frames: [], events: []
+            }));
+        });
+
+        test.it('should play back inputs before their frame with recorded dt', () => {
+            const replay = {
+                format: ReplayOrchestrator.FORMAT, version: 1, seed: 555, startTime: 1000,
+                frames: [{ dt: 0.016, t: 16 }, { dt: 0.032, t: 48 }, { dt: 0.016, t: 64 }],
+                events: [
+                    { frame: 0, t: 5, action: 'forward', pressed: true },
+                    { frame: 2, t: 50, action: 'forward', pressed: false }
+                ]
+            };
+            const log = [];
+            let completed = false;
+            ReplayOrchestrator.startPlayback(replay, {
+                update: (dt) => log.push({ dt, forward: InputOrchestrator.keys.forward, now: ReplayOrchestrator.now() }),
+                onComplete: () => { completed = true; }
+            });
+
+            test.assertTrue(ReplayOrchestrator.isReplaying());
+            test.assertEqual(ReplayOrchestrator.playToEnd(), 3);
+            test.assertArrayEqual(log.map(l => l.dt), [0.016, 0.032, 0.016]);
+            test.assertArrayEqual(log.map(l => l.forward), [true, true, false]);
+            test.assertArrayEqual(log.map(l => l.now), [1016, 1048, 1064]);
+            test.assertTrue(completed);
+            test.assertFalse(ReplayOrchestrator.isReplaying());
+        });
+
+        test.it('should disable keyboard during playback and restore it after', () => {
+            ReplayOrchestrator.startPlayback({
+                format: ReplayOrchestrator.FORMAT, version: 1, seed: 1, startTime: 0, frames: [], events: []
+            }, { update: () => {} });
+            test.assertFalse(InputOrchestrator.isEnabled());
+            ReplayOrchestrator.stopPlayback();
+            test.assertTrue(InputOrchestrator.isEnabled());
+        });
+
+        test.it('should require an update callback for playback', () => {
+            test.assertThrows(() => ReplayOrchestrator.startPlayback({
+                format: ReplayOrchestrator.FORMAT, version: 1, seed: 1, frames: [], events: []
+            }));
+        });
+
+        test.it('should use Date.now as the clock when not replaying', () => {
+            const before = Date.now();
+            const now = ReplayOrchestrator.now();
+            test.assertTrue(now >= before && now <= Date.now());
+        });
     });
 
     // ==========================================
@@ -1045,6 +2232,384 @@
         });
     });
 
+    // ==========================================
+    // RANDOM TESTS
+    // ==========================================
+
+    test.describe('Engine: Seeded Random', () => {
+        test.afterEach(() => {
+            RandomOrchestrator.init();
+        });
+
+        test.it('should reproduce the same sequence for the same seed', () => {
+            RandomOrchestrator.setSeed(12345);
+            const first = [RandomOrchestrator.next(), RandomOrchestrator.next(), RandomOrchestrator.next()];
+            RandomOrchestrator.setSeed(12345);
+            const second = [RandomOrchestrator.next(), RandomOrchestrator.next(), RandomOrchestrator.next()];
+            test.assertArrayEqual(first, second);
+        });
+
+        test.it('should produce different sequences for different seeds', () => {
+            RandomOrchestrator.setSeed(1);
+            const a = RandomOrchestrator.next();
+            RandomOrchestrator.setSeed(2);
+            const b = RandomOrchestrator.next();
+            test.assertNotEqual(a, b);
+        });
+
+        test.it('should return floats in [0, 1)', () => {
+            RandomOrchestrator.setSeed(99);
+            for (let i = 0; i < 500; i++) {
+                const v = RandomOrchestrator.next();
+                test.assertTrue(v >= 0 && v < 1, `Value ${v} out of range`);
+            }
+        });
+
+        test.it('should rewind on reset', () => {
+            RandomOrchestrator.setSeed(777);
+            const first = RandomOrchestrator.next();
+            RandomOrchestrator.next();
+            RandomOrchestrator.reset();
+            test.assertEqual(RandomOrchestrator.next(), first);
+            test.assertEqual(RandomOrchestrator.getCallCount(), 1);
+        });
+
+        test.it('should parse numeric and text seeds', () => {
+            test.assertEqual(RandomOrchestrator.parseSeed('42'), 42);
+            test.assertEqual(RandomOrchestrator.parseSeed(42.9), 42);
+            test.assertEqual(RandomOrchestrator.parseSeed(''), null);
+            test.assertEqual(RandomOrchestrator.parseSeed(null), null);
+            test.assertEqual(RandomOrchestrator.parseSeed('daily-2026-10-19'), RandomOrchestrator.parseSeed('daily-2026-10-19'));
+            test.assertNotEqual(RandomOrchestrator.parseSeed('daily-2026-10-19'), RandomOrchestrator.parseSeed('daily-2026-10-20'));
+        });
+
+        test.it('should generate a seed when init has none', () => {
+            const seed = RandomOrchestrator.init('');
+            test.assertEqual(RandomOrchestrator.getSeed(), seed);
+            test.assertInRange(seed, 0, RandomOrchestrator.MAX_SEED);
+        });
+
+        test.it('should read seed text from a query string', () => {
+            test.assertEqual(RandomOrchestrator.getSeedFromUrl('?seed=abc'), 'abc');
+            test.assertEqual(RandomOrchestrator.getSeedFromUrl('?foo=1&seed=77'), '77');
+            test.assertEqual(RandomOrchestrator.getSeedFromUrl('?seed='), null);
+            test.assertEqual(RandomOrchestrator.getSeedFromUrl('?foo=1'), null);
+        });
+
+        test.it('should restore a snapshot', () => {
+            RandomOrchestrator.setSeed(5);
+            RandomOrchestrator.next();
+            const snapshot = RandomOrchestrator.getState();
+            const expected = RandomOrchestrator.next();
+            RandomOrchestrator.setSeed(999);
+            RandomOrchestrator.setState(snapshot);
+            test.assertEqual(RandomOrchestrator.next(), expected);
+        });
+
+        test.it('should keep helpers within bounds', () => {
+            RandomOrchestrator.setSeed(2024);
+            for (let i = 0; i < 200; i++) {
+                const n = RandomOrchestrator.int(2, 3);
+                test.assertTrue(n === 2 || n === 3, `int out of range: ${n}`);
+                test.assertInRange(RandomOrchestrator.range(5, 6), 5, 6);
+                test.assertInRange(RandomOrchestrator.spread(4), -2, 2);
+            }
+            test.assertEqual(RandomOrchestrator.pick([]), undefined);
+            test.assertEqual(RandomOrchestrator.pick(['only']), 'only');
+            test.assertFalse(RandomOrchestrator.chance(0));
+            test.assertTrue(RandomOrchestrator.chance(1));
+        });
+    });
+
+    test.describe('Engine: High Scores', () => {
+        // In-memory stand-in for localStorage
+        const createStorage = (initial = {}) => ({
+            items: { ...initial },
+            getItem(key) { return key in this.items ? this.items[key] : null; },
+            setItem(key, value) { this.items[key] = String(value); },
+            removeItem(key) { delete this.items[key]; }
+        });
+        const KEY = () => HighScoreOrchestrator.STORAGE_KEY;
+        const quietly = (fn) => {
+            const warn = console.warn;
+            console.warn = () => {};
+            try { return fn(); } finally { console.warn = warn; }
+        };
+
+        let storage;
+
+        test.beforeEach(() => {
+            storage = createStorage();
+            HighScoreOrchestrator.init({ storage });
+        });
+
+        test.it('should start empty without saved data', () => {
+            test.assertEqual(HighScoreOrchestrator.getHighScores().length, 0);
+            test.assertEqual(HighScoreOrchestrator.getHistory().length, 0);
+            test.assertTrue(HighScoreOrchestrator.isHighScore(0));
+        });
+
+        test.it('should save a run with its stats', () => {
+            HighScoreOrchestrator.startRun();
+            HighScoreOrchestrator.recordShot('slingshot');
+            HighScoreOrchestrator.recordShot('slingshot');
+            HighScoreOrchestrator.recordShot('nerfgun');
+            HighScoreOrchestrator.recordKill();
+            const { entry, rank } = HighScoreOrchestrator.submitRun({
+                score: 3200, rating: 'Mall Diver', died: true, timeRemaining: 41.6, seed: 7
+            });
+
+            test.assertEqual(rank, 1);
+            test.assertEqual(entry.enemiesKilled, 1);
+            test.assertEqual(entry.weaponUsage.slingshot, 2);
+            test.assertEqual(entry.timeRemaining, 42);
+            test.assertTrue(entry.died);
+            test.assertEqual(HighScoreOrchestrator.getTopWeapon(entry), 'slingshot');
+
+            const saved = JSON.parse(storage.getItem(KEY()));
+            test.assertEqual(saved.version, HighScoreOrchestrator.SCHEMA_VERSION);
+            test.assertEqual(saved.scores[0].score, 3200);
+            test.assertEqual(saved.history.length, 1);
+        });
+
+        test.it('should survive a reload', () => {
+            HighScoreOrchestrator.submitRun({ score: 900, rating: 'Window Shopper' });
+            HighScoreOrchestrator.init({ storage });
+            test.assertEqual(HighScoreOrchestrator.getHighScores()[0].score, 900);
+        });
+
+        test.it('should keep scores sorted and capped', () => {
+            const max = HighScoreOrchestrator.MAX_SCORES;
+            for (let i = 0; i < max + 3; i++) {
+                HighScoreOrchestrator.submitRun({ score: i * 100 });
+            }
+            const scores = HighScoreOrchestrator.getHighScores();
+            test.assertEqual(scores.length, max);
+            test.assertEqual(scores[0].score, (max + 2) * 100);
+            for (let i = 1; i < scores.length; i++) {
+                test.assertTrue(scores[i - 1].score >= scores[i].score, 'Scores should be descending');
+            }
+            test.assertFalse(HighScoreOrchestrator.isHighScore(0));
+            test.assertEqual(HighScoreOrchestrator.getHistory().length, max + 3);
+        });
+
+        test.it('should return no rank when a run misses the table', () => {
+            for (let i = 0; i < HighScoreOrchestrator.MAX_SCORES; i++) {
+                HighScoreOrchestrator.submitRun({ score: 5000 });
+            }
+            const { rank } = HighScoreOrchestrator.submitRun({ score: 10 });
+            test.assertEqual(rank, null);
+            test.assertEqual(HighScoreOrchestrator.getHistory()[0].score, 10, 'History keeps every run');
+        });
+
+        test.it('should rank ties below earlier runs', () => {
+            HighScoreOrchestrator.submitRun({ score: 500 });
+            const { rank } = HighScoreOrchestrator.submitRun({ score: 500 });
+            test.assertEqual(rank, 2);
+        });
+
+        test.it('should cap history at MAX_HISTORY', () => {
+            for (let i = 0; i < HighScoreOrchestrator.MAX_HISTORY + 5; i++) {
+                HighScoreOrchestrator.submitRun({ score: i });
+            }
+            const history = HighScoreOrchestrator.getHistory();
+            test.assertEqual(history.length, HighScoreOrchestrator.MAX_HISTORY);
+            test.assertEqual(history[0].score, HighScoreOrchestrator.MAX_HISTORY + 4, 'Newest first');
+        });
+
+        test.it('should reset run stats after submitting', () => {
+            HighScoreOrchestrator.startRun();
+            HighScoreOrchestrator.recordKill();
+            HighScoreOrchestrator.submitRun({ score: 100 });
+            test.assertEqual(HighScoreOrchestrator.getRunStats(), null);
+            HighScoreOrchestrator.recordKill();
+            test.assertEqual(HighScoreOrchestrator.submitRun({ score: 100 }).entry.enemiesKilled, 0);
+        });
+
+        test.it('should migrate unversioned saves', () => {
+            storage.setItem(KEY(), JSON.stringify([{ score: 1200, rating: 'Lost in IKEA' }, { score: 4000 }]));
+            HighScoreOrchestrator.init({ storage });
+            const scores = HighScoreOrchestrator.getHighScores();
+            test.assertEqual(scores.length, 2);
+            test.assertEqual(scores[0].score, 4000, 'Migrated scores should be sorted');
+            test.assertEqual(scores[1].enemiesKilled, 0, 'Missing stats default to 0');
+            test.assertEqual(JSON.parse(storage.getItem(KEY())).version, HighScoreOrchestrator.SCHEMA_VERSION,
+                'Migrated data should be written back');
+        });
+
+        test.it('should not overwrite saves from a newer schema', () => {
+            const newer = JSON.stringify({ version: HighScoreOrchestrator.SCHEMA_VERSION + 1, scores: [] });
+            storage.setItem(KEY(), newer);
+            quietly(() => HighScoreOrchestrator.init({ storage }));
+            HighScoreOrchestrator.submitRun({ score: 100 });
+            test.assertEqual(storage.getItem(KEY()), newer);
+            test.assertEqual(HighScoreOrchestrator.getHighScores().length, 1, 'Session still tracks scores in memory');
+        });
+
+        test.it('should ignore corrupt saves', () => {
+            storage.setItem(KEY(), '{not json');
+            quietly(() => HighScoreOrchestrator.init({ storage }));
+            test.assertEqual(HighScoreOrchestrator.getHighScores().length, 0);
+        });
+
+        test.it('should keep working when storage throws', () => {
+            const broken = {
+                getItem() { throw new Error('denied'); },
+                setItem() { throw new Error('quota'); },
+                removeItem() { throw new Error('denied'); }
+            };
+            quietly(() => {
+                HighScoreOrchestrator.init({ storage: broken });
+                test.assertEqual(HighScoreOrchestrator.submitRun({ score: 100 }).rank, 1);
+                HighScoreOrchestrator.clear();
+            });
+            test.assertEqual(HighScoreOrchestrator.getHighScores().length, 0);
+        });
+
+        test.it('should clear saved scores', () => {
+            HighScoreOrchestrator.submitRun({ score: 100 });
+            HighScoreOrchestrator.clear();
+            test.assertEqual(storage.getItem(KEY()), null);
+            test.assertEqual(HighScoreOrchestrator.getHighScores().length, 0);
+        });
+    });
+
+    test.describe('Engine: Settings', () => {
+        const createStorage = (initial = {}) => ({
+            items: { ...initial },
+            getItem(key) { return key in this.items ? this.items[key] : null; },
+            setItem(key, value) { this.items[key] = String(value); },
+            removeItem(key) { delete this.items[key]; }
+        });
+        const KEY = () => SettingsOrchestrator.STORAGE_KEY;
+        const quietly = (fn) => {
+            const warn = console.warn;
+            console.warn = () => {};
+            try { return fn(); } finally { console.warn = warn; }
+        };
+
+        let storage;
+
+        test.beforeEach(() => {
+            storage = createStorage();
+            SettingsOrchestrator.init({ storage });
+        });
+
+        test.it('should have a valid default for every setting', () => {
+            Object.keys(Engine.settings).forEach(key => {
+                const def = Engine.settings[key];
+                test.assertEqual(SettingsOrchestrator.validate(key, def.default), def.default, `${key} default`);
+            });
+        });
+
+        test.it('should match engine and weapon defaults', () => {
+            test.assertEqual(Engine.settings.fov.default, Engine.defaults.camera.fov);
+            test.assertEqual(Engine.settings.shadows.default, Engine.defaults.render.shadowMapEnabled);
+            test.assertEqual(Engine.settings.pixelRatio.default, Engine.defaults.render.pixelRatio);
+            Engine.settings.aimProfile.options.forEach(id => {
+                test.assertTrue(Weapon.aimProfiles[id] !== undefined, `Unknown aim profile ${id}`);
+            });
+        });
+
+        test.it('should start with defaults', () => {
+            test.assertEqual(SettingsOrchestrator.get('fov'), Engine.settings.fov.default);
+            test.assertEqual(SettingsOrchestrator.get('shadows'), true);
+        });
+
+        test.it('should clamp and snap ranges', () => {
+            test.assertEqual(SettingsOrchestrator.set('fov', 500), 100);
+            test.assertEqual(SettingsOrchestrator.set('fov', '83'), 85);
+            test.assertEqual(SettingsOrchestrator.set('masterVolume', 0.31), 0.3);
+        });
+
+        test.it('should reject invalid values', () => {
+            test.assertEqual(SettingsOrchestrator.set('fov', 'wide'), undefined);
+            test.assertEqual(SettingsOrchestrator.set('shadows', 'maybe'), undefined);
+            test.assertEqual(SettingsOrchestrator.set('aimProfile', 'AIMBOT'), undefined);
+            test.assertEqual(SettingsOrchestrator.set('noSuchSetting', 1), undefined);
+            test.assertEqual(SettingsOrchestrator.get('aimProfile'), 'STANDARD');
+        });
+
+        test.it('should accept form values for toggles and selects', () => {
+            test.assertEqual(SettingsOrchestrator.set('shadows', 'false'), false);
+            test.assertEqual(SettingsOrchestrator.set('pixelRatio', '0.5'), 0.5);
+            test.assertEqual(SettingsOrchestrator.set('aimProfile', 'NONE'), 'NONE');
+        });
+
+        test.it('should persist changes across reload', () => {
+            SettingsOrchestrator.set('fov', 90);
+            SettingsOrchestrator.set('postProcessing', true);
+            SettingsOrchestrator.init({ storage });
+            test.assertEqual(SettingsOrchestrator.get('fov'), 90);
+            test.assertEqual(SettingsOrchestrator.get('postProcessing'), true);
+            test.assertEqual(JSON.parse(storage.getItem(KEY())).version, SettingsOrchestrator.SCHEMA_VERSION);
+        });
+
+        test.it('should notify listeners only when a value changes', () => {
+            const changes = [];
+            SettingsOrchestrator.onChange((key, value) => changes.push([key, value]));
+            SettingsOrchestrator.set('fov', 80);
+            SettingsOrchestrator.set('fov', 80);
+            test.assertEqual(changes.length, 1);
+            test.assertArrayEqual(changes[0], ['fov', 80]);
+        });
+
+        test.it('should apply every value on applyAll', () => {
+            const keys = [];
+            SettingsOrchestrator.onChange((key) => keys.push(key));
+            SettingsOrchestrator.applyAll();
+            test.assertEqual(keys.length, Object.keys(Engine.settings).length);
+        });
+
+        test.it('should keep notifying when a listener throws', () => {
+            let called = false;
+            SettingsOrchestrator.onChange(() => { throw new Error('boom'); });
+            SettingsOrchestrator.onChange(() => { called = true; });
+            const error = console.error;
+            console.error = () => {};
+            try {
+                SettingsOrchestrator.set('vignette', false);
+            } finally {
+                console.error = error;
+            }
+            test.assertTrue(called);
+        });
+
+        test.it('should restore defaults', () => {
+            SettingsOrchestrator.set('fov', 60);
+            SettingsOrchestrator.set('aimProfile', 'NONE');
+            SettingsOrchestrator.resetToDefaults();
+            test.assertEqual(SettingsOrchestrator.get('fov'), Engine.settings.fov.default);
+            test.assertEqual(SettingsOrchestrator.get('aimProfile'), 'STANDARD');
+            SettingsOrchestrator.init({ storage });
+            test.assertEqual(SettingsOrchestrator.get('fov'), Engine.settings.fov.default);
+        });
+
+        test.it('should drop invalid saved values and keep the rest', () => {
+            storage.setItem(KEY(), JSON.stringify({ version: 1, values: { fov: 90, shadows: 'sometimes', removed: 3 } }));
+            SettingsOrchestrator.init({ storage });
+            test.assertEqual(SettingsOrchestrator.get('fov'), 90);
+            test.assertEqual(SettingsOrchestrator.get('shadows'), true);
+            test.assertEqual(SettingsOrchestrator.get('removed'), undefined);
+        });
+
+        test.it('should ignore corrupt or newer saves', () => {
+            storage.setItem(KEY(), '{oops');
+            quietly(() => SettingsOrchestrator.init({ storage }));
+            test.assertEqual(SettingsOrchestrator.get('fov'), Engine.settings.fov.default);
+
+            storage.setItem(KEY(), JSON.stringify({ version: SettingsOrchestrator.SCHEMA_VERSION + 1, values: { fov: 60 } }));
+            quietly(() => SettingsOrchestrator.init({ storage }));
+            test.assertEqual(SettingsOrchestrator.get('fov'), Engine.settings.fov.default);
+        });
+
+        test.it('should work without storage', () => {
+            SettingsOrchestrator.init({ storage: null });
+            test.assertEqual(SettingsOrchestrator.set('fov', 70), 70);
+            test.assertFalse(SettingsOrchestrator.save());
+        });
+    });
+
     test.describe('Engine AnalyticsOrchestrator - Custom Provider', () => {
         test.it('should register custom provider', () => {
             const events = [];
@@ -0,0 +1,312 @@
+// ============================================
+// HIGH SCORE SYSTEM - Local Leaderboard and Run History
+// ============================================
+// Tracks per-run stats (kills, shots per weapon) and persists finished runs
+// to localStorage: a top-score table and a capped history of recent runs.
+// Saved data carries a schema version; older saves are migrated step by step
+// on load. Storage errors (private mode, quota) never break the game.
+
+const HighScoreOrchestrator = {
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+    STORAGE_KEY: 'mall-hell-scores',
+    SCHEMA_VERSION: 1,
+    MAX_SCORES: 10,          // Entries kept in the top-score table
+    MAX_HISTORY: 25,         // Most recent runs kept in history
+
+    // ==========================================
+    // MIGRATIONS
+    // ==========================================
+    // migrations[n] upgrades data from version n to n + 1.
+    // Version 0 is the unversioned format: a bare array of {score, rating}.
+    migrations: {
+        0: (data) => ({
+            version: 1,
+            scores: Array.isArray(data) ? data : [],
+            history: []
+        })
+    },
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    _storage: null,          // localStorage (or injected stand-in)
+    _data: null,             // { version, scores, history }
+    _readOnly: false,        // Saved by a newer build - never overwrite it
+    _run: null,              // Stats for the run in progress
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Initialize and load saved scores
+     * @param {Object} options - Configuration options
+     * @param {Object} options.storage - Storage with getItem/setItem/removeItem (default: localStorage)
+     */
+    init(options = {}) {
+        this._storage = options.storage !== undefined ? options.storage : this._getDefaultStorage();
+        this._run = null;
+        this.load();
+    },
+
+    /**
+     * Load saved data from storage, migrating older schema versions
+     * @returns {Object} Loaded data { version, scores, history }
+     */
+    load() {
+        this._readOnly = false;
+        this._data = this._createEmpty();
+
+        const raw = this._read();
+        if (raw === null) return this._data;
+
+        try {
+            const parsed = JSON.parse(raw);
+            const version = Array.isArray(parsed) ? 0 : parsed?.version;
+            if (!Number.isInteger(version)) throw new Error('missing schema version');
+            if (version > this.SCHEMA_VERSION) {
+                console.warn(`HighScoreOrchestrator: Saved scores use newer schema ${version} - not saving this session`);
+                this._readOnly = true;
+                return this._data;
+            }
+
+            const migrated = this.migrate(parsed);
+            this._data = {
+                version: this.SCHEMA_VERSION,
+                scores: this._sortScores(migrated.scores.map(e => this._normalizeEntry(e))).slice(0, this.MAX_SCORES),
+                history: migrated.history.map(e => this._normalizeEntry(e)).slice(0, this.MAX_HISTORY)
+            };
+            if (version < this.SCHEMA_VERSION) this.save();
+        } catch (e) {
+            console.warn('HighScoreOrchestrator: Ignoring unreadable saved scores', e);
+        }
+        return this._data;
+    },
+
+    /**
+     * Upgrade saved data to the current schema version
+     * @param {Object|Array} data - Parsed saved data
+     * @returns {Object} Data at SCHEMA_VERSION
+     */
+    migrate(data) {
+        let current = data;
+        let version = Array.isArray(current) ? 0 : current.version;
+        while (version < this.SCHEMA_VERSION) {
+            const step = this.migrations[version];
+            if (!step) throw new Error(`HighScoreOrchestrator: No migration from schema ${version}`);
+            current = step(current);
+            version = current.version;
+        }
+        return current;
+    },
+
+    /**
+     * Write current data to storage
+     * @returns {boolean} True if saved
+     */
+    save() {
+        if (this._readOnly || !this._storage || !this._data) return false;
+        try {
+            this._storage.setItem(this.STORAGE_KEY, JSON.stringify(this._data));
+            return true;
+        } catch (e) {
+            console.warn('HighScoreOrchestrator: Could not save scores', e);
+            return false;
+        }
+    },
+
+    /**
+     * Delete all saved scores and history
+     */
+    clear() {
+        this._data = this._createEmpty();
+        this._readOnly = false;
+        if (!this._storage) return;
+        try {
+            this._storage.removeItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.warn('HighScoreOrchestrator: Could not clear scores', e);
+        }
+    },
+
+    // ==========================================
+    // RUN TRACKING
+    // ==========================================
+
+    /**
+     * Start tracking a new run
+     */
+    startRun() {
+        this._run = { enemiesKilled: 0, weaponUsage: {} };
+    },
+
+    /**
+     * Count a shot for weapon usage
+     * @param {string} weaponId - Weapon that fired
+     */
+    recordShot(weaponId) {
+        if (!this._run || !weaponId) return;
+        this._run.weaponUsage[weaponId] = (this._run.weaponUsage[weaponId] || 0) + 1;
+    },
+
+    /**
+     * Count an enemy kill
+     */
+    recordKill() {
+        if (this._run) this._run.enemiesKilled++;
+    },
+
+    /**
+     * @returns {Object|null} Stats for the run in progress { enemiesKilled, weaponUsage }
+     */
+    getRunStats() {
+        return this._run;
+    },
+
+    /**
+     * Finish the run and save it to the score table and history
+     * @param {Object} result - Run result
+     * @param {number} result.score - Final score
+     * @param {string} result.rating - Score rating (UI.getScoreRating)
+     * @param {boolean} result.died - True if the player died (false = time ran out)
+     * @param {number} result.timeRemaining - Seconds left on the timer
+     * @param {number} result.seed - Run seed
+     * @returns {Object} { entry, rank } - rank is 1-based, or null if it missed the table
+     */
+    submitRun(result = {}) {
+        if (!this._data) this.load();
+        const run = this._run || { enemiesKilled: 0, weaponUsage: {} };
+        const entry = this._normalizeEntry({
+            score: result.score,
+            rating: result.rating,
+            died: result.died,
+            timeRemaining: result.timeRemaining,
+            enemiesKilled: run.enemiesKilled,
+            weaponUsage: run.weaponUsage,
+            seed: result.seed,
+            date: Date.now()
+        });
+        this._run = null;
+
+        this._data.history.unshift(entry);
+        this._data.history.length = Math.min(this._data.history.length, this.MAX_HISTORY);
+
+        const scores = this._sortScores([...this._data.scores, entry]).slice(0, this.MAX_SCORES);
+        this._data.scores = scores;
+        const index = scores.indexOf(entry);
+
+        this.save();
+        return { entry, rank: index >= 0 ? index + 1 : null };
+    },
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    /**
+     * @returns {Object[]} Top scores, highest first
+     */
+    getHighScores() {
+        return this._data ? this._data.scores.slice() : [];
+    },
+
+    /**
+     * @returns {Object[]} Recent runs, newest first
+     */
+    getHistory() {
+        return this._data ? this._data.history.slice() : [];
+    },
+
+    /**
+     * Check if a score would make the top-score table
+     * @param {number} score - Score to check
+     * @returns {boolean}
+     */
+    isHighScore(score) {
+        const scores = this.getHighScores();
+        return scores.length < this.MAX_SCORES || score > scores[scores.length - 1].score;
+    },
+
+    /**
+     * Most-fired weapon of a saved run
+     * @param {Object} entry - Score entry
+     * @returns {string|null} Weapon id, or null if nothing was fired
+     */
+    getTopWeapon(entry) {
+        let top = null;
+        Object.keys(entry?.weaponUsage || {}).forEach(id => {
+            if (top === null || entry.weaponUsage[id] > entry.weaponUsage[top]) top = id;
+        });
+        return top;
+    },
+
+    // ==========================================
+    // INTERNAL
+    // ==========================================
+
+    /**
+     * Fill defaults and sanitize a stored entry
+     * @private
+     */
+    _normalizeEntry(raw = {}) {
+        const number = (value) => Number.isFinite(Number(value)) ? Number(value) : 0;
+        const weaponUsage = {};
+        Object.keys(raw.weaponUsage || {}).forEach(id => {
+            const shots = Math.max(0, Math.floor(number(raw.weaponUsage[id])));
+            if (shots > 0) weaponUsage[id] = shots;
+        });
+        const score = Math.max(0, Math.floor(number(raw.score)));
+        return {
+            score,
+            rating: raw.rating || (typeof UI !== 'undefined' ? UI.getScoreRating(score) : ''),
+            died: !!raw.died,
+            timeRemaining: Math.max(0, Math.round(number(raw.timeRemaining))),
+            enemiesKilled: Math.max(0, Math.floor(number(raw.enemiesKilled))),
+            weaponUsage,
+            seed: raw.seed ?? null,
+            date: number(raw.date) || null
+        };
+    },
+
+    /**
+     * Sort by score (ties: earlier run first)
+     * @private
+     */
+    _sortScores(scores) {
+        return scores.slice().sort((a, b) => b.score - a.score || (a.date || 0) - (b.date || 0));
+    },
+
+    /**
+     * @private
+     */
+    _createEmpty() {
+        return { version: this.SCHEMA_VERSION, scores: [], history: [] };
+    },
+
+    /**
+     * @private
+     */
+    _read() {
+        if (!this._storage) return null;
+        try {
+            return this._storage.getItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.warn('HighScoreOrchestrator: Could not read scores', e);
+            return null;
+        }
+    },
+
+    /**
+     * localStorage can throw on access (privacy settings, sandboxed frames)
+     * @private
+     */
+    _getDefaultStorage() {
+        try {
+            return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+        } catch (e) {
+            return null;
+        }
+    }
+};
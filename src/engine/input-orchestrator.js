@@ -1,8 +1,18 @@
 // ============================================
-// INPUT SYSTEM - Keyboard Input Handling
+// INPUT SYSTEM - Keyboard, Gamepad and Touch Input Handling
 // ============================================
 // Handles keyboard input with customizable bindings
-// and action-based callbacks.
+// and action-based callbacks. Players rebind keys through captureKey()
+// and bindKey(); the binding map persists to localStorage.
+// Gamepads are polled once per frame (pollGamepads): buttons use the same
+// binding map as keys ('Gamepad<index>' codes) and the left stick presses
+// movement actions with an analog magnitude (axes).
+// Mouse aim (pointer lock): movement accumulates into a delta the game
+// consumes each frame, the left button presses fire and the right button
+// presses altFire.
+// Mouse wheel: each notch taps the action bound to 'WheelUp'/'WheelDown'.
+// Touch: the on-screen joystick feeds the same analog path as the gamepad
+// stick (setVirtualStick) and on-screen buttons press actions (setVirtualButton).
 
 const InputOrchestrator = {
     // Current key states (action name -> boolean)
@@ -13,17 +23,72 @@ const InputOrchestrator = {
         turnRight: false
     },
 
-    // Key bindings (key code -> action)
+    // Stick magnitude (0-1) for movement actions held by a stick (gamepad or touch)
+    axes: {
+        forward: 0,
+        backward: 0,
+        turnLeft: 0,
+        turnRight: 0
+    },
+
+    // Key bindings (key code or 'Gamepad<index>' -> action)
     bindings: {},
 
+    // Saved binding format
+    BINDINGS_STORAGE_KEY: 'mall-hell-bindings',
+    BINDINGS_VERSION: 3,
+
+    // bindingMigrations[n] upgrades saved bindings from version n to n + 1
+    bindingMigrations: {
+        // Version 1 predates gamepad support - keep its keys, add default buttons
+        1: (data, defaults) => {
+            const buttons = Object.fromEntries(Object.entries(defaults).filter(([code]) => /^Gamepad\d+$/.test(code)));
+            return { version: 2, bindings: { ...buttons, ...data.bindings } };
+        },
+        // Version 2 predates weapon switching and alt fire - add their default keys where they are still free
+        2: (data, defaults) => {
+            const newKeys = Object.fromEntries(Object.entries(defaults)
+                .filter(([code, action]) => (/^weapon/.test(action) || action === 'altFire') && !(code in data.bindings)));
+            return { version: 3, bindings: { ...data.bindings, ...newKeys } };
+        }
+    },
+
     // Action callbacks
     _onActionStart: {},  // action -> [callbacks]
     _onActionRelease: {}, // action -> [callbacks]
 
+    // Input listeners notified of every action start/release (e.g. replay recorder)
+    _inputListeners: [],
+
     // Listener references for cleanup
     _keydownListener: null,
     _keyupListener: null,
+    _wheelListener: null,
     _initialized: false,
+    _enabled: true,       // When false, keyboard events are ignored (simulated actions still apply)
+    _captureCallback: null, // Set while waiting for a key to rebind
+    _swallowKeyUp: null,  // Key code whose keyup belongs to a capture
+
+    // Gamepad state
+    _padButtons: [],      // Button values from the last poll (press edge detection)
+    _padHeld: {},         // Gamepad code -> action it pressed (released on button up)
+    _stickHeld: {},       // Movement action -> true while a stick presses it
+    _sticks: { gamepad: {}, touch: {} }, // Stick source -> movement action -> magnitude
+    _pressure: {},        // Action -> analog value of the gamepad button holding it
+
+    // Touch state
+    _touchHeld: {},       // Action -> true while an on-screen button holds it
+
+    // Mouse aim state
+    _mouseTarget: null,   // Element that holds pointer lock (game canvas)
+    _mouseDelta: { x: 0, y: 0 }, // Movement since the last consumeMouseDelta()
+    _mouseHeld: {},       // Mouse button -> action it is holding
+    _mouseSensitivity: 1,
+    _pointerLockCallbacks: [],
+    _mouseListeners: null, // { mousemove, mousedown, mouseup, contextmenu, pointerlockchange }
+
+    // Mouse buttons that press actions while locked (MouseEvent.button -> action)
+    MOUSE_BUTTONS: { 0: 'fire', 2: 'altFire' },
 
     // ==========================================
     // INITIALIZATION
@@ -34,24 +99,9 @@ const InputOrchestrator = {
      * @param {Object} customBindings - Optional custom key bindings
      */
     init(customBindings = null) {
-        // Use Engine defaults if available, otherwise use built-in defaults
-        const defaults = (typeof Engine !== 'undefined' && Engine.DEFAULT_BINDINGS)
-            ? Engine.DEFAULT_BINDINGS
-            : {
-                'KeyW': 'forward',
-                'ArrowUp': 'forward',
-                'KeyS': 'backward',
-                'ArrowDown': 'backward',
-                'KeyA': 'turnLeft',
-                'ArrowLeft': 'turnLeft',
-                'KeyD': 'turnRight',
-                'ArrowRight': 'turnRight',
-                'Space': 'fire',
-                'Escape': 'pause',
-                'KeyP': 'freeze'
-            };
-
-        this.bindings = { ...defaults, ...(customBindings || {}) };
+        this.bindings = { ...this.getDefaultBindings(), ...(customBindings || {}) };
+        this._captureCallback = null;
+        this._swallowKeyUp = null;
 
         // Reset states
         this.reset();
@@ -62,11 +112,14 @@ const InputOrchestrator = {
         // Create bound listener functions
         this._keydownListener = this._handleKeyDown.bind(this);
         this._keyupListener = this._handleKeyUp.bind(this);
+        this._wheelListener = this._handleWheel.bind(this);
 
         // Attach listeners
         document.addEventListener('keydown', this._keydownListener);
         document.addEventListener('keyup', this._keyupListener);
+        document.addEventListener('wheel', this._wheelListener);
 
+        this._enabled = true;
         this._initialized = true;
     },
 
@@ -74,6 +127,7 @@ const InputOrchestrator = {
      * Clean up event listeners
      */
     destroy() {
+        this.disableMouseAim();
         if (this._keydownListener) {
             document.removeEventListener('keydown', this._keydownListener);
             this._keydownListener = null;
@@ -82,6 +136,10 @@ const InputOrchestrator = {
             document.removeEventListener('keyup', this._keyupListener);
             this._keyupListener = null;
         }
+        if (this._wheelListener) {
+            document.removeEventListener('wheel', this._wheelListener);
+            this._wheelListener = null;
+        }
         this._initialized = false;
     },
 
@@ -93,6 +151,16 @@ const InputOrchestrator = {
         this.keys.backward = false;
         this.keys.turnLeft = false;
         this.keys.turnRight = false;
+        this.axes.forward = 0;
+        this.axes.backward = 0;
+        this.axes.turnLeft = 0;
+        this.axes.turnRight = 0;
+        this._padHeld = {};
+        this._stickHeld = {};
+        this._sticks = { gamepad: {}, touch: {} };
+        this._pressure = {};
+        this._touchHeld = {};
+        this._mouseDelta = { x: 0, y: 0 };
     },
 
     // ==========================================
@@ -104,9 +172,52 @@ const InputOrchestrator = {
      * @private
      */
     _handleKeyDown(e) {
+        if (this._captureCallback) {
+            this._finishCapture(e);
+            return;
+        }
+        if (!this._enabled) return;
         const action = this._getAction(e);
         if (!action) return;
 
+        this._pressAction(action, e);
+    },
+
+    /**
+     * Handle keyup events
+     * @private
+     */
+    _handleKeyUp(e) {
+        if (this._swallowKeyUp && e.code === this._swallowKeyUp) {
+            this._swallowKeyUp = null;
+            if (e.preventDefault) e.preventDefault();
+            return;
+        }
+        if (!this._enabled) return;
+        const action = this._getAction(e);
+        if (!action) return;
+
+        this._releaseAction(action, e);
+    },
+
+    /**
+     * Handle wheel events - a notch presses and releases its bound action
+     * @private
+     */
+    _handleWheel(e) {
+        if (this._captureCallback || !this._enabled || !e.deltaY) return;
+        const action = this.bindings[e.deltaY > 0 ? 'WheelDown' : 'WheelUp'];
+        if (!action) return;
+
+        this._pressAction(action, e);
+        this._releaseAction(action, e);
+    },
+
+    /**
+     * Apply an action press (shared by keyboard and simulated input)
+     * @private
+     */
+    _pressAction(action, event) {
         // Update key state for movement keys
         if (action in this.keys) {
             const wasPressed = this.keys[action];
@@ -114,29 +225,39 @@ const InputOrchestrator = {
 
             // Only fire callback on initial press
             if (!wasPressed) {
-                this._fireCallbacks(this._onActionStart, action, e);
+                this._notifyInputListeners(action, true);
+                this._fireCallbacks(this._onActionStart, action, event);
             }
         } else {
             // Non-movement actions (fire, pause) always fire on keydown
-            this._fireCallbacks(this._onActionStart, action, e);
+            this._notifyInputListeners(action, true);
+            this._fireCallbacks(this._onActionStart, action, event);
         }
     },
 
     /**
-     * Handle keyup events
+     * Apply an action release (shared by keyboard and simulated input)
      * @private
      */
-    _handleKeyUp(e) {
-        const action = this._getAction(e);
-        if (!action) return;
-
+    _releaseAction(action, event) {
         // Update key state for movement keys
         if (action in this.keys) {
             this.keys[action] = false;
         }
 
         // Fire release callback
-        this._fireCallbacks(this._onActionRelease, action, e);
+        this._notifyInputListeners(action, false);
+        this._fireCallbacks(this._onActionRelease, action, event);
+    },
+
+    /**
+     * Notify input listeners of an action start/release
+     * @private
+     */
+    _notifyInputListeners(action, isPressed) {
+        for (const listener of this._inputListeners) {
+            listener(action, isPressed);
+        }
     },
 
     /**
@@ -176,6 +297,133 @@ const InputOrchestrator = {
         return null;
     },
 
+    /**
+     * Hand a captured key to the capture callback
+     * @private
+     */
+    _finishCapture(e) {
+        if (e.preventDefault) e.preventDefault();
+        const callback = this._captureCallback;
+        this._captureCallback = null;
+        const code = e.code || null;
+        if (code === 'Escape' || !code) {
+            callback(null);
+            return;
+        }
+        this._swallowKeyUp = code;
+        callback(code);
+    },
+
+    /**
+     * Actions that can be bound (Engine.ACTIONS plus any already in use)
+     * @private
+     */
+    _getKnownActions() {
+        const actions = typeof Engine !== 'undefined' && Engine.ACTIONS ? Object.values(Engine.ACTIONS) : [];
+        return [...new Set([...actions, ...Object.values(this.getDefaultBindings())])];
+    },
+
+    /**
+     * localStorage can throw on access (privacy settings, sandboxed frames)
+     * @private
+     */
+    _getDefaultStorage() {
+        try {
+            return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Drop mouse movement and release held mouse buttons (lock lost)
+     * @private
+     */
+    _releaseMouse() {
+        this._mouseDelta = { x: 0, y: 0 };
+        const held = this._mouseHeld;
+        this._mouseHeld = {};
+        Object.values(held).forEach(action => this._releaseAction(action, { type: 'mouseup', preventDefault() {} }));
+    },
+
+    /**
+     * getGamepads can throw where a permissions policy blocks it
+     * @private
+     */
+    _getGamepads() {
+        try {
+            return typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * @private
+     */
+    _getGamepadConfig() {
+        return (typeof Engine !== 'undefined' && Engine.gamepad)
+            ? Engine.gamepad
+            : { MOVE_AXIS: 1, TURN_AXIS: 0, DEADZONE: 0.2, PRESS_THRESHOLD: 0.1 };
+    },
+
+    /**
+     * @private
+     */
+    _getTouchConfig() {
+        return (typeof Engine !== 'undefined' && Engine.touch) ? Engine.touch : { DEADZONE: 0.15 };
+    },
+
+    /**
+     * Combine connected pads: strongest value per button and axis
+     * @private
+     */
+    _mergeGamepads(pads) {
+        const state = { buttons: [], axes: [] };
+        (pads || []).forEach(pad => {
+            if (!pad || pad.connected === false) return;
+            (pad.buttons || []).forEach((button, i) => {
+                const value = typeof button === 'number' ? button : (button.value || (button.pressed ? 1 : 0));
+                state.buttons[i] = Math.max(state.buttons[i] || 0, value);
+            });
+            (pad.axes || []).forEach((value, i) => {
+                if (Math.abs(value) > Math.abs(state.axes[i] || 0)) state.axes[i] = value;
+            });
+        });
+        for (let i = 0; i < state.buttons.length; i++) state.buttons[i] = state.buttons[i] || 0;
+        return state;
+    },
+
+    /**
+     * Rescale so output starts at 0 at the deadzone edge and reaches 1 at full tilt
+     * @private
+     */
+    _applyDeadzone(value, deadzone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadzone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    },
+
+    /**
+     * Store a stick's magnitude for a movement action and press/release it
+     * The action uses the strongest source, so gamepad and touch sticks don't
+     * release each other.
+     * @private
+     */
+    _setStick(source, action, magnitude) {
+        this._sticks[source][action] = magnitude;
+        const combined = Math.max(...Object.values(this._sticks).map(stick => stick[action] || 0));
+        const event = { type: source, stick: true, value: combined, preventDefault() {} };
+        this.axes[action] = combined;
+        if (combined > 0 && !this._stickHeld[action]) {
+            this._stickHeld[action] = true;
+            this._pressAction(action, event);
+        } else if (combined === 0 && this._stickHeld[action]) {
+            delete this._stickHeld[action];
+            this._releaseAction(action, event);
+        }
+    },
+
     /**
      * Fire callbacks for an action
      * @private
@@ -194,21 +442,46 @@ const InputOrchestrator = {
     // ==========================================
 
     /**
-     * Get movement input as normalized values
-     * @returns {Object} {forward: -1|0|1, turn: -1|0|1}
+     * Get movement input as normalized values (fractional for stick input)
+     * @returns {Object} {forward: -1..1, turn: -1..1}
      */
     getMovement() {
+        const analog = this.getAnalogKeys();
         let forward = 0;
         let turn = 0;
 
-        if (this.keys.forward) forward = 1;
-        if (this.keys.backward) forward = -1;
-        if (this.keys.turnLeft) turn = -1;
-        if (this.keys.turnRight) turn = 1;
+        if (analog.forward) forward = analog.forward;
+        if (analog.backward) forward = -analog.backward;
+        if (analog.turnLeft) turn = -analog.turnLeft;
+        if (analog.turnRight) turn = analog.turnRight;
 
         return { forward, turn };
     },
 
+    /**
+     * Movement key states as magnitudes for PlayerOrchestrator
+     * Keys count as 1; an action held by the stick uses its deflection.
+     * @returns {Object} {forward, backward, turnLeft, turnRight} (0-1)
+     */
+    getAnalogKeys() {
+        const value = (action) => this.keys[action] ? (this.axes[action] || 1) : 0;
+        return {
+            forward: value('forward'),
+            backward: value('backward'),
+            turnLeft: value('turnLeft'),
+            turnRight: value('turnRight')
+        };
+    },
+
+    /**
+     * Analog pressure of the gamepad button holding an action (e.g. trigger)
+     * @param {string} action - Action name
+     * @returns {number} 0-1 (1 when held by a key or not held)
+     */
+    getPressure(action) {
+        return this._pressure[action] ?? 1;
+    },
+
     /**
      * Check if any movement key is pressed
      * @returns {boolean}
@@ -264,6 +537,7 @@ const InputOrchestrator = {
     clearAllCallbacks() {
         this._onActionStart = {};
         this._onActionRelease = {};
+        this._pointerLockCallbacks = [];
     },
 
     /**
@@ -284,6 +558,558 @@ const InputOrchestrator = {
         return this.bindings[keyCode] || null;
     },
 
+    // ==========================================
+    // REBINDING
+    // ==========================================
+
+    /**
+     * Get the default binding map
+     * @returns {Object} key code -> action
+     */
+    getDefaultBindings() {
+        // Use Engine defaults if available, otherwise use built-in defaults
+        const defaults = (typeof Engine !== 'undefined' && Engine.DEFAULT_BINDINGS)
+            ? Engine.DEFAULT_BINDINGS
+            : {
+                'KeyW': 'forward',
+                'ArrowUp': 'forward',
+                'KeyS': 'backward',
+                'ArrowDown': 'backward',
+                'KeyA': 'turnLeft',
+                'ArrowLeft': 'turnLeft',
+                'KeyD': 'turnRight',
+                'ArrowRight': 'turnRight',
+                'Space': 'fire',
+                'KeyF': 'altFire',
+                'Escape': 'pause',
+                'KeyP': 'freeze',
+                'KeyC': 'weaponNext',
+                'KeyZ': 'weaponPrev',
+                'WheelDown': 'weaponNext',
+                'WheelUp': 'weaponPrev',
+                'Digit1': 'weapon1',
+                'Digit2': 'weapon2',
+                'Digit3': 'weapon3',
+                'Digit4': 'weapon4',
+                'Digit5': 'weapon5',
+                'Digit6': 'weapon6',
+                'Gamepad0': 'fire',
+                'Gamepad7': 'fire',
+                'Gamepad6': 'altFire',
+                'Gamepad4': 'weaponPrev',
+                'Gamepad5': 'weaponNext',
+                'Gamepad9': 'pause',
+                'Gamepad12': 'forward',
+                'Gamepad13': 'backward',
+                'Gamepad14': 'turnLeft',
+                'Gamepad15': 'turnRight'
+            };
+        return { ...defaults };
+    },
+
+    /**
+     * Get a copy of the current binding map
+     * @returns {Object} key code -> action
+     */
+    getBindings() {
+        return { ...this.bindings };
+    },
+
+    /**
+     * Replace the whole binding map (unlike init, defaults are not merged in)
+     * @param {Object} bindings - key code -> action
+     * @returns {boolean} True if the map was valid and applied
+     */
+    setBindings(bindings) {
+        if (!bindings || typeof bindings !== 'object') return false;
+        const actions = this._getKnownActions();
+        const entries = Object.entries(bindings);
+        if (!entries.every(([code, action]) => typeof code === 'string' && code && actions.includes(action))) {
+            return false;
+        }
+        this.bindings = Object.fromEntries(entries);
+        this.reset();
+        return true;
+    },
+
+    /**
+     * Restore default bindings
+     */
+    resetBindings() {
+        this.bindings = this.getDefaultBindings();
+        this.reset();
+    },
+
+    /**
+     * Get the keyboard keys bound to an action, in binding order
+     * @param {string} action - Action name
+     * @returns {string[]} Key codes
+     */
+    getKeysForAction(action) {
+        return Object.keys(this.bindings).filter(code => this.bindings[code] === action && !this.isGamepadCode(code));
+    },
+
+    /**
+     * Get the gamepad buttons bound to an action, in binding order
+     * @param {string} action - Action name
+     * @returns {string[]} Gamepad codes ('Gamepad<index>')
+     */
+    getButtonsForAction(action) {
+        return Object.keys(this.bindings).filter(code => this.bindings[code] === action && this.isGamepadCode(code));
+    },
+
+    /**
+     * @param {string} code - Binding code
+     * @returns {boolean} True for gamepad button codes ('Gamepad<index>')
+     */
+    isGamepadCode(code) {
+        return /^Gamepad\d+$/.test(code);
+    },
+
+    /**
+     * Bind a key to one of an action's slots
+     * If the key belongs to another action, the two swap keys so neither
+     * silently loses its binding (the other action gets this slot's old key).
+     * Gamepad codes use the action's button slots instead of its key slots.
+     * @param {string} action - Action name
+     * @param {string} keyCode - Key code (e.g. 'KeyQ') or gamepad code ('Gamepad7')
+     * @param {number} slot - Index into getKeysForAction/getButtonsForAction; past the end adds one
+     * @returns {Object|null} { conflict: action that held the key or null, swappedKey } - null if invalid
+     */
+    bindKey(action, keyCode, slot = 0) {
+        if (!keyCode || !this._getKnownActions().includes(action)) return null;
+
+        const slots = this.isGamepadCode(keyCode) ? this.getButtonsForAction(action) : this.getKeysForAction(action);
+        const oldCode = slots[slot] || null;
+        const holder = this.bindings[keyCode] || null;
+        const conflict = holder && holder !== action ? holder : null;
+        if (oldCode === keyCode) return { conflict: null, swappedKey: null };
+
+        // Rebuild in order so each action's slots keep their positions
+        const next = {};
+        Object.keys(this.bindings).forEach(code => {
+            if (code === keyCode) {
+                if (holder && oldCode) next[oldCode] = holder;
+                return;
+            }
+            if (code === oldCode) {
+                next[keyCode] = action;
+                return;
+            }
+            next[code] = this.bindings[code];
+        });
+        if (!oldCode) next[keyCode] = action;
+
+        this.bindings = next;
+        this.reset();
+        return { conflict, swappedKey: conflict ? oldCode : null };
+    },
+
+    /**
+     * Wait for the next key or gamepad button press and pass its code to a
+     * callback instead of triggering an action. Escape cancels (callback receives null).
+     * @param {Function} callback - Callback(keyCode|null)
+     */
+    captureKey(callback) {
+        this._captureCallback = typeof callback === 'function' ? callback : null;
+    },
+
+    /**
+     * Stop waiting for a key (callback receives null)
+     */
+    cancelCapture() {
+        const callback = this._captureCallback;
+        this._captureCallback = null;
+        if (callback) callback(null);
+    },
+
+    /**
+     * @returns {boolean} True while waiting for a key to rebind
+     */
+    isCapturing() {
+        return this._captureCallback !== null;
+    },
+
+    /**
+     * Save the binding map to storage
+     * @param {Object} storage - Storage with setItem (default: localStorage)
+     * @returns {boolean} True if saved
+     */
+    saveBindings(storage = this._getDefaultStorage()) {
+        if (!storage) return false;
+        try {
+            storage.setItem(this.BINDINGS_STORAGE_KEY, JSON.stringify({
+                version: this.BINDINGS_VERSION,
+                bindings: this.bindings
+            }));
+            return true;
+        } catch (e) {
+            console.warn('InputOrchestrator: Could not save bindings', e);
+            return false;
+        }
+    },
+
+    /**
+     * Load a saved binding map from storage, migrating older versions
+     * (keeps current bindings if none/invalid)
+     * @param {Object} storage - Storage with getItem (default: localStorage)
+     * @returns {boolean} True if saved bindings were applied
+     */
+    loadBindings(storage = this._getDefaultStorage()) {
+        if (!storage) return false;
+        try {
+            const raw = storage.getItem(this.BINDINGS_STORAGE_KEY);
+            if (raw === null) return false;
+            let data = JSON.parse(raw);
+            if (!data || !Number.isInteger(data.version) || data.version > this.BINDINGS_VERSION) return false;
+            while (data.version < this.BINDINGS_VERSION) {
+                const step = this.bindingMigrations[data.version];
+                if (!step) return false;
+                data = step(data, this.getDefaultBindings());
+            }
+            return this.setBindings(data.bindings);
+        } catch (e) {
+            console.warn('InputOrchestrator: Ignoring unreadable saved bindings', e);
+            return false;
+        }
+    },
+
+    /**
+     * Delete saved bindings
+     * @param {Object} storage - Storage with removeItem (default: localStorage)
+     */
+    clearSavedBindings(storage = this._getDefaultStorage()) {
+        if (!storage) return;
+        try {
+            storage.removeItem(this.BINDINGS_STORAGE_KEY);
+        } catch (e) {
+            console.warn('InputOrchestrator: Could not clear bindings', e);
+        }
+    },
+
+    // ==========================================
+    // GAMEPAD
+    // ==========================================
+
+    /**
+     * Poll connected gamepads (call once per frame)
+     * Bound buttons press/release actions like keys; the left stick presses
+     * movement actions past the deadzone and sets their magnitude in axes.
+     * @param {Array} pads - Gamepads to read (default: navigator.getGamepads())
+     */
+    pollGamepads(pads = this._getGamepads()) {
+        const config = this._getGamepadConfig();
+        const { buttons, axes } = this._mergeGamepads(pads);
+        const wasPressed = (index) => (this._padButtons[index] || 0) >= config.PRESS_THRESHOLD;
+
+        // Capture takes the first newly pressed button
+        if (this._captureCallback) {
+            const index = buttons.findIndex((value, i) => value >= config.PRESS_THRESHOLD && !wasPressed(i));
+            this._padButtons = buttons;
+            if (index !== -1) {
+                const callback = this._captureCallback;
+                this._captureCallback = null;
+                callback(`Gamepad${index}`);
+            }
+            return;
+        }
+
+        if (!this._enabled) {
+            this._padButtons = buttons;
+            return;
+        }
+
+        const length = Math.max(buttons.length, this._padButtons.length);
+        for (let i = 0; i < length; i++) {
+            const code = `Gamepad${i}`;
+            const value = buttons[i] || 0;
+            const pressed = value >= config.PRESS_THRESHOLD;
+            const heldAction = this._padHeld[code];
+            const event = { type: 'gamepad', code, value, preventDefault() {} };
+
+            if (pressed && heldAction) {
+                this._pressure[heldAction] = value;
+            } else if (pressed && !wasPressed(i) && this.bindings[code]) {
+                const action = this.bindings[code];
+                this._padHeld[code] = action;
+                this._pressure[action] = value;
+                this._pressAction(action, event);
+            } else if (!pressed && heldAction) {
+                delete this._padHeld[code];
+                delete this._pressure[heldAction];
+                this._releaseAction(heldAction, event);
+            }
+        }
+        this._padButtons = buttons;
+
+        // Left stick: up is negative on the standard mapping
+        const move = this._applyDeadzone(axes[config.MOVE_AXIS] || 0, config.DEADZONE);
+        const turn = this._applyDeadzone(axes[config.TURN_AXIS] || 0, config.DEADZONE);
+        this._setStick('gamepad', 'forward', Math.max(0, -move));
+        this._setStick('gamepad', 'backward', Math.max(0, move));
+        this._setStick('gamepad', 'turnLeft', Math.max(0, -turn));
+        this._setStick('gamepad', 'turnRight', Math.max(0, turn));
+    },
+
+    // ==========================================
+    // TOUCH
+    // ==========================================
+
+    /**
+     * Set the on-screen joystick position (call on every touch move, (0, 0) on release)
+     * Past the deadzone it presses movement actions with an analog magnitude,
+     * like the gamepad stick (and is recorded by replays through peekAnalog()).
+     * @param {number} x - Horizontal deflection (-1 left .. 1 right)
+     * @param {number} y - Vertical deflection (-1 up/forward .. 1 down/backward)
+     */
+    setVirtualStick(x, y) {
+        if (!this._enabled || this._captureCallback) return;
+        const deadzone = this._getTouchConfig().DEADZONE;
+        const move = this._applyDeadzone(Math.max(-1, Math.min(1, y || 0)), deadzone);
+        const turn = this._applyDeadzone(Math.max(-1, Math.min(1, x || 0)), deadzone);
+        this._setStick('touch', 'forward', Math.max(0, -move));
+        this._setStick('touch', 'backward', Math.max(0, move));
+        this._setStick('touch', 'turnLeft', Math.max(0, -turn));
+        this._setStick('touch', 'turnRight', Math.max(0, turn));
+    },
+
+    /**
+     * Press/release an action from an on-screen button (fires callbacks once per hold)
+     * @param {string} action - Action name (e.g. 'fire', 'pause')
+     * @param {boolean} isPressed - True on touch start, false on touch end/cancel
+     */
+    setVirtualButton(action, isPressed) {
+        if (!this._enabled || this._captureCallback) return;
+        const event = { type: 'touch', preventDefault() {} };
+        if (isPressed && !this._touchHeld[action]) {
+            this._touchHeld[action] = true;
+            this._pressAction(action, event);
+        } else if (!isPressed && this._touchHeld[action]) {
+            delete this._touchHeld[action];
+            this._releaseAction(action, event);
+        }
+    },
+
+    // ==========================================
+    // MOUSE AIM (Pointer Lock)
+    // ==========================================
+
+    /**
+     * Listen for mouse aim input on an element (call requestPointerLock() from a click to lock)
+     * @param {HTMLElement} element - Element to lock the pointer to (game canvas)
+     */
+    enableMouseAim(element) {
+        if (this._mouseListeners || !element) return;
+        this._mouseTarget = element;
+        this._mouseListeners = {
+            mousemove: (e) => {
+                if (!this._enabled || !this.isPointerLocked()) return;
+                this._mouseDelta.x += (e.movementX || 0) * this._mouseSensitivity;
+                this._mouseDelta.y += (e.movementY || 0) * this._mouseSensitivity;
+            },
+            mousedown: (e) => {
+                // Buttons fire only while locked - the unlocked click requests the lock
+                const action = this.MOUSE_BUTTONS[e.button];
+                if (!action || !this._enabled || !this.isPointerLocked() || this._mouseHeld[e.button]) return;
+                e.preventDefault();
+                this._mouseHeld[e.button] = action;
+                this._pressAction(action, e);
+            },
+            mouseup: (e) => {
+                const action = this._mouseHeld[e.button];
+                if (!action) return;
+                delete this._mouseHeld[e.button];
+                this._releaseAction(action, e);
+            },
+            contextmenu: (e) => {
+                // Right button is altFire while locked, not the browser menu
+                if (this.isPointerLocked()) e.preventDefault();
+            },
+            pointerlockchange: () => {
+                const locked = this.isPointerLocked();
+                if (!locked) this._releaseMouse();
+                this._pointerLockCallbacks.forEach(cb => cb(locked));
+            }
+        };
+        Object.entries(this._mouseListeners).forEach(([type, listener]) => document.addEventListener(type, listener));
+    },
+
+    /**
+     * Stop listening for mouse aim input and release pointer lock
+     */
+    disableMouseAim() {
+        if (!this._mouseListeners) return;
+        Object.entries(this._mouseListeners).forEach(([type, listener]) => document.removeEventListener(type, listener));
+        this._mouseListeners = null;
+        this.exitPointerLock();
+        this._releaseMouse();
+        this._mouseTarget = null;
+    },
+
+    /**
+     * @returns {boolean} True while mouse aim listeners are attached
+     */
+    isMouseAimEnabled() {
+        return this._mouseListeners !== null;
+    },
+
+    /**
+     * Scale mouse movement (applied as it arrives, so replays record scaled movement)
+     * @param {number} sensitivity - Multiplier (1 = raw pixels)
+     */
+    setMouseSensitivity(sensitivity) {
+        this._mouseSensitivity = Math.max(0, Number(sensitivity) || 0);
+    },
+
+    /**
+     * Lock the pointer to the mouse aim element (must run inside a user gesture)
+     */
+    requestPointerLock() {
+        if (!this._mouseTarget || this.isPointerLocked() || !this._mouseTarget.requestPointerLock) return;
+        try {
+            // Newer browsers return a promise that rejects (e.g. right after ESC unlocked)
+            const result = this._mouseTarget.requestPointerLock();
+            if (result && result.catch) result.catch(() => {});
+        } catch (e) {
+            console.warn('InputOrchestrator: Pointer lock unavailable', e);
+        }
+    },
+
+    /**
+     * Release pointer lock if held
+     */
+    exitPointerLock() {
+        if (this.isPointerLocked() && document.exitPointerLock) document.exitPointerLock();
+    },
+
+    /**
+     * @returns {boolean} True while the pointer is locked to the mouse aim element
+     */
+    isPointerLocked() {
+        return !!this._mouseTarget && typeof document !== 'undefined' && document.pointerLockElement === this._mouseTarget;
+    },
+
+    /**
+     * Register a callback for pointer lock changes (e.g. pause when ESC unlocks)
+     * @param {Function} callback - Callback(isLocked)
+     */
+    onPointerLockChange(callback) {
+        this._pointerLockCallbacks.push(callback);
+    },
+
+    /**
+     * Add mouse movement (replay playback injects recorded movement here)
+     * @param {number} x - Horizontal movement (pixels)
+     * @param {number} y - Vertical movement (pixels)
+     */
+    addMouseDelta(x, y) {
+        this._mouseDelta.x += x;
+        this._mouseDelta.y += y;
+    },
+
+    /**
+     * @returns {Object} Mouse movement since the last consume {x, y} (not cleared)
+     */
+    peekMouseDelta() {
+        return { ...this._mouseDelta };
+    },
+
+    /**
+     * Take the mouse movement since the last call
+     * @returns {Object} {x, y} in pixels
+     */
+    consumeMouseDelta() {
+        const delta = this._mouseDelta;
+        this._mouseDelta = { x: 0, y: 0 };
+        return delta;
+    },
+
+    /**
+     * Partial stick deflection and button pressure the coming update will read
+     * Full values are left out - held actions already read as 1 without them.
+     * @returns {Object|null} {axes?, pressure?} or null when all input is digital
+     */
+    peekAnalog() {
+        const partial = (values) => {
+            const result = {};
+            for (const [action, value] of Object.entries(values)) {
+                if (value > 0 && value < 1) result[action] = value;
+            }
+            return Object.keys(result).length ? result : null;
+        };
+        const axes = partial(this.axes);
+        const pressure = partial(this._pressure);
+        if (!axes && !pressure) return null;
+        const analog = {};
+        if (axes) analog.axes = axes;
+        if (pressure) analog.pressure = pressure;
+        return analog;
+    },
+
+    /**
+     * Replace stick deflection and button pressure (replay playback restores recorded values here)
+     * @param {Object|null} analog - {axes?, pressure?} from peekAnalog(), null for all digital
+     */
+    setAnalog(analog) {
+        for (const action of Object.keys(this.axes)) {
+            this.axes[action] = (analog && analog.axes && analog.axes[action]) || 0;
+        }
+        this._pressure = { ...(analog && analog.pressure) };
+    },
+
+    /**
+     * Simulate an action press/release without a keyboard event
+     * Goes through the same path as real keys (key state, listeners, callbacks).
+     * @param {string} action - Action name
+     * @param {boolean} isPressed - True for press, false for release
+     */
+    simulateAction(action, isPressed) {
+        const event = { type: isPressed ? 'keydown' : 'keyup', simulated: true, preventDefault() {} };
+        if (isPressed) {
+            this._pressAction(action, event);
+        } else {
+            this._releaseAction(action, event);
+        }
+    },
+
+    /**
+     * Register a listener for every action start/release
+     * @param {Function} listener - Callback(action, isPressed)
+     */
+    addInputListener(listener) {
+        if (!this._inputListeners.includes(listener)) {
+            this._inputListeners.push(listener);
+        }
+    },
+
+    /**
+     * Remove an input listener
+     * @param {Function} listener - Listener to remove
+     */
+    removeInputListener(listener) {
+        const index = this._inputListeners.indexOf(listener);
+        if (index !== -1) {
+            this._inputListeners.splice(index, 1);
+        }
+    },
+
+    /**
+     * Enable/disable keyboard and gamepad input (e.g. while a replay drives the game)
+     * @param {boolean} enabled - Whether keyboard events and gamepad polls are handled
+     */
+    setEnabled(enabled) {
+        this._enabled = !!enabled;
+        if (!this._enabled) this.reset();
+    },
+
+    /**
+     * Check if keyboard input is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this._enabled;
+    },
+
     /**
      * Check if input system is initialized
      * @returns {boolean}
@@ -0,0 +1,338 @@
+// ============================================
+// NAVIGATION SYSTEM - Pathfinding Across Rooms
+// ============================================
+// Two layers: a breadth-first search over the room graph picks the doors to
+// go through, and an A* search over a nav grid of the current room routes
+// around shelves and obstacles to the first door (or to the target when it
+// is in the same room).
+// Pure utility functions - rooms, shelves and obstacles are passed in.
+
+const NavigationOrchestrator = {
+    // Config getter (use Engine.defaults.navigation if available)
+    get config() {
+        return (typeof Engine !== 'undefined' && Engine.defaults && Engine.defaults.navigation)
+            ? Engine.defaults.navigation
+            : {
+                cellSize: 1.5,
+                maxRooms: 4,
+                doorStep: 2
+            };
+    },
+
+    // ==========================================
+    // PATHS
+    // ==========================================
+
+    /**
+     * Find a path between two world positions
+     * Only the stretch through the starting room is routed around blockers.
+     * Later rooms are crossed door to door in straight lines, so walkers should
+     * replan as they go (each replan routes the room they are in).
+     * @param {number} fromX - Start X position
+     * @param {number} fromZ - Start Z position
+     * @param {number} toX - Target X position
+     * @param {number} toZ - Target Z position
+     * @param {Object} options - Navigation options
+     * @param {Object} options.gridOrchestrator - Room grid (getRoomAtWorld, getNeighbors, areConnected)
+     * @param {Object} options.roomConfig - Room config {UNIT, DOOR_WIDTH}
+     * @param {Array} options.obstacles - Obstacle meshes to route around
+     * @param {Array} options.shelves - Shelf meshes to route around
+     * @param {number} options.radius - Walker radius
+     * @param {number} options.maxRooms - Most doors the path may cross
+     * @returns {Object[]|null} Waypoints [{x, z}] ending at the target, or null if unreachable
+     */
+    findPath(fromX, fromZ, toX, toZ, options) {
+        const {
+            gridOrchestrator,
+            roomConfig,
+            radius = 1.2,
+            maxRooms = this.config.maxRooms
+        } = options;
+
+        const fromRoom = gridOrchestrator.getRoomAtWorld(fromX, fromZ);
+        const toRoom = gridOrchestrator.getRoomAtWorld(toX, toZ);
+        if (!fromRoom || !toRoom) return null;
+
+        const roomPath = this.findRoomPath(fromRoom, toRoom, gridOrchestrator, { roomConfig, radius, maxRooms });
+        if (!roomPath) return null;
+
+        // Each door is crossed straight through its center: a point just before it, then just after
+        const doorStep = this.config.doorStep;
+        const crossings = [];
+        for (let i = 0; i < roomPath.length - 1; i++) {
+            crossings.push(this.getDoorPoint(roomPath[i], roomPath[i + 1], roomConfig, doorStep));
+            crossings.push(this.getDoorPoint(roomPath[i], roomPath[i + 1], roomConfig, -doorStep));
+        }
+
+        const target = { x: toX, z: toZ };
+        const localGoal = crossings.length > 0 ? crossings[0] : target;
+        const grid = this.buildNavGrid(fromRoom, options);
+        const local = this.findGridPath(grid, { x: fromX, z: fromZ }, localGoal);
+        if (!local) return null;
+
+        return [...local, ...crossings.slice(1), ...(crossings.length > 0 ? [target] : [])];
+    },
+
+    /**
+     * Find the rooms to pass through, joined by doors (breadth-first, fewest doors)
+     * @param {Object} fromRoom - Start room {gridX, gridZ}
+     * @param {Object} toRoom - Target room {gridX, gridZ}
+     * @param {Object} gridOrchestrator - Room grid (getNeighbors, areConnected)
+     * @param {Object} [options] - Search options
+     * @param {Object} [options.roomConfig] - Room config; doors narrower than the walker are closed
+     * @param {number} [options.radius=0] - Walker radius
+     * @param {number} [options.maxRooms=Infinity] - Most doors the path may cross
+     * @returns {Object[]|null} Rooms from start to target (inclusive), or null if unreachable
+     */
+    findRoomPath(fromRoom, toRoom, gridOrchestrator, options = {}) {
+        const { roomConfig = null, radius = 0, maxRooms = Infinity } = options;
+        if (fromRoom === toRoom) return [fromRoom];
+        if (roomConfig && roomConfig.DOOR_WIDTH / 2 - radius <= 0) return null;
+
+        const key = (room) => `${room.gridX}_${room.gridZ}`;
+        const cameFrom = new Map([[key(fromRoom), null]]);
+        let frontier = [fromRoom];
+
+        for (let depth = 0; depth < maxRooms && frontier.length > 0; depth++) {
+            const next = [];
+            for (const room of frontier) {
+                const neighbors = Object.values(gridOrchestrator.getNeighbors(room.gridX, room.gridZ));
+                for (const neighbor of neighbors) {
+                    if (cameFrom.has(key(neighbor))) continue;
+                    // Walls block from either side, so both rooms need the door
+                    if (!gridOrchestrator.areConnected(room.gridX, room.gridZ, neighbor.gridX, neighbor.gridZ) ||
+                        !gridOrchestrator.areConnected(neighbor.gridX, neighbor.gridZ, room.gridX, room.gridZ)) continue;
+
+                    cameFrom.set(key(neighbor), room);
+                    if (neighbor === toRoom) {
+                        const path = [neighbor];
+                        for (let r = room; r; r = cameFrom.get(key(r))) path.unshift(r);
+                        return path;
+                    }
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+
+        return null;
+    },
+
+    /**
+     * Get the center of the door between two adjacent rooms
+     * @param {Object} fromRoom - Room the door is walked out of {gridX, gridZ}
+     * @param {Object} toRoom - Adjacent room {gridX, gridZ}
+     * @param {Object} roomConfig - Room config {UNIT}
+     * @param {number} [inset=0] - Distance back into fromRoom (negative: into toRoom)
+     * @returns {Object} World position {x, z}
+     */
+    getDoorPoint(fromRoom, toRoom, roomConfig, inset = 0) {
+        const UNIT = roomConfig.UNIT;
+        const dirX = toRoom.gridX - fromRoom.gridX;
+        const dirZ = toRoom.gridZ - fromRoom.gridZ;
+        const reach = UNIT / 2 - inset;
+        return {
+            x: fromRoom.gridX * UNIT + UNIT / 2 + dirX * reach,
+            z: fromRoom.gridZ * UNIT + UNIT / 2 + dirZ * reach
+        };
+    },
+
+    // ==========================================
+    // NAV GRID (Inside one room)
+    // ==========================================
+
+    /**
+     * Build a walkability grid for one room
+     * A cell is blocked when a walker centered on it would touch a wall,
+     * a shelf or a standing obstacle.
+     * @param {Object} room - Room {gridX, gridZ}
+     * @param {Object} options - Grid options
+     * @param {Object} options.roomConfig - Room config {UNIT}
+     * @param {Array} options.obstacles - Obstacle meshes
+     * @param {Array} options.shelves - Shelf meshes
+     * @param {number} options.radius - Walker radius
+     * @param {number} options.cellSize - Target cell size (snapped to divide the room evenly)
+     * @returns {Object} Grid {minX, minZ, cellSize, cols, rows, blocked}
+     */
+    buildNavGrid(room, options) {
+        const {
+            roomConfig,
+            obstacles = null,
+            shelves = null,
+            radius = 1.2,
+            cellSize = this.config.cellSize
+        } = options;
+
+        const UNIT = roomConfig.UNIT;
+        const minX = room.gridX * UNIT;
+        const minZ = room.gridZ * UNIT;
+        const cols = Math.max(1, Math.round(UNIT / cellSize));
+        const size = UNIT / cols;
+
+        // Only blockers near this room can touch its cells
+        const near = (pos, reach) => pos.x > minX - reach && pos.x < minX + UNIT + reach &&
+            pos.z > minZ - reach && pos.z < minZ + UNIT + reach;
+        const roomObstacles = (obstacles || []).filter(obs =>
+            obs.userData?.active && !obs.userData.hit && near(obs.position, 5));
+        const roomShelves = (shelves || []).filter(shelf => shelf.position && near(shelf.position, 5));
+
+        const blocked = new Uint8Array(cols * cols);
+        for (let row = 0; row < cols; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = minX + (col + 0.5) * size;
+                const z = minZ + (row + 0.5) * size;
+                const nearWall = x - minX < radius || minX + UNIT - x < radius ||
+                    z - minZ < radius || minZ + UNIT - z < radius;
+                if (nearWall || this._isBlocked(x, z, roomObstacles, roomShelves, radius)) {
+                    blocked[row * cols + col] = 1;
+                }
+            }
+        }
+
+        return { minX, minZ, cellSize: size, cols, rows: cols, blocked };
+    },
+
+    /**
+     * A* search across a nav grid, smoothed to the fewest straight legs
+     * The start and goal cells count as open so walkers brushing a blocker
+     * (or heading for a door approach near a wall) still get a path.
+     * @param {Object} grid - Grid from buildNavGrid
+     * @param {Object} from - Start world position {x, z}
+     * @param {Object} to - Goal world position {x, z}
+     * @returns {Object[]|null} Waypoints [{x, z}] after the start, ending at the goal, or null
+     */
+    findGridPath(grid, from, to) {
+        const { cols, rows, blocked } = grid;
+        const start = this._cellAt(grid, from);
+        const goal = this._cellAt(grid, to);
+        if (start === goal) return [{ x: to.x, z: to.z }];
+
+        const open = (cell) => cell === start || cell === goal || !blocked[cell];
+        const heuristic = (cell) => {
+            const dx = Math.abs((cell % cols) - (goal % cols));
+            const dz = Math.abs(Math.floor(cell / cols) - Math.floor(goal / cols));
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const cost = new Float64Array(cols * rows).fill(Infinity);
+        const cameFrom = new Int32Array(cols * rows).fill(-1);
+        const closed = new Uint8Array(cols * rows);
+        const frontier = [start];
+        cost[start] = 0;
+
+        while (frontier.length > 0) {
+            // Grids are a few hundred cells - a linear scan beats keeping a heap
+            let best = 0;
+            for (let i = 1; i < frontier.length; i++) {
+                const cell = frontier[i];
+                if (cost[cell] + heuristic(cell) < cost[frontier[best]] + heuristic(frontier[best])) best = i;
+            }
+            const current = frontier.splice(best, 1)[0];
+            if (current === goal) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+                    const c = col + dx;
+                    const r = row + dz;
+                    if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+                    const cell = r * cols + c;
+                    if (closed[cell] || !open(cell)) continue;
+                    // No cutting corners past a blocked cell
+                    if (dx !== 0 && dz !== 0 && (!open(row * cols + c) || !open(r * cols + col))) continue;
+
+                    const step = (dx !== 0 && dz !== 0) ? Math.SQRT2 : 1;
+                    if (cost[current] + step < cost[cell]) {
+                        cost[cell] = cost[current] + step;
+                        cameFrom[cell] = current;
+                        frontier.push(cell);
+                    }
+                }
+            }
+        }
+
+        if (cameFrom[goal] === -1) return null;
+
+        const cells = [];
+        for (let cell = goal; cell !== start; cell = cameFrom[cell]) cells.unshift(cell);
+        const points = cells.map(cell => this._cellCenter(grid, cell));
+        points[points.length - 1] = { x: to.x, z: to.z };
+
+        // String pulling: skip every waypoint the previous leg can see past
+        const smoothed = [];
+        let anchor = from;
+        let i = 0;
+        while (i < points.length) {
+            let far = i;
+            while (far + 1 < points.length && this._isLineOpen(grid, anchor, points[far + 1], start, goal)) far++;
+            smoothed.push(points[far]);
+            anchor = points[far];
+            i = far + 1;
+        }
+        return smoothed;
+    },
+
+    // ==========================================
+    // INTERNAL
+    // ==========================================
+
+    /**
+     * Would a walker at (x, z) touch a shelf or obstacle
+     * Uses the same footprints as CollisionOrchestrator.
+     * @private
+     */
+    _isBlocked(x, z, obstacles, shelves, radius) {
+        for (const shelf of shelves) {
+            const halfW = (shelf.userData?.width || 4) / 2 + radius;
+            const halfD = (shelf.userData?.depth || 2) / 2 + radius;
+            if (Math.abs(x - shelf.position.x) < halfW && Math.abs(z - shelf.position.z) < halfD) return true;
+        }
+        for (const obs of obstacles) {
+            const obsRadius = obs.userData.collisionRadius ||
+                obs.userData.config?.collisionRadius ||
+                (obs.userData.width ? obs.userData.width / 2 : 1.5);
+            const dx = x - obs.position.x;
+            const dz = z - obs.position.z;
+            if (dx * dx + dz * dz < (obsRadius + radius) * (obsRadius + radius)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * @private
+     */
+    _cellAt(grid, pos) {
+        const col = Math.max(0, Math.min(grid.cols - 1, Math.floor((pos.x - grid.minX) / grid.cellSize)));
+        const row = Math.max(0, Math.min(grid.rows - 1, Math.floor((pos.z - grid.minZ) / grid.cellSize)));
+        return row * grid.cols + col;
+    },
+
+    /**
+     * @private
+     */
+    _cellCenter(grid, cell) {
+        return {
+            x: grid.minX + ((cell % grid.cols) + 0.5) * grid.cellSize,
+            z: grid.minZ + (Math.floor(cell / grid.cols) + 0.5) * grid.cellSize
+        };
+    },
+
+    /**
+     * Check a straight leg crosses only open cells (sampled at half-cell steps)
+     * @private
+     */
+    _isLineOpen(grid, a, b, start, goal) {
+        const dist = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.z - a.z) * (b.z - a.z));
+        const steps = Math.ceil(dist / (grid.cellSize / 2));
+        for (let s = 1; s <= steps; s++) {
+            const t = s / steps;
+            const cell = this._cellAt(grid, { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t });
+            if (grid.blocked[cell] && cell !== start && cell !== goal) return false;
+        }
+        return true;
+    }
+};
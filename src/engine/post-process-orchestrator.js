@@ -10,6 +10,7 @@ const PostProcessOrchestrator = {
     bloomPass: null,
     vignettePass: null,
     renderer: null,
+    _enabled: true,          // Settings toggle (composer stays built while disabled)
 
     // ==========================================
     // HELPER CLASSES
@@ -184,6 +185,7 @@ const PostProcessOrchestrator = {
             uniforms: {
                 tDiffuse: { value: null },
                 damageIntensity: { value: 0.0 },
+                vignetteStrength: { value: 1.0 },
                 saturation: { value: 1.1 },
                 contrast: { value: 1.05 }
             },
@@ -197,6 +199,7 @@ const PostProcessOrchestrator = {
             fragmentShader: `
                 uniform sampler2D tDiffuse;
                 uniform float damageIntensity;
+                uniform float vignetteStrength;
                 uniform float saturation;
                 uniform float contrast;
                 varying vec2 vUv;
@@ -222,7 +225,7 @@ const PostProcessOrchestrator = {
                     color = (color - 0.5) * contrast + 0.5;
 
                     // Apply vignettes
-                    color *= baseVignette * 0.15 + 0.85;
+                    color *= mix(1.0, baseVignette * 0.15 + 0.85, vignetteStrength);
                     color = mix(color, damageColor, damageVignette * damageIntensity);
 
                     gl_FragColor = vec4(color, texel.a);
@@ -248,7 +251,8 @@ const PostProcessOrchestrator = {
         const {
             bloomStrength = 0.4,
             bloomThreshold = 0.8,
-            damageIntensity = 0.0
+            damageIntensity = 0.0,
+            vignetteStrength = 1.0
         } = options;
 
         this.renderer = renderer;
@@ -273,6 +277,7 @@ const PostProcessOrchestrator = {
         this.vignettePass = new this.ShaderPass(vignetteShader, THREE);
         this.vignettePass.setFullScreenQuad(new this.FullScreenQuad(this.vignettePass.material, THREE));
         this.vignettePass.uniforms.damageIntensity.value = damageIntensity;
+        this.vignettePass.uniforms.vignetteStrength.value = vignetteStrength;
         this.composer.addPass(this.vignettePass);
 
         return {
@@ -345,12 +350,30 @@ const PostProcessOrchestrator = {
         }
     },
 
+    /**
+     * Set always-on atmosphere vignette strength (damage flash is unaffected)
+     * @param {number} strength - 0 (off) to 1 (full)
+     */
+    setVignetteStrength(strength) {
+        if (this.vignettePass) {
+            this.vignettePass.uniforms.vignetteStrength.value = strength;
+        }
+    },
+
+    /**
+     * Turn post-processing on or off without rebuilding the composer
+     * @param {boolean} enabled - Whether render() should be used
+     */
+    setEnabled(enabled) {
+        this._enabled = !!enabled;
+    },
+
     /**
      * Check if post-processing is enabled
      * @returns {boolean}
      */
     isEnabled() {
-        return this.composer !== null;
+        return this.composer !== null && this._enabled;
     },
 
     /**
@@ -0,0 +1,215 @@
+// ============================================
+// RANDOM ORCHESTRATOR - Seeded Random Numbers
+// ============================================
+// Single seedable random source for gameplay systems.
+// A run started with the same seed reproduces the same room plans,
+// enemy drift and pickup drops. Gameplay modules call next() (or the
+// range/int/spread/chance/pick helpers) directly instead of Math.random;
+// cosmetic effects stay on Math.random so they never shift a seeded run.
+
+const RandomOrchestrator = {
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+    URL_PARAM: 'seed',    // Query parameter read by getSeedFromUrl()
+    MAX_SEED: 0xFFFFFFFF, // Seeds are unsigned 32-bit integers
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    _seed: 0,
+    _state: 0,
+    _callCount: 0,
+
+    // ==========================================
+    // SEEDING
+    // ==========================================
+
+    /**
+     * Initialize with a seed (generates one when omitted)
+     * @param {number|string} seed - Optional seed value
+     * @returns {number} The normalized seed in use
+     */
+    init(seed) {
+        const parsed = this.parseSeed(seed);
+        return this.setSeed(parsed !== null ? parsed : this.generateSeed());
+    },
+
+    /**
+     * Set the seed and rewind the sequence to its start
+     * @param {number|string} seed - Seed value (numbers or any string)
+     * @returns {number} The normalized seed in use
+     */
+    setSeed(seed) {
+        const parsed = this.parseSeed(seed);
+        this._seed = parsed !== null ? parsed : 0;
+        this.reset();
+        return this._seed;
+    },
+
+    /**
+     * Get the current seed
+     * @returns {number} Seed value
+     */
+    getSeed() {
+        return this._seed;
+    },
+
+    /**
+     * Rewind the sequence to the start of the current seed
+     */
+    reset() {
+        this._state = this._seed;
+        this._callCount = 0;
+    },
+
+    /**
+     * Normalize a seed value to an unsigned 32-bit integer
+     * Numeric strings are used as-is, other strings are hashed (e.g. '2026-10-19').
+     * @param {number|string} value - Raw seed value
+     * @returns {number|null} Normalized seed, or null if value is empty/invalid
+     */
+    parseSeed(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? (Math.floor(Math.abs(value)) % (this.MAX_SEED + 1)) : null;
+        }
+        const text = String(value).trim();
+        if (text === '') return null;
+        if (/^\d+$/.test(text)) {
+            return Number(text) % (this.MAX_SEED + 1);
+        }
+        return this.hashString(text);
+    },
+
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash value
+     */
+    hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Generate a fresh seed for an unseeded run
+     * @returns {number} New seed
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * this.MAX_SEED) >>> 0;
+    },
+
+    /**
+     * Read the raw seed text from a URL query string (?seed=...)
+     * Returned as-is so the menu can show what was shared; pass it to init() to apply.
+     * @param {string} search - Query string (defaults to window.location.search)
+     * @returns {string|null} Seed text, or null if not present/empty
+     */
+    getSeedFromUrl(search) {
+        const query = search ?? (typeof window !== 'undefined' ? window.location.search : '');
+        if (!query) return null;
+        const value = new URLSearchParams(query).get(this.URL_PARAM);
+        return value && value.trim() !== '' ? value.trim() : null;
+    },
+
+    // ==========================================
+    // SNAPSHOT
+    // ==========================================
+
+    /**
+     * Capture the generator position (for save/replay)
+     * @returns {Object} Snapshot {seed, state, callCount}
+     */
+    getState() {
+        return { seed: this._seed, state: this._state, callCount: this._callCount };
+    },
+
+    /**
+     * Restore a snapshot taken with getState()
+     * @param {Object} snapshot - Snapshot {seed, state, callCount}
+     */
+    setState(snapshot) {
+        if (!snapshot) return;
+        this._seed = snapshot.seed >>> 0;
+        this._state = snapshot.state >>> 0;
+        this._callCount = snapshot.callCount || 0;
+    },
+
+    /**
+     * Get number of values drawn since the last reset (debugging desyncs)
+     * @returns {number} Call count
+     */
+    getCallCount() {
+        return this._callCount;
+    },
+
+    // ==========================================
+    // GENERATION
+    // ==========================================
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random() (mulberry32)
+     * @returns {number} Random float
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        this._callCount++;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    },
+
+    /**
+     * Random integer in [min, max] (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    },
+
+    /**
+     * Random float centered on zero: (next() - 0.5) * width
+     * @param {number} width - Total spread width
+     * @returns {number} Value in [-width/2, width/2)
+     */
+    spread(width) {
+        return (this.next() - 0.5) * width;
+    },
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of true (0-1)
+     * @returns {boolean} True if roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    },
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element, or undefined if array is empty
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+};
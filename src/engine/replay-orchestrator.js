@@ -0,0 +1,351 @@
+// ============================================
+// REPLAY SYSTEM - Input Recording and Playback
+// ============================================
+// Records every input action with its frame number, the per-frame dt
+// from LoopOrchestrator and the run seed, and plays it back through the
+// game's own update(dt). Replays serialize to JSON for bug reports and
+// regression tests. Also owns the game clock (now()) so time-based
+// gameplay (cooldowns, invulnerability, slow effects) replays exactly.
+
+const ReplayOrchestrator = {
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+    FORMAT: 'mall-hell-replay',
+    FORMAT_VERSION: 1,
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    _mode: 'idle',           // 'idle' | 'recording' | 'replaying'
+    _replay: null,           // Replay data being recorded or played
+    _startTime: 0,           // Date.now() when recording started
+    _startLoopFrame: 0,      // LoopOrchestrator frame count when recording started
+    _frameIndex: 0,          // Next frame to play back
+    _eventIndex: 0,          // Next event to play back
+    _virtualTime: 0,         // Clock value while replaying (ms)
+    _updateCallback: null,   // Game update(dt) used for playback
+    _onComplete: null,       // Called when playback runs out of frames
+
+    // Dependencies
+    _input: null,
+    _loop: null,
+
+    // Bound listeners (for removal)
+    _inputListener: null,
+    _frameListener: null,
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Initialize the replay system
+     * @param {Object} inputOrchestrator - InputOrchestrator (action source)
+     * @param {Object} loopOrchestrator - LoopOrchestrator (frame/dt source)
+     */
+    init(inputOrchestrator, loopOrchestrator) {
+        this.destroy();
+        this._input = inputOrchestrator || (typeof InputOrchestrator !== 'undefined' ? InputOrchestrator : null);
+        this._loop = loopOrchestrator || (typeof LoopOrchestrator !== 'undefined' ? LoopOrchestrator : null);
+
+        this._inputListener = (action, isPressed) => this._recordEvent(action, isPressed);
+        this._frameListener = (dt) => this.recordFrame(dt);
+
+        if (this._input) this._input.addInputListener(this._inputListener);
+        if (this._loop) this._loop.addPreUpdate(this._frameListener);
+    },
+
+    /**
+     * Detach listeners and reset state
+     */
+    destroy() {
+        if (this._input && this._inputListener) this._input.removeInputListener(this._inputListener);
+        if (this._loop && this._frameListener) this._loop.removePreUpdate(this._frameListener);
+        this._inputListener = null;
+        this._frameListener = null;
+        this.reset();
+    },
+
+    /**
+     * Stop any recording/playback and clear replay data
+     */
+    reset() {
+        if (this._mode === 'replaying' && this._input) this._input.setEnabled(true);
+        this._mode = 'idle';
+        this._replay = null;
+        this._frameIndex = 0;
+        this._eventIndex = 0;
+        this._updateCallback = null;
+        this._onComplete = null;
+    },
+
+    // ==========================================
+    // CLOCK
+    // ==========================================
+
+    /**
+     * Current game time in ms - recorded time during playback, Date.now() otherwise
+     * @returns {number} Timestamp in ms
+     */
+    now() {
+        return this._mode === 'replaying' ? this._virtualTime : Date.now();
+    },
+
+    // ==========================================
+    // RECORDING
+    // ==========================================
+
+    /**
+     * Start recording a run (call after the run is seeded, before the first frame)
+     * @param {Object} meta - Run metadata {seed, viewport}
+     */
+    startRecording(meta = {}) {
+        if (this._mode === 'replaying') return;
+
+        this._mode = 'recording';
+        this._startTime = Date.now();
+        this._startLoopFrame = this._loop ? this._loop.getFrameCount() : 0;
+        this._replay = {
+            format: this.FORMAT,
+            version: this.FORMAT_VERSION,
+            gameVersion: (typeof Engine !== 'undefined') ? Engine.version : null,
+            seed: meta.seed ?? ((typeof RandomOrchestrator !== 'undefined') ? RandomOrchestrator.getSeed() : 0),
+            startTime: this._startTime,
+            viewport: meta.viewport || null,
+            mouseAim: !!meta.mouseAim,  // Crosshair followed mouse movement
+            frames: [],   // [{ dt, t, loopFrame, mouse?, analog? }] - index is the frame number
+            events: []    // [{ frame, t, action, pressed }]
+        };
+    },
+
+    /**
+     * Stop recording and return the replay
+     * @returns {Object|null} Recorded replay data
+     */
+    stopRecording() {
+        if (this._mode !== 'recording') return null;
+        this._mode = 'idle';
+        return this._replay;
+    },
+
+    /**
+     * Record one update frame (wired to LoopOrchestrator pre-update by init)
+     * @param {number} dt - Frame delta time in seconds
+     */
+    recordFrame(dt) {
+        if (this._mode !== 'recording') return;
+        const frame = {
+            dt,
+            t: Date.now() - this._startTime,
+            loopFrame: this._loop ? this._loop.getFrameCount() - this._startLoopFrame : this._replay.frames.length
+        };
+        // Mouse-aim movement the coming update(dt) will consume
+        const mouse = this._input && this._input.peekMouseDelta ? this._input.peekMouseDelta() : null;
+        if (mouse && (mouse.x || mouse.y)) frame.mouse = mouse;
+        // Partial stick deflection / trigger pressure (press events only record on/off)
+        const analog = this._input && this._input.peekAnalog ? this._input.peekAnalog() : null;
+        if (analog) frame.analog = analog;
+        this._replay.frames.push(frame);
+    },
+
+    /**
+     * Record an input action (applied before the next recorded frame on playback)
+     * @private
+     */
+    _recordEvent(action, isPressed) {
+        if (this._mode !== 'recording') return;
+        this._replay.events.push({
+            frame: this._replay.frames.length,
+            t: Date.now() - this._startTime,
+            action,
+            pressed: isPressed
+        });
+    },
+
+    /**
+     * Get the replay currently being recorded/played
+     * @returns {Object|null} Replay data
+     */
+    getReplay() {
+        return this._replay;
+    },
+
+    // ==========================================
+    // SERIALIZATION
+    // ==========================================
+
+    /**
+     * Serialize a replay to JSON
+     * @param {Object} replay - Replay data (defaults to current)
+     * @returns {string} JSON string
+     */
+    serialize(replay = this._replay) {
+        if (!replay) throw new Error('ReplayOrchestrator: No replay to serialize');
+        return JSON.stringify(replay);
+    },
+
+    /**
+     * Parse and validate a replay
+     * @param {string|Object} data - JSON string or replay object
+     * @returns {Object} Replay data
+     */
+    parse(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!replay || replay.format !== this.FORMAT) {
+            throw new Error('ReplayOrchestrator: Not a replay file');
+        }
+        if (replay.version > this.FORMAT_VERSION) {
+            throw new Error(`ReplayOrchestrator: Unsupported replay version ${replay.version}`);
+        }
+        if (!Array.isArray(replay.frames) || !Array.isArray(replay.events)) {
+            throw new Error('ReplayOrchestrator: Replay is missing frames or events');
+        }
+        return replay;
+    },
+
+    /**
+     * Download a replay as a .json file
+     * @param {Object} replay - Replay data (defaults to current)
+     * @param {string} filename - Optional file name
+     */
+    download(replay = this._replay, filename = null) {
+        const json = this.serialize(replay);
+        const name = filename || `mall-hell-replay-${replay.seed}.json`;
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+
+    /**
+     * Start playing back a replay
+     * Keyboard input is disabled until playback ends. The caller is responsible
+     * for starting the run with replay.seed before the first step().
+     * @param {string|Object} data - Replay JSON or object
+     * @param {Object} options - {update: Function(dt), onComplete: Function}
+     * @returns {Object} Parsed replay data
+     */
+    startPlayback(data, options = {}) {
+        const replay = this.parse(data);
+        if (typeof options.update !== 'function') {
+            throw new Error('ReplayOrchestrator: Playback requires an update(dt) callback');
+        }
+
+        this._mode = 'replaying';
+        this._replay = replay;
+        this._frameIndex = 0;
+        this._eventIndex = 0;
+        this._virtualTime = replay.startTime || 0;
+        this._updateCallback = options.update;
+        this._onComplete = options.onComplete || null;
+        if (this._input) {
+            this._input.setEnabled(false);
+            this._input.reset();
+        }
+        return replay;
+    },
+
+    /**
+     * Play the next recorded frame: apply its input events, then call update(dt)
+     * @returns {boolean} True if a frame was played, false if playback is over
+     */
+    step() {
+        if (this._mode !== 'replaying') return false;
+
+        const replay = this._replay;
+        if (this._frameIndex >= replay.frames.length) {
+            this._finishPlayback();
+            return false;
+        }
+
+        // Apply input events recorded before this frame
+        while (this._eventIndex < replay.events.length &&
+               replay.events[this._eventIndex].frame <= this._frameIndex) {
+            const event = replay.events[this._eventIndex++];
+            this._virtualTime = replay.startTime + event.t;
+            if (this._input) this._input.simulateAction(event.action, event.pressed);
+            // Input callbacks may end the run (e.g. quit) and stop playback
+            if (this._mode !== 'replaying') return false;
+        }
+
+        const frame = replay.frames[this._frameIndex++];
+        this._virtualTime = replay.startTime + frame.t;
+        if (frame.mouse && this._input) this._input.addMouseDelta(frame.mouse.x, frame.mouse.y);
+        if (this._input && this._input.setAnalog) this._input.setAnalog(frame.analog || null);
+        this._updateCallback(frame.dt);
+        return true;
+    },
+
+    /**
+     * Play all remaining frames synchronously (headless regression runs)
+     * @param {number} maxFrames - Optional cap on frames to play
+     * @returns {number} Number of frames played
+     */
+    playToEnd(maxFrames = Infinity) {
+        let played = 0;
+        while (played < maxFrames && this.step()) {
+            played++;
+        }
+        return played;
+    },
+
+    /**
+     * Stop playback early
+     */
+    stopPlayback() {
+        if (this._mode !== 'replaying') return;
+        this._finishPlayback();
+    },
+
+    /**
+     * End playback and restore keyboard input
+     * @private
+     */
+    _finishPlayback() {
+        const onComplete = this._onComplete;
+        this._mode = 'idle';
+        this._updateCallback = null;
+        this._onComplete = null;
+        if (this._input) this._input.setEnabled(true);
+        if (onComplete) onComplete(this._replay);
+    },
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    /**
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this._mode === 'recording';
+    },
+
+    /**
+     * @returns {boolean} True while playing back
+     */
+    isReplaying() {
+        return this._mode === 'replaying';
+    },
+
+    /**
+     * Get playback progress
+     * @returns {Object} {frame, totalFrames}
+     */
+    getProgress() {
+        return {
+            frame: this._frameIndex,
+            totalFrames: this._replay ? this._replay.frames.length : 0
+        };
+    }
+};
@@ -384,6 +384,36 @@ const SceneOrchestrator = {
         this._onWindowResize();
     },
 
+    // ==========================================
+    // QUALITY SETTINGS
+    // ==========================================
+
+    /**
+     * Set renderer pixel ratio (render resolution scale)
+     * @param {number} ratio - Pixel ratio (falsy = device pixel ratio)
+     */
+    setPixelRatio(ratio) {
+        if (!this.renderer) return;
+        this.renderer.setPixelRatio(ratio || window.devicePixelRatio);
+        this._onWindowResize();
+    },
+
+    /**
+     * Enable or disable shadow rendering
+     * @param {boolean} enabled - Whether shadows render
+     */
+    setShadowsEnabled(enabled) {
+        if (!this.renderer) return;
+        this.renderer.shadowMap.enabled = !!enabled;
+        // Shadow support is compiled into material shaders - force a rebuild
+        if (this.scene) {
+            this.scene.traverse(obj => {
+                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                materials.forEach(material => { if (material) material.needsUpdate = true; });
+            });
+        }
+    },
+
     // ==========================================
     // CLEANUP
     // ==========================================
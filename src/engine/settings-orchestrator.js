@@ -0,0 +1,252 @@
+// ============================================
+// SETTINGS SYSTEM - Persisted Player Options
+// ============================================
+// Holds the values for the options defined in Engine.settings, validates
+// changes against those definitions and persists them to localStorage.
+// The game applies values through onChange listeners, so the panel,
+// pause-screen shortcuts and saved data all go through set().
+
+const SettingsOrchestrator = {
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+    STORAGE_KEY: 'mall-hell-settings',
+    SCHEMA_VERSION: 1,
+
+    // migrations[n] upgrades saved data from version n to n + 1
+    migrations: {},
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    _storage: null,          // localStorage (or injected stand-in)
+    _definitions: null,      // Engine.settings (or injected)
+    _values: {},
+    _listeners: [],
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Initialize and load saved settings
+     * @param {Object} options - Configuration options
+     * @param {Object} options.storage - Storage with getItem/setItem/removeItem (default: localStorage)
+     * @param {Object} options.definitions - Setting definitions (default: Engine.settings)
+     */
+    init(options = {}) {
+        this._storage = options.storage !== undefined ? options.storage : this._getDefaultStorage();
+        this._definitions = options.definitions || (typeof Engine !== 'undefined' ? Engine.settings : {});
+        this._listeners = [];
+        this.load();
+    },
+
+    /**
+     * Load saved values (invalid or unknown entries fall back to defaults)
+     * @returns {Object} Current values
+     */
+    load() {
+        this._values = this.getDefaults();
+
+        const raw = this._read();
+        if (raw === null) return this.getAll();
+
+        try {
+            let data = JSON.parse(raw);
+            if (!data || !Number.isInteger(data.version)) throw new Error('missing schema version');
+            if (data.version > this.SCHEMA_VERSION) {
+                console.warn(`SettingsOrchestrator: Saved settings use newer schema ${data.version} - using defaults`);
+                return this.getAll();
+            }
+            while (data.version < this.SCHEMA_VERSION) {
+                const step = this.migrations[data.version];
+                if (!step) throw new Error(`no migration from schema ${data.version}`);
+                data = step(data);
+            }
+
+            Object.keys(data.values || {}).forEach(key => {
+                const value = this.validate(key, data.values[key]);
+                if (value !== undefined) this._values[key] = value;
+            });
+        } catch (e) {
+            console.warn('SettingsOrchestrator: Ignoring unreadable saved settings', e);
+        }
+        return this.getAll();
+    },
+
+    /**
+     * Write current values to storage
+     * @returns {boolean} True if saved
+     */
+    save() {
+        if (!this._storage) return false;
+        try {
+            this._storage.setItem(this.STORAGE_KEY, JSON.stringify({
+                version: this.SCHEMA_VERSION,
+                values: this._values
+            }));
+            return true;
+        } catch (e) {
+            console.warn('SettingsOrchestrator: Could not save settings', e);
+            return false;
+        }
+    },
+
+    // ==========================================
+    // VALUES
+    // ==========================================
+
+    /**
+     * Get a setting value
+     * @param {string} key - Setting key (Engine.settings)
+     * @returns {*} Value, or undefined for unknown keys
+     */
+    get(key) {
+        return this._values[key];
+    },
+
+    /**
+     * @returns {Object} Copy of all current values
+     */
+    getAll() {
+        return { ...this._values };
+    },
+
+    /**
+     * @returns {Object} Default value for every defined setting
+     */
+    getDefaults() {
+        const defaults = {};
+        Object.keys(this._definitions || {}).forEach(key => {
+            defaults[key] = this._definitions[key].default;
+        });
+        return defaults;
+    },
+
+    /**
+     * Change a setting, persist it and notify listeners
+     * @param {string} key - Setting key
+     * @param {*} value - New value (clamped/snapped to the definition)
+     * @returns {*} Value stored, or undefined if the key or value is invalid
+     */
+    set(key, value) {
+        const valid = this.validate(key, value);
+        if (valid === undefined) return undefined;
+
+        const changed = valid !== this._values[key];
+        this._values[key] = valid;
+        if (changed) {
+            this.save();
+            this._notify(key, valid);
+        }
+        return valid;
+    },
+
+    /**
+     * Restore every setting to its default
+     */
+    resetToDefaults() {
+        const defaults = this.getDefaults();
+        Object.keys(defaults).forEach(key => {
+            const changed = defaults[key] !== this._values[key];
+            this._values[key] = defaults[key];
+            if (changed) this._notify(key, defaults[key]);
+        });
+        this.save();
+    },
+
+    /**
+     * Coerce a value to a setting's definition
+     * @param {string} key - Setting key
+     * @param {*} value - Raw value (strings from form inputs are accepted)
+     * @returns {*} Valid value, or undefined if it can't be used
+     */
+    validate(key, value) {
+        const def = this._definitions ? this._definitions[key] : null;
+        if (!def) return undefined;
+
+        switch (def.type) {
+            case 'range': {
+                const number = Number(value);
+                if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+                const clamped = Math.max(def.min, Math.min(def.max, number));
+                if (!def.step) return clamped;
+                // Snap to the step grid (rounded to avoid float drift like 0.30000000000000004)
+                const snapped = def.min + Math.round((clamped - def.min) / def.step) * def.step;
+                return Math.min(def.max, parseFloat(snapped.toFixed(6)));
+            }
+            case 'toggle':
+                if (typeof value === 'boolean') return value;
+                if (value === 'true') return true;
+                if (value === 'false') return false;
+                return undefined;
+            case 'select': {
+                const match = def.options.find(option => String(option) === String(value));
+                return match;
+            }
+            default:
+                return undefined;
+        }
+    },
+
+    // ==========================================
+    // LISTENERS
+    // ==========================================
+
+    /**
+     * Register a change listener
+     * @param {Function} listener - Called with (key, value) after a setting changes
+     */
+    onChange(listener) {
+        if (typeof listener === 'function') this._listeners.push(listener);
+    },
+
+    /**
+     * Call listeners for every setting (apply saved values at startup)
+     */
+    applyAll() {
+        Object.keys(this._values).forEach(key => this._notify(key, this._values[key]));
+    },
+
+    // ==========================================
+    // INTERNAL
+    // ==========================================
+
+    /**
+     * @private
+     */
+    _notify(key, value) {
+        this._listeners.forEach(listener => {
+            try {
+                listener(key, value);
+            } catch (e) {
+                console.error(`SettingsOrchestrator: Failed to apply ${key}`, e);
+            }
+        });
+    },
+
+    /**
+     * @private
+     */
+    _read() {
+        if (!this._storage) return null;
+        try {
+            return this._storage.getItem(this.STORAGE_KEY);
+        } catch (e) {
+            console.warn('SettingsOrchestrator: Could not read settings', e);
+            return null;
+        }
+    },
+
+    /**
+     * localStorage can throw on access (privacy settings, sandboxed frames)
+     * @private
+     */
+    _getDefaultStorage() {
+        try {
+            return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+        } catch (e) {
+            return null;
+        }
+    }
+};
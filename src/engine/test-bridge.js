@@ -182,6 +182,11 @@ const TestBridge = {
             configurable: true
         });
 
+        Object.defineProperty(window, 'enemyProjectiles', {
+            get: () => gi.getEnemyProjectiles(),
+            configurable: true
+        });
+
         Object.defineProperty(window, 'enemies', {
             get: () => gi.getEnemies(),
             configurable: true
@@ -222,6 +227,7 @@ const TestBridge = {
         window.startFiring = gi.startFiring;
         window.stopFiring = gi.stopFiring;
         window.manualUpdate = gi.manualUpdate;
+        window.playReplay = gi.playReplay;
         window.triggerWallBump = gi.triggerWallBump;
         window.updateAmmoDisplay = gi.updateAmmoDisplay;
 
@@ -238,6 +244,11 @@ const TestBridge = {
         if (typeof SceneOrchestrator !== 'undefined') window.SceneOrchestrator = SceneOrchestrator;
         if (typeof EntityOrchestrator !== 'undefined') window.EntityOrchestrator = EntityOrchestrator;
         if (typeof GameSession !== 'undefined') window.GameSession = GameSession;
+        if (typeof RandomOrchestrator !== 'undefined') window.RandomOrchestrator = RandomOrchestrator;
+        if (typeof ReplayOrchestrator !== 'undefined') window.ReplayOrchestrator = ReplayOrchestrator;
+        if (typeof HighScoreOrchestrator !== 'undefined') window.HighScoreOrchestrator = HighScoreOrchestrator;
+        if (typeof SettingsOrchestrator !== 'undefined') window.SettingsOrchestrator = SettingsOrchestrator;
+        if (typeof PostProcessOrchestrator !== 'undefined') window.PostProcessOrchestrator = PostProcessOrchestrator;
 
         // Weapon domain
         if (typeof Weapon !== 'undefined') window.Weapon = Weapon;
@@ -260,9 +271,15 @@ const TestBridge = {
         if (typeof DinosaurAnimation !== 'undefined') window.DinosaurAnimation = DinosaurAnimation;
         if (typeof EnemyOrchestrator !== 'undefined') window.EnemyOrchestrator = EnemyOrchestrator;
 
+        // Audio domain
+        if (typeof Sound !== 'undefined') window.Sound = Sound;
+        if (typeof AudioOrchestrator !== 'undefined') window.AudioOrchestrator = AudioOrchestrator;
+        if (typeof MusicOrchestrator !== 'undefined') window.MusicOrchestrator = MusicOrchestrator;
+
         // Room domain
         if (typeof Room !== 'undefined') window.Room = Room;
         if (typeof RoomTheme !== 'undefined') window.RoomTheme = RoomTheme;
+        if (typeof RoomGenerator !== 'undefined') window.RoomGenerator = RoomGenerator;
         if (typeof RoomMesh !== 'undefined') window.RoomMesh = RoomMesh;
         if (typeof RoomOrchestrator !== 'undefined') window.RoomOrchestrator = RoomOrchestrator;
 
@@ -3,6 +3,7 @@
 // ============================================
 // Manages obstacle and shelf spawning, collision, cleanup
 // Uses Obstacle and Shelf data (assumes they are loaded globally)
+// Also ages the water puddles left by water gun alt fire (PuddleVisual meshes)
 
 const EnvironmentOrchestrator = {
     // Active objects
@@ -220,10 +221,10 @@ const EnvironmentOrchestrator = {
      */
     trySpawnObstacle(cameraPos, aisleWidth, THREE, themeColors) {
         if (this.obstacles.length >= this.maxObstacles) return null;
-        if (Math.random() > this.obstacleSpawnChance) return null;
+        if (RandomOrchestrator.next() > this.obstacleSpawnChance) return null;
 
         const typeId = this.obstacleData ? this.obstacleData.getRandomType() : 'STACK';
-        const x = (Math.random() - 0.5) * (aisleWidth - 4);
+        const x = RandomOrchestrator.spread(aisleWidth - 4);
         const z = cameraPos.z - this.obstacleSpawnDistance;
 
         return this.spawnObstacle(typeId, x, z, THREE, themeColors);
@@ -281,7 +282,7 @@ const EnvironmentOrchestrator = {
         const templates = ['WALL_STANDARD', 'WALL_TALL'];
 
         for (let z = startZ; z > endZ; z -= spacing) {
-            const templateId = templates[Math.floor(Math.random() * templates.length)];
+            const templateId = templates[Math.floor(RandomOrchestrator.next() * templates.length)];
             this.createShelf(templateId, { x: wallX, y: 0, z: z }, rotation, THREE, productColors);
         }
     },
@@ -296,7 +297,7 @@ const EnvironmentOrchestrator = {
      */
     createCenterDisplays(startZ, endZ, spacing, THREE, productColors) {
         for (let z = startZ; z > endZ; z -= spacing) {
-            if (Math.random() < this.centerDisplayChance) {
+            if (RandomOrchestrator.next() < this.centerDisplayChance) {
                 this.createShelf('FLOOR_ISLAND', { x: 0, y: 0, z: z }, 0, THREE, productColors);
             }
         }
@@ -336,6 +337,30 @@ const EnvironmentOrchestrator = {
         return this.shelves.length;
     },
 
+    /**
+     * Shove an obstacle mesh: it tips over (the hit/falling state) toward the
+     * push while sliding along it, and can hit the player once on the way
+     * @param {THREE.Group} obstacle - Obstacle mesh
+     * @param {Object} direction - Unit push direction {x, z}
+     * @param {Object} options - Shove options
+     * @param {number} options.speed - Slide speed (units/s)
+     * @param {number} options.damage - Damage if it hits the player
+     * @returns {boolean} True if the obstacle was standing and got shoved
+     */
+    shoveObstacle(obstacle, direction, options = {}) {
+        if (!obstacle?.userData?.active || obstacle.userData.hit) return false;
+
+        const { speed = 16, damage = 0 } = options;
+        obstacle.userData.hit = true;
+        obstacle.userData.shoveVelocity = { x: direction.x * speed, z: direction.z * speed };
+        obstacle.userData.shoveDamage = damage;
+
+        // Yaw first so the fall (rotation.x tips toward local +Z) follows the push
+        obstacle.rotation.order = 'YXZ';
+        obstacle.rotation.y = Math.atan2(direction.x, direction.z);
+        return true;
+    },
+
     /**
      * Update all obstacles in an array (for external obstacle arrays)
      * @param {Array} obstacles - Array of obstacle meshes
@@ -344,6 +369,8 @@ const EnvironmentOrchestrator = {
      * @param {number} options.dt - Delta time
      * @param {boolean} options.isInvulnerable - Whether player is invulnerable
      * @param {Function} options.onPlayerCollision - Callback when obstacle hits player
+     * @param {Function} options.onShoveHit - Callback(obstacle) when a shoved obstacle hits the player
+     * @param {Function} options.collisionCheck - Wall check for sliding obstacles function(newX, newZ, oldX, oldZ, radius)
      * @param {number} options.despawnDistance - Distance to despawn
      */
     updateObstaclesArray(obstacles, options) {
@@ -352,6 +379,8 @@ const EnvironmentOrchestrator = {
             dt,
             isInvulnerable = false,
             onPlayerCollision = null,
+            onShoveHit = null,
+            collisionCheck = null,
             despawnDistance = this.obstacleDespawnDistance
         } = options;
 
@@ -365,6 +394,24 @@ const EnvironmentOrchestrator = {
                 obs.rotation.x = obs.userData.fallAngle;
                 obs.position.y -= obs.userData.fallSpeed * dt * this.fallSpeedMultiplier;
 
+                // Shoved obstacles slide while they topple, stopping at walls
+                const velocity = obs.userData.shoveVelocity;
+                if (velocity) {
+                    const oldX = obs.position.x;
+                    const oldZ = obs.position.z;
+                    obs.position.x += velocity.x * dt;
+                    obs.position.z += velocity.z * dt;
+                    if (collisionCheck) {
+                        const radius = obs.userData.collisionRadius || (obs.userData.width || this.defaultObstacleWidth) / 2;
+                        const collision = collisionCheck(obs.position.x, obs.position.z, oldX, oldZ, radius);
+                        if (collision?.blockedX || collision?.blockedZ) {
+                            obs.position.x = oldX;
+                            obs.position.z = oldZ;
+                            obs.userData.shoveVelocity = null;
+                        }
+                    }
+                }
+
                 if (obs.userData.fallAngle > this.fallMaxAngle) {
                     obs.userData.active = false;
                 }
@@ -389,7 +436,81 @@ const EnvironmentOrchestrator = {
                         obs.userData.hit = true; // Knock it over
                     }
                 }
+
+                // Shoved obstacle - hits the player once, then topples in place
+                if (obs.userData.active && obs.userData.shoveVelocity && !isInvulnerable) {
+                    const cartDist = Math.sqrt(
+                        Math.pow(obs.position.x - playerCart.position.x, 2) +
+                        Math.pow(obs.position.z - playerCart.position.z, 2)
+                    );
+                    const hitDist = (obs.userData.width || this.defaultObstacleWidth) * this.hitRadiusFactor;
+                    if (cartDist < hitDist + this.playerCollisionBuffer) {
+                        obs.userData.shoveVelocity = null;
+                        if (onShoveHit) onShoveHit(obs);
+                    }
+                }
             }
         });
+    },
+
+    // ==========================================
+    // PUDDLES (water gun alt fire)
+    // ==========================================
+
+    /**
+     * Create a puddle on the floor (for external puddle arrays)
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} position - Where the shot landed {x, z}
+     * @param {Object} puddle - {radius, duration, effects} (Weapon.types.WATERGUN.altFire.puddle)
+     * @returns {THREE.Group} Puddle mesh with userData {active, radius, remaining, effects}
+     */
+    createPuddle(THREE, position, puddle) {
+        const mesh = PuddleVisual.createMesh(THREE, puddle.radius);
+        mesh.position.set(position.x, 0, position.z);
+        Object.assign(mesh.userData, {
+            active: true,
+            radius: puddle.radius,
+            remaining: puddle.duration,
+            effects: puddle.effects || null
+        });
+        return mesh;
+    },
+
+    /**
+     * Dry out puddles and find the enemies standing in them
+     * A puddle fades over its last second and goes inactive once dry.
+     * @param {Array} puddles - Array of puddle meshes
+     * @param {Object} options - Update options
+     * @param {number} options.dt - Delta time
+     * @param {Array} options.enemies - Enemy meshes
+     * @param {Function} options.onEnemyInside - Callback(enemy, puddle) each frame an enemy stands in a puddle
+     */
+    updatePuddles(puddles, options) {
+        const { dt, enemies = [], onEnemyInside = null } = options;
+
+        puddles.forEach(puddle => {
+            const data = puddle.userData;
+            if (!data.active) return;
+
+            data.remaining -= dt;
+            if (data.remaining <= 0) {
+                data.active = false;
+                return;
+            }
+            const fade = Math.min(1, data.remaining);
+            if (data.water) data.water.material.opacity = 0.55 * fade;
+            if (data.rim) data.rim.material.opacity = 0.6 * fade;
+
+            if (!onEnemyInside) return;
+            const radiusSq = data.radius * data.radius;
+            enemies.forEach(enemy => {
+                if (!enemy.userData.active) return;
+                const dx = enemy.position.x - puddle.position.x;
+                const dz = enemy.position.z - puddle.position.z;
+                if (dx * dx + dz * dz <= radiusSq) {
+                    onEnemyInside(enemy, puddle);
+                }
+            });
+        });
     }
 };
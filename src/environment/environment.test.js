@@ -179,6 +179,75 @@
         });
     });
 
+    test.describe('Environment System - Shoved Obstacles', () => {
+        const makeObstacle = (x, z) => {
+            const obs = new THREE.Group();
+            obs.position.set(x, 0, z);
+            Object.assign(obs.userData, { type: 'barrel', active: true, hit: false, fallAngle: 0, fallSpeed: 0, width: 1.5, collisionRadius: 0.7 });
+            return obs;
+        };
+        const makeCart = (x, z) => {
+            const cart = new THREE.Group();
+            cart.position.set(x, 0, z);
+            return cart;
+        };
+
+        test.it('should knock over and launch a standing obstacle', () => {
+            if (typeof THREE === 'undefined') { test.skip('THREE.js not available'); return; }
+            const obs = makeObstacle(0, -10);
+            test.assertTrue(EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }, { speed: 10, damage: 20 }));
+            test.assertTrue(obs.userData.hit);
+            test.assertEqual(obs.userData.shoveVelocity.z, 10);
+            test.assertEqual(obs.userData.shoveDamage, 20);
+            test.assertFalse(EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }), 'Fallen obstacles cannot be shoved again');
+        });
+
+        test.it('should slide a shoved obstacle while it topples', () => {
+            if (typeof THREE === 'undefined') { test.skip('THREE.js not available'); return; }
+            const obs = makeObstacle(0, -20);
+            EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }, { speed: 10 });
+            EnvironmentOrchestrator.updateObstaclesArray([obs], { playerCart: makeCart(0, 0), dt: 0.1 });
+            test.assertCloseTo(obs.position.z, -19, 0.001);
+            test.assertTrue(obs.rotation.x > 0, 'Should start falling');
+        });
+
+        test.it('should stop sliding when blocked by a wall', () => {
+            if (typeof THREE === 'undefined') { test.skip('THREE.js not available'); return; }
+            const obs = makeObstacle(0, -20);
+            EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }, { speed: 10 });
+            EnvironmentOrchestrator.updateObstaclesArray([obs], {
+                playerCart: makeCart(0, 0),
+                dt: 0.1,
+                collisionCheck: () => ({ blocked: true, blockedX: false, blockedZ: true })
+            });
+            test.assertEqual(obs.position.z, -20);
+            test.assertEqual(obs.userData.shoveVelocity, null);
+        });
+
+        test.it('should hit the player once with a shoved obstacle', () => {
+            if (typeof THREE === 'undefined') { test.skip('THREE.js not available'); return; }
+            const obs = makeObstacle(0, -3);
+            const hits = [];
+            EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }, { speed: 10, damage: 20 });
+            const options = { playerCart: makeCart(0, 0), dt: 0.05, onShoveHit: (o) => hits.push(o) };
+            EnvironmentOrchestrator.updateObstaclesArray([obs], options);
+            EnvironmentOrchestrator.updateObstaclesArray([obs], options);
+            test.assertEqual(hits.length, 1);
+            test.assertEqual(hits[0], obs);
+        });
+
+        test.it('should not hit an invulnerable player', () => {
+            if (typeof THREE === 'undefined') { test.skip('THREE.js not available'); return; }
+            const obs = makeObstacle(0, -3);
+            let hits = 0;
+            EnvironmentOrchestrator.shoveObstacle(obs, { x: 0, z: 1 }, { speed: 10, damage: 20 });
+            EnvironmentOrchestrator.updateObstaclesArray([obs], {
+                playerCart: makeCart(0, 0), dt: 0.05, isInvulnerable: true, onShoveHit: () => hits++
+            });
+            test.assertEqual(hits, 0);
+        });
+    });
+
     test.describe('Environment System - Shelves', () => {
         test.beforeEach(() => {
             EnvironmentOrchestrator.init(Obstacle, Shelf, null);
@@ -204,6 +273,45 @@
         });
     });
 
+    test.describe('Environment System - Puddles', () => {
+        const makePuddle = (x, z, extra = {}) => ({
+            position: { x, y: 0, z },
+            userData: { active: true, radius: 5, remaining: 6, effects: [{ id: 'soaked' }], ...extra }
+        });
+        const makeEnemy = (x, z) => ({ position: { x, y: 0, z }, userData: { active: true } });
+
+        test.it('should create a puddle where a shot landed', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const puddle = EnvironmentOrchestrator.createPuddle(THREE, { x: 3, y: 0.4, z: -8 }, Weapon.types.WATERGUN.altFire.puddle);
+            test.assertEqual(puddle.position.x, 3);
+            test.assertEqual(puddle.position.y, 0, 'Lies on the floor');
+            test.assertEqual(puddle.userData.radius, Weapon.types.WATERGUN.altFire.puddle.radius);
+            test.assertTrue(puddle.userData.active);
+        });
+
+        test.it('should report enemies standing in a puddle', () => {
+            const enemies = [makeEnemy(2, 2), makeEnemy(10, 0)];
+            const inside = [];
+            EnvironmentOrchestrator.updatePuddles([makePuddle(0, 0)], {
+                dt: 0.016, enemies, onEnemyInside: (enemy) => inside.push(enemy)
+            });
+            test.assertArrayEqual(inside, [enemies[0]]);
+        });
+
+        test.it('should dry up after its duration', () => {
+            const puddle = makePuddle(0, 0, { remaining: 0.5 });
+            let inside = 0;
+            EnvironmentOrchestrator.updatePuddles([puddle], {
+                dt: 0.6, enemies: [makeEnemy(0, 0)], onEnemyInside: () => inside++
+            });
+            test.assertFalse(puddle.userData.active);
+            test.assertEqual(inside, 0, 'A dry puddle soaks nobody');
+        });
+    });
+
     // ==========================================
     // OBSTACLE VISUAL TESTS
     // ==========================================
@@ -318,4 +426,175 @@
         });
     });
 
+    test.describe('Spawn System - Seeded Planning', () => {
+        const rooms = [
+            { gridX: 0, gridZ: 0, worldX: 15, worldZ: 15, theme: 'PRODUCE', doors: ['east'] },
+            { gridX: 1, gridZ: 0, worldX: 45, worldZ: 15, theme: 'DAIRY', doors: ['west'] }
+        ];
+        const roomConfig = { UNIT: 30, DOOR_WIDTH: 8 };
+
+        const planWithSeed = (seed) => {
+            RandomOrchestrator.setSeed(seed);
+            SpawnOrchestrator.resetPlanning();
+            SpawnOrchestrator.planAllRooms(rooms, roomConfig, () => 'SKELETON', 0);
+            return JSON.stringify(Array.from(SpawnOrchestrator._roomPlans.entries()));
+        };
+
+        test.afterEach(() => {
+            SpawnOrchestrator.resetPlanning();
+            RandomOrchestrator.init();
+        });
+
+        test.it('should produce identical room plans for the same seed', () => {
+            test.assertEqual(planWithSeed(4242), planWithSeed(4242));
+        });
+
+        test.it('should produce different room plans for different seeds', () => {
+            test.assertNotEqual(planWithSeed(1), planWithSeed(2));
+        });
+
+        test.it('should measure room depth in doors from the entrance', () => {
+            const depths = SpawnOrchestrator.getRoomDepths([
+                { gridX: 0, gridZ: 0, theme: 'ENTRANCE', doors: ['east'] },
+                { gridX: 1, gridZ: 0, theme: 'DAIRY', doors: ['west', 'east'] },
+                { gridX: 2, gridZ: 0, theme: 'PRODUCE', doors: ['west'] }
+            ]);
+            test.assertEqual(depths.get('0_0'), 0);
+            test.assertEqual(depths.get('2_0'), 2);
+            test.assertEqual(SpawnOrchestrator.getRoomDepths(rooms).size, 0, 'No entrance, no depths');
+        });
+
+        test.it('should only plan stock clerks in rooms deep enough', () => {
+            const originalChance = SpawnOrchestrator.config.stockClerkChance;
+            const originalSwarmChance = SpawnOrchestrator.config.swarmChance;
+            SpawnOrchestrator.config.stockClerkChance = 1;
+            SpawnOrchestrator.config.swarmChance = 0;
+            const minDepth = SpawnOrchestrator.config.stockClerkMinDepth;
+
+            const shallow = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, minDepth - 1);
+            const deep = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, minDepth);
+            const boss = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'DINOSAUR', 0, minDepth);
+            SpawnOrchestrator.config.stockClerkChance = originalChance;
+            SpawnOrchestrator.config.swarmChance = originalSwarmChance;
+
+            test.assertTrue(shallow.enemies.every(e => e.type === 'SKELETON'));
+            test.assertTrue(deep.enemies.length > 0);
+            test.assertTrue(deep.enemies.every(e => e.type === 'STOCK_CLERK'));
+            test.assertTrue(boss.enemies.every(e => e.type === 'DINOSAUR'), 'Only skeleton slots become clerks');
+        });
+
+        test.it('should plan basket swarms as tight packs of 5 to 8', () => {
+            const originalChance = SpawnOrchestrator.config.swarmChance;
+            SpawnOrchestrator.config.swarmChance = 1;
+            const { swarmMinDepth, swarmPackMin, swarmPackMax, swarmPackRadius } = SpawnOrchestrator.config;
+
+            const shallow = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, swarmMinDepth - 1);
+            const swarm = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, swarmMinDepth);
+            SpawnOrchestrator.config.swarmChance = originalChance;
+
+            test.assertFalse(shallow.enemies.some(e => e.type === 'BASKET'), 'No swarms next to the entrance');
+            test.assertTrue(swarm.enemies.every(e => e.type === 'BASKET'), 'Swarm replaces the regular enemies');
+            test.assertTrue(swarm.enemies.length >= swarmPackMin && swarm.enemies.length <= swarmPackMax);
+            const [center] = swarm.enemies;
+            swarm.enemies.forEach(e => {
+                const dist = Math.sqrt((e.x - center.x) ** 2 + (e.z - center.z) ** 2);
+                test.assertTrue(dist <= swarmPackRadius + 0.001, 'Pack members should spawn together');
+            });
+        });
+
+        test.it('should skip the swarm in rooms too small for a full pack', () => {
+            const cfg = SpawnOrchestrator.config;
+            const originalChance = cfg.swarmChance;
+            cfg.swarmChance = 1;
+            const smallRoom = { gridX: 0, gridZ: 0, worldX: 8, worldZ: 8, theme: 'DAIRY', doors: [] };
+            const smallConfig = { UNIT: 16, DOOR_WIDTH: 8 };
+
+            for (let seed = 1; seed <= 20; seed++) {
+                RandomOrchestrator.setSeed(seed);
+                const plan = SpawnOrchestrator.planRoomContents(smallRoom, smallConfig, () => 'SKELETON', 0, cfg.swarmMinDepth);
+                const baskets = plan.enemies.filter(e => e.type === 'BASKET').length;
+                test.assertTrue(baskets === 0 || baskets >= cfg.swarmPackMin, `Seed ${seed} planned a pack of ${baskets}`);
+            }
+
+            // Centers fit but members don't: no pack, no positions left behind, regular enemies instead
+            const originalSpacing = cfg.swarmSpacing;
+            cfg.swarmSpacing = smallConfig.UNIT;
+            const occupied = [];
+            const pack = SpawnOrchestrator.planSwarmPack(smallRoom, smallConfig, occupied);
+            const fallback = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, cfg.swarmMinDepth);
+            cfg.swarmSpacing = originalSpacing;
+            cfg.swarmChance = originalChance;
+            RandomOrchestrator.init();
+            test.assertEqual(pack.length, 0);
+            test.assertEqual(occupied.length, 0);
+            test.assertTrue(fallback.enemies.length > 0 && fallback.enemies.every(e => e.type === 'SKELETON'));
+        });
+
+        test.it('should raise elite odds with depth and score up to the cap', () => {
+            const { eliteMinDepth, eliteChance, eliteMaxChance } = SpawnOrchestrator.config;
+
+            test.assertEqual(SpawnOrchestrator.getEliteChance(eliteMinDepth - 1, 0), 0, 'No elites next to the entrance');
+            test.assertCloseTo(SpawnOrchestrator.getEliteChance(eliteMinDepth, 0), eliteChance, 0.0001);
+            test.assertTrue(SpawnOrchestrator.getEliteChance(eliteMinDepth + 2, 0) > eliteChance, 'Deeper rooms roll more elites');
+            test.assertTrue(SpawnOrchestrator.getEliteChance(eliteMinDepth, 5000) > eliteChance, 'Higher score rolls more elites');
+            test.assertEqual(SpawnOrchestrator.getEliteChance(50, 1000000), eliteMaxChance);
+        });
+
+        test.it('should plan elite modifiers on eligible enemies only', () => {
+            const cfg = SpawnOrchestrator.config;
+            const original = {
+                eliteChance: cfg.eliteChance,
+                eliteMaxChance: cfg.eliteMaxChance,
+                swarmChance: cfg.swarmChance,
+                stockClerkChance: cfg.stockClerkChance
+            };
+            cfg.eliteChance = 1;
+            cfg.eliteMaxChance = 1;
+            cfg.swarmChance = 0;
+            cfg.stockClerkChance = 0;
+
+            const elites = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, cfg.eliteMinDepth);
+            const veterans = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'SKELETON', 0, cfg.eliteSecondModifierDepth);
+            const bosses = SpawnOrchestrator.planRoomContents(rooms[0], roomConfig, () => 'DINOSAUR', 0, cfg.eliteMinDepth);
+            Object.assign(cfg, original);
+
+            test.assertTrue(elites.enemies.length > 0);
+            elites.enemies.forEach(e => {
+                test.assertEqual(e.modifiers.length, 1);
+                test.assertTrue(cfg.eliteModifiers.includes(e.modifiers[0]));
+            });
+            veterans.enemies.forEach(e => {
+                test.assertEqual(e.modifiers.length, 2, 'Deep elites roll two modifiers');
+                test.assertTrue(e.modifiers[0] !== e.modifiers[1], 'Modifiers do not repeat');
+            });
+            test.assertTrue(bosses.enemies.every(e => !e.modifiers), 'Bosses are never elites');
+        });
+
+        test.it('should pass planned modifiers to createEnemy', () => {
+            const created = [];
+            SpawnOrchestrator.resetPlanning();
+            SpawnOrchestrator._roomPlans.set('0_0', {
+                enemies: [{ x: 1, z: 2, type: 'SKELETON', modifiers: ['fast'] }, { x: 3, z: 4, type: 'SKELETON' }],
+                obstacles: []
+            });
+            SpawnOrchestrator.materializeRoom('0_0', {
+                createEnemy: (x, z, type, modifiers) => { created.push(modifiers); return {}; }
+            });
+            SpawnOrchestrator.resetPlanning();
+
+            test.assertArrayEqual(created[0], ['fast']);
+            test.assertEqual(created[1], null);
+        });
+
+        test.it('should reproduce enemy instance drift for the same seed', () => {
+            RandomOrchestrator.setSeed(31337);
+            const a = EnemyOrchestrator.createEnemyData('SKELETON');
+            RandomOrchestrator.setSeed(31337);
+            const b = EnemyOrchestrator.createEnemyData('SKELETON');
+            test.assertEqual(a.driftSpeed, b.driftSpeed);
+            test.assertEqual(a.walkTimer, b.walkTimer);
+            test.assertEqual(a.carriesHealth, b.carriesHealth);
+        });
+    });
+
 })(window.TestFramework || { describe: () => {}, it: () => {}, beforeEach: () => {} });
@@ -88,7 +88,7 @@ const Obstacle = {
     // Get random type
     getRandomType() {
         const ids = this.getTypeIds();
-        return ids[Math.floor(Math.random() * ids.length)];
+        return ids[Math.floor(RandomOrchestrator.next() * ids.length)];
     },
 
     // Create obstacle instance data
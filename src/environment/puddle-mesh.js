@@ -0,0 +1,48 @@
+// ============================================
+// PUDDLE VISUAL - Mesh Creation
+// ============================================
+// Self-contained, zero external dependencies
+// Creates the water puddles left by water gun alt fire - receives THREE as parameter
+
+const PuddleVisual = {
+    /**
+     * Create a puddle mesh lying flat on the floor
+     * @param {THREE} THREE - Three.js library
+     * @param {number} radius - Puddle radius (world units)
+     * @returns {THREE.Group} Puddle mesh group (userData.water is the fading surface)
+     */
+    createMesh(THREE, radius) {
+        const group = new THREE.Group();
+
+        const water = new THREE.Mesh(
+            new THREE.CircleGeometry(radius, 24),
+            new THREE.MeshStandardMaterial({
+                color: 0x3498db,
+                roughness: 0.1,
+                metalness: 0.2,
+                transparent: true,
+                opacity: 0.55
+            })
+        );
+        water.rotation.x = -Math.PI / 2;
+        water.position.y = 0.03;  // Just above the floor to avoid z-fighting
+        group.add(water);
+
+        // Lighter rim
+        const rim = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.92, radius, 24),
+            new THREE.MeshBasicMaterial({
+                color: 0x85c1e9,
+                transparent: true,
+                opacity: 0.6
+            })
+        );
+        rim.rotation.x = -Math.PI / 2;
+        rim.position.y = 0.035;
+        group.add(rim);
+
+        group.userData.water = water;
+        group.userData.rim = rim;
+        return group;
+    }
+};
@@ -21,6 +21,30 @@ const SpawnOrchestrator = {
         obstacleMinCount: 3,
         obstacleMaxCount: 5,
 
+        // Stock clerks replace some skeletons in rooms deep into the mall
+        stockClerkMinDepth: 2,   // Min door distance from the entrance
+        stockClerkChance: 0.3,   // Chance per skeleton slot
+
+        // Some rooms past the entrance hold a basket swarm instead of regular enemies
+        swarmMinDepth: 1,        // Min door distance from the entrance
+        swarmChance: 0.2,        // Chance per room
+        swarmPackMin: 5,
+        swarmPackMax: 8,
+        swarmPackRadius: 3,      // Pack members spawn this close to the pack center
+        swarmSpacing: 1.2,       // Min distance between pack members
+        swarmCenterAttempts: 5,  // Pack centers tried before a cramped room gives up its swarm
+
+        // Elite enemies get random modifiers (Enemy.eliteModifiers); the odds grow
+        // with door distance from the entrance and with the score at planning time
+        eliteTypes: ['SKELETON', 'STOCK_CLERK'],
+        eliteModifiers: ['armored', 'fast', 'splitting', 'vampiric', 'shielded'],
+        eliteMinDepth: 1,        // Min door distance from the entrance
+        eliteChance: 0.1,        // Chance per enemy at eliteMinDepth
+        eliteChancePerDepth: 0.05, // Added per door past eliteMinDepth
+        eliteChancePerScore: 0.00002, // Added per point of score (0.02 per 1000)
+        eliteMaxChance: 0.5,
+        eliteSecondModifierDepth: 4, // Elites this deep roll two modifiers
+
         // Spacing
         enemySpacing: 4,         // Min distance between enemies
         obstacleSpacing: 3,      // Min distance between obstacles
@@ -37,7 +61,7 @@ const SpawnOrchestrator = {
     /**
      * State for planned rooms
      */
-    _roomPlans: new Map(),      // roomKey -> { enemies: [{x, z, type}], obstacles: [{x, z, type}] }
+    _roomPlans: new Map(),      // roomKey -> { enemies: [{x, z, type, modifiers?}], obstacles: [{x, z, type}] }
     _totalPlannedEnemies: 0,    // Total enemies across all rooms
     _materializedRooms: new Set(), // Rooms that have been materialized
 
@@ -63,11 +87,12 @@ const SpawnOrchestrator = {
 
         let totalEnemies = 0;
         let totalObstacles = 0;
+        const depths = this.getRoomDepths(rooms);
 
         rooms.forEach(room => {
             if (!room) return;
             const roomKey = `${room.gridX}_${room.gridZ}`;
-            const plan = this.planRoomContents(room, roomConfig, getEnemyType, currentScore);
+            const plan = this.planRoomContents(room, roomConfig, getEnemyType, currentScore, depths.get(roomKey) || 0);
             this._roomPlans.set(roomKey, plan);
             totalEnemies += plan.enemies.length;
             totalObstacles += plan.obstacles.length;
@@ -82,15 +107,36 @@ const SpawnOrchestrator = {
         };
     },
 
+    /**
+     * Door distance of each room from the entrance
+     * @param {Array} rooms - Array of room data {gridX, gridZ, theme, doors}
+     * @returns {Map} Map of room key -> door distance (empty without an entrance)
+     */
+    getRoomDepths(rooms) {
+        const layout = {};
+        let entranceKey = null;
+        rooms.forEach(room => {
+            if (!room) return;
+            const roomKey = `${room.gridX}_${room.gridZ}`;
+            layout[roomKey] = { doors: room.doors || [] };
+            if (room.theme === 'ENTRANCE') entranceKey = roomKey;
+        });
+
+        if (!entranceKey || typeof RoomGenerator === 'undefined') return new Map();
+        return RoomGenerator.getDistances(layout, entranceKey);
+    },
+
     /**
      * Plan contents for a single room (data only)
      * @param {Object} room - Room data {gridX, gridZ, worldX, worldZ, theme, doors}
      * @param {Object} roomConfig - Room config {UNIT, DOOR_WIDTH}
      * @param {Function} getEnemyType - Function to get enemy type
      * @param {number} currentScore - Current score
-     * @returns {Object} Room plan { enemies: [{x, z, type}], obstacles: [{x, z, type}] }
+     * @param {number} depth - Door distance from the entrance (stock clerks spawn from stockClerkMinDepth,
+     *   basket swarms from swarmMinDepth, elites from eliteMinDepth)
+     * @returns {Object} Room plan { enemies: [{x, z, type, modifiers?}], obstacles: [{x, z, type}] }
      */
-    planRoomContents(room, roomConfig, getEnemyType, currentScore = 0) {
+    planRoomContents(room, roomConfig, getEnemyType, currentScore = 0, depth = 0) {
         // Don't spawn in entrance room
         if (room.theme === 'ENTRANCE') {
             return { enemies: [], obstacles: [] };
@@ -100,30 +146,46 @@ const SpawnOrchestrator = {
         const enemies = [];
         const obstacles = [];
 
+        // Swarm rooms get a basket pack in place of the regular enemies
+        // (rooms too cramped for a full pack keep their regular enemies)
+        const swarmPack = depth >= this.config.swarmMinDepth && RandomOrchestrator.next() < this.config.swarmChance
+            ? this.planSwarmPack(room, roomConfig, plannedPositions)
+            : [];
+        swarmPack.forEach(pos => {
+            enemies.push({ x: pos.x, z: pos.z, type: 'BASKET' });
+        });
+
         // Plan enemies
-        const numEnemies = this.config.enemyMinCount +
-            Math.floor(Math.random() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1));
+        const numEnemies = swarmPack.length > 0 ? 0 : (this.config.enemyMinCount +
+            Math.floor(RandomOrchestrator.next() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1)));
 
         for (let i = 0; i < numEnemies; i++) {
             const pos = this.findValidPosition(room, roomConfig, plannedPositions, this.config.enemySpacing);
             if (pos) {
                 // Get enemy type (at game start, always SKELETON since score is 0)
-                const type = getEnemyType ? getEnemyType(currentScore) : 'SKELETON';
-                enemies.push({ x: pos.x, z: pos.z, type });
+                let type = getEnemyType ? getEnemyType(currentScore) : 'SKELETON';
+                if (type === 'SKELETON' && depth >= this.config.stockClerkMinDepth &&
+                    RandomOrchestrator.next() < this.config.stockClerkChance) {
+                    type = 'STOCK_CLERK';
+                }
+                const enemy = { x: pos.x, z: pos.z, type };
+                const modifiers = this.rollEliteModifiers(type, depth, currentScore);
+                if (modifiers.length > 0) enemy.modifiers = modifiers;
+                enemies.push(enemy);
                 plannedPositions.push(pos);
             }
         }
 
         // Plan obstacles
         const numObstacles = this.config.obstacleMinCount +
-            Math.floor(Math.random() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
+            Math.floor(RandomOrchestrator.next() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
 
         const obstacleTypes = ['stack', 'barrel', 'display'];
 
         for (let i = 0; i < numObstacles; i++) {
             const pos = this.findValidPosition(room, roomConfig, plannedPositions, this.config.obstacleSpacing);
             if (pos) {
-                const type = obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+                const type = obstacleTypes[Math.floor(RandomOrchestrator.next() * obstacleTypes.length)];
                 obstacles.push({ x: pos.x, z: pos.z, type });
                 plannedPositions.push(pos);
             }
@@ -132,10 +194,96 @@ const SpawnOrchestrator = {
         return { enemies, obstacles };
     },
 
+    /**
+     * Chance that an enemy planned at this depth and score is an elite
+     * @param {number} depth - Door distance from the entrance
+     * @param {number} [currentScore=0] - Score at planning time
+     * @returns {number} Chance 0-1 (0 before eliteMinDepth)
+     */
+    getEliteChance(depth, currentScore = 0) {
+        const cfg = this.config;
+        if (depth < cfg.eliteMinDepth) return 0;
+        const chance = cfg.eliteChance +
+            (depth - cfg.eliteMinDepth) * cfg.eliteChancePerDepth +
+            Math.max(0, currentScore) * cfg.eliteChancePerScore;
+        return Math.min(cfg.eliteMaxChance, chance);
+    },
+
+    /**
+     * Roll elite modifiers for a planned enemy
+     * @param {string} type - Enemy type id
+     * @param {number} depth - Door distance from the entrance
+     * @param {number} [currentScore=0] - Score at planning time
+     * @returns {Array<string>} Modifier ids (empty for a regular enemy)
+     */
+    rollEliteModifiers(type, depth, currentScore = 0) {
+        const cfg = this.config;
+        if (!cfg.eliteTypes.includes(type)) return [];
+        const chance = this.getEliteChance(depth, currentScore);
+        if (chance <= 0 || RandomOrchestrator.next() >= chance) return [];
+
+        const pool = [...cfg.eliteModifiers];
+        const count = Math.min(pool.length, depth >= cfg.eliteSecondModifierDepth ? 2 : 1);
+        const modifiers = [];
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(RandomOrchestrator.next() * pool.length);
+            modifiers.push(pool.splice(index, 1)[0]);
+        }
+        return modifiers;
+    },
+
+    /**
+     * Plan positions for a swarm pack clustered around one valid spot
+     * Tries up to swarmCenterAttempts centers; a pack never has fewer than swarmPackMin members.
+     * @param {Object} room - Room data {gridX, gridZ, worldX, worldZ, theme, doors}
+     * @param {Object} roomConfig - Room config {UNIT, DOOR_WIDTH}
+     * @param {Array} occupiedPositions - Planned positions (pack members are appended)
+     * @returns {Array} Pack member positions [{x, z}] (empty if no center fits a full pack)
+     */
+    planSwarmPack(room, roomConfig, occupiedPositions) {
+        const packSize = this.config.swarmPackMin +
+            Math.floor(RandomOrchestrator.next() * (this.config.swarmPackMax - this.config.swarmPackMin + 1));
+
+        for (let i = 0; i < this.config.swarmCenterAttempts; i++) {
+            const center = this.findValidPosition(room, roomConfig, occupiedPositions, this.config.enemySpacing);
+            if (!center) break;
+
+            const pack = this._planPackAround(center, packSize, room, roomConfig, occupiedPositions);
+            if (pack.length >= this.config.swarmPackMin) {
+                occupiedPositions.push(...pack);
+                return pack;
+            }
+        }
+
+        return [];
+    },
+
+    /**
+     * Place up to packSize members within swarmPackRadius of a center
+     * @private
+     */
+    _planPackAround(center, packSize, room, roomConfig, occupiedPositions) {
+        const pack = [center];
+        for (let i = 1; i < packSize; i++) {
+            for (let attempt = 0; attempt < this.config.maxSpawnAttempts; attempt++) {
+                const angle = RandomOrchestrator.next() * Math.PI * 2;
+                const dist = RandomOrchestrator.next() * this.config.swarmPackRadius;
+                const x = center.x + Math.cos(angle) * dist;
+                const z = center.z + Math.sin(angle) * dist;
+
+                if (this.isValidSpawnPosition(x, z, room, roomConfig, [...occupiedPositions, ...pack], this.config.swarmSpacing)) {
+                    pack.push({ x, z });
+                    break;
+                }
+            }
+        }
+        return pack;
+    },
+
     /**
      * Materialize a planned room (create actual meshes)
      * @param {string} roomKey - Room key "gridX_gridZ"
-     * @param {Object} callbacks - { createEnemy: (x, z, type) => mesh, createObstacle: (x, z, type) => mesh }
+     * @param {Object} callbacks - { createEnemy: (x, z, type, modifiers) => mesh, createObstacle: (x, z, type) => mesh }
      * @returns {Object} { enemies: [meshes], obstacles: [meshes] } or null if already materialized
      */
     materializeRoom(roomKey, callbacks) {
@@ -157,7 +305,7 @@ const SpawnOrchestrator = {
         // Create enemy meshes
         plan.enemies.forEach(e => {
             if (callbacks.createEnemy) {
-                const mesh = callbacks.createEnemy(e.x, e.z, e.type);
+                const mesh = callbacks.createEnemy(e.x, e.z, e.type, e.modifiers || null);
                 if (mesh) createdEnemies.push(mesh);
             }
         });
@@ -314,8 +462,8 @@ const SpawnOrchestrator = {
         maxAttempts = maxAttempts || this.config.maxSpawnAttempts;
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const x = room.worldX + (Math.random() - 0.5) * this.config.spawnRadius;
-            const z = room.worldZ + (Math.random() - 0.5) * this.config.spawnRadius;
+            const x = room.worldX + RandomOrchestrator.spread(this.config.spawnRadius);
+            const z = room.worldZ + RandomOrchestrator.spread(this.config.spawnRadius);
 
             if (this.isValidSpawnPosition(x, z, room, roomConfig, occupiedPositions, minDist)) {
                 return { x, z };
@@ -348,7 +496,7 @@ const SpawnOrchestrator = {
 
         // Spawn enemies
         const numEnemies = this.config.enemyMinCount +
-            Math.floor(Math.random() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1));
+            Math.floor(RandomOrchestrator.next() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1));
 
         for (let i = 0; i < numEnemies; i++) {
             const pos = this.findValidPosition(room, roomConfig, spawnedPositions, this.config.enemySpacing);
@@ -361,14 +509,14 @@ const SpawnOrchestrator = {
 
         // Spawn obstacles
         const numObstacles = this.config.obstacleMinCount +
-            Math.floor(Math.random() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
+            Math.floor(RandomOrchestrator.next() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
 
         const obstacleTypes = ['stack', 'barrel', 'display'];
 
         for (let i = 0; i < numObstacles; i++) {
             const pos = this.findValidPosition(room, roomConfig, spawnedPositions, this.config.obstacleSpacing);
             if (pos && callbacks.createObstacle) {
-                const type = obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+                const type = obstacleTypes[Math.floor(RandomOrchestrator.next() * obstacleTypes.length)];
                 callbacks.createObstacle(pos.x, pos.z, type);
                 spawnedPositions.push(pos);
                 obstaclesSpawned++;
@@ -435,7 +583,7 @@ const SpawnOrchestrator = {
         }
 
         // Random chance to spawn
-        if (Math.random() > this.runtimeConfig.spawnChancePerAttempt) {
+        if (RandomOrchestrator.next() > this.runtimeConfig.spawnChancePerAttempt) {
             return [];
         }
 
@@ -486,7 +634,7 @@ const SpawnOrchestrator = {
         }
 
         // Pick a random candidate room
-        const targetRoom = candidateRooms[Math.floor(Math.random() * candidateRooms.length)];
+        const targetRoom = candidateRooms[Math.floor(RandomOrchestrator.next() * candidateRooms.length)];
 
         // Find a valid spawn position in that room
         const pos = this.findValidPosition(targetRoom, roomConfig, [], this.config.enemySpacing);
@@ -560,7 +708,7 @@ const SpawnOrchestrator = {
         }
 
         // Random chance to spawn
-        if (Math.random() > this.pickupRuntimeConfig.spawnChancePerAttempt) {
+        if (RandomOrchestrator.next() > this.pickupRuntimeConfig.spawnChancePerAttempt) {
             return false;
         }
 
@@ -609,7 +757,7 @@ const SpawnOrchestrator = {
         }
 
         // Pick a random candidate room
-        const targetRoom = candidateRooms[Math.floor(Math.random() * candidateRooms.length)];
+        const targetRoom = candidateRooms[Math.floor(RandomOrchestrator.next() * candidateRooms.length)];
 
         // Use PickupOrchestrator to spawn
         if (pickupOrchestrator) {
@@ -638,10 +786,10 @@ const SpawnOrchestrator = {
     getSpawnCount(room, entityType) {
         if (entityType === 'enemy') {
             return this.config.enemyMinCount +
-                Math.floor(Math.random() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1));
+                Math.floor(RandomOrchestrator.next() * (this.config.enemyMaxCount - this.config.enemyMinCount + 1));
         } else {
             return this.config.obstacleMinCount +
-                Math.floor(Math.random() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
+                Math.floor(RandomOrchestrator.next() * (this.config.obstacleMaxCount - this.config.obstacleMinCount + 1));
         }
     }
 };
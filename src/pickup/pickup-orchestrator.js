@@ -47,6 +47,14 @@ const PickupOrchestrator = {
     // SPAWNING
     // ==========================================
 
+    /**
+     * Current game time in ms (recorded time while a replay is playing)
+     * @returns {number} Timestamp
+     */
+    _now() {
+        return typeof ReplayOrchestrator !== 'undefined' ? ReplayOrchestrator.now() : Date.now();
+    },
+
     /**
      * Try to spawn a pickup for a room
      * @param {Object} roomPosition - Room center position {x, z}
@@ -58,7 +66,7 @@ const PickupOrchestrator = {
      */
     trySpawnForRoom(roomPosition, roomWidth, roomLength, obstacles = [], shelves = []) {
         // Check spawn chance
-        if (Math.random() > Pickup.spawn.chancePerRoom) {
+        if (RandomOrchestrator.next() > Pickup.spawn.chancePerRoom) {
             return false;
         }
 
@@ -82,8 +90,8 @@ const PickupOrchestrator = {
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
             // Random position within room center (avoid edges where shelves are)
-            const spawnX = roomPosition.x + (Math.random() - 0.5) * (roomWidth * 0.4);
-            const spawnZ = roomPosition.z + (Math.random() - 0.5) * (roomLength * 0.3);
+            const spawnX = roomPosition.x + RandomOrchestrator.spread(roomWidth * 0.4);
+            const spawnZ = roomPosition.z + RandomOrchestrator.spread(roomLength * 0.3);
             const spawnY = Pickup.spawn.heightOffset;
 
             // Check collision with obstacles
@@ -178,6 +186,10 @@ const PickupOrchestrator = {
         if (config.isHealth || config.isPowerup) {
             mesh = this._createPowerUpMesh(instance, THREE);
         }
+        // Upgrade parts come in a toolbox
+        else if (config.isUpgrade) {
+            mesh = this._createUpgradeMesh(instance, THREE);
+        }
         // Ammo pickups use generic ammo mesh
         else if (config.isAmmo || weaponId === null) {
             mesh = this._createAmmoMesh(instance, THREE);
@@ -194,6 +206,8 @@ const PickupOrchestrator = {
                 weaponModule = LaserGun;
             } else if (weaponId === 'nerfgun' && typeof NerfGun !== 'undefined') {
                 weaponModule = NerfGun;
+            } else if (weaponId === 'dartrifle' && typeof DartRifle !== 'undefined') {
+                weaponModule = DartRifle;
             } else if (weaponId === 'slingshot' && typeof Slingshot !== 'undefined') {
                 weaponModule = Slingshot;
             }
@@ -278,6 +292,49 @@ const PickupOrchestrator = {
         return pickup;
     },
 
+    /**
+     * Create upgrade part pickup mesh - toolbox with the part on top
+     * @private
+     */
+    _createUpgradeMesh(instance, THREE) {
+        const pickup = new THREE.Group();
+        const color = instance.config.visual.color;
+
+        const boxMat = new THREE.MeshStandardMaterial({
+            color: 0xc0392b,
+            roughness: 0.5,
+            metalness: 0.3,
+            emissive: 0xc0392b,
+            emissiveIntensity: 0.15
+        });
+        const box = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.3, 0.4), boxMat);
+        pickup.add(box);
+
+        // Lid band in the part's color
+        const bandMat = new THREE.MeshBasicMaterial({ color });
+        const band = new THREE.Mesh(new THREE.BoxGeometry(0.72, 0.04, 0.42), bandMat);
+        band.position.y = 0.1;
+        pickup.add(band);
+
+        // Carry handle
+        const handleMat = new THREE.MeshStandardMaterial({ color: 0x2c3e50, metalness: 0.6, roughness: 0.4 });
+        const handle = new THREE.Mesh(new THREE.TorusGeometry(0.12, 0.02, 6, 12, Math.PI), handleMat);
+        handle.position.y = 0.15;
+        pickup.add(handle);
+
+        // The part itself, scaled up from FPS size
+        if (typeof WeaponAttachmentMesh !== 'undefined') {
+            const part = WeaponAttachmentMesh.create(THREE, instance.config.upgradeId);
+            if (part) {
+                part.scale.setScalar(4);
+                part.position.set(0.2, 0.3, 0);
+                pickup.add(part);
+            }
+        }
+
+        return pickup;
+    },
+
     /**
      * Create power-up pickup mesh
      * @private
@@ -490,7 +547,7 @@ const PickupOrchestrator = {
         // Power-up pickup - activate effect
         if (config.isPowerup) {
             if (typeof PowerUpOrchestrator !== 'undefined') {
-                PowerUpOrchestrator.activate(config.id, Date.now());
+                PowerUpOrchestrator.activate(config.id, this._now());
             }
             return {
                 switched: false,
@@ -501,6 +558,20 @@ const PickupOrchestrator = {
             };
         }
 
+        // Upgrade part - installed on a weapon it fits (none left: nothing happens)
+        if (config.isUpgrade) {
+            const installedOn = typeof weaponOrchestrator.installUpgrade === 'function'
+                ? weaponOrchestrator.installUpgrade(config.upgradeId)
+                : null;
+            return {
+                switched: false,
+                ammoAdded: 0,
+                weaponId: installedOn,
+                isUpgrade: true,
+                upgradeId: config.upgradeId
+            };
+        }
+
         // Ammo pickup - always adds ammo to current weapon
         if (config.isAmmo || weaponId === null) {
             const ammoAdded = getActualAmmoAdded(config.ammoGrant);
@@ -523,7 +594,17 @@ const PickupOrchestrator = {
             };
         }
 
-        // Weapon pickup - different weapon switches
+        // Weapon pickup - carried weapon tops up its ammo, no switch
+        if (typeof weaponOrchestrator.hasWeapon === 'function' && weaponOrchestrator.hasWeapon(weaponId)) {
+            return {
+                switched: false,
+                ammoAdded: weaponOrchestrator.addAmmoTo(weaponId, config.ammoGrant),
+                weaponId: weaponId,
+                isAmmo: false
+            };
+        }
+
+        // Weapon pickup - new weapon joins the inventory and is equipped
         weaponOrchestrator.equip(weaponId, THREE, materials, camera);
         return {
             switched: true,
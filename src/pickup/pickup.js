@@ -1,7 +1,7 @@
 // ============================================
 // PICKUP SYSTEM - Pure Data Definitions
 // ============================================
-// Defines weapon/ammo pickup types and spawn rules
+// Defines weapon/ammo/upgrade-part pickup types and spawn rules
 // Self-contained, zero external dependencies
 
 const Pickup = {
@@ -55,6 +55,21 @@ const Pickup = {
             }
         },
 
+        DARTRIFLE: {
+            id: 'dartrifle',
+            weaponId: 'dartrifle',
+            name: 'Dart Rifle',
+            isWeapon: true,
+            spawnChance: 0.25,
+            spawnWeight: 3,         // Less common than the blaster
+            ammoGrant: 15,          // Five bursts
+            visual: {
+                color: 0x3498db,    // Blue
+                glowColor: 0x5dade2,
+                scale: 2.5
+            }
+        },
+
         // Ammo pickups - grants ammo to current weapon
         AMMO_SMALL: {
             id: 'ammo_small',
@@ -100,6 +115,82 @@ const Pickup = {
                 glowColor: 0x7ef9ff, // Bright glow
                 scale: 2.6
             }
+        },
+
+        // Upgrade parts - installed on a weapon (Weapon.upgrades)
+        UPGRADE_EXTENDED_MAG: {
+            id: 'upgrade_extended_mag',
+            upgradeId: 'extended_mag',
+            weaponId: null,
+            name: 'Extended Magazine',
+            isUpgrade: true,
+            spawnChance: 0.1,
+            spawnWeight: 0.5,        // Rare - five parts share 2.5
+            visual: {
+                color: 0x95a5a6,
+                glowColor: 0xdfe6e9,
+                scale: 1.6
+            }
+        },
+
+        UPGRADE_HAIR_TRIGGER: {
+            id: 'upgrade_hair_trigger',
+            upgradeId: 'hair_trigger',
+            weaponId: null,
+            name: 'Hair Trigger',
+            isUpgrade: true,
+            spawnChance: 0.1,
+            spawnWeight: 0.5,        // Rare - five parts share 2.5
+            visual: {
+                color: 0xf1c40f,
+                glowColor: 0xffeaa7,
+                scale: 1.6
+            }
+        },
+
+        UPGRADE_BALLOON_NOZZLE: {
+            id: 'upgrade_balloon_nozzle',
+            upgradeId: 'balloon_nozzle',
+            weaponId: null,
+            name: 'Balloon Nozzle',
+            isUpgrade: true,
+            spawnChance: 0.1,
+            spawnWeight: 0.5,        // Rare - five parts share 2.5
+            visual: {
+                color: 0x3498db,
+                glowColor: 0x74b9ff,
+                scale: 1.6
+            }
+        },
+
+        UPGRADE_FOCUS_LENS: {
+            id: 'upgrade_focus_lens',
+            upgradeId: 'focus_lens',
+            weaponId: null,
+            name: 'Focus Lens',
+            isUpgrade: true,
+            spawnChance: 0.1,
+            spawnWeight: 0.5,        // Rare - five parts share 2.5
+            visual: {
+                color: 0xe74c3c,
+                glowColor: 0xff7675,
+                scale: 1.6
+            }
+        },
+
+        UPGRADE_TRIPLE_POUCH: {
+            id: 'upgrade_triple_pouch',
+            upgradeId: 'triple_pouch',
+            weaponId: null,
+            name: 'Triple Pouch',
+            isUpgrade: true,
+            spawnChance: 0.1,
+            spawnWeight: 0.5,        // Rare - five parts share 2.5
+            visual: {
+                color: 0x8b5a2b,
+                glowColor: 0xe1b382,
+                scale: 1.6
+            }
         }
     },
 
@@ -174,7 +265,7 @@ const Pickup = {
             : [];
         const types = [...weaponTypes, ...powerUps].filter(type => !type.dropOnly);
         const totalWeight = types.reduce((sum, t) => sum + (t.spawnWeight || 0), 0);
-        let random = Math.random() * totalWeight;
+        let random = RandomOrchestrator.next() * totalWeight;
 
         for (const type of types) {
             random -= (type.spawnWeight || 0);
@@ -208,7 +299,7 @@ const Pickup = {
             config: config,
             position: { ...position },
             rotation: 0,
-            bobOffset: Math.random() * Math.PI * 2, // Random start phase
+            bobOffset: RandomOrchestrator.next() * Math.PI * 2, // Random start phase
             active: true,
             collected: false,
             createdAt: Date.now()
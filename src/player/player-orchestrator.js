@@ -21,9 +21,15 @@ const PlayerOrchestrator = {
     wallBumpIntensity: 0,
     wallBumpDirection: { x: 0, z: 0 },
 
+    // Ram attack
+    lastRamTime: -Infinity,
+
     // References
     playerData: null,
 
+    // Game clock (replay-aware, falls back to Date.now)
+    _now() { return typeof ReplayOrchestrator !== 'undefined' ? ReplayOrchestrator.now() : Date.now(); },
+
     /**
      * Initialize the player system
      * @param {Object} playerData - Reference to Player data object
@@ -54,6 +60,7 @@ const PlayerOrchestrator = {
         this.isInvulnerable = false;
         this.wallBumpIntensity = 0;
         this.wallBumpDirection = { x: 0, z: 0 };
+        this.lastRamTime = -Infinity;
     },
 
     // ==========================================
@@ -99,30 +106,37 @@ const PlayerOrchestrator = {
 
     /**
      * Update turning based on input
-     * @param {boolean} turnLeft - Is turn left pressed
-     * @param {boolean} turnRight - Is turn right pressed
+     * @param {boolean|number} turnLeft - Turn left pressed (or 0-1 stick magnitude)
+     * @param {boolean|number} turnRight - Turn right pressed (or 0-1 stick magnitude)
      * @param {number} dt - Delta time in seconds
      */
     updateTurning(turnLeft, turnRight, dt) {
         const config = this.getMovementConfig();
-        const targetTurnRate = (turnLeft ? 1 : 0) - (turnRight ? 1 : 0);
+        const targetTurnRate = Number(turnLeft || 0) - Number(turnRight || 0);
         this.currentTurnRate += (targetTurnRate * config.TURN_SPEED - this.currentTurnRate) * config.TURN_SMOOTH * dt;
         this.rotation += this.currentTurnRate * dt;
     },
 
     /**
      * Update speed based on input
-     * @param {boolean} forward - Is forward pressed
-     * @param {boolean} backward - Is backward pressed
+     * @param {boolean|number} forward - Forward pressed (or 0-1 stick magnitude)
+     * @param {boolean|number} backward - Backward pressed (or 0-1 stick magnitude)
      * @param {number} dt - Delta time in seconds
      */
     updateSpeed(forward, backward, dt) {
         const config = this.getMovementConfig();
 
         if (forward) {
-            this.speed += config.ACCELERATION * dt;
+            // Partial stick input caps speed at that fraction of MAX_SPEED
+            const cap = config.MAX_SPEED * Number(forward);
+            this.speed = this.speed < cap
+                ? Math.min(cap, this.speed + config.ACCELERATION * dt)
+                : Math.max(cap, this.speed - config.FRICTION * dt);
         } else if (backward) {
-            this.speed -= config.ACCELERATION * dt;
+            const cap = -config.REVERSE_SPEED * Number(backward);
+            this.speed = this.speed > cap
+                ? Math.max(cap, this.speed - config.ACCELERATION * dt)
+                : Math.min(cap, this.speed + config.FRICTION * dt);
         } else {
             // Apply friction when no input, but maintain small idle drift
             if (this.speed > config.IDLE_DRIFT) {
@@ -350,7 +364,7 @@ const PlayerOrchestrator = {
 
         // Start invulnerability
         this.isInvulnerable = true;
-        this.lastDamageTime = Date.now();
+        this.lastDamageTime = this._now();
 
         return true;
     },
@@ -386,7 +400,7 @@ const PlayerOrchestrator = {
     updateInvulnerability() {
         if (this.isInvulnerable) {
             const config = this.getHealthConfig();
-            if (Date.now() - this.lastDamageTime >= config.INVULNERABILITY_DURATION) {
+            if (this._now() - this.lastDamageTime >= config.INVULNERABILITY_DURATION) {
                 this.isInvulnerable = false;
             }
         }
@@ -399,6 +413,86 @@ const PlayerOrchestrator = {
         return this.isInvulnerable;
     },
 
+    // ==========================================
+    // RAM ATTACK
+    // ==========================================
+
+    /**
+     * Get ram constants from player data
+     */
+    getRamConfig() {
+        return this.playerData?.ram || {
+            MIN_SPEED: 7,
+            DAMAGE_PER_SPEED: 0.2,
+            KNOCKBACK: 20,
+            COOLDOWN: 600,
+            SPEED_KEEP: 0.7,
+            BUMP: 0.8,
+            SCORE_BONUS: 50
+        };
+    },
+
+    /**
+     * Forward speed the cart hits with, including the speed boost (0 when reversing)
+     * @returns {number}
+     */
+    getRamSpeed() {
+        const multiplier = (typeof PowerUpOrchestrator !== 'undefined' && PowerUpOrchestrator.getSpeedMultiplier)
+            ? PowerUpOrchestrator.getSpeedMultiplier()
+            : 1.0;
+        return Math.max(0, this.speed) * multiplier;
+    },
+
+    /**
+     * Check if the cart is fast enough to ram and off cooldown
+     * @param {number} now - Current game time (ms)
+     * @returns {boolean}
+     */
+    canRam(now = this._now()) {
+        const config = this.getRamConfig();
+        return this.getRamSpeed() >= config.MIN_SPEED && now - this.lastRamTime >= config.COOLDOWN;
+    },
+
+    /**
+     * Ram something: starts the cooldown, bumps the camera and slows the cart
+     * @param {Object} target - Position {x, z} of what was hit
+     * @param {number} now - Current game time (ms)
+     * @returns {Object} {speed, damage, knockback {x, z}, intensity, scoreBonus}
+     */
+    ram(target, now = this._now()) {
+        const config = this.getRamConfig();
+        const maxSpeed = this.getMovementConfig().MAX_SPEED;
+        const speed = this.getRamSpeed();
+
+        // Push away from the cart (straight ahead if right on top of it)
+        let dx = target.x - this.position.x;
+        let dz = target.z - this.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist > 0.001) {
+            dx /= dist;
+            dz /= dist;
+        } else {
+            dx = -Math.sin(this.rotation);
+            dz = -Math.cos(this.rotation);
+        }
+
+        const knockback = config.KNOCKBACK * speed / maxSpeed;
+        const intensity = Math.min(1, config.BUMP * speed / maxSpeed);
+
+        this.lastRamTime = now;
+        this.wallBumpIntensity = Math.max(this.wallBumpIntensity, intensity);
+        this.wallBumpDirection = { x: -dx, z: -dz };
+        this.speed *= config.SPEED_KEEP;
+
+        return {
+            speed,
+            damage: speed * config.DAMAGE_PER_SPEED,
+            knockback: { x: dx * knockback, z: dz * knockback },
+            intensity,
+            scoreBonus: config.SCORE_BONUS
+        };
+    },
+
     // ==========================================
     // POSITION/STATE GETTERS
     // ==========================================
@@ -452,7 +546,7 @@ const PlayerOrchestrator = {
     /**
      * Full update including movement, visuals, and camera
      * @param {Object} options - Update options
-     * @param {Object} options.keys - Input state from InputOrchestrator
+     * @param {Object} options.keys - Input state from InputOrchestrator (keys or getAnalogKeys())
      * @param {number} options.dt - Delta time
      * @param {Function} options.collisionCheck - Collision check function
      * @param {Object} options.cart - Player cart mesh (optional)
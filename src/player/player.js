@@ -42,6 +42,17 @@ const Player = {
         INVULNERABILITY_DURATION: 1000  // ms
     },
 
+    // Ramming enemies with the cart (speed = cart speed x speed boost multiplier)
+    ram: {
+        MIN_SPEED: 7,          // Slower contact hurts the player instead
+        DAMAGE_PER_SPEED: 0.2, // 2 damage at top speed, 4 with the speed boost
+        KNOCKBACK: 20,         // Knockback speed at MAX_SPEED (scales with ram speed)
+        COOLDOWN: 600,         // ms between rams
+        SPEED_KEEP: 0.7,       // Cart speed kept after the impact
+        BUMP: 0.8,             // Camera bump intensity at MAX_SPEED (wall bump system)
+        SCORE_BONUS: 50        // Added to the hit (and kill) score
+    },
+
     // Starting position (center of ENTRANCE room in grid)
     startPosition: {
         x: 45,
@@ -122,6 +122,27 @@
             test.assertTrue(PlayerOrchestrator.speed <= config.MAX_SPEED, 'speed should be clamped to max');
         });
 
+        test.it('should cap speed at a fraction of max for partial stick input', () => {
+            const config = PlayerOrchestrator.getMovementConfig();
+            for (let i = 0; i < 100; i++) PlayerOrchestrator.updateSpeed(0.5, 0, 0.1);
+            test.assertCloseTo(PlayerOrchestrator.speed, config.MAX_SPEED * 0.5, 0.001);
+        });
+
+        test.it('should slow down when stick input eases off', () => {
+            const config = PlayerOrchestrator.getMovementConfig();
+            PlayerOrchestrator.speed = config.MAX_SPEED;
+            PlayerOrchestrator.updateSpeed(0.25, 0, 0.1);
+            test.assertTrue(PlayerOrchestrator.speed < config.MAX_SPEED, 'speed should drop toward the stick cap');
+        });
+
+        test.it('should turn slower with partial stick input', () => {
+            PlayerOrchestrator.updateTurning(0.5, 0, 0.1);
+            const partial = PlayerOrchestrator.currentTurnRate;
+            PlayerOrchestrator.reset();
+            PlayerOrchestrator.updateTurning(true, false, 0.1);
+            test.assertCloseTo(partial, PlayerOrchestrator.currentTurnRate * 0.5, 0.0001);
+        });
+
         test.it('should clamp speed to reverse max', () => {
             PlayerOrchestrator.speed = -100;
             PlayerOrchestrator.updateSpeed(false, true, 0.1);
@@ -194,6 +215,65 @@
         });
     });
 
+    test.describe('Player System - Ram', () => {
+        test.beforeEach(() => {
+            PlayerOrchestrator.init(Player);
+            PlayerOrchestrator.reset();
+            PlayerOrchestrator.setPosition(0, 0);
+            PlayerOrchestrator.setRotation(0);
+        });
+
+        test.afterEach(() => {
+            if (typeof PowerUpOrchestrator !== 'undefined') PowerUpOrchestrator.reset();
+        });
+
+        test.it('should only ram at speed', () => {
+            PlayerOrchestrator.speed = Player.ram.MIN_SPEED - 1;
+            test.assertFalse(PlayerOrchestrator.canRam(1000));
+            PlayerOrchestrator.speed = Player.ram.MIN_SPEED;
+            test.assertTrue(PlayerOrchestrator.canRam(1000));
+        });
+
+        test.it('should not ram while reversing', () => {
+            PlayerOrchestrator.speed = -Player.movement.REVERSE_SPEED;
+            test.assertEqual(PlayerOrchestrator.getRamSpeed(), 0);
+        });
+
+        test.it('should scale damage and knockback with speed', () => {
+            PlayerOrchestrator.speed = Player.movement.MAX_SPEED;
+            const ram = PlayerOrchestrator.ram({ x: 0, z: -2 }, 1000);
+            test.assertCloseTo(ram.damage, Player.movement.MAX_SPEED * Player.ram.DAMAGE_PER_SPEED, 0.001);
+            test.assertCloseTo(ram.knockback.z, -Player.ram.KNOCKBACK, 0.001, 'Pushed away from the cart');
+            test.assertCloseTo(ram.knockback.x, 0, 0.001);
+            test.assertEqual(ram.scoreBonus, Player.ram.SCORE_BONUS);
+        });
+
+        test.it('should hit harder with the speed boost', () => {
+            if (typeof PowerUpOrchestrator === 'undefined') {
+                test.skip('PowerUpOrchestrator not available');
+                return;
+            }
+            PlayerOrchestrator.speed = Player.movement.MAX_SPEED;
+            const normal = PlayerOrchestrator.ram({ x: 0, z: -2 }, 1000);
+            PowerUpOrchestrator.activate('speed_boost', 0);
+            PlayerOrchestrator.speed = Player.movement.MAX_SPEED;
+            const boosted = PlayerOrchestrator.ram({ x: 0, z: -2 }, 5000);
+            test.assertCloseTo(boosted.damage, normal.damage * PowerUpOrchestrator.getSpeedMultiplier(), 0.001);
+        });
+
+        test.it('should bump the camera, slow the cart and start the cooldown', () => {
+            PlayerOrchestrator.speed = Player.movement.MAX_SPEED;
+            PlayerOrchestrator.ram({ x: 2, z: 0 }, 1000);
+            test.assertTrue(PlayerOrchestrator.wallBumpIntensity > 0, 'Uses the wall bump effect');
+            test.assertCloseTo(PlayerOrchestrator.wallBumpDirection.x, -1, 0.001);
+            test.assertCloseTo(PlayerOrchestrator.speed, Player.movement.MAX_SPEED * Player.ram.SPEED_KEEP, 0.001);
+
+            PlayerOrchestrator.speed = Player.movement.MAX_SPEED;
+            test.assertFalse(PlayerOrchestrator.canRam(1000 + Player.ram.COOLDOWN - 1));
+            test.assertTrue(PlayerOrchestrator.canRam(1000 + Player.ram.COOLDOWN));
+        });
+    });
+
     test.describe('Player System - Health', () => {
         test.beforeEach(() => {
             PlayerOrchestrator.init(Player);
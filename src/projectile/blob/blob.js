@@ -20,11 +20,6 @@ ProjectileTypeRegistry['blob'] = {
     splash: true,
     splashRadius: 5,
     splashDamage: 0.5,
-    slow: {
-        enabled: true,
-        duration: 2.0,
-        speedMultiplier: 0.5
-    },
     createMesh: (THREE, context) => BlobProjectileMesh.createMesh(THREE, context),
     animate: (mesh, dt) => BlobProjectileAnimation.animate(mesh, dt)
 };
@@ -0,0 +1,13 @@
+// ============================================
+// BONE PROJECTILE ANIMATION
+// ============================================
+
+const BoneProjectileAnimation = {
+    SPIN_SPEED: 14,  // Radians per second end over end
+
+    animate(mesh, dt) {
+        // Spin the inner group (userData is replaced by ProjectileOrchestrator.createMesh)
+        const bone = mesh?.children?.[0];
+        if (bone) bone.rotation.x += this.SPIN_SPEED * dt;
+    }
+};
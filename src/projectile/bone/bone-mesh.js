@@ -0,0 +1,40 @@
+// ============================================
+// BONE PROJECTILE MESH
+// ============================================
+// Builds the thrown bone (shaft with knobbed ends) for ranged skeletons
+
+const BoneProjectileMesh = {
+    /**
+     * Create bone projectile mesh group
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} context - Visual context
+     * @returns {THREE.Group}
+     */
+    createMesh(THREE, context) {
+        const group = new THREE.Group();
+        const length = context.length * context.sizeScale;
+        const radius = context.baseSize * context.sizeScale * 0.35;
+        const boneMat = new THREE.MeshStandardMaterial({
+            color: context.baseColor,
+            roughness: 0.8,
+            metalness: 0
+        });
+
+        // Inner group tumbles (animate) without changing the travel orientation
+        const bone = new THREE.Group();
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 8), boneMat);
+        bone.add(shaft);
+
+        const knobGeo = new THREE.SphereGeometry(radius * 1.6, 8, 8);
+        [-1, 1].forEach(end => {
+            [-1, 1].forEach(side => {
+                const knob = new THREE.Mesh(knobGeo, boneMat);
+                knob.position.set(side * radius * 1.1, end * length / 2, 0);
+                bone.add(knob);
+            });
+        });
+
+        group.add(bone);
+        return group;
+    }
+};
@@ -0,0 +1,24 @@
+// ============================================
+// BONE PROJECTILE - Type Definition
+// ============================================
+// Thrown by ranged skeletons (Enemy.types.SKELETON.ranged)
+
+var ProjectileTypeRegistry = (typeof globalThis !== 'undefined')
+    ? (globalThis.ProjectileTypeRegistry = globalThis.ProjectileTypeRegistry || {})
+    : {};
+
+ProjectileTypeRegistry['bone'] = {
+    id: 'bone',
+    geometry: 'cylinder',
+    size: 0.25,
+    length: 0.9,
+    color: 0xf5f5dc,
+    glow: false,
+    gravity: 9,
+    lifetime: 4000,
+    piercing: false,
+    shootable: true,              // Player shots can knock it out of the air
+    damage: 10,
+    createMesh: (THREE, context) => BoneProjectileMesh.createMesh(THREE, context),
+    animate: (mesh, dt) => BoneProjectileAnimation.animate(mesh, dt)
+};
@@ -0,0 +1,10 @@
+// ============================================
+// FOAM DART PROJECTILE ANIMATION
+// ============================================
+
+const FoamDartProjectileAnimation = {
+    animate(mesh, dt) {
+        if (!mesh) return;
+        mesh.rotation.z += dt * 18;
+    }
+};
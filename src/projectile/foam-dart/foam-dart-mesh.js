@@ -0,0 +1,48 @@
+// ============================================
+// FOAM DART PROJECTILE MESH
+// ============================================
+// Creates a slim foam dart with a rounded tip and tail fins
+
+const FoamDartProjectileMesh = {
+    /**
+     * Create foam dart projectile mesh group
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} context - Visual context
+     * @returns {THREE.Group}
+     */
+    createMesh(THREE, context) {
+        const group = new THREE.Group();
+        const length = context.length * context.sizeScale;
+        const radius = context.baseSize * context.sizeScale * 0.4;
+
+        const foamMat = new THREE.MeshStandardMaterial({
+            color: context.baseColor,
+            roughness: 0.8,
+            emissive: context.hasGlow ? context.glowColor : 0x000000,
+            emissiveIntensity: context.emissiveIntensity
+        });
+
+        const tipMat = new THREE.MeshStandardMaterial({
+            color: 0xf39c12,     // Orange rubber tip
+            roughness: 0.5
+        });
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 8), foamMat);
+        body.rotation.x = Math.PI / 2;
+        group.add(body);
+
+        const tip = new THREE.Mesh(new THREE.SphereGeometry(radius * 1.15, 8, 8), tipMat);
+        tip.position.z = -length / 2;
+        group.add(tip);
+
+        // Two crossed fins at the tail
+        [0, Math.PI / 2].forEach(angle => {
+            const fin = new THREE.Mesh(new THREE.BoxGeometry(radius * 4, radius * 0.3, length * 0.25), foamMat);
+            fin.position.z = length * 0.38;
+            fin.rotation.z = angle;
+            group.add(fin);
+        });
+
+        return group;
+    }
+};
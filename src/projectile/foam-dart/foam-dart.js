@@ -0,0 +1,24 @@
+// ============================================
+// FOAM DART PROJECTILE - Type Definition
+// ============================================
+
+var ProjectileTypeRegistry = (typeof globalThis !== 'undefined')
+    ? (globalThis.ProjectileTypeRegistry = globalThis.ProjectileTypeRegistry || {})
+    : {};
+
+ProjectileTypeRegistry['foam-dart'] = {
+    id: 'foam-dart',
+    geometry: 'cylinder',
+    size: 0.12,
+    length: 0.45,
+    color: 0x27ae60,
+    glow: false,
+    glowColor: 0x2ecc71,
+    emissiveIntensity: { min: 0.1, max: 0.2 },
+    gravity: 0.5,
+    lifetime: 3500,
+    piercing: false,
+    spin: true,
+    createMesh: (THREE, context) => FoamDartProjectileMesh.createMesh(THREE, context),
+    animate: (mesh, dt) => FoamDartProjectileAnimation.animate(mesh, dt)
+};
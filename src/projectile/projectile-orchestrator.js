@@ -8,6 +8,9 @@ const ProjectileOrchestrator = {
     // Active projectiles
     projectiles: [],
 
+    // Game clock (replay-aware, falls back to Date.now)
+    _now() { return typeof ReplayOrchestrator !== 'undefined' ? ReplayOrchestrator.now() : Date.now(); },
+
     // Configuration (use Projectile.system if available)
     get maxProjectiles() {
         return (typeof Projectile !== 'undefined' && Projectile.system)
@@ -183,7 +186,7 @@ const ProjectileOrchestrator = {
             speed: speed,
             damage: damage,
             power: power,
-            createdAt: Date.now(),
+            createdAt: this._now(),
             active: true
         };
 
@@ -243,7 +246,7 @@ const ProjectileOrchestrator = {
                 ? Math.abs(p.position.z - cameraPosition.z)
                 : 0;
 
-            const age = Date.now() - p.createdAt;
+            const age = this._now() - p.createdAt;
             const outOfBounds = Math.abs(p.position.x) > this.boundsX ||
                                p.position.y < this.boundsYMin ||
                                p.position.y > this.boundsYMax ||
@@ -317,6 +320,12 @@ const ProjectileOrchestrator = {
      * @param {number} options.speedMin - Min speed for power calculation
      * @param {number} options.speedMax - Max speed for power calculation
      * @param {Object} options.fallbackCamera - Camera for fallback position
+     * @param {string} options.faction - Who fired it: 'player' (default) or 'enemy' (Projectile.factions)
+     * @param {Array} options.effects - Status effects applied on hit (Weapon.types[*].projectile.effects)
+     * @param {number} options.pierce - Extra enemies the projectile passes through (upgrade parts)
+     * @param {number} options.splashScale - Multiplier on the type's splash radius (upgrade parts)
+     * @param {number} options.ricochet - Wall/shelf bounces before it stops (slingshot trick shot)
+     * @param {Object} options.puddle - {radius, duration} puddle left where it lands (water gun alt fire)
      * @returns {THREE.Group} Projectile mesh group with userData
      */
     createMesh(THREE, direction, spawnPos, speed, options = {}) {
@@ -324,7 +333,13 @@ const ProjectileOrchestrator = {
             speedMin = 60,
             speedMax = 180,
             fallbackCamera = null,
-            projectileType = 'stone'
+            projectileType = 'stone',
+            faction = 'player',
+            effects = null,
+            pierce = 0,
+            splashScale = 1,
+            ricochet = 0,
+            puddle = null
         } = options;
 
         // Get projectile config from Projectile data definitions
@@ -373,12 +388,72 @@ const ProjectileOrchestrator = {
             projectileType: projectileType,
             projectileConfig: projConfig,  // Store config for splash damage detection
             gravity: gravity,  // Store per-projectile gravity
-            damage: damage  // Store calculated damage from weapon
+            damage: damage,  // Store calculated damage from weapon
+            faction: faction,  // Decides what the projectile can hit (CollisionOrchestrator)
+            effects: effects,  // Status effects for the enemy it hits (EnemyOrchestrator.applyEffects)
+            pierce: pierce,  // Enemies left to pass through
+            splashScale: splashScale,
+            ricochet: ricochet,  // Bounces left (CollisionOrchestrator)
+            puddle: puddle
         };
 
         return group;
     },
 
+    /**
+     * Fan a shot out into several directions (multi-projectile shots)
+     * Directions are spread evenly around the world Y axis, centered on the aim.
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} direction - Aim direction (THREE.Vector3)
+     * @param {number} count - Number of projectiles
+     * @param {number} angle - Radians between neighbouring projectiles
+     * @returns {Array<THREE.Vector3>} One direction per projectile
+     */
+    getSpreadDirections(THREE, direction, count = 1, angle = 0) {
+        if (count <= 1 || !angle) return [direction];
+        const axis = new THREE.Vector3(0, 1, 0);
+        return Array.from({ length: count }, (_, i) =>
+            direction.clone().applyAxisAngle(axis, (i - (count - 1) / 2) * angle));
+    },
+
+    /**
+     * Create an enemy-thrown projectile aimed at a target (ranged enemies)
+     * Arcs the throw so the projectile's gravity brings it down on the target.
+     * @param {THREE} THREE - Three.js library
+     * @param {THREE.Vector3} origin - Launch position
+     * @param {THREE.Vector3} target - Aim point (player hitbox center)
+     * @param {Object} options - Attack options (Enemy.types[*].ranged)
+     * @param {string} options.projectileType - Projectile type (default: 'bone')
+     * @param {number} options.speed - Horizontal throw speed
+     * @param {number} options.damage - Damage to the player (default: projectile config damage)
+     * @returns {THREE.Group} Projectile mesh group with userData
+     */
+    createEnemyProjectile(THREE, origin, target, options = {}) {
+        const projectileType = options.projectileType || 'bone';
+        const projConfig = (typeof Projectile !== 'undefined' && Projectile.get) ? Projectile.get(projectileType) : null;
+        const gravity = projConfig?.gravity || 0;
+        const speed = options.speed || 20;
+
+        const dx = target.x - origin.x;
+        const dz = target.z - origin.z;
+        const horizontal = Math.sqrt(dx * dx + dz * dz);
+        const flightTime = Math.max(0.05, horizontal / speed);
+        const velocity = new THREE.Vector3(
+            horizontal > 0.001 ? (dx / horizontal) * speed : 0,
+            (target.y - origin.y) / flightTime + 0.5 * gravity * flightTime,
+            horizontal > 0.001 ? (dz / horizontal) * speed : 0
+        );
+        const launchSpeed = velocity.length();
+
+        return this.createMesh(THREE, velocity.normalize(), origin, launchSpeed, {
+            speedMin: 0,
+            speedMax: launchSpeed,
+            projectileType,
+            damage: options.damage || projConfig?.damage,
+            faction: 'enemy'
+        });
+    },
+
     /**
      * Calculate spawn position for FPS projectile
      * @param {THREE} THREE - Three.js library
@@ -469,6 +544,7 @@ const ProjectileOrchestrator = {
      * @param {number} options.maxDistance - Max distance from camera
      * @param {number} options.minY - Min Y position
      * @param {number} options.maxY - Max Y position
+     * @param {Function} options.onGroundHit - Callback(projectile) when a projectile drops below minY
      */
     updateMeshArray(projectiles, options = {}) {
         const {
@@ -476,7 +552,8 @@ const ProjectileOrchestrator = {
             cameraPosition,
             maxDistance = this.updateMaxDistance,
             minY = this.updateMinY,
-            maxY = this.updateMaxY
+            maxY = this.updateMaxY,
+            onGroundHit = null
         } = options;
 
         projectiles.forEach(proj => {
@@ -514,6 +591,9 @@ const ProjectileOrchestrator = {
                 proj.position.y < minY ||
                 proj.position.y > maxY) {
                 proj.userData.active = false;
+                if (onGroundHit && proj.position.y < minY && distFromCamera <= maxDistance) {
+                    onGroundHit(proj);
+                }
             }
         });
     }
@@ -29,6 +29,12 @@ const Projectile = {
         UPDATE_MAX_Y: 15
     },
 
+    // Who fired a projectile (userData.faction) - decides what it can hit
+    factions: {
+        PLAYER: 'player',             // Hits enemies and obstacles
+        ENEMY: 'enemy'                // Hits the player; blocked by shelves/obstacles
+    },
+
     // Visual scaling constants
     visual: {
         SIZE_SCALE_BASE: 0.8,         // Base size multiplier
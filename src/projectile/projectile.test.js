@@ -61,6 +61,13 @@
             test.assertTrue(softBullet.gravity > 0);  // Soft bullets have gravity for drop
         });
 
+        test.it('should have foam-dart type defined', () => {
+            const dart = Projectile.types['foam-dart'];
+            test.assertEqual(dart.id, 'foam-dart');
+            test.assertTrue(dart.length > 0, 'Darts have length');
+            test.assertFalse(dart.piercing);
+        });
+
         test.it('should have blob splash properties', () => {
             const blob = Projectile.types.blob;
             test.assertTrue(blob.splash, 'Blob should have splash enabled');
@@ -301,6 +308,97 @@
             const pos = new THREE.Vector3(0, 1, 0);
             const mesh = ProjectileOrchestrator.createMesh(THREE, dir, pos, 100, {});
             test.assertEqual(mesh.userData.projectileType, 'stone');
+            test.assertEqual(mesh.userData.faction, Projectile.factions.PLAYER);
+        });
+
+        test.it('should create enemy bone projectile with attack damage', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const origin = new THREE.Vector3(0, 2, -14);
+            const target = new THREE.Vector3(0, 1.2, 0);
+            const mesh = ProjectileOrchestrator.createEnemyProjectile(THREE, origin, target, {
+                projectileType: 'bone', speed: 24, damage: 7
+            });
+            test.assertEqual(mesh.userData.projectileType, 'bone');
+            test.assertEqual(mesh.userData.damage, 7);
+            test.assertEqual(mesh.userData.faction, Projectile.factions.ENEMY);
+            test.assertTrue(mesh.userData.gravity > 0);
+            test.assertCloseTo(mesh.userData.velocity.z, 24, 0.01);  // Horizontal speed toward target
+            test.assertTrue(mesh.userData.velocity.y > 0, 'Should arc upward to cancel gravity drop');
+        });
+
+        test.it('should arc enemy projectile onto the target', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const origin = new THREE.Vector3(6, 2, -12);
+            const target = new THREE.Vector3(0, 1.2, 0);
+            const mesh = ProjectileOrchestrator.createEnemyProjectile(THREE, origin, target, { speed: 24 });
+            const flightTime = origin.clone().setY(0).distanceTo(target.clone().setY(0)) / 24;
+            const steps = 100;
+            const projectiles = [mesh];
+            for (let i = 0; i < steps; i++) {
+                ProjectileOrchestrator.updateMeshArray(projectiles, { dt: flightTime / steps, minY: -100, maxY: 100 });
+            }
+            test.assertTrue(mesh.position.distanceTo(target) < 0.5, 'Should arrive near the aim point');
+        });
+
+        test.it('should store pierce and splash scale from upgraded weapons', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const dir = new THREE.Vector3(0, 0, -1);
+            const plain = ProjectileOrchestrator.createMesh(THREE, dir, null, 80, { projectileType: 'ray' });
+            const upgraded = ProjectileOrchestrator.createMesh(THREE, dir, null, 80, { projectileType: 'ray', pierce: 2, splashScale: 1.5 });
+            test.assertEqual(plain.userData.pierce, 0);
+            test.assertEqual(plain.userData.splashScale, 1);
+            test.assertEqual(upgraded.userData.pierce, 2);
+            test.assertEqual(upgraded.userData.splashScale, 1.5);
+        });
+
+        test.it('should store alt fire ricochet and puddle', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const dir = new THREE.Vector3(0, 0, -1);
+            const puddle = { radius: 5, duration: 6 };
+            const stone = ProjectileOrchestrator.createMesh(THREE, dir, null, 80, { projectileType: 'stone', ricochet: 2 });
+            const blob = ProjectileOrchestrator.createMesh(THREE, dir, null, 45, { projectileType: 'blob', puddle });
+            test.assertEqual(stone.userData.ricochet, 2);
+            test.assertEqual(stone.userData.puddle, null);
+            test.assertEqual(blob.userData.puddle, puddle);
+        });
+
+        test.it('should report projectiles that drop to the floor', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const blob = ProjectileOrchestrator.createMesh(THREE, new THREE.Vector3(0, -1, 0), new THREE.Vector3(0, 0.5, 0), 45, { projectileType: 'blob' });
+            const landed = [];
+            ProjectileOrchestrator.updateMeshArray([blob], { dt: 0.1, minY: 0, onGroundHit: (p) => landed.push(p) });
+            test.assertFalse(blob.userData.active);
+            test.assertArrayEqual(landed, [blob]);
+        });
+
+        test.it('should fan multi-projectile shots around the aim', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const dir = new THREE.Vector3(0, 0, -1);
+            test.assertArrayEqual(ProjectileOrchestrator.getSpreadDirections(THREE, dir, 1, 0.1), [dir]);
+
+            const dirs = ProjectileOrchestrator.getSpreadDirections(THREE, dir, 3, 0.1);
+            test.assertEqual(dirs.length, 3);
+            test.assertCloseTo(dirs[1].x, 0, 0.0001, 'Middle projectile follows the aim');
+            test.assertCloseTo(dirs[0].angleTo(dirs[2]), 0.2, 0.0001);
+            test.assertCloseTo(dirs[0].x, -dirs[2].x, 0.0001, 'Fan is symmetric');
         });
     });
 
@@ -310,7 +408,7 @@
 
     test.describe('Projectile Registry Hooks', () => {
         test.it('should expose createMesh and animate for each type', () => {
-            const types = ['stone', 'blob', 'ray', 'soft-bullet', 'syringe'];
+            const types = ['stone', 'blob', 'ray', 'soft-bullet', 'foam-dart', 'syringe', 'bone'];
             types.forEach((typeId) => {
                 const config = Projectile.get(typeId);
                 test.assertTrue(typeof config.createMesh === 'function', `${typeId} missing createMesh`);
@@ -361,6 +459,18 @@
             test.assertTrue(mesh.rotation.z !== initialRotation);
         });
 
+        test.it('should spin bone around its inner group', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const bone = Projectile.get('bone');
+            const mesh = bone.createMesh(THREE, ProjectileOrchestrator.buildVisualContext(bone, 24, 0, 24));
+            const initialRotation = mesh.children[0].rotation.x;
+            bone.animate(mesh, 0.1);
+            test.assertTrue(mesh.children[0].rotation.x !== initialRotation);
+        });
+
         test.it('should throw if createMesh is missing', () => {
             if (typeof THREE === 'undefined') {
                 test.skip('THREE.js not available');
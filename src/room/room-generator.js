@@ -0,0 +1,319 @@
+// ============================================
+// ROOM GENERATOR - Procedural Mall Layouts
+// ============================================
+// Builds connected room graphs in the same shape as Room.layout
+// ({ 'x_z': { theme, doors } }) so the result feeds
+// RoomOrchestrator.loadLayout and SpawnOrchestrator.planAllRooms unchanged.
+// Pure data - no THREE.js dependencies. Random draws go through
+// RandomOrchestrator, so a seed reproduces the same mall.
+
+const RoomGenerator = {
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+    URL_PARAM: 'layout',       // ?layout=grid forces the hand-made Room.layout (debugging)
+    URL_GRID_VALUE: 'grid',
+    URL_ROOMS_PARAM: 'rooms',  // ?rooms=24 overrides the room count
+
+    // ==========================================
+    // GENERATION
+    // ==========================================
+
+    /**
+     * Generate a connected mall layout
+     * Rooms grow as a tree from the entrance (every room reachable), boss rooms
+     * are the dead ends farthest from the entrance, then optional extra doors
+     * add loops between non-boss rooms. Doors are always added in pairs.
+     * @param {Object} options - Overrides for Room.generation
+     * @param {number} options.roomCount - Number of rooms
+     * @param {number} options.bossRooms - Number of dead-end boss rooms
+     * @param {number} options.loopChance - Chance to open a door between adjacent rooms
+     * @param {number} options.junctionChance - Chance a 4-door room becomes a JUNCTION
+     * @param {Object} options.entrance - Entrance grid position {x, z}
+     * @param {number|string} options.seed - Optional seed (generator state is restored afterwards)
+     * @param {Function} options.random - Optional random source returning [0, 1)
+     * @returns {Object} Layout map of "gridX_gridZ" -> {theme, doors, boss?}
+     */
+    generate(options = {}) {
+        const config = this._getConfig(options);
+        const useSeed = options.seed !== undefined && options.seed !== null &&
+            !options.random;
+        const snapshot = useSeed ? RandomOrchestrator.getState() : null;
+        if (useSeed) RandomOrchestrator.setSeed(options.seed);
+
+        const random = options.random || (() => RandomOrchestrator.next());
+
+        try {
+            const cells = this._growTree(config, random);
+            const entranceKey = this._getKey(config.entrance.x, config.entrance.z);
+            const bossKeys = this._pickBossRooms(cells, entranceKey, config.bossRooms);
+            this._addLoops(cells, bossKeys, config.loopChance, random);
+            this._assignThemes(cells, entranceKey, bossKeys, config.junctionChance, random);
+            return this._toLayout(cells, bossKeys);
+        } finally {
+            if (useSeed) RandomOrchestrator.setState(snapshot);
+        }
+    },
+
+    /**
+     * Read generator options from a URL query string (?rooms=24)
+     * No seed is read here - the game generates each run's mall from the run seed.
+     * @param {string} search - Query string (defaults to window.location.search)
+     * @returns {Object|null} Options for generate(), or null when ?layout=grid asks for Room.layout
+     */
+    getOptionsFromUrl(search) {
+        const query = search ?? (typeof window !== 'undefined' ? window.location.search : '');
+        const params = new URLSearchParams(query || '');
+        if (params.get(this.URL_PARAM) === this.URL_GRID_VALUE) return null;
+
+        const options = {};
+        const rooms = parseInt(params.get(this.URL_ROOMS_PARAM), 10);
+        if (Number.isFinite(rooms)) options.roomCount = rooms;
+        return options;
+    },
+
+    // ==========================================
+    // LAYOUT QUERIES
+    // ==========================================
+
+    /**
+     * Get room keys reachable from a start room through doors (BFS)
+     * @param {Object} layout - Layout map
+     * @param {string} startKey - Starting room key
+     * @returns {Map} Map of room key -> door distance from start
+     */
+    getDistances(layout, startKey) {
+        const distances = new Map();
+        if (!layout[startKey]) return distances;
+
+        distances.set(startKey, 0);
+        const queue = [startKey];
+        while (queue.length > 0) {
+            const key = queue.shift();
+            const { x, z } = this._parseKey(key);
+            layout[key].doors.forEach(dir => {
+                const offset = Room.directionOffset[dir];
+                const neighborKey = this._getKey(x + offset.x, z + offset.z);
+                if (layout[neighborKey] && !distances.has(neighborKey)) {
+                    distances.set(neighborKey, distances.get(key) + 1);
+                    queue.push(neighborKey);
+                }
+            });
+        }
+        return distances;
+    },
+
+    /**
+     * Check a layout for broken doors, unreachable rooms and entrance count
+     * @param {Object} layout - Layout map
+     * @returns {string[]} Problems found (empty if the layout is valid)
+     */
+    validate(layout) {
+        const errors = [];
+        const keys = Object.keys(layout);
+        const entrances = keys.filter(key => layout[key].theme === 'ENTRANCE');
+
+        if (entrances.length !== 1) {
+            errors.push(`expected 1 ENTRANCE, found ${entrances.length}`);
+        }
+
+        keys.forEach(key => {
+            const { x, z } = this._parseKey(key);
+            layout[key].doors.forEach(dir => {
+                const offset = Room.directionOffset[dir];
+                const neighbor = layout[this._getKey(x + offset.x, z + offset.z)];
+                if (!neighbor) {
+                    errors.push(`${key} has a ${dir} door to no room`);
+                } else if (!neighbor.doors.includes(Room.oppositeDirection[dir])) {
+                    errors.push(`${key} ${dir} door has no matching ${Room.oppositeDirection[dir]} door`);
+                }
+            });
+        });
+
+        if (entrances.length > 0) {
+            const reachable = this.getDistances(layout, entrances[0]);
+            keys.filter(key => !reachable.has(key))
+                .forEach(key => errors.push(`${key} is unreachable from the entrance`));
+        }
+
+        return errors;
+    },
+
+    // ==========================================
+    // INTERNAL STEPS
+    // ==========================================
+
+    /**
+     * Merge options over Room.generation defaults
+     * @private
+     */
+    _getConfig(options) {
+        const defaults = Room.generation;
+        const roomCount = Math.round(options.roomCount ?? defaults.ROOM_COUNT);
+        return {
+            roomCount: Math.max(defaults.MIN_ROOMS, Math.min(defaults.MAX_ROOMS, roomCount)),
+            bossRooms: Math.max(0, options.bossRooms ?? defaults.BOSS_ROOMS),
+            loopChance: options.loopChance ?? defaults.LOOP_CHANCE,
+            junctionChance: options.junctionChance ?? defaults.JUNCTION_CHANCE,
+            entrance: options.entrance || defaults.ENTRANCE
+        };
+    },
+
+    /**
+     * Grow a spanning tree of rooms from the entrance
+     * Each step opens a door from a random existing room into a random empty neighbor.
+     * @private
+     * @returns {Map} Map of room key -> {x, z, doors: Set}
+     */
+    _growTree(config, random) {
+        const cells = new Map();
+        const { x, z } = config.entrance;
+        cells.set(this._getKey(x, z), { x, z, doors: new Set() });
+
+        while (cells.size < config.roomCount) {
+            const openings = [];
+            cells.forEach(cell => {
+                Room.directions.forEach(dir => {
+                    const offset = Room.directionOffset[dir];
+                    if (!cells.has(this._getKey(cell.x + offset.x, cell.z + offset.z))) {
+                        openings.push({ cell, dir });
+                    }
+                });
+            });
+
+            const { cell, dir } = openings[Math.floor(random() * openings.length)];
+            const offset = Room.directionOffset[dir];
+            const room = { x: cell.x + offset.x, z: cell.z + offset.z, doors: new Set() };
+            cells.set(this._getKey(room.x, room.z), room);
+            this._connect(cell, room, dir);
+        }
+
+        return cells;
+    },
+
+    /**
+     * Pick the dead ends farthest from the entrance as boss rooms
+     * @private
+     * @returns {Set} Boss room keys (fewer than requested if the tree has fewer dead ends)
+     */
+    _pickBossRooms(cells, entranceKey, count) {
+        const distances = this.getDistances(this._toLayout(cells, new Set()), entranceKey);
+        const deadEnds = [...cells.keys()]
+            .filter(key => key !== entranceKey && cells.get(key).doors.size === 1)
+            .sort((a, b) => distances.get(b) - distances.get(a));
+        return new Set(deadEnds.slice(0, count));
+    },
+
+    /**
+     * Open extra doors between adjacent rooms (boss rooms stay dead ends)
+     * @private
+     */
+    _addLoops(cells, bossKeys, loopChance, random) {
+        if (loopChance <= 0) return;
+
+        cells.forEach((cell, key) => {
+            if (bossKeys.has(key)) return;
+            // East and south only, so each adjacent pair is considered once
+            ['east', 'south'].forEach(dir => {
+                const offset = Room.directionOffset[dir];
+                const neighborKey = this._getKey(cell.x + offset.x, cell.z + offset.z);
+                const neighbor = cells.get(neighborKey);
+                if (!neighbor || bossKeys.has(neighborKey) || cell.doors.has(dir)) return;
+                if (random() < loopChance) {
+                    this._connect(cell, neighbor, dir);
+                }
+            });
+        });
+    },
+
+    /**
+     * Assign themes: ENTRANCE at the start, JUNCTION for some 4-door crossings,
+     * shelf themes dealt evenly from shuffled decks, avoiding matching connected neighbors
+     * @private
+     */
+    _assignThemes(cells, entranceKey, bossKeys, junctionChance, random) {
+        const shelfThemes = RoomTheme.getShelfThemes();
+        let deck = [];
+
+        cells.forEach((cell, key) => {
+            if (key === entranceKey) {
+                cell.theme = 'ENTRANCE';
+                return;
+            }
+            if (!bossKeys.has(key) && cell.doors.size === 4 && random() < junctionChance) {
+                cell.theme = 'JUNCTION';
+                return;
+            }
+
+            if (deck.length === 0) deck = this._shuffle(shelfThemes, random);
+
+            const neighborThemes = new Set();
+            cell.doors.forEach(dir => {
+                const offset = Room.directionOffset[dir];
+                const neighbor = cells.get(this._getKey(cell.x + offset.x, cell.z + offset.z));
+                if (neighbor && neighbor.theme) neighborThemes.add(neighbor.theme);
+            });
+
+            const index = deck.findIndex(theme => !neighborThemes.has(theme));
+            cell.theme = deck.splice(index >= 0 ? index : 0, 1)[0];
+        });
+    },
+
+    /**
+     * Convert working cells to the Room.layout format
+     * @private
+     */
+    _toLayout(cells, bossKeys) {
+        const layout = {};
+        cells.forEach((cell, key) => {
+            const room = {
+                theme: cell.theme,
+                doors: Room.directions.filter(dir => cell.doors.has(dir))
+            };
+            if (bossKeys.has(key)) room.boss = true;
+            layout[key] = room;
+        });
+        return layout;
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Add a door pair between two adjacent cells
+     * @private
+     */
+    _connect(cell, neighbor, dir) {
+        cell.doors.add(dir);
+        neighbor.doors.add(Room.oppositeDirection[dir]);
+    },
+
+    /**
+     * Fisher-Yates shuffle into a new array
+     * @private
+     */
+    _shuffle(array, random) {
+        const result = array.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    /**
+     * @private
+     */
+    _getKey(gridX, gridZ) {
+        return `${gridX}_${gridZ}`;
+    },
+
+    /**
+     * @private
+     */
+    _parseKey(key) {
+        const parts = key.split('_');
+        return { x: parseInt(parts[0]), z: parseInt(parts[1]) };
+    }
+};
@@ -35,14 +35,16 @@ const RoomOrchestrator = {
     },
 
     /**
-     * Load rooms from Room.layout and MALL_THEMES
+     * Load rooms from a layout map (Room.layout or RoomGenerator.generate()) and MALL_THEMES
      * @param {Object} themesData - MALL_THEMES or RoomTheme data
+     * @param {Object} layout - Layout map of "gridX_gridZ" -> {theme, doors} (default: Room.layout)
      */
-    loadLayout(themesData) {
-        if (!this.roomData || !this.roomData.layout) return;
+    loadLayout(themesData, layout) {
+        if (!this.roomData) return;
+        layout = layout || this.roomData.layout;
+        if (!layout) return;
 
         const ROOM_UNIT = this.roomData.structure.UNIT;
-        const layout = this.roomData.layout;
 
         for (const key in layout) {
             const parts = key.split('_');
@@ -137,6 +139,14 @@ const RoomOrchestrator = {
         return Object.values(this.rooms);
     },
 
+    /**
+     * Get rooms marked as boss rooms by the layout generator
+     * @returns {Object[]} Array of boss room data objects
+     */
+    getBossRooms() {
+        return this.getAllRooms().filter(room => room.boss);
+    },
+
     /**
      * Get theme data for a room
      * @param {Object} room - Room data object
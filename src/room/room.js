@@ -32,6 +32,18 @@ const Room = {
         '1_4': { theme: 'PHARMACY', doors: ['north', 'west'] },
     },
 
+    // Procedural layout defaults (see RoomGenerator)
+    // ENTRANCE matches Player.startPosition so generated malls start in the lobby
+    generation: {
+        ROOM_COUNT: 16,        // Rooms per generated mall
+        MIN_ROOMS: 4,
+        MAX_ROOMS: 64,
+        ENTRANCE: { x: 1, z: 2 },
+        BOSS_ROOMS: 1,         // Dead ends reserved for the boss
+        LOOP_CHANCE: 0.15,     // Chance of an extra door between adjacent rooms
+        JUNCTION_CHANCE: 0.5   // Chance a 4-door room becomes a JUNCTION
+    },
+
     // Room dimensions
     structure: {
         UNIT: 30,              // Each room is 30x30 units
@@ -283,6 +283,152 @@
         });
     });
 
+    // ==========================================
+    // LAYOUT GENERATOR TESTS
+    // ==========================================
+
+    test.describe('Room Generator', () => {
+        const entranceKey = `${Room.generation.ENTRANCE.x}_${Room.generation.ENTRANCE.z}`;
+
+        test.afterEach(() => {
+            RoomOrchestrator.init(Room, RoomTheme);
+        });
+
+        test.it('should generate the requested number of rooms', () => {
+            const layout = RoomGenerator.generate({ seed: 1, roomCount: 24 });
+            test.assertEqual(Object.keys(layout).length, 24);
+        });
+
+        test.it('should clamp room count to configured limits', () => {
+            const small = RoomGenerator.generate({ seed: 1, roomCount: 1 });
+            const large = RoomGenerator.generate({ seed: 1, roomCount: 1000 });
+            test.assertEqual(Object.keys(small).length, Room.generation.MIN_ROOMS);
+            test.assertEqual(Object.keys(large).length, Room.generation.MAX_ROOMS);
+        });
+
+        test.it('should produce valid layouts across seeds', () => {
+            for (let seed = 1; seed <= 20; seed++) {
+                const layout = RoomGenerator.generate({ seed, roomCount: 8 + seed });
+                const errors = RoomGenerator.validate(layout);
+                test.assertEqual(errors.length, 0, `seed ${seed}: ${errors.join(', ')}`);
+            }
+        });
+
+        test.it('should place a single ENTRANCE at the player start room', () => {
+            const layout = RoomGenerator.generate({ seed: 7 });
+            const entrances = Object.keys(layout).filter(key => layout[key].theme === 'ENTRANCE');
+            test.assertEqual(entrances.length, 1);
+            test.assertEqual(entrances[0], entranceKey);
+
+            const startGrid = Room.worldToGrid(Player.startPosition.x, Player.startPosition.z);
+            test.assertEqual(`${startGrid.x}_${startGrid.z}`, entranceKey, 'Player should start in the entrance');
+        });
+
+        test.it('should have matching doors on both sides', () => {
+            const layout = RoomGenerator.generate({ seed: 3, roomCount: 30, loopChance: 0.5 });
+            Object.keys(layout).forEach(key => {
+                const [x, z] = key.split('_').map(Number);
+                layout[key].doors.forEach(dir => {
+                    const offset = Room.directionOffset[dir];
+                    const neighbor = layout[`${x + offset.x}_${z + offset.z}`];
+                    test.assertTrue(!!neighbor, `${key} ${dir} door should lead to a room`);
+                    test.assertTrue(neighbor.doors.includes(Room.oppositeDirection[dir]),
+                        `${key} ${dir} door should have a matching door`);
+                });
+            });
+        });
+
+        test.it('should reach every room from the entrance', () => {
+            const layout = RoomGenerator.generate({ seed: 11, roomCount: 40 });
+            const distances = RoomGenerator.getDistances(layout, entranceKey);
+            test.assertEqual(distances.size, 40);
+        });
+
+        test.it('should place boss rooms in dead ends away from the entrance', () => {
+            const layout = RoomGenerator.generate({ seed: 5, roomCount: 20, bossRooms: 2, loopChance: 1 });
+            const bossKeys = Object.keys(layout).filter(key => layout[key].boss);
+            test.assertEqual(bossKeys.length, 2);
+
+            const distances = RoomGenerator.getDistances(layout, entranceKey);
+            bossKeys.forEach(key => {
+                test.assertEqual(layout[key].doors.length, 1, 'Boss room should be a dead end');
+                test.assertNotEqual(layout[key].theme, 'ENTRANCE');
+                test.assertTrue(distances.get(key) > 0);
+            });
+        });
+
+        test.it('should only use themes from RoomTheme', () => {
+            const layout = RoomGenerator.generate({ seed: 9, roomCount: 40 });
+            const themeIds = RoomTheme.getThemeIds();
+            Object.values(layout).forEach(room => {
+                test.assertTrue(themeIds.includes(room.theme), `Unknown theme ${room.theme}`);
+            });
+        });
+
+        test.it('should spread shelf themes evenly', () => {
+            const shelfThemes = RoomTheme.getShelfThemes();
+            const layout = RoomGenerator.generate({ seed: 2, roomCount: shelfThemes.length + 1, junctionChance: 0 });
+            const used = Object.values(layout).map(room => room.theme).filter(theme => theme !== 'ENTRANCE');
+            test.assertEqual(new Set(used).size, shelfThemes.length, 'Each shelf theme should be used once before repeating');
+        });
+
+        test.it('should generate the same layout for the same seed', () => {
+            const a = RoomGenerator.generate({ seed: 'mall-42', roomCount: 20 });
+            const b = RoomGenerator.generate({ seed: 'mall-42', roomCount: 20 });
+            const c = RoomGenerator.generate({ seed: 'mall-43', roomCount: 20 });
+            test.assertEqual(JSON.stringify(a), JSON.stringify(b));
+            test.assertNotEqual(JSON.stringify(a), JSON.stringify(c));
+        });
+
+        test.it('should restore the random sequence after a seeded generate', () => {
+            RandomOrchestrator.setSeed(123);
+            const expected = RandomOrchestrator.next();
+            RandomOrchestrator.setSeed(123);
+            RoomGenerator.generate({ seed: 456 });
+            test.assertEqual(RandomOrchestrator.next(), expected);
+        });
+
+        test.it('should flag problems in hand-made layouts', () => {
+            const errors = RoomGenerator.validate({
+                '0_0': { theme: 'ENTRANCE', doors: ['east'] },
+                '1_0': { theme: 'DAIRY', doors: [] },
+                '3_0': { theme: 'PRODUCE', doors: [] }
+            });
+            test.assertTrue(errors.some(e => e.includes('matching')), 'should report one-sided door');
+            test.assertTrue(errors.some(e => e.includes('unreachable')), 'should report unreachable room');
+        });
+
+        test.it('should read options from the URL', () => {
+            test.assertEqual(RoomGenerator.getOptionsFromUrl('?layout=grid&seed=12'), null, 'grid flag keeps Room.layout');
+            const options = RoomGenerator.getOptionsFromUrl('?rooms=24&seed=12');
+            test.assertEqual(options.roomCount, 24);
+            test.assertEqual(options.seed, undefined, 'the run seed picks the layout');
+            const defaults = RoomGenerator.getOptionsFromUrl('');
+            test.assertTrue(defaults !== null, 'generated layout is the default');
+            test.assertEqual(Object.keys(defaults).length, 0);
+        });
+
+        test.it('should load into RoomOrchestrator and plan spawns', () => {
+            const layout = RoomGenerator.generate({ seed: 21, roomCount: 12 });
+            RoomOrchestrator.loadLayout(RoomTheme.themes, layout);
+
+            const rooms = RoomOrchestrator.getAllRooms();
+            test.assertEqual(rooms.length, 12);
+            test.assertEqual(RoomOrchestrator.getBossRooms().length, Room.generation.BOSS_ROOMS);
+            rooms.forEach(room => test.assertTrue(!!room.themeData, `${room.theme} should have theme data`));
+
+            const result = SpawnOrchestrator.planAllRooms(rooms, Room.structure, () => 'SKELETON', 0);
+            test.assertEqual(result.roomPlans.size, 12);
+            SpawnOrchestrator.resetPlanning();
+        });
+
+        test.it('should still load Room.layout by default', () => {
+            RoomOrchestrator.loadLayout(RoomTheme.themes);
+            test.assertEqual(RoomOrchestrator.getAllRooms().length, Object.keys(Room.layout).length);
+            test.assertEqual(RoomOrchestrator.getBossRooms().length, 0);
+        });
+    });
+
     // ==========================================
     // ROOM MESH TESTS
     // ==========================================
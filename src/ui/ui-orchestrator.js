@@ -17,6 +17,7 @@ const UIOrchestrator = {
         healthValue: null,
         healthContainer: null,
         ammoDisplay: null,
+        weaponStrip: null,
         damageOverlay: null,
         hud: null,
         menuScreen: null,
@@ -25,12 +26,36 @@ const UIOrchestrator = {
         finalScoreElement: null,
         ratingElement: null,
         pauseScoreValue: null,
-        gameoverTitle: null
+        pauseLoadout: null,
+        gameoverTitle: null,
+        runSeed: null,
+        highScoreRank: null,
+        leaderboardScreen: null,
+        leaderboardBody: null,
+        leaderboardEmpty: null,
+        settingsScreen: null,
+        controlsScreen: null,
+        controlsBody: null,
+        controlsMessage: null,
+        touchControls: null,
+        touchStick: null,
+        touchKnob: null,
+        bossHealth: null,
+        bossHealthName: null,
+        bossHealthPhase: null,
+        bossHealthFill: null
     },
 
     // Track pending timeouts for cleanup
     _pendingTimeouts: [],
 
+    // Last weapon strip contents (updateWeaponStrip skips unchanged frames)
+    _weaponStripKey: null,
+
+    // On-screen control handlers { onStick, onButton } and the pointer holding the joystick
+    _touchHandlers: null,
+    _stickPointer: null,
+
     /**
      * Initialize UI by caching DOM elements
      */
@@ -45,6 +70,7 @@ const UIOrchestrator = {
         this.elements.healthValue = document.getElementById('health-value');
         this.elements.healthContainer = document.getElementById('health-container');
         this.elements.ammoDisplay = document.getElementById('ammo-display');
+        this.elements.weaponStrip = document.getElementById('weapon-strip');
         this.elements.damageOverlay = document.getElementById('damage-overlay');
         this.elements.hud = document.getElementById('hud');
         this.elements.menuScreen = document.getElementById('menu-screen');
@@ -53,13 +79,32 @@ const UIOrchestrator = {
         this.elements.finalScoreElement = document.getElementById('final-score');
         this.elements.ratingElement = document.getElementById('rating');
         this.elements.pauseScoreValue = document.getElementById('pause-score-value');
+        this.elements.pauseLoadout = document.getElementById('pause-loadout');
         this.elements.gameoverTitle = document.getElementById('gameover-title');
+        this.elements.runSeed = document.getElementById('run-seed');
+        this.elements.highScoreRank = document.getElementById('high-score-rank');
+        this.elements.leaderboardScreen = document.getElementById('leaderboard-screen');
+        this.elements.leaderboardBody = document.getElementById('leaderboard-body');
+        this.elements.leaderboardEmpty = document.getElementById('leaderboard-empty');
+        this.elements.settingsScreen = document.getElementById('settings-screen');
+        this.elements.controlsScreen = document.getElementById('controls-screen');
+        this.elements.controlsBody = document.getElementById('controls-body');
+        this.elements.controlsMessage = document.getElementById('controls-message');
+        this.elements.touchControls = document.getElementById('touch-controls');
+        this.elements.touchStick = document.getElementById('touch-stick');
+        this.elements.touchKnob = document.getElementById('touch-knob');
         this.elements.statusPanel = document.getElementById('status-panel');
         this.elements.skeletonCount = document.getElementById('skeleton-count');
         this.elements.dinoCount = document.getElementById('dino-count');
         this.elements.toyCount = document.getElementById('toy-count');
+        this.elements.clerkCount = document.getElementById('clerk-count');
+        this.elements.basketCount = document.getElementById('basket-count');
         this.elements.powerupTimer = document.getElementById('powerup-timer');
         this.elements.powerupTime = document.querySelector('#powerup-timer .powerup-time');
+        this.elements.bossHealth = document.getElementById('boss-health');
+        this.elements.bossHealthName = document.getElementById('boss-health-name');
+        this.elements.bossHealthPhase = document.getElementById('boss-health-phase');
+        this.elements.bossHealthFill = document.getElementById('boss-health-fill');
     },
 
     // ==========================================
@@ -159,11 +204,11 @@ const UIOrchestrator = {
     /**
      * Update the enemy count display with progress
      * Shows "KILLED / TOTAL" format
-     * @param {Object} counts - Object with active enemy counts { skeleton: N, dinosaur: N, toy: N }
+     * @param {Object} counts - Object with active enemy counts { skeleton: N, dinosaur: N, toy: N, clerk: N, basket: N }
      */
     updateEnemyCount(counts) {
-        const { skeleton = 0, dinosaur = 0, toy = 0 } = counts;
-        const totalActive = skeleton + dinosaur + toy;
+        const { skeleton = 0, dinosaur = 0, toy = 0, clerk = 0, basket = 0 } = counts;
+        const totalActive = skeleton + dinosaur + toy + clerk + basket;
         const remaining = this._totalEnemies - this._killedEnemies;
 
         // Update the progress display element (shows killed / total)
@@ -192,6 +237,18 @@ const UIOrchestrator = {
             this.elements.toyCount.classList.toggle('has-enemies', toy > 0);
         }
 
+        if (this.elements.clerkCount) {
+            const valueEl = this.elements.clerkCount.querySelector('.enemy-value');
+            if (valueEl) valueEl.textContent = clerk;
+            this.elements.clerkCount.classList.toggle('has-enemies', clerk > 0);
+        }
+
+        if (this.elements.basketCount) {
+            const valueEl = this.elements.basketCount.querySelector('.enemy-value');
+            if (valueEl) valueEl.textContent = basket;
+            this.elements.basketCount.classList.toggle('has-enemies', basket > 0);
+        }
+
 
         // Check for victory condition (all enemies killed)
         if (this._totalEnemies > 0 && remaining <= 0 && totalActive === 0) {
@@ -320,6 +377,82 @@ const UIOrchestrator = {
         }
     },
 
+    // ==========================================
+    // WEAPON STRIP
+    // ==========================================
+
+    /**
+     * Show carried weapons next to the ammo display
+     * Rebuilds only when a slot changes; hidden with fewer than two weapons.
+     * @param {Object[]} slots - WeaponOrchestrator.getInventorySlots() [{id, slot, name, ammo, active}]
+     */
+    updateWeaponStrip(slots) {
+        const strip = this.elements.weaponStrip;
+        if (!strip) return;
+
+        const key = slots.map(s => `${s.id}:${s.ammo}:${s.active}`).join('|');
+        if (key === this._weaponStripKey) return;
+        this._weaponStripKey = key;
+
+        strip.textContent = '';
+        if (slots.length < 2) return;
+        slots.forEach(({ id, slot, name, ammo, active }) => {
+            const item = document.createElement('div');
+            item.className = 'weapon-slot' + (active ? ' active' : '') + (ammo <= 0 ? ' empty' : '');
+            item.dataset.weapon = id;
+
+            const number = document.createElement('span');
+            number.className = 'weapon-slot-key';
+            number.textContent = slot;
+            const label = document.createElement('span');
+            label.className = 'weapon-slot-name';
+            label.textContent = String(name).toUpperCase();
+            const count = document.createElement('span');
+            count.className = 'weapon-slot-ammo';
+            count.textContent = Number.isFinite(ammo) ? ammo : '∞';
+
+            item.append(number, label, count);
+            strip.appendChild(item);
+        });
+    },
+
+    // ==========================================
+    // BOSS HEALTH BAR
+    // ==========================================
+
+    /**
+     * Show the top-screen boss health bar
+     * @param {string} name - Boss name
+     * @param {number} percent - Health percent 0-1
+     * @param {string} phaseLabel - Current phase label (e.g., "ENRAGED")
+     */
+    updateBossHealth(name, percent, phaseLabel = '') {
+        const panel = this.elements.bossHealth;
+        if (!panel) return;
+
+        panel.style.display = 'block';
+        if (this.elements.bossHealthName) {
+            this.elements.bossHealthName.textContent = String(name).toUpperCase();
+        }
+        if (this.elements.bossHealthPhase) {
+            this.elements.bossHealthPhase.textContent = phaseLabel;
+        }
+        if (this.elements.bossHealthFill) {
+            this.elements.bossHealthFill.style.width = (Math.max(0, Math.min(1, percent)) * 100) + '%';
+        }
+        panel.classList.toggle('enraged', phaseLabel === 'ENRAGED');
+    },
+
+    /**
+     * Hide the boss health bar (no boss alive)
+     */
+    hideBossHealth() {
+        const panel = this.elements.bossHealth;
+        if (!panel) return;
+        panel.style.display = 'none';
+        panel.classList.remove('enraged');
+    },
+
     // ==========================================
     // HEALTH BAR
     // ==========================================
@@ -425,6 +558,7 @@ const UIOrchestrator = {
         if (this.elements.hud) this.elements.hud.style.display = 'none';
         if (this.elements.healthContainer) this.elements.healthContainer.style.display = 'none';
         if (this.elements.ammoDisplay) this.elements.ammoDisplay.style.display = 'none';
+        if (this.elements.weaponStrip) this.elements.weaponStrip.style.display = 'none';
         this.hideMinimap();
         this.hideObjective();
         // Remove any lingering boss warnings
@@ -441,6 +575,7 @@ const UIOrchestrator = {
         if (this.elements.hud) this.elements.hud.style.display = 'block';
         if (this.elements.healthContainer) this.elements.healthContainer.style.display = 'block';
         if (this.elements.ammoDisplay) this.elements.ammoDisplay.style.display = 'block';
+        if (this.elements.weaponStrip) this.elements.weaponStrip.style.display = 'flex';
         this.showMinimap();
     },
 
@@ -454,9 +589,36 @@ const UIOrchestrator = {
         if (this.elements.hud) this.elements.hud.style.display = 'none';
         if (this.elements.healthContainer) this.elements.healthContainer.style.display = 'none';
         if (this.elements.ammoDisplay) this.elements.ammoDisplay.style.display = 'none';
+        if (this.elements.weaponStrip) this.elements.weaponStrip.style.display = 'none';
         this.hideMinimap();
     },
 
+    /**
+     * Fill the pause-screen loadout: each carried weapon and its upgrade parts
+     * @param {Object[]} loadout - WeaponOrchestrator.getLoadout() [{id, name, active, upgrades: [{id, name}]}]
+     */
+    renderLoadout(loadout) {
+        const list = this.elements.pauseLoadout;
+        if (!list) return;
+
+        list.textContent = '';
+        loadout.forEach(({ id, name, active, upgrades }) => {
+            const row = document.createElement('div');
+            row.className = 'loadout-row' + (active ? ' active' : '');
+            row.dataset.weapon = id;
+
+            const label = document.createElement('span');
+            label.className = 'loadout-weapon';
+            label.textContent = String(name).toUpperCase();
+            const parts = document.createElement('span');
+            parts.className = 'loadout-parts';
+            parts.textContent = upgrades.length > 0 ? upgrades.map(u => u.name).join(' · ') : 'STOCK';
+
+            row.append(label, parts);
+            list.appendChild(row);
+        });
+    },
+
     /**
      * Hide pause screen and restore HUD
      */
@@ -465,6 +627,7 @@ const UIOrchestrator = {
         if (this.elements.hud) this.elements.hud.style.display = 'block';
         if (this.elements.healthContainer) this.elements.healthContainer.style.display = 'block';
         if (this.elements.ammoDisplay) this.elements.ammoDisplay.style.display = 'block';
+        if (this.elements.weaponStrip) this.elements.weaponStrip.style.display = 'flex';
         this.showMinimap();
     },
 
@@ -479,6 +642,7 @@ const UIOrchestrator = {
         if (this.elements.hud) this.elements.hud.style.display = 'none';
         if (this.elements.healthContainer) this.elements.healthContainer.style.display = 'none';
         if (this.elements.ammoDisplay) this.elements.ammoDisplay.style.display = 'none';
+        if (this.elements.weaponStrip) this.elements.weaponStrip.style.display = 'none';
         this.hideMinimap();
 
         if (this.elements.finalScoreElement) {
@@ -492,6 +656,368 @@ const UIOrchestrator = {
         }
     },
 
+    /**
+     * Show the run seed on the game over screen (for sharing/bug reports)
+     * @param {number} seed - Seed used for the run
+     */
+    updateRunSeed(seed) {
+        if (this.elements.runSeed) {
+            this.elements.runSeed.textContent = `SEED ${seed}`;
+        }
+    },
+
+    /**
+     * Show the leaderboard placing on the game over screen
+     * @param {number|null} rank - 1-based rank in the high score table, or null if it missed
+     */
+    updateHighScoreRank(rank) {
+        if (!this.elements.highScoreRank) return;
+        this.elements.highScoreRank.textContent = rank ? `NEW HIGH SCORE #${rank}` : '';
+        this.elements.highScoreRank.style.display = rank ? 'block' : 'none';
+    },
+
+    // ==========================================
+    // LEADERBOARD
+    // ==========================================
+
+    /**
+     * Show the high score table
+     * @param {Object[]} entries - Score entries from HighScoreOrchestrator.getHighScores()
+     * @param {number|null} highlightRank - 1-based rank to highlight (the run just finished)
+     */
+    showLeaderboard(entries, highlightRank = null) {
+        const body = this.elements.leaderboardBody;
+        if (body) {
+            body.textContent = '';
+            entries.forEach((entry, i) => {
+                const row = document.createElement('tr');
+                if (highlightRank === i + 1) row.className = 'highlight';
+                [
+                    i + 1,
+                    entry.score,
+                    entry.rating,
+                    entry.enemiesKilled,
+                    UI.formatTime(entry.timeRemaining),
+                    this._getWeaponName(entry),
+                    entry.died ? 'WRECKED' : "TIME'S UP"
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+        }
+        if (this.elements.leaderboardEmpty) {
+            this.elements.leaderboardEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+        }
+        if (this.elements.leaderboardScreen) this.elements.leaderboardScreen.classList.add('visible');
+    },
+
+    /**
+     * Hide the high score table
+     */
+    hideLeaderboard() {
+        if (this.elements.leaderboardScreen) this.elements.leaderboardScreen.classList.remove('visible');
+    },
+
+    /**
+     * @returns {boolean} True while the high score table is open
+     */
+    isLeaderboardVisible() {
+        return !!this.elements.leaderboardScreen && this.elements.leaderboardScreen.classList.contains('visible');
+    },
+
+    // ==========================================
+    // SETTINGS PANEL
+    // ==========================================
+
+    /**
+     * Show the settings panel
+     */
+    showSettings() {
+        if (this.elements.settingsScreen) this.elements.settingsScreen.classList.add('visible');
+    },
+
+    /**
+     * Hide the settings panel
+     */
+    hideSettings() {
+        if (this.elements.settingsScreen) this.elements.settingsScreen.classList.remove('visible');
+    },
+
+    /**
+     * @returns {boolean} True while the settings panel is open
+     */
+    isSettingsVisible() {
+        return !!this.elements.settingsScreen && this.elements.settingsScreen.classList.contains('visible');
+    },
+
+    /**
+     * Wire every [data-setting] control to a setter
+     * Range inputs take min/max/step from the definition; data-scale maps
+     * stored values to slider units (e.g. 0-1 volume shown as 0-100).
+     * @param {Object} definitions - Setting definitions (Engine.settings)
+     * @param {Function} onInput - Called with (key, value) when a control changes
+     */
+    bindSettingControls(definitions, onInput) {
+        document.querySelectorAll('[data-setting]').forEach(control => {
+            const key = control.dataset.setting;
+            const def = definitions[key];
+            if (!def) return;
+            const scale = Number(control.dataset.scale) || 1;
+
+            if (def.type === 'range') {
+                control.min = def.min * scale;
+                control.max = def.max * scale;
+                control.step = def.step * scale;
+            }
+
+            const read = () => {
+                if (control.type === 'checkbox') return control.checked;
+                return def.type === 'range' ? Number(control.value) / scale : control.value;
+            };
+            control.addEventListener(control.type === 'range' ? 'input' : 'change', () => onInput(key, read()));
+        });
+    },
+
+    /**
+     * Show a setting value on all of its controls
+     * @param {string} key - Setting key
+     * @param {*} value - Stored value
+     */
+    updateSettingControls(key, value) {
+        document.querySelectorAll(`[data-setting="${key}"]`).forEach(control => {
+            if (control.type === 'checkbox') {
+                control.checked = !!value;
+            } else if (control.type === 'range') {
+                const scale = Number(control.dataset.scale) || 1;
+                control.value = Math.round(value * scale * 1000) / 1000;
+            } else {
+                control.value = String(value);
+            }
+        });
+    },
+
+    // ==========================================
+    // CONTROLS SCREEN
+    // ==========================================
+
+    /**
+     * Show the controls (key binding) screen
+     */
+    showControls() {
+        if (this.elements.controlsScreen) this.elements.controlsScreen.classList.add('visible');
+    },
+
+    /**
+     * Hide the controls screen
+     */
+    hideControls() {
+        if (this.elements.controlsScreen) this.elements.controlsScreen.classList.remove('visible');
+    },
+
+    /**
+     * @returns {boolean} True while the controls screen is open
+     */
+    isControlsVisible() {
+        return !!this.elements.controlsScreen && this.elements.controlsScreen.classList.contains('visible');
+    },
+
+    /**
+     * Render the binding table
+     * Each slot is a button with data-action/data-slot/data-device for the capture flow:
+     * UI.controls.SLOTS keyboard slots, then one gamepad slot.
+     * @param {Object[]} rows - [{ action, keys: [keyCode], buttons: [gamepadCode] }]
+     * @param {Object|null} capture - Slot waiting for input { action, slot, device: 'keyboard'|'pad' }
+     * @param {string} message - Status line (conflicts, prompts)
+     */
+    renderControls(rows, capture = null, message = '') {
+        const body = this.elements.controlsBody;
+        if (body) {
+            body.textContent = '';
+            rows.forEach(({ action, keys, buttons }) => {
+                const row = document.createElement('tr');
+                const label = document.createElement('td');
+                label.textContent = UI.getActionLabel(action);
+                row.appendChild(label);
+
+                const addSlot = (device, slot, code) => {
+                    const cell = document.createElement('td');
+                    const button = document.createElement('button');
+                    const isCapturing = capture && capture.action === action && capture.slot === slot &&
+                        (capture.device || 'keyboard') === device;
+                    button.className = isCapturing ? 'key-slot capturing' : 'key-slot';
+                    button.dataset.action = action;
+                    button.dataset.slot = slot;
+                    button.dataset.device = device;
+                    button.textContent = isCapturing ? (device === 'pad' ? 'PRESS A BUTTON' : 'PRESS A KEY') : UI.formatKey(code);
+                    cell.appendChild(button);
+                    row.appendChild(cell);
+                };
+                for (let slot = 0; slot < UI.controls.SLOTS; slot++) {
+                    addSlot('keyboard', slot, keys[slot]);
+                }
+                addSlot('pad', 0, (buttons || [])[0]);
+                body.appendChild(row);
+            });
+        }
+        if (this.elements.controlsMessage) {
+            this.elements.controlsMessage.textContent = message;
+        }
+    },
+
+    /**
+     * Show current keys in the menu control hints ([data-action] elements)
+     * @param {Function} getKeys - Returns key codes for an action
+     */
+    updateControlHints(getKeys) {
+        document.querySelectorAll('.control-key[data-action]').forEach(hint => {
+            const keys = getKeys(hint.dataset.action);
+            hint.textContent = keys.length > 0 ? keys.slice(0, UI.controls.SLOTS).map(code => UI.formatKey(code)).join(' / ') : '-';
+        });
+    },
+
+    // ==========================================
+    // TOUCH CONTROLS
+    // ==========================================
+
+    /**
+     * Check for a touchscreen as the primary input (phones, tablets)
+     * @returns {boolean}
+     */
+    isTouchDevice() {
+        if (typeof window === 'undefined') return false;
+        if (window.matchMedia) return window.matchMedia('(pointer: coarse)').matches;
+        return 'ontouchstart' in window;
+    },
+
+    /**
+     * Wire the on-screen joystick and buttons ([data-touch-action] in #touch-controls)
+     * @param {Object} handlers - Input handlers
+     * @param {Function} handlers.onStick - Called with (x, y) in -1..1 while the joystick is dragged, (0, 0) on release
+     * @param {Function} handlers.onButton - Called with (action, isPressed) when a button is pressed/released
+     */
+    initTouchControls(handlers) {
+        const firstInit = !this._touchHandlers;
+        this._touchHandlers = handlers;
+        if (!firstInit || !this.elements.touchControls) return;
+
+        const stick = this.elements.touchStick;
+        if (stick) {
+            stick.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                if (this._stickPointer !== null) return;
+                this._stickPointer = e.pointerId;
+                this._capturePointer(stick, e.pointerId);
+                this._moveStick(e);
+            });
+            stick.addEventListener('pointermove', (e) => {
+                if (e.pointerId === this._stickPointer) this._moveStick(e);
+            });
+            const release = (e) => {
+                if (e.pointerId === this._stickPointer) this.releaseTouchControls();
+            };
+            stick.addEventListener('pointerup', release);
+            stick.addEventListener('pointercancel', release);
+        }
+
+        this.elements.touchControls.querySelectorAll('[data-touch-action]').forEach(button => {
+            const press = (isPressed) => (e) => {
+                e.preventDefault();
+                if (isPressed) this._capturePointer(button, e.pointerId);
+                if (button.classList.contains('active') === isPressed) return;
+                button.classList.toggle('active', isPressed);
+                this._touchHandlers.onButton(button.dataset.touchAction, isPressed);
+            };
+            button.addEventListener('pointerdown', press(true));
+            button.addEventListener('pointerup', press(false));
+            button.addEventListener('pointercancel', press(false));
+        });
+    },
+
+    /**
+     * Show the on-screen controls
+     */
+    showTouchControls() {
+        if (this.elements.touchControls) this.elements.touchControls.classList.add('visible');
+    },
+
+    /**
+     * Hide the on-screen controls and release anything they hold
+     */
+    hideTouchControls() {
+        if (!this.elements.touchControls) return;
+        this.elements.touchControls.classList.remove('visible');
+        this.releaseTouchControls();
+    },
+
+    /**
+     * @returns {boolean} True while the on-screen controls are shown
+     */
+    isTouchControlsVisible() {
+        return !!this.elements.touchControls && this.elements.touchControls.classList.contains('visible');
+    },
+
+    /**
+     * Center the joystick and release held buttons (pause, focus loss)
+     */
+    releaseTouchControls() {
+        if (this._stickPointer !== null) {
+            this._stickPointer = null;
+            if (this.elements.touchKnob) this.elements.touchKnob.style.transform = '';
+            this._touchHandlers?.onStick(0, 0);
+        }
+        this.elements.touchControls?.querySelectorAll('[data-touch-action].active').forEach(button => {
+            button.classList.remove('active');
+            this._touchHandlers?.onButton(button.dataset.touchAction, false);
+        });
+    },
+
+    /**
+     * Keep receiving a finger's events after it slides off the element
+     * (throws for pointers that aren't active, e.g. synthetic events)
+     * @private
+     */
+    _capturePointer(element, pointerId) {
+        try {
+            element.setPointerCapture(pointerId);
+        } catch (e) {
+            // Events still arrive while the pointer stays over the element
+        }
+    },
+
+    /**
+     * Move the knob to a pointer (clamped to the base) and report the deflection
+     * @private
+     */
+    _moveStick(e) {
+        const rect = this.elements.touchStick.getBoundingClientRect();
+        const radius = UI.touch.STICK_RADIUS;
+        let dx = e.clientX - (rect.left + rect.width / 2);
+        let dy = e.clientY - (rect.top + rect.height / 2);
+        const distance = Math.hypot(dx, dy);
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+        if (this.elements.touchKnob) {
+            this.elements.touchKnob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+        }
+        this._touchHandlers?.onStick(dx / radius, dy / radius);
+    },
+
+    /**
+     * Display name of a run's most-fired weapon
+     * @private
+     */
+    _getWeaponName(entry) {
+        const weaponId = typeof HighScoreOrchestrator !== 'undefined' ? HighScoreOrchestrator.getTopWeapon(entry) : null;
+        if (!weaponId) return '-';
+        const weapon = typeof WeaponOrchestrator !== 'undefined' ? WeaponOrchestrator.weapons[weaponId] : null;
+        return weapon?.name || weaponId;
+    },
+
     // ==========================================
     // UTILITY
     // ==========================================
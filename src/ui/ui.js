@@ -37,6 +37,60 @@ const UI = {
         { threshold: 0, rating: 'Window Shopper' }
     ],
 
+    // ==========================================
+    // CONTROLS SCREEN
+    // ==========================================
+    controls: {
+        SLOTS: 2,  // Keys shown (and rebindable) per action
+        actionLabels: {
+            forward: 'Drive',
+            backward: 'Reverse',
+            turnLeft: 'Turn Left',
+            turnRight: 'Turn Right',
+            fire: 'Charge & Fire',
+            altFire: 'Alt Fire',
+            pause: 'Pause',
+            freeze: 'Freeze (Debug)',
+            weaponNext: 'Next Weapon',
+            weaponPrev: 'Previous Weapon',
+            weapon1: 'Weapon 1',
+            weapon2: 'Weapon 2',
+            weapon3: 'Weapon 3',
+            weapon4: 'Weapon 4',
+            weapon5: 'Weapon 5',
+            weapon6: 'Weapon 6'
+        },
+        keyLabels: {
+            Space: 'SPACE',
+            Escape: 'ESC',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            Enter: 'ENTER',
+            Tab: 'TAB',
+            Backspace: 'BKSP',
+            WheelUp: 'WHEEL ↑',
+            WheelDown: 'WHEEL ↓',
+            ShiftLeft: 'L-SHIFT',
+            ShiftRight: 'R-SHIFT',
+            ControlLeft: 'L-CTRL',
+            ControlRight: 'R-CTRL',
+            AltLeft: 'L-ALT',
+            AltRight: 'R-ALT'
+        },
+        // Gamepad buttons by standard-mapping index
+        padLabels: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START',
+            'L-STICK', 'R-STICK', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME']
+    },
+
+    // ==========================================
+    // TOUCH CONTROLS
+    // ==========================================
+    touch: {
+        STICK_RADIUS: 60   // Knob travel from center in px (full deflection)
+    },
+
     // ==========================================
     // COLORS
     // ==========================================
@@ -61,5 +115,39 @@ const UI = {
             }
         }
         return this.scoreRatings[this.scoreRatings.length - 1].rating;
+    },
+
+    /**
+     * Short display label for a key code
+     * @param {string} code - KeyboardEvent.code (e.g. 'KeyW', 'ArrowUp')
+     * @returns {string} Label (e.g. 'W', '↑'), '-' for no key
+     */
+    formatKey(code) {
+        if (!code) return '-';
+        if (this.controls.keyLabels[code]) return this.controls.keyLabels[code];
+        if (/^Gamepad\d+$/.test(code)) return `PAD ${this.controls.padLabels[code.slice(7)] || code.slice(7)}`;
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        if (code.startsWith('Numpad')) return `NUM ${code.slice(6).toUpperCase()}`;
+        return code.toUpperCase();
+    },
+
+    /**
+     * Display label for an input action
+     * @param {string} action - Action name (Engine.ACTIONS)
+     * @returns {string} Label
+     */
+    getActionLabel(action) {
+        return this.controls.actionLabels[action] || action;
+    },
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
     }
 };
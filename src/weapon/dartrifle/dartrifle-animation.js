@@ -0,0 +1,61 @@
+// ============================================
+// DART RIFLE ANIMATION - Pure Animation Logic
+// ============================================
+// Stateless animation functions
+// Receives refs and state as parameters
+
+const DartRifleAnimation = {
+    /**
+     * Animate FPS weapon based on state
+     * @param {Object} refs - References from createFPSMesh
+     * @param {Object} state - Weapon state (read-only)
+     * @param {number} dt - Delta time
+     */
+    animateFPS(refs, state, dt) {
+        if (!refs) return;
+
+        const { bolt, trigger, darts, dartRifle } = refs;
+
+        // Top-rail darts show the rounds left (up to one burst)
+        if (darts) {
+            darts.forEach((dart, i) => {
+                dart.visible = state.ammo > i;
+            });
+        }
+
+        // Bolt cycles back with each dart
+        if (bolt) {
+            bolt.position.z = 0.02 + state.boltAnim * 0.06;
+        }
+
+        // Trigger
+        if (trigger) {
+            trigger.rotation.x = state.fireAnimProgress > 0.5 ? 0.5 : 0.2;
+        }
+
+        // Short, sharp recoil per dart
+        if (dartRifle && state.fireAnimProgress > 0) {
+            dartRifle.position.z = -0.34 + state.fireAnimProgress * 0.015;
+            dartRifle.rotation.x = 0.06 - state.fireAnimProgress * 0.02;
+        } else if (dartRifle) {
+            dartRifle.position.z = -0.34;
+            dartRifle.rotation.x = 0.06;
+        }
+    },
+
+    /**
+     * Update FPS weapon transform (lean/sway)
+     * @param {Object} weapon - Weapon mesh
+     * @param {number} turnRate - Turn rate for lean
+     */
+    updateTransform(weapon, turnRate) {
+        if (!weapon) return;
+
+        const weaponLeanAngle = -turnRate * 0.08;
+        const weaponSway = turnRate * 0.015;
+
+        weapon.rotation.z = weapon.rotation.z * 0.85 + weaponLeanAngle * 0.15;
+        weapon.position.x = 0.1 + weapon.position.x * 0.9 + weaponSway * 0.1;
+        weapon.position.x = Math.max(0.06, Math.min(0.16, weapon.position.x));
+    }
+};
@@ -0,0 +1,238 @@
+// ============================================
+// DART RIFLE MESH - Pure Mesh Creation
+// ============================================
+// Stateless mesh creation functions
+// Receives theme as parameter
+
+const DartRifleMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'dartRifle', position: [0, -0.13, -0.12] },  // Longer clip under the magwell
+        hair_trigger: { parent: 'dartRifle', position: [0, -0.05, 0.04] }
+    },
+
+    /**
+     * Create FPS weapon mesh
+     * @param {Object} THREE - THREE.js library
+     * @param {Object} materials - Shared materials (skin, etc.)
+     * @param {Object} theme - Color theme
+     * @returns {Object} Mesh references
+     */
+    createFPSMesh(THREE, materials, theme) {
+        const fpsWeapon = new THREE.Group();
+        const fpsHands = new THREE.Group();
+
+        // Materials
+        const skinMat = materials?.skin || new THREE.MeshStandardMaterial({
+            color: 0xffd4c4,
+            roughness: 0.4,
+            metalness: 0.0
+        });
+
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: theme.body,
+            roughness: 0.5,
+            metalness: 0.1
+        });
+
+        const accentMat = new THREE.MeshStandardMaterial({
+            color: theme.accent,
+            roughness: 0.4,
+            metalness: 0.2
+        });
+
+        const barrelMat = new THREE.MeshStandardMaterial({
+            color: theme.barrel,
+            roughness: 0.6,
+            metalness: 0.4
+        });
+
+        const sleeveMat = new THREE.MeshStandardMaterial({
+            color: 0x2980b9,
+            roughness: 0.9,
+            metalness: 0.0
+        });
+
+        // === RIFLE BODY ===
+        const dartRifle = new THREE.Group();
+
+        // Receiver
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.09, 0.12, 0.42), bodyMat);
+        dartRifle.add(body);
+
+        // Stock
+        const stock = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.1, 0.2), bodyMat);
+        stock.position.set(0, -0.03, 0.3);
+        dartRifle.add(stock);
+
+        const buttPad = new THREE.Mesh(new THREE.BoxGeometry(0.075, 0.13, 0.03), accentMat);
+        buttPad.position.set(0, -0.03, 0.41);
+        dartRifle.add(buttPad);
+
+        // Pistol grip
+        const grip = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.14, 0.07), bodyMat);
+        grip.position.set(0, -0.12, 0.1);
+        grip.rotation.x = 0.3;
+        dartRifle.add(grip);
+
+        // Magazine well + clip
+        const mag = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.12, 0.07), barrelMat);
+        mag.position.set(0, -0.1, -0.12);
+        dartRifle.add(mag);
+
+        // Long barrel
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.028, 0.032, 0.3, 12), barrelMat);
+        barrel.position.set(0, 0.02, -0.35);
+        barrel.rotation.x = Math.PI / 2;
+        dartRifle.add(barrel);
+
+        // Orange safety tip
+        const tip = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.04, 12), accentMat);
+        tip.position.set(0, 0.02, -0.51);
+        tip.rotation.x = Math.PI / 2;
+        dartRifle.add(tip);
+
+        // Carry handle
+        const handle = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.03, 0.22), accentMat);
+        handle.position.set(0, 0.11, -0.02);
+        dartRifle.add(handle);
+
+        // Bolt handle (cycles each dart)
+        const bolt = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.025, 0.025), accentMat);
+        bolt.position.set(0.06, 0.02, 0.02);
+        dartRifle.add(bolt);
+
+        // Trigger
+        const triggerMat = new THREE.MeshStandardMaterial({
+            color: theme.trigger,
+            roughness: 0.8
+        });
+        const trigger = new THREE.Mesh(new THREE.BoxGeometry(0.015, 0.04, 0.015), triggerMat);
+        trigger.position.set(0, -0.075, 0.03);
+        trigger.rotation.x = 0.2;
+        dartRifle.add(trigger);
+
+        // Burst indicator - three darts along the top rail
+        const dartMat = new THREE.MeshStandardMaterial({
+            color: theme.dart,
+            roughness: 0.6
+        });
+        const darts = [0, 1, 2].map(i => {
+            const dart = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 0.07, 8), dartMat);
+            dart.position.set(0, 0.085, -0.14 + i * 0.08);
+            dart.rotation.x = Math.PI / 2;
+            dartRifle.add(dart);
+            return dart;
+        });
+
+        // Position rifle
+        dartRifle.position.set(0.08, -0.07, -0.34);
+        dartRifle.rotation.set(0.06, -0.06, 0);
+
+        // === HANDS ===
+        // Right hand on grip
+        const rightHand = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.1, 0.05), skinMat);
+        rightHand.position.set(0.08, -0.19, -0.24);
+        rightHand.rotation.set(0.3, -0.06, 0);
+        fpsHands.add(rightHand);
+
+        // Right arm
+        const rightArm = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.04, 0.05, 0.35, 8),
+            sleeveMat
+        );
+        rightArm.position.set(0.14, -0.36, -0.14);
+        rightArm.rotation.set(-0.7, 0.2, 0.3);
+        fpsHands.add(rightArm);
+
+        // Left hand under the barrel
+        const leftHand = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.06, 0.08), skinMat);
+        leftHand.position.set(0.04, -0.1, -0.58);
+        leftHand.rotation.set(0.1, 0.15, -0.1);
+        fpsHands.add(leftHand);
+
+        // Left arm
+        const leftArm = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.04, 0.05, 0.4, 8),
+            sleeveMat
+        );
+        leftArm.position.set(-0.06, -0.3, -0.42);
+        leftArm.rotation.set(-0.5, -0.3, -0.2);
+        fpsHands.add(leftArm);
+
+        fpsHands.add(dartRifle);
+        fpsHands.userData.dartRifle = dartRifle;
+
+        fpsWeapon.add(fpsHands);
+        fpsWeapon.position.set(0.1, -0.08, -0.38);
+        fpsWeapon.rotation.set(0.05, -0.08, 0);
+
+        return {
+            weapon: fpsWeapon,
+            hands: fpsHands,
+            dartRifle: dartRifle,
+            bolt: bolt,
+            trigger: trigger,
+            darts: darts,
+            barrel: barrel
+        };
+    },
+
+    /**
+     * Create pickup mesh
+     * @param {Object} THREE - THREE.js library
+     * @param {Object} theme - Color theme
+     * @returns {THREE.Group} Pickup mesh
+     */
+    createPickupMesh(THREE, theme) {
+        const pickup = new THREE.Group();
+
+        const bodyMat = new THREE.MeshStandardMaterial({
+            color: theme.body,
+            roughness: 0.5,
+            metalness: 0.1,
+            emissive: theme.body,
+            emissiveIntensity: 0.2
+        });
+
+        const accentMat = new THREE.MeshStandardMaterial({
+            color: theme.accent,
+            roughness: 0.4,
+            emissive: theme.accent,
+            emissiveIntensity: 0.3
+        });
+
+        // Simplified rifle
+        const body = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.3, 1.0), bodyMat);
+        pickup.add(body);
+
+        const stock = new THREE.Mesh(new THREE.BoxGeometry(0.18, 0.26, 0.45), bodyMat);
+        stock.position.set(0, -0.06, 0.7);
+        pickup.add(stock);
+
+        // Barrel
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.08, 0.6, 10), accentMat);
+        barrel.position.set(0, 0.04, -0.8);
+        barrel.rotation.x = Math.PI / 2;
+        pickup.add(barrel);
+
+        // Carry handle
+        const handle = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.08, 0.5), accentMat);
+        handle.position.set(0, 0.22, 0);
+        pickup.add(handle);
+
+        // Glow
+        const glowGeo = new THREE.SphereGeometry(0.75, 16, 16);
+        const glowMat = new THREE.MeshBasicMaterial({
+            color: 0x3498db,
+            transparent: true,
+            opacity: 0.25
+        });
+        pickup.add(new THREE.Mesh(glowGeo, glowMat));
+
+        return pickup;
+    }
+};
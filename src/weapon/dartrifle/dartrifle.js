@@ -0,0 +1,228 @@
+// ============================================
+// DART RIFLE - Self-Contained Weapon Module
+// ============================================
+// Three-round burst foam dart rifle
+// Implements the weapon interface for WeaponOrchestrator
+// fire() fires one dart; WeaponOrchestrator strings darts into bursts
+// (config.burst) and holds config.cooldown after the last one
+
+var WeaponTypeRegistry = (typeof globalThis !== 'undefined')
+    ? (globalThis.WeaponTypeRegistry = globalThis.WeaponTypeRegistry || {})
+    : {};
+
+const DartRifle = {
+    // ==========================================
+    // IDENTITY
+    // ==========================================
+
+    id: 'dartrifle',
+    name: 'Dart Rifle',
+
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+
+    get config() {
+        const baseConfig = Weapon.types.DARTRIFLE;
+        return Weapon.applyUpgrades({
+            ...baseConfig,
+            ammo: {
+                max: 30,
+                current: 30,
+                consumePerShot: 1
+            }
+        }, this.upgrades);
+    },
+
+    // ==========================================
+    // THEME (Colors)
+    // ==========================================
+
+    theme: {
+        body: 0x2980b9,       // Blue body
+        bodyLight: 0x5dade2,
+        accent: 0xf39c12,     // Orange accents
+        barrel: 0x34495e,
+        trigger: 0x2c3e50,
+        dart: 0x27ae60        // Green darts
+    },
+
+    // ==========================================
+    // STATE
+    // ==========================================
+
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
+    state: {
+        isCharging: false,
+        chargeAmount: 0,
+        lastFireTime: 0,
+        ammo: 30,
+        fireAnimProgress: 0,
+        boltAnim: 0
+    },
+
+    // ==========================================
+    // LIFECYCLE
+    // ==========================================
+
+    onEquip() {
+        this.resetState();
+    },
+
+    onUnequip() {
+        this.resetState();
+    },
+
+    resetState() {
+        this.state.isCharging = false;
+        this.state.chargeAmount = 0;
+        this.state.lastFireTime = 0;
+        this.state.fireAnimProgress = 0;
+        this.state.boltAnim = 0;
+        // Restore ammo on equip
+        this.state.ammo = this.config.ammo.max;
+    },
+
+    // ==========================================
+    // INPUT HANDLERS
+    // ==========================================
+
+    /**
+     * Called when fire button is pressed
+     * Fires a single dart; bursts are run by WeaponOrchestrator
+     */
+    onFireStart(time) {
+        if (this.state.ammo > 0 && this.canFire(time)) {
+            return this.fire(time);
+        }
+        return null;
+    },
+
+    /**
+     * Update weapon state each frame
+     */
+    update(dt, time) {
+        // Update bolt animation
+        if (this.state.boltAnim > 0) {
+            this.state.boltAnim -= dt * 10;
+            if (this.state.boltAnim < 0) this.state.boltAnim = 0;
+        }
+
+        // Update fire animation
+        if (this.state.fireAnimProgress > 0) {
+            this.state.fireAnimProgress -= dt * 12;
+            if (this.state.fireAnimProgress < 0) this.state.fireAnimProgress = 0;
+        }
+    },
+
+    // ==========================================
+    // FIRING
+    // ==========================================
+
+    /**
+     * Check if the next dart can fire
+     * Darts are gated by the burst delay; the cooldown between bursts
+     * is applied by WeaponOrchestrator
+     */
+    canFire(time) {
+        if (this.state.ammo <= 0) return false;
+        return (time - this.state.lastFireTime) >= this.config.burst.delay;
+    },
+
+    /**
+     * Fire one dart
+     * @returns {Object|null} Fire result
+     */
+    fire(time) {
+        if (!this.canFire(time)) return null;
+
+        // Consume ammo
+        this.state.ammo -= this.config.ammo.consumePerShot;
+        if (this.state.ammo < 0) this.state.ammo = 0;
+
+        // Update state
+        this.state.lastFireTime = time;
+        this.state.fireAnimProgress = 1.0;
+        this.state.boltAnim = 1.0;
+
+        return {
+            speed: this.config.projectile.speed.max,
+            power: 1.0,
+            damage: this.config.projectile.damage,
+            projectileType: this.config.projectile.type,
+            count: this.config.projectile.count
+        };
+    },
+
+    /**
+     * Add ammo
+     */
+    addAmmo(amount) {
+        this.state.ammo = Math.min(this.state.ammo + amount, this.config.ammo.max);
+    },
+
+    // ==========================================
+    // UI HELPERS
+    // ==========================================
+
+    getTension() {
+        // Show ammo percentage for UI
+        return this.state.ammo / this.config.ammo.max;
+    },
+
+    getAmmoDisplay() {
+        if (this.state.ammo <= 0) {
+            return 'EMPTY';
+        }
+        return `DARTS: ${this.state.ammo}/${this.config.ammo.max}`;
+    },
+
+    /**
+     * Only an empty magazine - the cooldown between bursts is reported by
+     * WeaponOrchestrator.isReloading, and the gap between darts isn't a reload
+     */
+    isReloading() {
+        return this.state.ammo <= 0;
+    },
+
+    // ==========================================
+    // MESH CREATION
+    // ==========================================
+
+    createFPSMesh(THREE, materials) {
+        return DartRifleMesh.createFPSMesh(THREE, materials, this.theme);
+    },
+
+    createPickupMesh(THREE) {
+        return DartRifleMesh.createPickupMesh(THREE, this.theme);
+    },
+
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, DartRifleMesh.attachPoints);
+    },
+
+    // ==========================================
+    // ANIMATION
+    // ==========================================
+
+    animateFPS(refs, dt) {
+        DartRifleAnimation.animateFPS(refs, this.state, dt);
+    },
+
+    triggerFireAnim() {
+        this.state.fireAnimProgress = 1.0;
+        this.state.boltAnim = 1.0;
+    },
+
+    isFireAnimPlaying() {
+        return this.state.fireAnimProgress > 0;
+    },
+
+    updateTransform(weapon, turnRate) {
+        DartRifleAnimation.updateTransform(weapon, turnRate);
+    }
+};
+
+WeaponTypeRegistry.dartrifle = DartRifle;
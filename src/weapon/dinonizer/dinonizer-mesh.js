@@ -5,6 +5,15 @@
 // Receives theme as parameter
 
 const DinonizerMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'gun', position: [0, -0.06, -0.06] },  // Spare canister under the barrel
+        hair_trigger: { parent: 'gun', position: [0, -0.05, 0.03] }
+    },
+
     /**
      * Create FPS weapon mesh
      * @param {Object} THREE - Three.js library
@@ -21,14 +21,14 @@ const Dinonizer = {
 
     get config() {
         const baseConfig = Weapon.types.DINONIZER;
-        return {
+        return Weapon.applyUpgrades({
             ...baseConfig,
             ammo: {
                 max: 10,
                 current: 10,
                 consumePerShot: 1
             }
-        };
+        }, this.upgrades);
     },
 
     // ==========================================
@@ -47,6 +47,9 @@ const Dinonizer = {
     // STATE
     // ==========================================
 
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
     state: {
         lastFireTime: 0,
         ammo: 10,
@@ -159,6 +162,10 @@ const Dinonizer = {
         return DinonizerMesh.createPickupMesh(THREE, this.theme);
     },
 
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, DinonizerMesh.attachPoints);
+    },
+
     // ==========================================
     // ANIMATION
     // ==========================================
@@ -24,15 +24,15 @@ const LaserGunAnimation = {
             cell.material.emissiveIntensity = 0.2 + ammoPercent * 0.4;
         }
 
-        // Pulse emitter glow when firing or idle
+        // Pulse emitter glow when firing or idle, building up while overcharging
         if (emitter) {
             const pulse = Math.sin(state.glowPulse) * 0.3 + 0.7;
             const intensity = state.isFiring ? 1.2 : pulse * 0.8;
-            emitter.material.emissiveIntensity = intensity;
+            emitter.material.emissiveIntensity = intensity + (state.overcharge || 0) * 1.5;
         }
 
         if (glowRing) {
-            glowRing.rotation.z += dt * 3;
+            glowRing.rotation.z += dt * (3 + (state.overcharge || 0) * 12);
         }
 
         // Trigger animation
@@ -5,6 +5,16 @@
 // Receives theme as parameter
 
 const LaserGunMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'laserGun', position: [0, -0.06, -0.04] },  // Spare cell under the body
+        hair_trigger: { parent: 'laserGun', position: [0, -0.04, 0.015] },
+        focus_lens: { parent: 'laserGun', position: [0, 0, -0.265] }
+    },
+
     /**
      * Create FPS weapon mesh
      * @param {Object} THREE - THREE.js library
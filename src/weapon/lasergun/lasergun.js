@@ -2,6 +2,7 @@
 // LASER GUN - Self-Contained Weapon Module
 // ============================================
 // Auto-fire energy weapon: hold to shoot rapid laser bolts
+// Alt fire overcharges: hold to build up, release for one piercing beam
 // Implements the weapon interface for WeaponOrchestrator
 
 var WeaponTypeRegistry = (typeof globalThis !== 'undefined')
@@ -22,14 +23,14 @@ const LaserGun = {
 
     get config() {
         const baseConfig = Weapon.types.LASERGUN;
-        return {
+        return Weapon.applyUpgrades({
             ...baseConfig,
             ammo: {
                 max: 75,
                 current: 75,
                 consumePerShot: 1
             }
-        };
+        }, this.upgrades);
     },
 
     // ==========================================
@@ -50,6 +51,9 @@ const LaserGun = {
     // STATE
     // ==========================================
 
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
     state: {
         isCharging: false,  // Used as "isFiring" for auto weapons
         chargeAmount: 0,
@@ -57,7 +61,9 @@ const LaserGun = {
         ammo: 75,
         fireAnimProgress: 0,
         isFiring: false,
-        glowPulse: 0
+        glowPulse: 0,
+        isOvercharging: false,
+        overcharge: 0           // 0-1 toward a full overcharge beam
     },
 
     // ==========================================
@@ -71,6 +77,8 @@ const LaserGun = {
     onUnequip() {
         this.state.isFiring = false;
         this.state.isCharging = false;
+        this.state.isOvercharging = false;
+        this.state.overcharge = 0;
     },
 
     resetState() {
@@ -80,6 +88,8 @@ const LaserGun = {
         this.state.lastFireTime = 0;
         this.state.fireAnimProgress = 0;
         this.state.glowPulse = 0;
+        this.state.isOvercharging = false;
+        this.state.overcharge = 0;
         this.state.ammo = this.config.ammo.max;
     },
 
@@ -88,18 +98,63 @@ const LaserGun = {
     // ==========================================
 
     onFireStart(time) {
-        if (this.state.ammo <= 0) return;
+        if (this.state.ammo <= 0 || this.state.isOvercharging) return;
         this.state.isFiring = true;
         this.state.isCharging = true;
     },
 
     onFireRelease(time) {
+        if (this.state.isOvercharging) return null;
         this.state.isFiring = false;
         this.state.isCharging = false;
         return null;
     },
 
+    /**
+     * Alt fire pressed - start overcharging (needs config.altFire.ammoCost energy)
+     */
+    onAltFireStart(time) {
+        if (this.state.ammo < this.config.altFire.ammoCost) return null;
+        this.state.isFiring = false;
+        this.state.isOvercharging = true;
+        this.state.isCharging = true;
+        this.state.overcharge = 0;
+        return null;
+    },
+
+    /**
+     * Alt fire released - fire the beam, or fizzle below config.altFire.minCharge
+     * @returns {Object|null} Fire result for the beam
+     */
+    onAltFireRelease(time) {
+        if (!this.state.isOvercharging) return null;
+        const charge = this.state.overcharge;
+        const altFire = this.config.altFire;
+        this.state.isOvercharging = false;
+        this.state.isCharging = false;
+        this.state.overcharge = 0;
+        if (charge < altFire.minCharge || this.state.ammo < altFire.ammoCost) return null;
+
+        this.state.ammo -= altFire.ammoCost;
+        this.state.lastFireTime = time;
+        this.state.fireAnimProgress = 1.0;
+
+        return {
+            speed: altFire.speed,
+            power: charge,
+            damage: Math.max(1, Math.round(altFire.damage * charge)),
+            projectileType: this.config.projectile.type,
+            count: 1,
+            pierce: altFire.pierce + (this.config.projectile.pierce || 0)
+        };
+    },
+
     update(dt, time) {
+        // Build overcharge while alt fire is held
+        if (this.state.isOvercharging) {
+            this.state.overcharge = Math.min(1, this.state.overcharge + dt / this.config.altFire.chargeTime);
+        }
+
         // Auto-fire while holding
         if (this.state.isFiring && this.state.ammo > 0) {
             if (this.canFire(time)) {
@@ -117,6 +172,8 @@ const LaserGun = {
     cancelAction() {
         this.state.isFiring = false;
         this.state.isCharging = false;
+        this.state.isOvercharging = false;
+        this.state.overcharge = 0;
     },
 
     // ==========================================
@@ -142,8 +199,8 @@ const LaserGun = {
             this.state.isCharging = false;
         }
 
-        const spreadX = (Math.random() - 0.5) * this.config.projectile.spread;
-        const spreadY = (Math.random() - 0.5) * this.config.projectile.spread;
+        const spreadX = RandomOrchestrator.spread(this.config.projectile.spread);
+        const spreadY = RandomOrchestrator.spread(this.config.projectile.spread);
 
         return {
             speed: this.config.projectile.speed.max,
@@ -151,7 +208,8 @@ const LaserGun = {
             damage: this.config.projectile.damage,
             projectileType: this.config.projectile.type,
             count: this.config.projectile.count,
-            spread: { x: spreadX, y: spreadY }
+            spread: { x: spreadX, y: spreadY },
+            pierce: this.config.projectile.pierce
         };
     },
 
@@ -164,6 +222,8 @@ const LaserGun = {
     // ==========================================
 
     getTension() {
+        // Overcharge build-up while alt fire is held, energy left otherwise
+        if (this.state.isOvercharging) return this.state.overcharge;
         return this.state.ammo / this.config.ammo.max;
     },
 
@@ -190,6 +250,10 @@ const LaserGun = {
         return LaserGunMesh.createPickupMesh(THREE, this.theme);
     },
 
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, LaserGunMesh.attachPoints);
+    },
+
     // ==========================================
     // ANIMATION
     // ==========================================
@@ -5,6 +5,15 @@
 // Receives theme as parameter
 
 const NerfGunMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'nerfGun', position: [0, -0.1, -0.08] },  // Dart magazine ahead of the grip
+        hair_trigger: { parent: 'nerfGun', position: [0, -0.04, 0.015] }
+    },
+
     /**
      * Create FPS weapon mesh
      * @param {Object} THREE - THREE.js library
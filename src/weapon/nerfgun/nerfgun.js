@@ -2,6 +2,8 @@
 // NERF GUN - Self-Contained Weapon Module
 // ============================================
 // Single-shot foam dart launcher
+// Alt fire fans the hammer: a quick spray of darts (config.altFire), then a
+// longer recovery before the next shot
 // Implements the weapon interface for WeaponOrchestrator
 
 var WeaponTypeRegistry = (typeof globalThis !== 'undefined')
@@ -22,14 +24,14 @@ const NerfGun = {
 
     get config() {
         const baseConfig = Weapon.types.NERFGUN;
-        return {
+        return Weapon.applyUpgrades({
             ...baseConfig,
             ammo: {
                 max: 12,
                 current: 12,
                 consumePerShot: 1
             }
-        };
+        }, this.upgrades);
     },
 
     // ==========================================
@@ -49,13 +51,19 @@ const NerfGun = {
     // STATE
     // ==========================================
 
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
     state: {
         isCharging: false,
         chargeAmount: 0,
         lastFireTime: 0,
         ammo: 12,
         fireAnimProgress: 0,
-        slideAnim: 0
+        slideAnim: 0,
+        fanShots: 0,            // Darts left in a fan-the-hammer spray
+        nextFanTime: 0,
+        recoverUntil: 0         // No shots before this time (after a spray)
     },
 
     // ==========================================
@@ -76,6 +84,9 @@ const NerfGun = {
         this.state.lastFireTime = 0;
         this.state.fireAnimProgress = 0;
         this.state.slideAnim = 0;
+        this.state.fanShots = 0;
+        this.state.nextFanTime = 0;
+        this.state.recoverUntil = 0;
         // Restore ammo on equip
         this.state.ammo = this.config.ammo.max;
     },
@@ -103,8 +114,28 @@ const NerfGun = {
         return null;
     },
 
+    /**
+     * Called when alt fire is pressed - fans the hammer
+     * Fires the first dart now; update() fires the rest of the spray
+     * @returns {Object|null} Fire result for the first dart
+     */
+    onAltFireStart(time) {
+        if (!this.canFire(time)) return null;
+        this.state.fanShots = this.config.altFire.shots;
+        return this._fanShot(time);
+    },
+
+    /**
+     * Called when alt fire is released
+     */
+    onAltFireRelease(time) {
+        // A spray finishes on its own once started
+        return null;
+    },
+
     /**
      * Update weapon state each frame
+     * @returns {Object|null} Fire result when the next fanned dart goes off
      */
     update(dt, time) {
         // Update slide animation
@@ -118,13 +149,19 @@ const NerfGun = {
             this.state.fireAnimProgress -= dt * 8;
             if (this.state.fireAnimProgress < 0) this.state.fireAnimProgress = 0;
         }
+
+        if (this.state.fanShots > 0 && time >= this.state.nextFanTime) {
+            return this._fanShot(time);
+        }
+        return null;
     },
 
     /**
      * Cancel current action
      */
     cancelAction() {
-        // Nothing to cancel for single-shot
+        // Stops a spray; the recovery still applies
+        this.state.fanShots = 0;
     },
 
     // ==========================================
@@ -135,7 +172,8 @@ const NerfGun = {
      * Check if weapon can fire
      */
     canFire(time) {
-        if (this.state.ammo <= 0) return false;
+        if (this.state.ammo <= 0 || this.state.fanShots > 0) return false;
+        if (time < this.state.recoverUntil) return false;
         return (time - this.state.lastFireTime) >= this.config.cooldown;
     },
 
@@ -164,6 +202,40 @@ const NerfGun = {
         };
     },
 
+    /**
+     * Fire one dart of a fan-the-hammer spray
+     * Darts kick off the aim at random; an empty magazine ends the spray.
+     * @private
+     */
+    _fanShot(time) {
+        const altFire = this.config.altFire;
+        if (this.state.ammo <= 0) {
+            this.state.fanShots = 0;
+            return null;
+        }
+
+        this.state.ammo -= this.config.ammo.consumePerShot;
+        if (this.state.ammo < 0) this.state.ammo = 0;
+        this.state.fanShots = this.state.ammo > 0 ? this.state.fanShots - 1 : 0;
+        this.state.nextFanTime = time + altFire.delay;
+        this.state.lastFireTime = time;
+        this.state.recoverUntil = time + altFire.cooldown;
+        this.state.fireAnimProgress = 1.0;
+        this.state.slideAnim = 1.0;
+
+        return {
+            speed: this.config.projectile.speed.max,
+            power: 1.0,
+            damage: this.config.projectile.damage,
+            projectileType: this.config.projectile.type,
+            count: this.config.projectile.count,
+            spread: {
+                x: RandomOrchestrator.spread(altFire.spread),
+                y: RandomOrchestrator.spread(altFire.spread)
+            }
+        };
+    },
+
     /**
      * Add ammo
      */
@@ -203,6 +275,10 @@ const NerfGun = {
         return NerfGunMesh.createPickupMesh(THREE, this.theme);
     },
 
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, NerfGunMesh.attachPoints);
+    },
+
     // ==========================================
     // ANIMATION
     // ==========================================
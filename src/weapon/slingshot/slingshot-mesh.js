@@ -5,6 +5,16 @@
 // Receives THREE and theme as parameters
 
 const SlingshotMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'slingshot', position: [0.035, -0.1, 0.02] },  // Stone bag strapped to the handle
+        hair_trigger: { parent: 'slingshot', position: [0, -0.02, -0.015] },
+        triple_pouch: { parent: 'slingshot', position: [0, 0.045, 0.08] }  // Extra stones ride in the pouch
+    },
+
     /**
      * Create FPS weapon mesh (slingshot with hands)
      * @param {THREE} THREE - Three.js library
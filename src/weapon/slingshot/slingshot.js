@@ -24,14 +24,14 @@ const Slingshot = {
         // Reference Weapon.types.SLINGSHOT for shared config
         // Add weapon-specific runtime properties
         const baseConfig = Weapon.types.SLINGSHOT;
-        return {
+        return Weapon.applyUpgrades({
             ...baseConfig,
             ammo: {
                 max: 25,
                 current: 25,
                 consumePerShot: 1
             }
-        };
+        }, this.upgrades);
     },
 
     // ==========================================
@@ -57,9 +57,14 @@ const Slingshot = {
     // STATE
     // ==========================================
 
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
     state: {
         isCharging: false,
         chargeAmount: 0,
+        chargeLimit: 1,          // Fraction of maxTension reachable (analog trigger pressure)
+        trickShot: false,        // Current draw was started by alt fire (stone ricochets)
         lastFireTime: 0,
         ammo: 25,
         fireAnimProgress: 0
@@ -80,6 +85,8 @@ const Slingshot = {
     resetState() {
         this.state.isCharging = false;
         this.state.chargeAmount = 0;
+        this.state.chargeLimit = 1;
+        this.state.trickShot = false;
         this.state.lastFireTime = 0;
         this.state.fireAnimProgress = 0;
         this.state.ammo = this.config.ammo.max;
@@ -97,15 +104,49 @@ const Slingshot = {
         if (!this.canFire(time)) return;
 
         this.state.isCharging = true;
+        this.state.trickShot = false;
+        this.state.chargeAmount = this.config.charge.minTension;
+    },
+
+    /**
+     * Called when alt fire is pressed - draws a trick shot
+     * Charges like fire; the stone ricochets off walls (config.altFire.ricochet)
+     */
+    onAltFireStart(time) {
+        if (this.state.isCharging) return;
+        if (!this.canFire(time)) return;
+
+        this.state.isCharging = true;
+        this.state.trickShot = true;
         this.state.chargeAmount = this.config.charge.minTension;
     },
 
+    /**
+     * Called when alt fire is released
+     * @returns {Object|null} Fire result if a trick shot was drawn
+     */
+    onAltFireRelease(time) {
+        if (!this.state.isCharging || !this.state.trickShot) return null;
+        return this.fire(time);
+    },
+
+    /**
+     * Limit how far the current draw can charge (gamepad trigger pressure)
+     * Easing off never lowers tension already built, so releasing the trigger
+     * fires at the tension reached.
+     * @param {number} limit - 0-1 fraction of maxTension
+     */
+    setChargeLimit(limit) {
+        this.state.chargeLimit = Math.max(0, Math.min(1, limit));
+    },
+
     /**
      * Called when fire button is released
      * @returns {Object|null} Fire result if successful
      */
     onFireRelease(time) {
-        if (!this.state.isCharging) return null;
+        // A trick shot is loosed by releasing alt fire
+        if (!this.state.isCharging || this.state.trickShot) return null;
         return this.fire(time);
     },
 
@@ -115,10 +156,11 @@ const Slingshot = {
     update(dt, time) {
         // Update charge while charging
         if (this.state.isCharging) {
-            if (this.state.chargeAmount < this.config.charge.maxTension) {
+            const cap = Math.max(this.config.charge.minTension, this.config.charge.maxTension * this.state.chargeLimit);
+            if (this.state.chargeAmount < cap) {
                 this.state.chargeAmount += this.config.charge.rate * dt;
-                if (this.state.chargeAmount > this.config.charge.maxTension) {
-                    this.state.chargeAmount = this.config.charge.maxTension;
+                if (this.state.chargeAmount > cap) {
+                    this.state.chargeAmount = cap;
                 }
             }
         }
@@ -129,6 +171,7 @@ const Slingshot = {
      */
     cancelAction() {
         this.state.isCharging = false;
+        this.state.trickShot = false;
         this.state.chargeAmount = 0;
     },
 
@@ -171,8 +214,10 @@ const Slingshot = {
         if (this.state.ammo < 0) this.state.ammo = 0;
 
         // Update state
+        const trickShot = this.state.trickShot;
         this.state.lastFireTime = time;
         this.state.isCharging = false;
+        this.state.trickShot = false;
         this.state.chargeAmount = 0;
 
         return {
@@ -180,7 +225,9 @@ const Slingshot = {
             power: tension,
             damage: damage,
             projectileType: this.config.projectile.type,
-            count: this.config.projectile.count
+            count: this.config.projectile.count,
+            spreadAngle: this.config.projectile.spreadAngle,
+            ricochet: trickShot ? this.config.altFire.ricochet : 0
         };
     },
 
@@ -233,6 +280,17 @@ const Slingshot = {
         return SlingshotMesh.createPickupMesh(THREE, this.theme);
     },
 
+    /**
+     * Add an upgrade part to the FPS mesh
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} refs - References from createFPSMesh
+     * @param {string} upgradeId - Part id
+     * @returns {THREE.Group|null} Part mesh, or null if it has no spot on this weapon
+     */
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, SlingshotMesh.attachPoints);
+    },
+
     // ==========================================
     // ANIMATION (Delegates to SlingshotAnimation)
     // ==========================================
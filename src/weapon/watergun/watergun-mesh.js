@@ -5,6 +5,16 @@
 // Receives theme as parameter
 
 const WaterGunMesh = {
+    /**
+     * Where upgrade parts sit on the FPS mesh (WeaponAttachmentMesh.attach)
+     * parent - createFPSMesh ref the part is added to
+     */
+    attachPoints: {
+        extended_mag: { parent: 'waterGun', position: [0.06, 0.12, 0] },  // Second tank beside the main one
+        hair_trigger: { parent: 'waterGun', position: [0, -0.05, 0.025] },
+        balloon_nozzle: { parent: 'waterGun', position: [0, 0.02, -0.27] }
+    },
+
     /**
      * Create FPS weapon mesh
      * @param {Object} THREE - THREE.js library
@@ -2,6 +2,7 @@
 // WATER GUN - Self-Contained Weapon Module
 // ============================================
 // Pump-action water blaster: fires arcing water balloons with splash damage
+// Alt fire lobs a balloon that leaves a slowing puddle where it stops
 // Implements the weapon interface for WeaponOrchestrator
 
 var WeaponTypeRegistry = (typeof globalThis !== 'undefined')
@@ -22,14 +23,14 @@ const WaterGun = {
 
     get config() {
         const baseConfig = Weapon.types.WATERGUN;
-        return {
+        return Weapon.applyUpgrades({
             ...baseConfig,
             ammo: {
                 max: 30,
                 current: 30,
                 consumePerShot: 1
             }
-        };
+        }, this.upgrades);
     },
 
     // ==========================================
@@ -51,6 +52,9 @@ const WaterGun = {
     // STATE
     // ==========================================
 
+    // Installed upgrade part ids (WeaponOrchestrator.installUpgrade)
+    upgrades: [],
+
     state: {
         isCharging: false,
         chargeAmount: 0,
@@ -101,6 +105,25 @@ const WaterGun = {
         return null;
     },
 
+    /**
+     * Alt fire on press - a puddle balloon (costs config.altFire.ammoCost)
+     */
+    onAltFireStart(time) {
+        if (this.state.ammo < this.config.altFire.ammoCost) return null;
+        if (!this.canFire(time)) return null;
+        const result = this.fire(time);
+        // fire() took one shot of water; the puddle takes the rest
+        this.state.ammo = Math.max(0, this.state.ammo - (this.config.altFire.ammoCost - this.config.ammo.consumePerShot));
+        return { ...result, puddle: { ...this.config.altFire.puddle } };
+    },
+
+    /**
+     * Nothing on alt release
+     */
+    onAltFireRelease(time) {
+        return null;
+    },
+
     /**
      * Update - just animations
      */
@@ -144,7 +167,8 @@ const WaterGun = {
             count: this.config.projectile.count,
             gravity: this.config.projectile.gravity,
             splashRadius: this.config.projectile.splashRadius,
-            splashDamage: this.config.projectile.splashDamage
+            splashDamage: this.config.projectile.splashDamage,
+            splashScale: this.config.projectile.splashScale
         };
     },
 
@@ -183,6 +207,10 @@ const WaterGun = {
         return WaterGunMesh.createPickupMesh(THREE, this.theme);
     },
 
+    attachUpgrade(THREE, refs, upgradeId) {
+        return WeaponAttachmentMesh.attach(THREE, refs, upgradeId, WaterGunMesh.attachPoints);
+    },
+
     // ==========================================
     // ANIMATION
     // ==========================================
@@ -0,0 +1,106 @@
+// ============================================
+// WEAPON ATTACHMENT MESH - Pure Visual Factory
+// ============================================
+// Small meshes for upgrade parts (Weapon.upgrades) on FPS weapons
+// Each weapon's mesh module declares where parts sit (attachPoints)
+
+const WeaponAttachmentMesh = {
+    /**
+     * Add an upgrade part to an FPS weapon mesh
+     * @param {THREE} THREE - Three.js library
+     * @param {Object} refs - References returned by the weapon's createFPSMesh
+     * @param {string} upgradeId - Part id
+     * @param {Object} attachPoints - {upgradeId: {parent, position, rotation}} from the weapon's mesh module
+     * @returns {THREE.Group|null} The part, or null if the weapon has no spot for it
+     */
+    attach(THREE, refs, upgradeId, attachPoints) {
+        const point = attachPoints?.[upgradeId];
+        const parent = point && refs && (refs[point.parent] || refs.weapon);
+        if (!parent) return null;
+
+        const part = this.create(THREE, upgradeId);
+        if (!part) return null;
+        part.position.set(...point.position);
+        if (point.rotation) part.rotation.set(...point.rotation);
+        parent.add(part);
+        return part;
+    },
+
+    /**
+     * Create the mesh for an upgrade part
+     * @param {THREE} THREE - Three.js library
+     * @param {string} upgradeId - Part id
+     * @returns {THREE.Group|null} Part mesh (userData.upgradeId set)
+     */
+    create(THREE, upgradeId) {
+        const def = typeof Weapon !== 'undefined' ? Weapon.getUpgrade(upgradeId) : null;
+        const build = this._builders[upgradeId];
+        if (!def || !build) return null;
+
+        const part = new THREE.Group();
+        const mat = new THREE.MeshStandardMaterial({
+            color: def.color,
+            roughness: 0.5,
+            metalness: 0.4
+        });
+        build(THREE, part, mat);
+        part.userData.upgradeId = upgradeId;
+        return part;
+    },
+
+    /**
+     * Part shapes, sized for the FPS weapon groups (~0.3 units long)
+     * @private
+     */
+    _builders: {
+        extended_mag(THREE, part, mat) {
+            const mag = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.07, 0.04), mat);
+            part.add(mag);
+            const base = new THREE.Mesh(new THREE.BoxGeometry(0.036, 0.01, 0.046),
+                new THREE.MeshStandardMaterial({ color: 0x2c3e50, roughness: 0.6 }));
+            base.position.y = -0.038;
+            part.add(base);
+        },
+
+        hair_trigger(THREE, part, mat) {
+            const shoe = new THREE.Mesh(new THREE.BoxGeometry(0.016, 0.026, 0.008), mat);
+            part.add(shoe);
+            const spring = new THREE.Mesh(new THREE.TorusGeometry(0.008, 0.002, 6, 12), mat);
+            spring.position.z = 0.01;
+            part.add(spring);
+        },
+
+        balloon_nozzle(THREE, part, mat) {
+            const flare = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.03, 0.04, 16, 1, true), mat);
+            flare.rotation.x = Math.PI / 2;
+            part.add(flare);
+            const rim = new THREE.Mesh(new THREE.TorusGeometry(0.05, 0.006, 6, 16), mat);
+            rim.position.z = -0.02;
+            part.add(rim);
+        },
+
+        focus_lens(THREE, part, mat) {
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(0.025, 0.005, 8, 16), mat);
+            part.add(ring);
+            const lens = new THREE.Mesh(new THREE.CircleGeometry(0.022, 16), new THREE.MeshBasicMaterial({
+                color: 0xff6b81,
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide
+            }));
+            part.add(lens);
+        },
+
+        triple_pouch(THREE, part, mat) {
+            const stoneMat = new THREE.MeshStandardMaterial({ color: 0x707070, roughness: 0.8 });
+            [-1, 0, 1].forEach(i => {
+                const stone = new THREE.Mesh(new THREE.SphereGeometry(0.01, 8, 8), stoneMat);
+                stone.position.set(i * 0.018, 0, 0);
+                part.add(stone);
+            });
+            const strap = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.004, 0.02), mat);
+            strap.position.y = -0.008;
+            part.add(strap);
+        }
+    }
+};
@@ -3,6 +3,15 @@
 // ============================================
 // Maintains weapon registry, tracks current weapon, delegates operations.
 // Each weapon is self-contained with its own logic, mesh, and animation.
+// Collected weapons stay in the inventory; switching holsters the current
+// one and draws the next (onUnequip/onEquip), keeping each weapon's ammo.
+// Upgrade parts live on each weapon module (weapon.upgrades) and change its
+// effective config through Weapon.applyUpgrades.
+// Burst weapons (fireMode 'burst') fire single rounds; the orchestrator
+// strings them into bursts and holds the cooldown after each burst.
+// Alt fire (the altFire action) goes to the optional onAltFireStart/
+// onAltFireRelease weapon hooks; shots that follow on their own come out
+// of the weapon's update() like auto fire.
 
 const WeaponOrchestrator = {
     // ==========================================
@@ -13,6 +22,16 @@ const WeaponOrchestrator = {
     currentWeaponId: null, // Currently equipped weapon ID
     currentWeapon: null,   // Reference to current weapon module
 
+    // Carried weapons
+    inventory: [],         // Collected weapon IDs in pickup order
+    _savedAmmo: {},        // Weapon ID -> ammo left when it was holstered
+    _switch: null,         // Switch in progress {targetId, lowered: 0-1}
+    _equipArgs: null,      // {THREE, materials, camera} of the last equip, reused when switching
+
+    // Burst fire
+    _burst: null,          // Burst in progress {remaining, nextTime}
+    _burstReadyAt: 0,      // Time the next burst may start (cooldown after the last round)
+
     // Scene references
     scene: null,
     camera: null,
@@ -27,6 +46,8 @@ const WeaponOrchestrator = {
     crosshairY: 0,
     lockedTarget: null,
     aimAssistActive: false,
+    mouseAim: false,                 // Crosshair follows aimOffset (pointer-lock mode)
+    aimOffset: { x: 0, y: 0 },       // Crosshair offset from the fixed aim point (pixels)
 
     // ==========================================
     // INITIALIZATION
@@ -41,12 +62,19 @@ const WeaponOrchestrator = {
         this.weapons = {};
         this.currentWeaponId = null;
         this.currentWeapon = null;
+        this.inventory = [];
+        this._savedAmmo = {};
+        this._switch = null;
+        this._equipArgs = null;
+        this._burst = null;
+        this._burstReadyAt = 0;
         this.fpsMesh = null;
         this.fpsRefs = null;
         this.crosshairX = window.innerWidth / 2;
         this.crosshairY = window.innerHeight / 2;
         this.lockedTarget = null;
         this.aimAssistActive = false;
+        this.aimOffset = { x: 0, y: 0 };
     },
 
     /**
@@ -73,7 +101,8 @@ const WeaponOrchestrator = {
     },
 
     /**
-     * Equip a weapon by ID
+     * Equip a weapon by ID right away (adds it to the inventory)
+     * Cancels a switch in progress; use switchTo for an animated switch.
      * @param {string} weaponId - ID of weapon to equip
      * @param {Object} THREE - Three.js library
      * @param {Object} materials - MaterialsTheme for mesh creation
@@ -87,6 +116,11 @@ const WeaponOrchestrator = {
             return false;
         }
 
+        this._switch = null;
+        this._burst = null;
+        this._equipArgs = { THREE, materials, camera };
+        this._stashAmmo();
+
         // Unequip current weapon
         if (this.currentWeapon && this.currentWeapon.onUnequip) {
             this.currentWeapon.onUnequip();
@@ -103,6 +137,7 @@ const WeaponOrchestrator = {
         this.currentWeaponId = weaponId;
         this.currentWeapon = weapon;
         this.camera = camera;
+        this.addToInventory(weaponId);
 
         // Reset weapon state
         if (weapon.resetState) {
@@ -117,6 +152,8 @@ const WeaponOrchestrator = {
                 this.fpsRefs = result;
                 camera.add(this.fpsMesh);
                 this.fpsMesh.visible = false; // Hidden until gameplay starts
+                this.fpsMesh.userData.baseY = this.fpsMesh.position.y;
+                (weapon.upgrades || []).forEach(id => this._attachUpgrade(weapon, id));
             }
         }
 
@@ -125,9 +162,265 @@ const WeaponOrchestrator = {
             weapon.onEquip();
         }
 
+        // A carried weapon comes back with the ammo it was holstered with
+        if (this._savedAmmo[weaponId] !== undefined && weapon.state) {
+            weapon.state.ammo = this._savedAmmo[weaponId];
+            delete this._savedAmmo[weaponId];
+        }
+
+        return true;
+    },
+
+    /**
+     * Remember the current weapon's ammo before it is unequipped (carried weapons only)
+     * @private
+     */
+    _stashAmmo() {
+        const weapon = this.currentWeapon;
+        if (weapon && weapon.config?.ammo && weapon.state && this.hasWeapon(this.currentWeaponId)) {
+            this._savedAmmo[this.currentWeaponId] = weapon.state.ammo;
+        }
+    },
+
+    // ==========================================
+    // INVENTORY
+    // ==========================================
+
+    get inventoryConfig() {
+        return (typeof Weapon !== 'undefined' && Weapon.inventory)
+            ? Weapon.inventory
+            : { HOLSTER_TIME: 0.15, DRAW_TIME: 0.2, HOLSTER_DROP: 0.35 };
+    },
+
+    /**
+     * Add a registered weapon to the inventory
+     * @param {string} weaponId - Weapon ID
+     * @returns {boolean} True if it was added (false if unknown or already carried)
+     */
+    addToInventory(weaponId) {
+        if (!this.weapons[weaponId] || this.inventory.includes(weaponId)) return false;
+        this.inventory.push(weaponId);
         return true;
     },
 
+    /**
+     * Check whether a weapon is carried
+     * @param {string} weaponId - Weapon ID
+     * @returns {boolean}
+     */
+    hasWeapon(weaponId) {
+        return this.inventory.includes(weaponId);
+    },
+
+    /**
+     * Get the carried weapon IDs in pickup order
+     * @returns {string[]}
+     */
+    getInventory() {
+        return [...this.inventory];
+    },
+
+    /**
+     * Carried weapons for the HUD strip
+     * @returns {Object[]} [{id, slot, name, ammo, active}] - ammo is Infinity for weapons without ammo;
+     *   active marks the weapon in hand (or being drawn)
+     */
+    getInventorySlots() {
+        const activeId = this._switch ? this._switch.targetId : this.currentWeaponId;
+        return this.inventory.map((id, index) => {
+            const weapon = this.weapons[id];
+            const ammo = id === this.currentWeaponId
+                ? this.getAmmo()
+                : (this._savedAmmo[id] ?? weapon?.config?.ammo?.max ?? Infinity);
+            return { id, slot: index + 1, name: weapon?.name || id, ammo, active: id === activeId };
+        });
+    },
+
+    /**
+     * Add ammo to a carried weapon, in hand or holstered
+     * @param {string} weaponId - Weapon ID
+     * @param {number} amount - Amount to add
+     * @returns {number} Ammo actually added (capped at the weapon's max)
+     */
+    addAmmoTo(weaponId, amount) {
+        if (weaponId === this.currentWeaponId) {
+            const before = this.getAmmo();
+            this.addAmmo(amount);
+            return Math.max(0, this.getAmmo() - before);
+        }
+        const max = this.weapons[weaponId]?.config?.ammo?.max;
+        if (!this.hasWeapon(weaponId) || max === undefined) return 0;
+
+        const before = this._savedAmmo[weaponId] ?? max;
+        this._savedAmmo[weaponId] = Math.min(before + amount, max);
+        return this._savedAmmo[weaponId] - before;
+    },
+
+    /**
+     * Start switching to a carried weapon
+     * The current weapon is lowered over HOLSTER_TIME, swapped (onUnequip/onEquip)
+     * and the new one raised over DRAW_TIME. Picking another weapon mid-switch
+     * just changes the target. No firing until the switch is done.
+     * @param {string} weaponId - Weapon ID
+     * @returns {boolean} True if a switch started or was retargeted
+     */
+    switchTo(weaponId) {
+        if (!this.hasWeapon(weaponId)) return false;
+        if (this._switch) {
+            if (this._switch.targetId === weaponId) return false;
+            this._switch.targetId = weaponId;
+            return true;
+        }
+        if (weaponId === this.currentWeaponId) return false;
+
+        this.cancelAction();
+        this._switch = { targetId: weaponId, lowered: 0 };
+        return true;
+    },
+
+    /**
+     * Switch to the weapon in an inventory slot
+     * @param {number} index - Slot index (0 = first weapon collected)
+     * @returns {boolean} True if a switch started
+     */
+    switchSlot(index) {
+        const weaponId = this.inventory[index];
+        return weaponId ? this.switchTo(weaponId) : false;
+    },
+
+    /**
+     * Switch to the next or previous carried weapon (wraps around)
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {boolean} True if a switch started
+     */
+    cycleWeapon(direction = 1) {
+        const count = this.inventory.length;
+        if (count < 2) return false;
+        const from = this.inventory.indexOf(this._switch ? this._switch.targetId : this.currentWeaponId);
+        const next = ((from + (Math.sign(direction) || 1)) % count + count) % count;
+        return this.switchTo(this.inventory[next]);
+    },
+
+    /**
+     * Check if a weapon switch is in progress
+     * @returns {boolean}
+     */
+    isSwitching() {
+        return this._switch !== null;
+    },
+
+    /**
+     * Advance a weapon switch and pose the FPS mesh
+     * @private
+     */
+    _updateSwitch(dt) {
+        const sw = this._switch;
+        const config = this.inventoryConfig;
+
+        if (sw.targetId !== this.currentWeaponId) {
+            sw.lowered = Math.min(1, sw.lowered + dt / config.HOLSTER_TIME);
+            if (sw.lowered >= 1) {
+                const { THREE, materials, camera } = this._equipArgs || {};
+                this.equip(sw.targetId, THREE, materials, camera);
+                this._switch = { targetId: sw.targetId, lowered: 1 };
+            }
+        } else {
+            sw.lowered = Math.max(0, sw.lowered - dt / config.DRAW_TIME);
+            if (sw.lowered <= 0) this._switch = null;
+        }
+
+        if (this.fpsMesh) {
+            const baseY = this.fpsMesh.userData.baseY ?? this.fpsMesh.position.y;
+            const lowered = this._switch ? this._switch.lowered : 0;
+            this.fpsMesh.position.y = baseY - lowered * config.HOLSTER_DROP;
+        }
+    },
+
+    // ==========================================
+    // UPGRADES
+    // ==========================================
+
+    /**
+     * Install an upgrade part
+     * Weapon-specific parts go on their weapon even before it is collected.
+     * Parts for any weapon go on the weapon in hand, or else the first carried
+     * weapon that doesn't have one yet. A bigger magazine comes loaded.
+     * @param {string} upgradeId - Part id (Weapon.upgrades)
+     * @returns {string|null} ID of the weapon the part went on, null if none can take it
+     */
+    installUpgrade(upgradeId) {
+        const weaponId = this._findUpgradeTarget(upgradeId);
+        if (!weaponId) return null;
+
+        const weapon = this.weapons[weaponId];
+        const maxBefore = weapon.config?.ammo?.max ?? 0;
+        weapon.upgrades = [...(weapon.upgrades || []), upgradeId];
+
+        const gained = (weapon.config?.ammo?.max ?? 0) - maxBefore;
+        if (gained > 0) this.addAmmoTo(weaponId, gained);
+
+        if (weaponId === this.currentWeaponId) this._attachUpgrade(weapon, upgradeId);
+        return weaponId;
+    },
+
+    /**
+     * Check if a weapon has a part installed
+     * @param {string} weaponId - Weapon ID
+     * @param {string} upgradeId - Part id
+     * @returns {boolean}
+     */
+    hasUpgrade(weaponId, upgradeId) {
+        return this.getUpgrades(weaponId).includes(upgradeId);
+    },
+
+    /**
+     * Parts installed on a weapon
+     * @param {string} weaponId - Weapon ID
+     * @returns {Array<string>} Part ids in install order
+     */
+    getUpgrades(weaponId) {
+        return [...(this.weapons[weaponId]?.upgrades || [])];
+    },
+
+    /**
+     * Carried weapons and their parts, for the pause-screen loadout
+     * @returns {Object[]} [{id, name, active, upgrades: [{id, name}]}]
+     */
+    getLoadout() {
+        return this.inventory.map(id => ({
+            id,
+            name: this.weapons[id]?.name || id,
+            active: id === this.currentWeaponId,
+            upgrades: this.getUpgrades(id).map(upgradeId => ({
+                id: upgradeId,
+                name: (typeof Weapon !== 'undefined' && Weapon.getUpgrade(upgradeId)?.name) || upgradeId
+            }))
+        }));
+    },
+
+    /**
+     * Pick the weapon a part goes on
+     * @private
+     */
+    _findUpgradeTarget(upgradeId) {
+        const part = typeof Weapon !== 'undefined' ? Weapon.getUpgrade(upgradeId) : null;
+        if (!part) return null;
+
+        const canTake = (id) => !!this.weapons[id] && Weapon.upgradeFits(upgradeId, id) && !this.hasUpgrade(id, upgradeId);
+        const candidates = part.weapons || [this.currentWeaponId, ...this.inventory];
+        return candidates.find(id => id && canTake(id)) || null;
+    },
+
+    /**
+     * Show a part on the current FPS mesh
+     * @private
+     */
+    _attachUpgrade(weapon, upgradeId) {
+        const THREE = this._equipArgs?.THREE;
+        if (!THREE || !this.fpsRefs || typeof weapon.attachUpgrade !== 'function') return null;
+        return weapon.attachUpgrade(THREE, this.fpsRefs, upgradeId);
+    },
+
     /**
      * Get currently equipped weapon
      * @returns {Object} Current weapon module
@@ -154,7 +447,10 @@ const WeaponOrchestrator = {
      * @returns {Object|null} Fire result if weapon fires immediately (single-shot weapons)
      */
     onFireStart(time) {
-        if (!this.currentWeapon) return null;
+        if (!this.currentWeapon || this._switch) return null;
+        if (this.isBurstWeapon()) {
+            return this._startBurst(time);
+        }
         if (this.currentWeapon.onFireStart) {
             return this.currentWeapon.onFireStart(time);
         }
@@ -167,7 +463,7 @@ const WeaponOrchestrator = {
      * @returns {Object|null} Fire result if weapon fires
      */
     onFireRelease(time) {
-        if (!this.currentWeapon) return null;
+        if (!this.currentWeapon || this._switch) return null;
         if (this.currentWeapon.onFireRelease) {
             return this.currentWeapon.onFireRelease(time);
         }
@@ -175,23 +471,80 @@ const WeaponOrchestrator = {
     },
 
     /**
-     * Update weapon (called each frame)
+     * Handle alt fire button press (secondary fire, config.altFire)
+     * Ignored by weapons without an onAltFireStart hook and during a burst.
+     * @param {number} time - Current timestamp
+     * @returns {Object|null} Fire result if the alt fire shoots on press
+     */
+    onAltFireStart(time) {
+        if (!this.currentWeapon || this._switch || this._burst) return null;
+        if (this.currentWeapon.onAltFireStart) {
+            return this.currentWeapon.onAltFireStart(time) || null;
+        }
+        return null;
+    },
+
+    /**
+     * Handle alt fire button release
+     * @param {number} time - Current timestamp
+     * @returns {Object|null} Fire result if the alt fire shoots on release
+     */
+    onAltFireRelease(time) {
+        if (!this.currentWeapon || this._switch) return null;
+        if (this.currentWeapon.onAltFireRelease) {
+            return this.currentWeapon.onAltFireRelease(time) || null;
+        }
+        return null;
+    },
+
+    /**
+     * Check if the current weapon has a secondary fire
+     * @returns {boolean}
+     */
+    hasAltFire() {
+        return typeof this.currentWeapon?.onAltFireStart === 'function';
+    },
+
+    /**
+     * Update weapon (called each frame) - runs a switch in progress instead
      * @param {number} dt - Delta time in seconds
      * @param {number} time - Current timestamp
-     * @returns {Object|null} Fire result if weapon fired this frame (for auto-fire weapons)
+     * @returns {Object|null} Fire result if weapon fired this frame (auto-fire weapons, burst rounds)
      */
     update(dt, time) {
+        if (this._switch) {
+            this._updateSwitch(dt);
+            return null;
+        }
         if (!this.currentWeapon) return null;
+        if (this._burst) {
+            if (this.currentWeapon.update) {
+                this.currentWeapon.update(dt, time);
+            }
+            return this._updateBurst(time);
+        }
         if (this.currentWeapon.update) {
             return this.currentWeapon.update(dt, time);
         }
         return null;
     },
 
+    /**
+     * Limit charge for weapons that support it (gamepad trigger pressure)
+     * @param {number} limit - 0-1 fraction of max tension
+     */
+    setChargeLimit(limit) {
+        if (!this.currentWeapon) return;
+        if (this.currentWeapon.setChargeLimit) {
+            this.currentWeapon.setChargeLimit(limit);
+        }
+    },
+
     /**
      * Cancel current action (e.g., cancel charge)
      */
     cancelAction() {
+        this._burst = null;
         if (!this.currentWeapon) return;
         if (this.currentWeapon.cancelAction) {
             this.currentWeapon.cancelAction();
@@ -209,6 +562,7 @@ const WeaponOrchestrator = {
      */
     canFire(time) {
         if (!this.currentWeapon) return false;
+        if (this.isBurstWeapon() && (this._burst || time < this._burstReadyAt)) return false;
         if (this.currentWeapon.canFire) {
             return this.currentWeapon.canFire(time);
         }
@@ -228,6 +582,72 @@ const WeaponOrchestrator = {
         return null;
     },
 
+    // ==========================================
+    // BURST FIRE
+    // ==========================================
+
+    /**
+     * Check if the current weapon fires in bursts (fireMode 'burst')
+     * @returns {boolean}
+     */
+    isBurstWeapon() {
+        return this.currentWeapon?.config?.fireMode === 'burst';
+    },
+
+    /**
+     * Check if a burst is in progress
+     * @returns {boolean}
+     */
+    isBursting() {
+        return this._burst !== null;
+    },
+
+    /**
+     * Start a burst: fires the first round now, the rest from update()
+     * One trigger pull per burst; a pull during a burst or its cooldown is ignored.
+     * @private
+     */
+    _startBurst(time) {
+        if (this._burst || time < this._burstReadyAt) return null;
+        const { count = 3 } = this.currentWeapon.config.burst || {};
+        this._burst = { remaining: count, nextTime: time };
+        return this._fireBurstRound(time);
+    },
+
+    /**
+     * Fire the next round of a burst once its delay has passed
+     * @private
+     */
+    _updateBurst(time) {
+        if (time < this._burst.nextTime) return null;
+        return this._fireBurstRound(time);
+    },
+
+    /**
+     * Fire one round of the burst in progress
+     * Each round uses one shot of ammo; an empty magazine ends the burst early.
+     * The cooldown runs from the last round fired.
+     * @private
+     */
+    _fireBurstRound(time) {
+        const weapon = this.currentWeapon;
+        const burst = this._burst;
+        const result = weapon.fire ? weapon.fire(time) : null;
+        if (!result) {
+            this._burst = null;
+            return null;
+        }
+
+        const { delay = 100 } = weapon.config.burst || {};
+        burst.remaining--;
+        burst.nextTime = time + delay;
+        this._burstReadyAt = time + this.getCooldown();
+        if (burst.remaining <= 0 || this.getAmmo() <= 0) {
+            this._burst = null;
+        }
+        return result;
+    },
+
     // ==========================================
     // ANIMATION DELEGATION
     // ==========================================
@@ -386,6 +806,8 @@ const WeaponOrchestrator = {
      */
     isReloading(time) {
         if (!this.currentWeapon) return false;
+        // Burst weapons reload during the cooldown after a burst, not between its rounds
+        if (this.isBurstWeapon() && !this._burst && time < this._burstReadyAt) return true;
         if (this.currentWeapon.isReloading) {
             return this.currentWeapon.isReloading(time);
         }
@@ -628,27 +1050,104 @@ const WeaponOrchestrator = {
     },
 
     /**
-     * Update crosshair position - fixed center, no auto-aim
-     * Player aims by moving left/right to face enemies
+     * Enable/disable mouse aim (crosshair follows aimOffset)
+     * @param {boolean} enabled - True in pointer-lock mode
+     */
+    setMouseAim(enabled) {
+        this.mouseAim = !!enabled;
+        this.aimOffset = { x: 0, y: 0 };
+    },
+
+    /**
+     * Move the mouse-aim crosshair
+     * Horizontal movement leads the cart's turn and drifts back to center;
+     * vertical movement stays until moved back.
+     * @param {number} dx - Horizontal mouse movement (pixels)
+     * @param {number} dy - Vertical mouse movement (pixels)
+     */
+    moveAim(dx, dy) {
+        if (!this.mouseAim) return;
+        const config = Weapon.mouseAim;
+        const rangeX = window.innerWidth * config.RANGE_X;
+        const rangeY = window.innerHeight * config.RANGE_Y;
+        this.aimOffset.x = Math.max(-rangeX, Math.min(rangeX, this.aimOffset.x + dx * config.LEAD));
+        this.aimOffset.y = Math.max(-rangeY, Math.min(rangeY, this.aimOffset.y + dy));
+    },
+
+    /**
+     * Update crosshair position
+     * Keyboard/gamepad: fixed point - the player aims by turning the cart.
+     * Mouse aim: the fixed point plus aimOffset, pulled toward a nearby enemy
+     * when the aim profile allows assist.
      * Projectile collision handles hit detection
+     * @param {Object} options - { camera, enemies, playerPosition, collisionOrchestrator, gridOrchestrator, roomConfig, boundsMargin, dt }
      */
-    updateAim(options) {
+    updateAim(options = {}) {
         // Fixed crosshair: center horizontally, slightly above center vertically
         // (player is in a cart looking forward, so aim slightly up)
-        const crosshairX = window.innerWidth / 2;
-        const crosshairY = window.innerHeight * 0.42;
+        let crosshairX = window.innerWidth / 2;
+        let crosshairY = window.innerHeight * 0.42;
+        let target = null;
+
+        if (this.mouseAim) {
+            if (options.dt) this.aimOffset.x *= Math.exp(-Weapon.mouseAim.RECENTER * options.dt);
+            const margin = options.boundsMargin || 0;
+            crosshairX = Math.max(margin, Math.min(window.innerWidth - margin, crosshairX + this.aimOffset.x));
+            crosshairY = Math.max(margin, Math.min(window.innerHeight - margin, crosshairY + this.aimOffset.y));
+
+            const assist = this.getAimProfileConfig()?.mouseAssist;
+            target = assist ? this._findAssistTarget(crosshairX, crosshairY, assist.radius, options) : null;
+            if (target) {
+                crosshairX += (target.screen.x - crosshairX) * assist.strength;
+                crosshairY += (target.screen.y - crosshairY) * assist.strength;
+            }
+        }
 
         this.crosshairX = crosshairX;
         this.crosshairY = crosshairY;
-        this.lockedTarget = null;
+        this.lockedTarget = target ? target.enemy : null;
 
         return {
             crosshairX,
             crosshairY,
-            hasTarget: false
+            hasTarget: !!target
         };
     },
 
+    /**
+     * Nearest visible enemy within a screen radius of the crosshair
+     * @private
+     */
+    _findAssistTarget(x, y, radius, options) {
+        const { camera, enemies, playerPosition, collisionOrchestrator, gridOrchestrator, roomConfig } = options;
+        if (!camera || !enemies || !camera.position?.clone) return null;
+
+        let best = null;
+        camera.updateMatrixWorld();
+        enemies.forEach(enemy => {
+            if (!enemy?.userData?.active || enemy.userData.hit) return;
+            const pos = enemy.position.clone();
+            pos.y += Weapon.mouseAim.HIT_HEIGHT;
+            pos.project(camera);
+            if (pos.z < -1 || pos.z > 1) return; // Behind the camera or past the far plane
+
+            const screen = {
+                x: (pos.x * 0.5 + 0.5) * window.innerWidth,
+                y: (-pos.y * 0.5 + 0.5) * window.innerHeight
+            };
+            const dist = Math.hypot(screen.x - x, screen.y - y);
+            if (dist > radius || (best && dist >= best.dist)) return;
+
+            if (collisionOrchestrator && gridOrchestrator && roomConfig && playerPosition &&
+                !collisionOrchestrator.hasLineOfSight(playerPosition.x, playerPosition.z,
+                    enemy.position.x, enemy.position.z, gridOrchestrator, roomConfig)) {
+                return;
+            }
+            best = { enemy, screen, dist };
+        });
+        return best;
+    },
+
     // ==========================================
     // RESET
     // ==========================================
@@ -657,13 +1156,23 @@ const WeaponOrchestrator = {
      * Reset weapon manager (on game restart)
      */
     reset() {
+        Object.values(this.weapons).forEach(weapon => { weapon.upgrades = []; });
         if (this.currentWeapon && this.currentWeapon.resetState) {
             this.currentWeapon.resetState();
         }
+        this.inventory = [];
+        this._savedAmmo = {};
+        this._switch = null;
+        this._burst = null;
+        this._burstReadyAt = 0;
+        if (this.fpsMesh && this.fpsMesh.userData.baseY !== undefined) {
+            this.fpsMesh.position.y = this.fpsMesh.userData.baseY;
+        }
         this.crosshairX = window.innerWidth / 2;
         this.crosshairY = window.innerHeight / 2;
         this.lockedTarget = null;
         this.aimAssistActive = false;
+        this.aimOffset = { x: 0, y: 0 };
     },
 
     /**
@@ -725,20 +1234,20 @@ const WeaponOrchestrator = {
     /**
      * Execute complete fire action
      * Creates projectile and handles all firing logic
+     * @param {number} time - Current timestamp (game clock)
      * @param {Object} options - { camera, crosshairX, crosshairY, projectiles (array), scene, onFire (callback) }
      * @returns {Object|null} Created projectile or null
      */
-    executeFire(options) {
+    executeFire(time, options) {
         const { camera, crosshairX, crosshairY, projectiles, scene, onFire } = options;
         const THREE = this._THREE;
 
         if (!camera || !THREE) return null;
 
-        const now = Date.now();
-        this._lastFireTime = now;
+        this._lastFireTime = time;
 
         // Get fire result from weapon
-        const fireResult = this.currentWeapon ? this.onFireRelease(now) : null;
+        const fireResult = this.currentWeapon ? this.onFireRelease(time) : null;
         if (!fireResult) return null;
 
         // Trigger FPS firing animation
@@ -767,7 +1276,8 @@ const WeaponOrchestrator = {
             speedMax,
             fallbackCamera: camera,
             damage: fireResult.damage,  // Pass damage from weapon
-            projectileType: fireResult.projectileType
+            projectileType: fireResult.projectileType,
+            effects: this.getProjectileConfig()?.effects || null
         });
 
         if (projectile) {
@@ -789,14 +1299,14 @@ const WeaponOrchestrator = {
      * Handle continuous firing (for auto-fire weapons)
      * Call this in update loop
      * @param {number} dt - Delta time
+     * @param {number} time - Current timestamp (game clock)
      * @param {Object} options - Same as executeFire options
      * @returns {Object|null} Created projectile if auto-fired
      */
-    handleAutoFire(dt, options) {
+    handleAutoFire(dt, time, options) {
         if (!this.currentWeapon) return null;
 
-        const now = Date.now();
-        const fireResult = this.update(dt, now);
+        const fireResult = this.update(dt, time);
 
         // For auto-fire weapons, handle fire result from update
         if (fireResult) {
@@ -806,7 +1316,7 @@ const WeaponOrchestrator = {
 
             if (!camera || !THREE) return null;
 
-            this._lastFireTime = now;
+            this._lastFireTime = time;
             this.triggerFireAnim();
 
             const ProjectileOrchestrator = this._projectileOrchestrator || (typeof window !== 'undefined' ? window.ProjectileOrchestrator : null);
@@ -828,7 +1338,8 @@ const WeaponOrchestrator = {
                 speedMax,
                 fallbackCamera: camera,
                 damage: fireResult.damage,  // Pass damage from weapon
-                projectileType: fireResult.projectileType
+                projectileType: fireResult.projectileType,
+                effects: this.getProjectileConfig()?.effects || null
             });
 
             if (projectile) {
@@ -11,6 +11,7 @@ const Weapon = {
             id: 'slingshot',
             name: 'Slingshot',
             fireMode: 'charge',      // 'single', 'auto', 'charge', 'burst'
+            // Optional altFire block: secondary fire (WeaponOrchestrator.onAltFireStart)
             cooldown: 300,           // ms between shots
             range: 120,              // targeting range in units (enemies spawn at 150)
             aimAssist: true,
@@ -33,6 +34,11 @@ const Weapon = {
                 rate: 0.67,          // Tension per second (~1.5s to full charge)
                 minTension: 0.05,    // Quick tap minimum (1 dmg)
                 maxTension: 1.0      // Full charge
+            },
+
+            altFire: {
+                name: 'Trick Shot',  // Charged like fire; the stone bounces off walls
+                ricochet: 2          // Wall/shelf bounces before it stops
             }
         },
 
@@ -54,7 +60,18 @@ const Weapon = {
                 type: 'soft-bullet',
                 speed: { min: 120, max: 120 },  // Constant speed
                 damage: 3,           // Flat 3 damage (reliable pistol)
-                count: 1
+                count: 1,
+                effects: [
+                    { id: 'stunned', headshotOnly: true }  // Foam dart to the head dazes
+                ]
+            },
+
+            altFire: {
+                name: 'Fan the Hammer',
+                shots: 3,            // Darts fanned off per press
+                delay: 70,           // ms between them
+                spread: 0.12,        // Random aim kick per dart
+                cooldown: 900        // ms before the blaster fires again
             }
         },
 
@@ -79,7 +96,22 @@ const Weapon = {
                 count: 1,
                 gravity: 20,         // Increased arc (was 18)
                 splashRadius: 8,     // Larger AOE (was 5)
-                splashDamage: 3.0    // Stronger splash (was 2.0)
+                splashDamage: 3.0,   // Stronger splash (was 2.0)
+                effects: [
+                    { id: 'soaked' }  // Direct hits and splash both soak
+                ]
+            },
+
+            altFire: {
+                name: 'Puddle',
+                ammoCost: 2,         // Shots of water per puddle blob
+                puddle: {
+                    radius: 5,
+                    duration: 6,     // Seconds before it dries up
+                    effects: [
+                        { id: 'soaked' }  // Kept on enemies while they stand in it
+                    ]
+                }
             }
         },
 
@@ -102,7 +134,20 @@ const Weapon = {
                 speed: { min: 80, max: 80 },  // Reduced speed (was 120)
                 damage: 1,           // Low damage per shot (was 0.5)
                 count: 1,
-                spread: 0.05         // Spread for auto-fire
+                spread: 0.05,        // Spread for auto-fire
+                effects: [
+                    { id: 'burning' }  // Each bolt adds a stack
+                ]
+            },
+
+            altFire: {
+                name: 'Overcharge',
+                chargeTime: 1.2,     // Seconds to full overcharge
+                minCharge: 0.25,     // Released earlier, the beam fizzles
+                damage: 8,           // At full overcharge
+                pierce: 3,           // Enemies the beam passes through
+                ammoCost: 15,        // Energy per beam
+                speed: 140
             }
         },
 
@@ -126,6 +171,33 @@ const Weapon = {
                 damage: 0,
                 count: 1
             }
+        },
+
+        DARTRIFLE: {
+            id: 'dartrifle',
+            name: 'Dart Rifle',
+            fireMode: 'burst',       // Tap for a burst (see WeaponOrchestrator burst fire)
+            cooldown: 550,           // ms after the last dart of a burst
+            range: 130,
+            aimAssist: true,
+
+            spawnOffset: {
+                forward: 1.4,        // Shouldered, longer than the blaster
+                down: 0.3,
+                right: 0
+            },
+
+            projectile: {
+                type: 'foam-dart',
+                speed: { min: 135, max: 135 },
+                damage: 2,           // 6 per full burst
+                count: 1
+            },
+
+            burst: {
+                count: 3,            // Darts per trigger pull
+                delay: 90            // ms between darts in a burst
+            }
         }
     },
 
@@ -152,6 +224,11 @@ const Weapon = {
                     lateralPenalty: 15,
                     baseScore: 300
                 }
+            },
+            // Mouse aim: crosshair is pulled toward the nearest enemy on screen
+            mouseAssist: {
+                radius: 90,          // Pixels from the crosshair
+                strength: 0.35       // Fraction of the gap closed
             }
         },
         NONE: {
@@ -162,6 +239,63 @@ const Weapon = {
         }
     },
 
+    // Pointer-lock mouse aim (Settings: mouseAim)
+    mouseAim: {
+        TURN_SPEED: 0.0025,          // Cart rotation (radians) per pixel of horizontal movement
+        LEAD: 0.5,                   // Horizontal movement also shown as crosshair offset
+        RECENTER: 4,                 // Horizontal offset decay per second (the cart turns instead)
+        RANGE_X: 0.2,                // Max offset as a fraction of screen width
+        RANGE_Y: 0.3,                // Max offset as a fraction of screen height
+        HIT_HEIGHT: 1.2              // Enemy height (world units) the assist aims at
+    },
+
+    // Carried weapons (see WeaponOrchestrator.switchTo)
+    inventory: {
+        HOLSTER_TIME: 0.15,          // Seconds to lower the current weapon
+        DRAW_TIME: 0.2,              // Seconds to raise the next one
+        HOLSTER_DROP: 0.35           // How far the FPS weapon drops out of view
+    },
+
+    // Upgrade parts (see WeaponOrchestrator.installUpgrade)
+    // weapons: ids the part fits (null = any weapon); one of each part per weapon
+    upgrades: {
+        EXTENDED_MAG: {
+            id: 'extended_mag',
+            name: 'Extended Magazine',
+            weapons: null,
+            ammoMultiplier: 1.5,     // Max ammo
+            color: 0x95a5a6
+        },
+        HAIR_TRIGGER: {
+            id: 'hair_trigger',
+            name: 'Hair Trigger',
+            weapons: null,
+            cooldownMultiplier: 0.7, // Time between shots
+            color: 0xf1c40f
+        },
+        BALLOON_NOZZLE: {
+            id: 'balloon_nozzle',
+            name: 'Balloon Nozzle',
+            weapons: ['watergun'],
+            splashMultiplier: 1.6,   // Splash radius of the blob
+            color: 0x5dade2
+        },
+        FOCUS_LENS: {
+            id: 'focus_lens',
+            name: 'Focus Lens',
+            weapons: ['lasergun'],
+            pierce: 2,               // Extra enemies each ray passes through
+            color: 0xff4757
+        },
+        TRIPLE_POUCH: {
+            id: 'triple_pouch',
+            name: 'Triple Pouch',
+            weapons: ['slingshot'],
+            spread: { count: 3, angle: 0.08 },  // Stones per shot, radians between them
+            color: 0x8b5a2b
+        }
+    },
+
     // Helper to get weapon config
     get(typeId) {
         return this.types[typeId] || null;
@@ -170,5 +304,55 @@ const Weapon = {
     // Helper to get aim profile
     getAimProfile(profileId) {
         return this.aimProfiles[profileId] || this.aimProfiles.STANDARD;
+    },
+
+    // Helper to get an upgrade part by id ('extended_mag')
+    getUpgrade(upgradeId) {
+        return Object.values(this.upgrades).find(part => part.id === upgradeId) || null;
+    },
+
+    // Check whether a part can go on a weapon
+    upgradeFits(upgradeId, weaponId) {
+        const part = this.getUpgrade(upgradeId);
+        return !!part && (!part.weapons || part.weapons.includes(weaponId));
+    },
+
+    /**
+     * Effective config of a weapon with parts installed
+     * Returns the config untouched when no parts are installed.
+     * @param {Object} config - Weapon config (Weapon.types entry plus ammo)
+     * @param {Array<string>} upgradeIds - Installed part ids
+     * @returns {Object} Modified copy of the config
+     */
+    applyUpgrades(config, upgradeIds) {
+        if (!upgradeIds || upgradeIds.length === 0) return config;
+
+        const result = {
+            ...config,
+            projectile: { ...config.projectile },
+            ammo: config.ammo ? { ...config.ammo } : config.ammo
+        };
+        upgradeIds.forEach(id => {
+            const part = this.getUpgrade(id);
+            if (!part) return;
+            if (part.ammoMultiplier && result.ammo) {
+                result.ammo.max = Math.round(result.ammo.max * part.ammoMultiplier);
+                result.ammo.current = result.ammo.max;
+            }
+            if (part.cooldownMultiplier) {
+                result.cooldown = Math.round(result.cooldown * part.cooldownMultiplier);
+            }
+            if (part.splashMultiplier) {
+                result.projectile.splashScale = (result.projectile.splashScale || 1) * part.splashMultiplier;
+            }
+            if (part.pierce) {
+                result.projectile.pierce = (result.projectile.pierce || 0) + part.pierce;
+            }
+            if (part.spread) {
+                result.projectile.count = part.spread.count;
+                result.projectile.spreadAngle = part.spread.angle;
+            }
+        });
+        return result;
     }
 };
@@ -76,7 +76,7 @@
             const registry = (typeof globalThis !== 'undefined' && globalThis.WeaponTypeRegistry)
                 ? globalThis.WeaponTypeRegistry
                 : {};
-            const types = ['slingshot', 'watergun', 'nerfgun', 'lasergun', 'dinonizer'];
+            const types = ['slingshot', 'watergun', 'nerfgun', 'lasergun', 'dinonizer', 'dartrifle'];
             types.forEach((id) => {
                 test.assertTrue(registry[id] !== undefined, `${id} should be registered`);
             });
@@ -303,6 +303,582 @@
         });
     });
 
+    test.describe('WeaponOrchestrator - Mouse Aim', () => {
+        const baseY = () => window.innerHeight * 0.42;
+        const createCamera = () => {
+            const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+            camera.updateMatrixWorld();
+            return camera;
+        };
+        // Enemy 10 units ahead - its aim point projects just below the fixed crosshair
+        const createEnemy = (userData = {}) => ({
+            position: new THREE.Vector3(0, 0, -10),
+            userData: { active: true, hit: false, ...userData }
+        });
+
+        test.beforeEach(() => {
+            WeaponOrchestrator.init(null);
+            WeaponOrchestrator.setAimProfile('STANDARD');
+        });
+
+        test.afterEach(() => {
+            WeaponOrchestrator.setMouseAim(false);
+            WeaponOrchestrator.setAimProfile('STANDARD');
+        });
+
+        test.it('should ignore mouse movement when mouse aim is off', () => {
+            WeaponOrchestrator.moveAim(100, 100);
+            const aim = WeaponOrchestrator.updateAim({});
+            test.assertEqual(aim.crosshairX, window.innerWidth / 2);
+            test.assertCloseTo(aim.crosshairY, baseY(), 0.001);
+        });
+
+        test.it('should offset the crosshair with mouse movement', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            WeaponOrchestrator.moveAim(40, 30);
+            const aim = WeaponOrchestrator.updateAim({});
+            test.assertCloseTo(aim.crosshairX, window.innerWidth / 2 + 40 * Weapon.mouseAim.LEAD, 0.001);
+            test.assertCloseTo(aim.crosshairY, baseY() + 30, 0.001);
+        });
+
+        test.it('should clamp the offset to the aim range', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            WeaponOrchestrator.moveAim(0, 100000);
+            test.assertCloseTo(WeaponOrchestrator.aimOffset.y, window.innerHeight * Weapon.mouseAim.RANGE_Y, 0.001);
+        });
+
+        test.it('should drift the horizontal offset back to center', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            WeaponOrchestrator.moveAim(100, 50);
+            const startX = WeaponOrchestrator.aimOffset.x;
+            WeaponOrchestrator.updateAim({ dt: 0.5 });
+            test.assertTrue(WeaponOrchestrator.aimOffset.x < startX, 'Horizontal offset should decay');
+            test.assertEqual(WeaponOrchestrator.aimOffset.y, 50, 'Vertical offset should stay');
+        });
+
+        test.it('should pull the crosshair toward a nearby enemy', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            WeaponOrchestrator.moveAim(0, 50);
+            const enemy = createEnemy();
+            const aim = WeaponOrchestrator.updateAim({ camera: createCamera(), enemies: [enemy] });
+            test.assertTrue(aim.hasTarget);
+            test.assertTrue(aim.crosshairY < baseY() + 50, 'Crosshair should move toward the enemy');
+            test.assertEqual(WeaponOrchestrator.getLockedTarget(), enemy);
+        });
+
+        test.it('should not assist with the NONE aim profile', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            WeaponOrchestrator.setAimProfile('NONE');
+            WeaponOrchestrator.moveAim(0, 50);
+            const aim = WeaponOrchestrator.updateAim({ camera: createCamera(), enemies: [createEnemy()] });
+            test.assertFalse(aim.hasTarget);
+            test.assertCloseTo(aim.crosshairY, baseY() + 50, 0.001);
+        });
+
+        test.it('should skip inactive and hit enemies', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            const enemies = [createEnemy({ active: false }), createEnemy({ hit: true })];
+            const aim = WeaponOrchestrator.updateAim({ camera: createCamera(), enemies });
+            test.assertFalse(aim.hasTarget);
+        });
+
+        test.it('should skip enemies behind the camera', () => {
+            WeaponOrchestrator.setMouseAim(true);
+            const enemy = createEnemy();
+            enemy.position.z = 10;
+            const aim = WeaponOrchestrator.updateAim({ camera: createCamera(), enemies: [enemy] });
+            test.assertFalse(aim.hasTarget);
+        });
+    });
+
+    // ==========================================
+    // BURST FIRE TESTS
+    // ==========================================
+
+    test.describe('WeaponOrchestrator - Burst Fire', () => {
+        const burst = () => Weapon.types.DARTRIFLE.burst;
+        const cooldown = () => Weapon.types.DARTRIFLE.cooldown;
+
+        // Fire and run frames until the burst is over, collecting every round
+        const runBurst = (start) => {
+            const shots = [];
+            const first = WeaponOrchestrator.onFireStart(start);
+            if (first) shots.push(first);
+            for (let t = start + 10; WeaponOrchestrator.isBursting() && t < start + 2000; t += 10) {
+                const result = WeaponOrchestrator.update(0.01, t);
+                if (result) shots.push(result);
+            }
+            return shots;
+        };
+
+        test.beforeEach(() => {
+            WeaponOrchestrator.init(null);
+            WeaponOrchestrator.register(DartRifle);
+            WeaponOrchestrator.register(NerfGun);
+            WeaponOrchestrator.equip('dartrifle', null, null, null);
+        });
+
+        test.afterEach(() => {
+            WeaponOrchestrator.reset();
+        });
+
+        test.it('should fire the first round on trigger pull', () => {
+            const result = WeaponOrchestrator.onFireStart(1000);
+            test.assertTrue(result !== null, 'First round fires right away');
+            test.assertEqual(result.projectileType, 'foam-dart');
+            test.assertTrue(WeaponOrchestrator.isBursting());
+        });
+
+        test.it('should fire the rest of the burst after the delay', () => {
+            WeaponOrchestrator.onFireStart(1000);
+            test.assertEqual(WeaponOrchestrator.update(0.016, 1000 + burst().delay - 1), null, 'Not before the delay');
+            test.assertTrue(WeaponOrchestrator.update(0.016, 1000 + burst().delay) !== null);
+            test.assertTrue(WeaponOrchestrator.update(0.016, 1000 + burst().delay * 2) !== null);
+            test.assertFalse(WeaponOrchestrator.isBursting(), 'Burst over after count rounds');
+        });
+
+        test.it('should keep firing after the trigger is released', () => {
+            WeaponOrchestrator.onFireStart(1000);
+            WeaponOrchestrator.onFireRelease(1010);
+            test.assertTrue(WeaponOrchestrator.update(0.016, 1000 + burst().delay) !== null);
+        });
+
+        test.it('should use one round of ammo per shot', () => {
+            const shots = runBurst(1000);
+            test.assertEqual(shots.length, burst().count);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), DartRifle.config.ammo.max - burst().count);
+        });
+
+        test.it('should end the burst early when the magazine runs dry', () => {
+            DartRifle.state.ammo = 2;
+            const shots = runBurst(1000);
+            test.assertEqual(shots.length, 2);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 0);
+            test.assertFalse(WeaponOrchestrator.isBursting());
+        });
+
+        test.it('should ignore trigger pulls during a burst', () => {
+            WeaponOrchestrator.onFireStart(1000);
+            test.assertEqual(WeaponOrchestrator.onFireStart(1000 + burst().delay), null);
+            test.assertFalse(WeaponOrchestrator.canFire(1000 + burst().delay));
+        });
+
+        test.it('should only report reloading during the cooldown after a burst', () => {
+            const shots = [WeaponOrchestrator.onFireStart(1000)];
+            for (let t = 1000; WeaponOrchestrator.isBursting() && t < 3000; t += 10) {
+                test.assertFalse(WeaponOrchestrator.isReloading(t), `Reloading mid-burst at ${t}`);
+                const shot = WeaponOrchestrator.update(0.01, t);
+                if (shot) shots.push(shot);
+            }
+            test.assertEqual(shots.length, burst().count);
+            const lastRound = 1000 + burst().delay * (burst().count - 1);
+            test.assertTrue(WeaponOrchestrator.isReloading(lastRound + 1));
+            test.assertFalse(WeaponOrchestrator.isReloading(lastRound + cooldown()));
+        });
+
+        test.it('should hold the cooldown after the last round', () => {
+            runBurst(1000);
+            const lastRound = 1000 + burst().delay * (burst().count - 1);
+            test.assertEqual(WeaponOrchestrator.onFireStart(lastRound + cooldown() - 1), null);
+            test.assertTrue(WeaponOrchestrator.isReloading(lastRound + cooldown() - 1));
+            test.assertTrue(WeaponOrchestrator.onFireStart(lastRound + cooldown()) !== null);
+        });
+
+        test.it('should shorten the cooldown with a hair trigger', () => {
+            WeaponOrchestrator.installUpgrade('hair_trigger');
+            runBurst(1000);
+            const lastRound = 1000 + burst().delay * (burst().count - 1);
+            test.assertTrue(WeaponOrchestrator.onFireStart(lastRound + Math.round(cooldown() * 0.7)) !== null);
+        });
+
+        test.it('should drop the rest of a burst when cancelled', () => {
+            WeaponOrchestrator.onFireStart(1000);
+            WeaponOrchestrator.cancelAction();
+            test.assertFalse(WeaponOrchestrator.isBursting());
+            WeaponOrchestrator.update(0.016, 1000 + burst().delay);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), DartRifle.config.ammo.max - 1, 'No more rounds fired');
+        });
+
+        test.it('should drop the rest of a burst when switching weapons', () => {
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.equip('dartrifle', null, null, null);
+            WeaponOrchestrator.onFireStart(1000);
+            WeaponOrchestrator.switchTo('nerfgun');
+            test.assertFalse(WeaponOrchestrator.isBursting());
+        });
+
+        test.it('should leave other fire modes alone', () => {
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            test.assertFalse(WeaponOrchestrator.isBurstWeapon());
+            test.assertTrue(WeaponOrchestrator.onFireStart(1000) !== null);
+            test.assertFalse(WeaponOrchestrator.isBursting());
+        });
+    });
+
+    // ==========================================
+    // ALT FIRE TESTS
+    // ==========================================
+
+    test.describe('WeaponOrchestrator - Alt Fire', () => {
+        test.beforeEach(() => {
+            WeaponOrchestrator.init(null);
+            [Slingshot, NerfGun, WaterGun, LaserGun, DartRifle].forEach(w => WeaponOrchestrator.register(w));
+        });
+
+        test.afterEach(() => {
+            WeaponOrchestrator.reset();
+        });
+
+        test.it('should report which weapons have an alt fire', () => {
+            ['slingshot', 'nerfgun', 'watergun', 'lasergun'].forEach(id => {
+                WeaponOrchestrator.equip(id, null, null, null);
+                test.assertTrue(WeaponOrchestrator.hasAltFire(), `${id} has alt fire`);
+            });
+            WeaponOrchestrator.equip('dartrifle', null, null, null);
+            test.assertFalse(WeaponOrchestrator.hasAltFire());
+            test.assertEqual(WeaponOrchestrator.onAltFireStart(1000), null, 'No hook, no shot');
+            test.assertEqual(WeaponOrchestrator.onAltFireRelease(1100), null);
+        });
+
+        test.it('should fire a ricocheting trick shot on slingshot alt release', () => {
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+            test.assertEqual(WeaponOrchestrator.onAltFireStart(1000), null, 'Draws like fire');
+            test.assertTrue(WeaponOrchestrator.isCharging());
+            WeaponOrchestrator.update(0.5, 1500);
+            const result = WeaponOrchestrator.onAltFireRelease(1500);
+            test.assertTrue(result !== null);
+            test.assertEqual(result.ricochet, Weapon.types.SLINGSHOT.altFire.ricochet);
+        });
+
+        test.it('should keep a trick shot drawn when fire is released', () => {
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+            WeaponOrchestrator.onAltFireStart(1000);
+            test.assertEqual(WeaponOrchestrator.onFireRelease(1400), null);
+            test.assertTrue(WeaponOrchestrator.isCharging());
+
+            WeaponOrchestrator.cancelAction();
+            WeaponOrchestrator.onFireStart(2000);
+            const shot = WeaponOrchestrator.onFireRelease(2400);
+            test.assertEqual(shot.ricochet, 0, 'Regular shots do not bounce');
+        });
+
+        test.it('should fan the hammer for a quick spray of darts', () => {
+            const alt = Weapon.types.NERFGUN.altFire;
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            const shots = [WeaponOrchestrator.onAltFireStart(1000)];
+            for (let t = 1010; t < 1000 + alt.delay * alt.shots; t += 10) {
+                const result = WeaponOrchestrator.update(0.01, t);
+                if (result) shots.push(result);
+            }
+            test.assertEqual(shots.length, alt.shots);
+            test.assertTrue(shots.every(s => s && s.spread), 'Every dart kicks off the aim');
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 12 - alt.shots);
+        });
+
+        test.it('should hold the blaster for the alt fire cooldown after a spray', () => {
+            const alt = Weapon.types.NERFGUN.altFire;
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.onAltFireStart(1000);
+            WeaponOrchestrator.cancelAction();
+            test.assertFalse(WeaponOrchestrator.canFire(1000 + Weapon.types.NERFGUN.cooldown));
+            test.assertTrue(WeaponOrchestrator.canFire(1000 + alt.cooldown));
+        });
+
+        test.it('should lob a puddle balloon from the water gun', () => {
+            const alt = Weapon.types.WATERGUN.altFire;
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            const result = WeaponOrchestrator.onAltFireStart(1000);
+            test.assertEqual(result.projectileType, 'blob');
+            test.assertEqual(result.puddle.radius, alt.puddle.radius);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 30 - alt.ammoCost);
+        });
+
+        test.it('should not lob a puddle without enough water', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WaterGun.state.ammo = Weapon.types.WATERGUN.altFire.ammoCost - 1;
+            test.assertEqual(WeaponOrchestrator.onAltFireStart(1000), null);
+        });
+
+        test.it('should fire an overcharged laser beam on release', () => {
+            const alt = Weapon.types.LASERGUN.altFire;
+            WeaponOrchestrator.equip('lasergun', null, null, null);
+            WeaponOrchestrator.onAltFireStart(1000);
+            WeaponOrchestrator.update(alt.chargeTime, 1000 + alt.chargeTime * 1000);
+            test.assertCloseTo(WeaponOrchestrator.getTension(), 1, 0.001, 'Tension shows the overcharge');
+            const beam = WeaponOrchestrator.onAltFireRelease(2500);
+            test.assertEqual(beam.damage, alt.damage);
+            test.assertEqual(beam.pierce, alt.pierce);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 75 - alt.ammoCost);
+        });
+
+        test.it('should fizzle an overcharge released too early', () => {
+            WeaponOrchestrator.equip('lasergun', null, null, null);
+            WeaponOrchestrator.onAltFireStart(1000);
+            WeaponOrchestrator.update(0.05, 1050);
+            test.assertEqual(WeaponOrchestrator.onAltFireRelease(1050), null);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 75, 'No energy spent');
+        });
+
+        test.it('should drop an overcharge on cancel', () => {
+            WeaponOrchestrator.equip('lasergun', null, null, null);
+            WeaponOrchestrator.onAltFireStart(1000);
+            WeaponOrchestrator.update(1, 2000);
+            WeaponOrchestrator.cancelAction();
+            test.assertEqual(WeaponOrchestrator.onAltFireRelease(2000), null);
+        });
+    });
+
+    // ==========================================
+    // INVENTORY TESTS
+    // ==========================================
+
+    test.describe('WeaponOrchestrator - Inventory', () => {
+        // Holster + draw, one frame each
+        const finishSwitch = () => {
+            const config = WeaponOrchestrator.inventoryConfig;
+            WeaponOrchestrator.update(config.HOLSTER_TIME, 1000);
+            WeaponOrchestrator.update(config.DRAW_TIME, 1000);
+        };
+
+        test.beforeEach(() => {
+            WeaponOrchestrator.init(null);
+            WeaponOrchestrator.register(Slingshot);
+            WeaponOrchestrator.register(WaterGun);
+            WeaponOrchestrator.register(NerfGun);
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+        });
+
+        test.it('should add equipped weapons to the inventory in pickup order', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            test.assertArrayEqual(WeaponOrchestrator.getInventory(), ['slingshot', 'watergun', 'nerfgun']);
+        });
+
+        test.it('should holster, swap and draw over time', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            test.assertTrue(WeaponOrchestrator.switchTo('slingshot'));
+            test.assertTrue(WeaponOrchestrator.isSwitching());
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'watergun', 'Old weapon stays until holstered');
+
+            WeaponOrchestrator.update(WeaponOrchestrator.inventoryConfig.HOLSTER_TIME, 1000);
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'slingshot');
+            test.assertTrue(WeaponOrchestrator.isSwitching(), 'Still drawing');
+
+            WeaponOrchestrator.update(WeaponOrchestrator.inventoryConfig.DRAW_TIME, 1000);
+            test.assertFalse(WeaponOrchestrator.isSwitching());
+        });
+
+        test.it('should preserve ammo of holstered weapons', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WaterGun.state.ammo = 7;
+            WeaponOrchestrator.switchTo('slingshot');
+            finishSwitch();
+            WeaponOrchestrator.switchTo('watergun');
+            finishSwitch();
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 7);
+        });
+
+        test.it('should not fire while switching', () => {
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.switchTo('slingshot');
+            WeaponOrchestrator.switchTo('nerfgun');
+            test.assertEqual(WeaponOrchestrator.onFireStart(1000), null);
+            finishSwitch();
+            test.assertTrue(WeaponOrchestrator.onFireStart(2000) !== null, 'Fires once drawn');
+        });
+
+        test.it('should retarget a switch already in progress', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.switchTo('slingshot');
+            test.assertTrue(WeaponOrchestrator.switchTo('watergun'));
+            finishSwitch();
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'watergun');
+            test.assertFalse(WeaponOrchestrator.isSwitching());
+        });
+
+        test.it('should switch by slot and ignore empty slots', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            test.assertTrue(WeaponOrchestrator.switchSlot(0));
+            finishSwitch();
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'slingshot');
+            test.assertFalse(WeaponOrchestrator.switchSlot(4));
+            test.assertFalse(WeaponOrchestrator.switchTo('lasergun'), 'Cannot switch to a weapon not carried');
+        });
+
+        test.it('should cycle through weapons with wrap-around', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            WeaponOrchestrator.cycleWeapon(1);
+            finishSwitch();
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'slingshot');
+            WeaponOrchestrator.cycleWeapon(-1);
+            finishSwitch();
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'nerfgun');
+        });
+
+        test.it('should add ammo to a holstered weapon up to its max', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WaterGun.state.ammo = 10;
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+            test.assertEqual(WeaponOrchestrator.addAmmoTo('watergun', 5), 5);
+            test.assertEqual(WeaponOrchestrator.addAmmoTo('watergun', 100), 15);
+            test.assertEqual(WeaponOrchestrator.addAmmoTo('nerfgun', 5), 0, 'Not carried');
+        });
+
+        test.it('should list inventory slots for the HUD', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WaterGun.state.ammo = 12;
+            const slots = WeaponOrchestrator.getInventorySlots();
+            test.assertEqual(slots.length, 2);
+            test.assertEqual(slots[1].slot, 2);
+            test.assertEqual(slots[1].ammo, 12);
+            test.assertTrue(slots[1].active);
+            test.assertFalse(slots[0].active);
+        });
+
+        test.it('should top up a carried weapon on pickup without switching', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WaterGun.state.ammo = 0;
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+
+            const pickup = Pickup.createInstance('watergun', { x: 0, y: 1, z: 0 });
+            const result = PickupOrchestrator.collect(pickup, WeaponOrchestrator, null, null, null);
+            test.assertFalse(result.switched);
+            test.assertEqual(result.ammoAdded, Math.min(Pickup.types.WATERGUN.ammoGrant, WaterGun.config.ammo.max));
+            test.assertEqual(WeaponOrchestrator.getCurrentId(), 'slingshot');
+        });
+
+        test.it('should clear the inventory on reset', () => {
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            WeaponOrchestrator.switchTo('slingshot');
+            WeaponOrchestrator.reset();
+            test.assertArrayEqual(WeaponOrchestrator.getInventory(), []);
+            test.assertFalse(WeaponOrchestrator.isSwitching());
+        });
+    });
+
+    // ==========================================
+    // UPGRADE TESTS
+    // ==========================================
+
+    test.describe('WeaponOrchestrator - Upgrades', () => {
+        test.beforeEach(() => {
+            WeaponOrchestrator.init(null);
+            [Slingshot, WaterGun, NerfGun, LaserGun].forEach(w => WeaponOrchestrator.register(w));
+            WeaponOrchestrator.reset();
+            WeaponOrchestrator.equip('slingshot', null, null, null);
+        });
+
+        test.afterEach(() => {
+            WeaponOrchestrator.reset();
+        });
+
+        test.it('should leave the config untouched without parts', () => {
+            const config = { cooldown: 100, projectile: { count: 1 } };
+            test.assertEqual(Weapon.applyUpgrades(config, []), config);
+            test.assertEqual(Slingshot.config.ammo.max, 25);
+        });
+
+        test.it('should check which weapons a part fits', () => {
+            test.assertTrue(Weapon.upgradeFits('extended_mag', 'nerfgun'));
+            test.assertTrue(Weapon.upgradeFits('focus_lens', 'lasergun'));
+            test.assertFalse(Weapon.upgradeFits('focus_lens', 'slingshot'));
+            test.assertFalse(Weapon.upgradeFits('unknown', 'slingshot'));
+        });
+
+        test.it('should install generic parts on the weapon in hand', () => {
+            test.assertEqual(WeaponOrchestrator.installUpgrade('hair_trigger'), 'slingshot');
+            test.assertEqual(Slingshot.config.cooldown, Math.round(Weapon.types.SLINGSHOT.cooldown * 0.7));
+            test.assertTrue(WeaponOrchestrator.hasUpgrade('slingshot', 'hair_trigger'));
+        });
+
+        test.it('should put a repeated generic part on the next carried weapon', () => {
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            test.assertEqual(WeaponOrchestrator.installUpgrade('extended_mag'), 'nerfgun');
+            test.assertEqual(WeaponOrchestrator.installUpgrade('extended_mag'), 'slingshot');
+            test.assertEqual(WeaponOrchestrator.installUpgrade('extended_mag'), null, 'Every carried weapon has one');
+        });
+
+        test.it('should load the extra rounds of an extended magazine', () => {
+            Slingshot.state.ammo = 10;
+            WeaponOrchestrator.installUpgrade('extended_mag');
+            test.assertEqual(Slingshot.config.ammo.max, 38);
+            test.assertEqual(WeaponOrchestrator.getAmmo(), 23);
+        });
+
+        test.it('should fit weapon-specific parts to their weapon before it is collected', () => {
+            test.assertEqual(WeaponOrchestrator.installUpgrade('focus_lens'), 'lasergun');
+            test.assertFalse(WeaponOrchestrator.hasWeapon('lasergun'));
+
+            WeaponOrchestrator.equip('lasergun', null, null, null);
+            LaserGun.onFireStart(1000);
+            const result = LaserGun.update(0.1, 1000);
+            test.assertEqual(result.pierce, 2);
+        });
+
+        test.it('should fire three stones with the triple pouch', () => {
+            WeaponOrchestrator.installUpgrade('triple_pouch');
+            WeaponOrchestrator.onFireStart(1000);
+            WeaponOrchestrator.update(0.5, 1500);
+            const result = WeaponOrchestrator.onFireRelease(1500);
+            test.assertEqual(result.count, 3);
+            test.assertEqual(result.spreadAngle, Weapon.upgrades.TRIPLE_POUCH.spread.angle);
+            test.assertEqual(Slingshot.state.ammo, 24, 'Still one stone of ammo per shot');
+        });
+
+        test.it('should widen the water gun splash with the balloon nozzle', () => {
+            WeaponOrchestrator.installUpgrade('balloon_nozzle');
+            WeaponOrchestrator.equip('watergun', null, null, null);
+            const result = WeaponOrchestrator.onFireStart(1000);
+            test.assertEqual(result.splashScale, Weapon.upgrades.BALLOON_NOZZLE.splashMultiplier);
+        });
+
+        test.it('should list the loadout of carried weapons', () => {
+            WeaponOrchestrator.installUpgrade('hair_trigger');
+            WeaponOrchestrator.equip('nerfgun', null, null, null);
+            const loadout = WeaponOrchestrator.getLoadout();
+            test.assertEqual(loadout.length, 2);
+            test.assertEqual(loadout[0].upgrades[0].name, 'Hair Trigger');
+            test.assertFalse(loadout[0].active);
+            test.assertEqual(loadout[1].upgrades.length, 0);
+            test.assertTrue(loadout[1].active);
+        });
+
+        test.it('should install parts from upgrade pickups', () => {
+            const pickup = Pickup.createInstance('upgrade_hair_trigger', { x: 0, y: 1, z: 0 });
+            const result = PickupOrchestrator.collect(pickup, WeaponOrchestrator, null, null, null);
+            test.assertTrue(result.isUpgrade);
+            test.assertEqual(result.weaponId, 'slingshot');
+            test.assertFalse(result.switched);
+        });
+
+        test.it('should remove parts on reset', () => {
+            WeaponOrchestrator.installUpgrade('focus_lens');
+            WeaponOrchestrator.installUpgrade('hair_trigger');
+            WeaponOrchestrator.reset();
+            test.assertArrayEqual(WeaponOrchestrator.getUpgrades('slingshot'), []);
+            test.assertArrayEqual(LaserGun.upgrades, []);
+        });
+
+        test.it('should add part meshes to the FPS weapon', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const camera = new THREE.Object3D();
+            WeaponOrchestrator.installUpgrade('triple_pouch');
+            WeaponOrchestrator.equip('slingshot', THREE, null, camera);
+            const parts = [];
+            WeaponOrchestrator.fpsMesh.traverse(o => o.userData.upgradeId && parts.push(o.userData.upgradeId));
+            test.assertArrayEqual(parts, ['triple_pouch']);
+
+            WeaponOrchestrator.installUpgrade('hair_trigger');
+            test.assertEqual(WeaponOrchestrator.fpsRefs.slingshot.children.filter(o => o.userData.upgradeId).length, 2);
+        });
+    });
+
     // ==========================================
     // SLINGSHOT MODULE TESTS
     // ==========================================
@@ -353,6 +929,21 @@
             test.assertEqual(Slingshot.state.chargeAmount, 1.0);
         });
 
+        test.it('should cap charge at the charge limit', () => {
+            Slingshot.onFireStart(1000);
+            Slingshot.setChargeLimit(0.5);
+            Slingshot.update(10, 11000);
+            test.assertEqual(Slingshot.state.chargeAmount, 0.5);
+        });
+
+        test.it('should keep built tension when the charge limit drops', () => {
+            Slingshot.onFireStart(1000);
+            Slingshot.update(10, 11000);
+            Slingshot.setChargeLimit(0.1);
+            Slingshot.update(0.1, 11100);
+            test.assertEqual(Slingshot.state.chargeAmount, 1.0);
+        });
+
         test.it('should fire on release', () => {
             Slingshot.onFireStart(1000);
             Slingshot.update(0.5, 1500);
@@ -593,6 +1184,76 @@
         });
     });
 
+    // ==========================================
+    // DART RIFLE MODULE TESTS
+    // ==========================================
+
+    test.describe('DartRifle Module', () => {
+        test.beforeEach(() => {
+            DartRifle.resetState();
+        });
+
+        test.it('should have correct id', () => {
+            test.assertEqual(DartRifle.id, 'dartrifle');
+        });
+
+        test.it('should have burst fire mode', () => {
+            test.assertEqual(DartRifle.config.fireMode, 'burst');
+            test.assertEqual(DartRifle.config.burst.count, 3);
+        });
+
+        test.it('should have limited ammo', () => {
+            test.assertEqual(DartRifle.config.ammo.max, 30);
+        });
+
+        test.it('should fire one foam dart per fire call', () => {
+            const result = DartRifle.fire(1000);
+            test.assertTrue(result !== null, 'Should return fire result');
+            test.assertEqual(result.projectileType, 'foam-dart');
+            test.assertEqual(DartRifle.state.ammo, 29);
+        });
+
+        test.it('should gate darts by the burst delay', () => {
+            const delay = DartRifle.config.burst.delay;
+            DartRifle.fire(1000);
+            test.assertEqual(DartRifle.fire(1000 + delay - 1), null);
+            test.assertTrue(DartRifle.fire(1000 + delay) !== null);
+        });
+
+        test.it('should not fire when empty', () => {
+            DartRifle.state.ammo = 0;
+            test.assertEqual(DartRifle.fire(1000), null);
+            test.assertEqual(DartRifle.getAmmoDisplay(), 'EMPTY');
+        });
+
+        test.it('should cap ammo at max', () => {
+            DartRifle.state.ammo = 25;
+            DartRifle.addAmmo(10);
+            test.assertEqual(DartRifle.state.ammo, 30);
+        });
+
+        test.it('should have createFPSMesh method', () => {
+            test.assertTrue(typeof DartRifle.createFPSMesh === 'function');
+        });
+
+        test.it('should have createPickupMesh method', () => {
+            test.assertTrue(typeof DartRifle.createPickupMesh === 'function');
+        });
+
+        test.it('should build the FPS mesh with burst indicator darts', () => {
+            if (typeof THREE === 'undefined') {
+                test.skip('THREE.js not available');
+                return;
+            }
+            const refs = DartRifle.createFPSMesh(THREE, null);
+            test.assertEqual(refs.darts.length, 3);
+            DartRifle.state.ammo = 2;
+            DartRifle.animateFPS(refs, 0.016);
+            test.assertTrue(refs.darts[1].visible);
+            test.assertFalse(refs.darts[2].visible, 'Only darts still loaded are shown');
+        });
+    });
+
     // ==========================================
     // NERF GUN MODULE TESTS
     // ==========================================
@@ -660,6 +1321,11 @@
             test.assertEqual(Pickup.types.WATERGUN.weaponId, 'watergun');
         });
 
+        test.it('should have DARTRIFLE pickup defined', () => {
+            test.assertEqual(Pickup.types.DARTRIFLE.weaponId, 'dartrifle');
+            test.assertTrue(Pickup.types.DARTRIFLE.isWeapon);
+        });
+
         test.it('should have NERFGUN pickup defined', () => {
             test.assertTrue(Pickup.types.NERFGUN !== undefined);
             test.assertEqual(Pickup.types.NERFGUN.weaponId, 'nerfgun');
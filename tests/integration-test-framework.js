@@ -246,9 +246,10 @@
          * @param {number} z - Z position
          * @param {string} type - Enemy type (SKELETON, DINOSAUR)
          * @param {number} health - Optional health override
+         * @param {string} behavior - Optional behavior (default: type behavior, skipping the ranged roll)
          * @returns {Promise<Object>} Enemy mesh
          */
-        async spawnEnemyAt(x, z, type, health = null) {
+        async spawnEnemyAt(x, z, type, health = null, behavior = null) {
             const runner = this.runner;
             const THREE = runner.gameWindow.THREE;
             const EnemyOrchestrator = runner.gameWindow.EnemyOrchestrator;
@@ -263,6 +264,10 @@
                 enemy.userData.health = health;
             }
 
+            // Pin behavior so a random ranged roll can't change what the test expects
+            enemy.userData.behavior = behavior || config.behavior;
+            enemy.userData.rangedCooldown = 0;
+
             // Add to scene and enemies array
             const scene = runner.gameWindow.scene;
             scene.add(enemy);
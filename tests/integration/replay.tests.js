@@ -0,0 +1,128 @@
+/**
+ * Replay Integration Tests
+ * Tests input recording and deterministic playback through update(dt)
+ */
+
+(function(runner) {
+    'use strict';
+
+    /**
+     * Record a short seeded run driven by manualUpdate and simulated input
+     * @returns {Object} { json, player: {x, z, rotation}, enemies: [{x, z}] }
+     */
+    async function recordSeededRun(seed) {
+        runner.resetGame();
+        await runner.wait(100);
+        runner.getElement('#seed-input').value = String(seed);
+        runner.simulateClick(runner.getElement('#start-btn'));
+        runner.gameWindow.LoopOrchestrator.stop();
+
+        const gw = runner.gameWindow;
+        const input = gw.InputOrchestrator;
+
+        input.simulateAction('forward', true);
+        for (let i = 0; i < 60; i++) gw.manualUpdate(0.016);
+        input.simulateAction('turnLeft', true);
+        for (let i = 0; i < 30; i++) gw.manualUpdate(0.016);
+        input.simulateAction('turnLeft', false);
+        input.simulateAction('fire', true);
+        for (let i = 0; i < 20; i++) gw.manualUpdate(0.016);
+        input.simulateAction('fire', false);
+        input.simulateAction('forward', false);
+        for (let i = 0; i < 10; i++) gw.manualUpdate(0.016);
+
+        return {
+            json: gw.ReplayOrchestrator.serialize(),
+            player: { ...gw.PlayerOrchestrator.position, rotation: gw.PlayerOrchestrator.rotation },
+            enemies: gw.enemies.map(e => ({ x: e.position.x, z: e.position.z }))
+        };
+    }
+
+    runner.addTest('replay-records-inputs', 'Replay', 'Recording captures frames, inputs and seed',
+        'Verifies a run records one frame per update and every action start/release',
+        async () => {
+            const recorded = await recordSeededRun(1234);
+            const replay = JSON.parse(recorded.json);
+
+            if (replay.seed !== 1234) {
+                throw new Error(`Expected seed 1234, got ${replay.seed}`);
+            }
+            if (replay.frames.length !== 120) {
+                throw new Error(`Expected 120 recorded frames, got ${replay.frames.length}`);
+            }
+            const forwardStart = replay.events.find(e => e.action === 'forward' && e.pressed);
+            if (!forwardStart || forwardStart.frame !== 0) {
+                throw new Error('Forward press should be recorded before frame 0');
+            }
+            const turnRelease = replay.events.find(e => e.action === 'turnLeft' && !e.pressed);
+            if (!turnRelease || turnRelease.frame !== 90) {
+                throw new Error(`turnLeft release should be at frame 90, got ${turnRelease?.frame}`);
+            }
+        }
+    );
+
+    runner.addTest('replay-reproduces-run', 'Replay', 'Playback reproduces player and enemy positions',
+        'Verifies replaying the JSON through update(dt) ends in the same state as the recorded run',
+        async () => {
+            const recorded = await recordSeededRun(98765);
+
+            runner.resetGame();
+            await runner.wait(100);
+            const gw = runner.gameWindow;
+            gw.playReplay(recorded.json);
+            gw.LoopOrchestrator.stop();
+            const played = gw.ReplayOrchestrator.playToEnd();
+
+            if (played !== 120) {
+                throw new Error(`Expected 120 replayed frames, got ${played}`);
+            }
+            const pos = gw.PlayerOrchestrator.position;
+            if (Math.abs(pos.x - recorded.player.x) > 0.001 || Math.abs(pos.z - recorded.player.z) > 0.001) {
+                throw new Error(`Player diverged: recorded (${recorded.player.x}, ${recorded.player.z}), replayed (${pos.x}, ${pos.z})`);
+            }
+            if (Math.abs(gw.PlayerOrchestrator.rotation - recorded.player.rotation) > 0.001) {
+                throw new Error('Player rotation diverged');
+            }
+            if (gw.enemies.length !== recorded.enemies.length) {
+                throw new Error(`Enemy count diverged: ${recorded.enemies.length} vs ${gw.enemies.length}`);
+            }
+            gw.enemies.forEach((e, i) => {
+                const r = recorded.enemies[i];
+                if (Math.abs(e.position.x - r.x) > 0.001 || Math.abs(e.position.z - r.z) > 0.001) {
+                    throw new Error(`Enemy ${i} diverged`);
+                }
+            });
+            if (gw.ReplayOrchestrator.isReplaying()) {
+                throw new Error('Playback should end after the last frame');
+            }
+            runner.getElement('#seed-input').value = '';
+        }
+    );
+
+    runner.addTest('replay-blocks-keyboard', 'Replay', 'Keyboard input is ignored during playback',
+        'Verifies live keys cannot disturb a replay and are restored afterwards',
+        async () => {
+            const recorded = await recordSeededRun(42);
+
+            runner.resetGame();
+            await runner.wait(100);
+            const gw = runner.gameWindow;
+            gw.playReplay(recorded.json);
+            gw.LoopOrchestrator.stop();
+
+            runner.simulateKeyDown('KeyS');
+            const blocked = !gw.InputOrchestrator.keys.backward;
+            runner.simulateKeyUp('KeyS');
+            gw.ReplayOrchestrator.stopPlayback();
+            runner.getElement('#seed-input').value = '';
+
+            if (!blocked) {
+                throw new Error('Keyboard should be disabled during playback');
+            }
+            if (!gw.InputOrchestrator.isEnabled()) {
+                throw new Error('Keyboard should be re-enabled after playback');
+            }
+        }
+    );
+
+})(window.runner);
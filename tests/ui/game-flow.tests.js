@@ -188,6 +188,87 @@
         }
     );
 
+    runner.addTest('pause-volume-sliders', 'Pause Menu', 'Volume sliders set audio volume',
+        'Verifies master/SFX/music sliders on the pause screen update AudioOrchestrator',
+        async () => {
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+            runner.gameWindow.pauseGame();
+
+            const master = runner.getElement('#master-volume');
+            const sfx = runner.getElement('#sfx-volume');
+            if (!runner.isVisible(master) || !runner.isVisible(sfx)) {
+                throw new Error('Volume sliders not visible on pause screen');
+            }
+
+            master.value = '40';
+            master.dispatchEvent(new runner.gameWindow.Event('input', { bubbles: true }));
+            sfx.value = '25';
+            sfx.dispatchEvent(new runner.gameWindow.Event('input', { bubbles: true }));
+
+            const audio = runner.gameWindow.AudioOrchestrator;
+            if (Math.abs(audio.getMasterVolume() - 0.4) > 0.001) {
+                throw new Error(`Expected master volume 0.4, got ${audio.getMasterVolume()}`);
+            }
+            if (Math.abs(audio.getSfxVolume() - 0.25) > 0.001) {
+                throw new Error(`Expected SFX volume 0.25, got ${audio.getSfxVolume()}`);
+            }
+
+            const music = runner.getElement('#music-volume');
+            if (!runner.isVisible(music)) {
+                throw new Error('Music slider not visible on pause screen');
+            }
+            music.value = '30';
+            music.dispatchEvent(new runner.gameWindow.Event('input', { bubbles: true }));
+            if (Math.abs(audio.getMusicVolume() - 0.3) > 0.001) {
+                throw new Error(`Expected music volume 0.3, got ${audio.getMusicVolume()}`);
+            }
+        }
+    );
+
+    runner.addTest('pause-mutes-audio', 'Pause Menu', 'Pause mutes audio',
+        'Verifies pausing silences audio and resuming restores it',
+        async () => {
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+            const audio = runner.gameWindow.AudioOrchestrator;
+
+            runner.gameWindow.pauseGame();
+            if (!audio.isPaused()) {
+                throw new Error('Audio should be paused with the game');
+            }
+
+            runner.gameWindow.resumeGame();
+            if (audio.isPaused()) {
+                throw new Error('Audio should resume with the game');
+            }
+        }
+    );
+
+    runner.addTest('pause-opens-settings', 'Pause Menu', 'Settings open from pause',
+        'Verifies the pause screen opens the settings panel and closing it keeps the game paused',
+        async () => {
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+            runner.gameWindow.pauseGame();
+
+            runner.simulateClick(runner.getElement('#pause-settings-btn'));
+            await runner.wait(100);
+            if (!runner.getElement('#settings-screen').classList.contains('visible')) {
+                throw new Error('Settings panel should open from the pause screen');
+            }
+
+            runner.simulateClick(runner.getElement('#settings-close'));
+            await runner.wait(100);
+            if (runner.getElement('#settings-screen').classList.contains('visible')) {
+                throw new Error('Settings panel should close on BACK');
+            }
+            if (runner.getGameState() !== 'PAUSED') {
+                throw new Error(`Expected PAUSED after closing settings, got ${runner.getGameState()}`);
+            }
+        }
+    );
+
     // Game Over Tests
     runner.addTest('gameover-shows', 'Game Over', 'Game over screen appears',
         'Verifies game over screen shows when game ends',
@@ -221,6 +302,42 @@
         }
     );
 
+    runner.addTest('gameover-saves-high-score', 'Game Over', 'Run is saved to high scores',
+        'Verifies a finished run is stored with its stats and its rank is shown',
+        async () => {
+            const highScores = runner.gameWindow.HighScoreOrchestrator;
+            highScores.clear();
+            runner.resetGame();
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+            runner.gameWindow.score = 4200;
+            runner.gameWindow.endGame(true);
+            await runner.wait(200);
+
+            const scores = highScores.getHighScores();
+            if (scores.length !== 1 || scores[0].score !== 4200) {
+                throw new Error(`Expected one saved score of 4200, got ${JSON.stringify(scores)}`);
+            }
+            if (!scores[0].died || !scores[0].rating) {
+                throw new Error('Saved run should record death and rating');
+            }
+            const rank = runner.getElement('#high-score-rank');
+            if (!runner.isVisible(rank) || !rank.textContent.includes('#1')) {
+                throw new Error(`Expected NEW HIGH SCORE #1, got "${rank.textContent}"`);
+            }
+
+            runner.simulateClick(runner.getElement('#gameover-high-scores-btn'));
+            await runner.wait(100);
+            const highlighted = runner.getElement('#leaderboard-body tr.highlight');
+            if (!highlighted || !highlighted.textContent.includes('4200')) {
+                throw new Error('Leaderboard should highlight the run just finished');
+            }
+            runner.simulateClick(runner.getElement('#leaderboard-close'));
+            highScores.clear();
+        }
+    );
+
     runner.addTest('gameover-play-again', 'Game Over', 'Play again button works',
         'Verifies play again restarts the game',
         async () => {
@@ -674,6 +791,64 @@
         }
     );
 
+    runner.addTest('status-panel-shows-clerk-counter', 'Minimap', 'Stock clerk counter visible with zero at start',
+        'Verifies stock clerk counter is rendered and starts at 0 (clerks only spawn deeper into the mall)',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+
+            const startBtn = runner.getElement('#start-btn');
+            runner.simulateClick(startBtn);
+            await runner.wait(500);
+
+            const clerkCountEl = runner.getElement('#clerk-count');
+            if (!clerkCountEl) {
+                throw new Error('Stock clerk count element (#clerk-count) not found');
+            }
+
+            const clerkValueEl = clerkCountEl.querySelector('.enemy-value');
+            if (!clerkValueEl) {
+                throw new Error('Stock clerk count value element (.enemy-value) not found');
+            }
+
+            if (clerkValueEl.textContent.trim() !== '0') {
+                throw new Error(`Stock clerk count should start at 0, got ${clerkValueEl.textContent.trim()}`);
+            }
+
+            const clerkStyle = runner.gameWindow.getComputedStyle(clerkCountEl);
+            if (clerkStyle.display === 'none' || clerkStyle.visibility === 'hidden') {
+                throw new Error('Stock clerk count should be visible in status panel');
+            }
+        }
+    );
+
+    runner.addTest('status-panel-shows-basket-counter', 'Minimap', 'Basket swarm counter visible at start',
+        'Verifies basket counter is rendered with a numeric count (packs can spawn next to the entrance room)',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+
+            const startBtn = runner.getElement('#start-btn');
+            runner.simulateClick(startBtn);
+            await runner.wait(500);
+
+            const basketCountEl = runner.getElement('#basket-count');
+            if (!basketCountEl) {
+                throw new Error('Basket count element (#basket-count) not found');
+            }
+
+            const basketValueEl = basketCountEl.querySelector('.enemy-value');
+            if (!basketValueEl || !/^\d+$/.test(basketValueEl.textContent.trim())) {
+                throw new Error('Basket count value element (.enemy-value) should show a number');
+            }
+
+            const basketStyle = runner.gameWindow.getComputedStyle(basketCountEl);
+            if (basketStyle.display === 'none' || basketStyle.visibility === 'hidden') {
+                throw new Error('Basket count should be visible in status panel');
+            }
+        }
+    );
+
     runner.addTest('minimap-has-rooms', 'Minimap', 'Minimap shows room cells',
         'Verifies minimap grid contains room cells after game start',
         async () => {
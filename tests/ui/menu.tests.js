@@ -1,6 +1,6 @@
 /**
  * Menu UI Tests
- * Tests for Menu Screen and How to Play modal
+ * Tests for Menu Screen, How to Play modal, High Scores and Settings screens
  */
 
 (function(runner) {
@@ -201,4 +201,294 @@
         }
     );
 
+    // Run Seed Tests
+    runner.addTest('menu-seed-input', 'Run Seed', 'Seed input is displayed',
+        'Verifies the menu shows a seed input for reproducible runs',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const input = runner.getElement('#seed-input');
+            if (!input || !runner.isVisible(input)) {
+                throw new Error('Seed input not found or not visible');
+            }
+        }
+    );
+
+    runner.addTest('menu-seed-applied', 'Run Seed', 'Typed seed is used for the run',
+        'Verifies starting with a seed applies it and reproduces room plans',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const input = runner.getElement('#seed-input');
+            const startBtn = runner.getElement('#start-btn');
+            const planSnapshot = () => JSON.stringify(Array.from(runner.gameWindow.SpawnOrchestrator._roomPlans.entries()));
+
+            input.value = '424242';
+            runner.simulateClick(startBtn);
+            await runner.wait(100);
+            const seed = runner.gameWindow.RandomOrchestrator.getSeed();
+            const firstPlan = planSnapshot();
+
+            runner.resetGame();
+            await runner.wait(100);
+            input.value = '424242';
+            runner.simulateClick(startBtn);
+            await runner.wait(100);
+            const secondPlan = planSnapshot();
+            input.value = '';
+
+            if (seed !== 424242) {
+                throw new Error(`Expected seed 424242, got ${seed}`);
+            }
+            if (firstPlan !== secondPlan) {
+                throw new Error('Same seed should produce identical room plans');
+            }
+        }
+    );
+
+    runner.addTest('gameover-seed-shown', 'Run Seed', 'Game over shows the run seed',
+        'Verifies the seed is displayed on the game over screen for sharing',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            runner.gameWindow.RandomOrchestrator.setSeed(9001);
+            runner.gameWindow.gameState = 'PLAYING';
+            runner.gameWindow.endGame();
+            await runner.wait(100);
+            const seedEl = runner.getElement('#run-seed');
+            if (!seedEl || !seedEl.textContent.includes('9001')) {
+                throw new Error(`Expected run seed 9001, got "${seedEl ? seedEl.textContent : 'missing'}"`);
+            }
+        }
+    );
+
+    // High Scores Tests
+    runner.addTest('high-scores-opens', 'High Scores', 'High scores open from the menu',
+        'Verifies the HIGH SCORES link opens the leaderboard and BACK closes it',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const btn = runner.getElement('#high-scores-btn');
+            const screen = runner.getElement('#leaderboard-screen');
+            // Check display, not opacity: the menu links fade in after a 0.8s delay
+            if (!btn || runner.gameWindow.getComputedStyle(btn).display === 'none') {
+                throw new Error('High scores button not found or not displayed');
+            }
+
+            runner.simulateClick(btn);
+            await runner.wait(100);
+            if (!screen.classList.contains('visible')) {
+                throw new Error('Leaderboard should be visible after clicking HIGH SCORES');
+            }
+
+            runner.simulateClick(runner.getElement('#leaderboard-close'));
+            await runner.wait(100);
+            if (screen.classList.contains('visible')) {
+                throw new Error('Leaderboard should be hidden after clicking BACK');
+            }
+        }
+    );
+
+    runner.addTest('high-scores-empty', 'High Scores', 'Empty leaderboard shows a message',
+        'Verifies the leaderboard explains when no runs are saved',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const highScores = runner.gameWindow.HighScoreOrchestrator;
+            const saved = highScores.getHighScores();
+            highScores._data.scores = [];
+            try {
+                runner.simulateClick(runner.getElement('#high-scores-btn'));
+                await runner.wait(100);
+                if (!runner.isVisible(runner.getElement('#leaderboard-empty'))) {
+                    throw new Error('Empty message should be visible with no saved runs');
+                }
+                if (runner.getElement('#leaderboard-body').children.length !== 0) {
+                    throw new Error('Leaderboard should have no rows');
+                }
+            } finally {
+                highScores._data.scores = saved;
+                runner.simulateClick(runner.getElement('#leaderboard-close'));
+            }
+        }
+    );
+
+    // Settings Tests
+    runner.addTest('settings-opens', 'Settings', 'Settings open from the menu',
+        'Verifies the SETTINGS link opens the settings panel with current values',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#settings-btn'));
+            await runner.wait(100);
+
+            const screen = runner.getElement('#settings-screen');
+            if (!screen.classList.contains('visible')) {
+                throw new Error('Settings panel should be visible after clicking SETTINGS');
+            }
+            const settings = runner.gameWindow.SettingsOrchestrator;
+            const fov = screen.querySelector('[data-setting="fov"]');
+            if (Number(fov.value) !== settings.get('fov')) {
+                throw new Error(`FOV slider shows ${fov.value}, expected ${settings.get('fov')}`);
+            }
+            runner.simulateClick(runner.getElement('#settings-close'));
+        }
+    );
+
+    runner.addTest('settings-apply-live', 'Settings', 'Settings apply without reload',
+        'Verifies FOV, shadows and aim assist apply immediately and persist',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const win = runner.gameWindow;
+            const screen = runner.getElement('#settings-screen');
+            const change = (key, value) => {
+                const control = screen.querySelector(`[data-setting="${key}"]`);
+                if (control.type === 'checkbox') control.checked = value;
+                else control.value = String(value);
+                control.dispatchEvent(new win.Event(control.type === 'range' ? 'input' : 'change', { bubbles: true }));
+            };
+
+            try {
+                change('fov', 90);
+                change('shadows', false);
+                change('aimProfile', 'NONE');
+
+                if (win.SceneOrchestrator.camera.fov !== 90) {
+                    throw new Error(`Camera FOV should be 90, got ${win.SceneOrchestrator.camera.fov}`);
+                }
+                if (win.SceneOrchestrator.renderer.shadowMap.enabled) {
+                    throw new Error('Shadows should be disabled');
+                }
+                if (win.WeaponOrchestrator.aimProfile !== 'NONE') {
+                    throw new Error('Aim profile should be NONE');
+                }
+
+                win.SettingsOrchestrator.load();
+                if (win.SettingsOrchestrator.get('fov') !== 90) {
+                    throw new Error('FOV should persist across reload');
+                }
+            } finally {
+                win.SettingsOrchestrator.resetToDefaults();
+            }
+        }
+    );
+
+    runner.addTest('controls-opens', 'Controls', 'Controls open from settings',
+        'Verifies the CONTROLS button lists every action with its current keys',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#settings-btn'));
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#controls-btn'));
+            await runner.wait(100);
+
+            const screen = runner.getElement('#controls-screen');
+            try {
+                if (!screen.classList.contains('visible')) {
+                    throw new Error('Controls screen should be visible after clicking CONTROLS');
+                }
+                const actions = Object.values(runner.gameWindow.Engine.ACTIONS);
+                const rows = runner.getElement('#controls-body').querySelectorAll('tr');
+                if (rows.length !== actions.length) {
+                    throw new Error(`Expected ${actions.length} action rows, got ${rows.length}`);
+                }
+                const fireSlot = screen.querySelector('.key-slot[data-device="keyboard"][data-action="fire"][data-slot="0"]');
+                if (!fireSlot || fireSlot.textContent !== 'SPACE') {
+                    throw new Error(`Fire should show SPACE, got "${fireSlot?.textContent}"`);
+                }
+            } finally {
+                runner.simulateClick(runner.getElement('#controls-close'));
+                runner.simulateClick(runner.getElement('#settings-close'));
+            }
+        }
+    );
+
+    runner.addTest('controls-rebind', 'Controls', 'Press a key to rebind',
+        'Verifies clicking a slot captures the next key, swaps conflicts and persists',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const input = runner.gameWindow.InputOrchestrator;
+            const slot = (action, index) => runner.getElement('#controls-body')
+                .querySelector(`.key-slot[data-device="keyboard"][data-action="${action}"][data-slot="${index}"]`);
+
+            try {
+                runner.simulateClick(runner.getElement('#settings-btn'));
+                runner.simulateClick(runner.getElement('#controls-btn'));
+                await runner.wait(100);
+
+                runner.simulateClick(slot('fire', 0));
+                if (!input.isCapturing()) {
+                    throw new Error('Clicking a slot should wait for a key');
+                }
+                runner.simulateKeyDown('KeyQ');
+                runner.simulateKeyUp('KeyQ');
+                await runner.wait(50);
+                if (input.getBinding('KeyQ') !== 'fire') {
+                    throw new Error('KeyQ should now fire');
+                }
+                if (slot('fire', 0).textContent !== 'Q') {
+                    throw new Error(`Fire slot should show Q, got "${slot('fire', 0).textContent}"`);
+                }
+
+                // W belongs to Drive - the two actions swap keys
+                runner.simulateClick(slot('fire', 0));
+                runner.simulateKeyDown('KeyW');
+                runner.simulateKeyUp('KeyW');
+                await runner.wait(50);
+                if (input.getBinding('KeyW') !== 'fire' || input.getBinding('KeyQ') !== 'forward') {
+                    throw new Error('Conflicting keys should swap between actions');
+                }
+                if (!runner.getElement('#controls-message').textContent.includes('SWAPPED')) {
+                    throw new Error('Conflict message should be shown');
+                }
+
+                input.resetBindings();
+                input.loadBindings();
+                if (input.getBinding('KeyW') !== 'fire') {
+                    throw new Error('Bindings should persist across reload');
+                }
+            } finally {
+                input.cancelCapture();
+                input.resetBindings();
+                input.clearSavedBindings();
+                runner.simulateClick(runner.getElement('#controls-close'));
+                runner.simulateClick(runner.getElement('#settings-close'));
+            }
+        }
+    );
+
+    runner.addTest('controls-defaults', 'Controls', 'Controls reset to defaults',
+        'Verifies DEFAULTS restores every binding and clears the saved map',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const input = runner.gameWindow.InputOrchestrator;
+
+            try {
+                input.bindKey('fire', 'KeyQ', 0);
+                input.saveBindings();
+                runner.simulateClick(runner.getElement('#settings-btn'));
+                runner.simulateClick(runner.getElement('#controls-btn'));
+                await runner.wait(100);
+                runner.simulateClick(runner.getElement('#controls-defaults'));
+                await runner.wait(50);
+
+                if (input.getBinding('Space') !== 'fire' || input.getBinding('KeyQ') !== null) {
+                    throw new Error('DEFAULTS should restore the default bindings');
+                }
+                if (input.loadBindings()) {
+                    throw new Error('DEFAULTS should clear the saved bindings');
+                }
+            } finally {
+                input.resetBindings();
+                input.clearSavedBindings();
+                runner.simulateClick(runner.getElement('#controls-close'));
+                runner.simulateClick(runner.getElement('#settings-close'));
+            }
+        }
+    );
+
 })(window.runner);
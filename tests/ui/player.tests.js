@@ -131,6 +131,169 @@
         }
     );
 
+    // Gamepad Tests - the game window's navigator.getGamepads is replaced with a fake pad
+    const connectGamepad = (pad) => {
+        Object.defineProperty(runner.gameWindow.navigator, 'getGamepads', { value: () => [pad], configurable: true });
+    };
+    const disconnectGamepad = () => {
+        delete runner.gameWindow.navigator.getGamepads;
+    };
+    const createPad = (pressed = {}, axes = [0, 0, 0, 0]) => ({
+        connected: true,
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: (pressed[i] || 0) > 0.5, value: pressed[i] || 0 })),
+        axes
+    });
+
+    runner.addTest('gamepad-stick-drives', 'Gamepad Controls', 'Left stick drives the cart',
+        'Verifies pushing the left stick forward moves the cart',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+
+            const initialZ = runner.gameWindow.playerPosition?.z || 0;
+            try {
+                connectGamepad(createPad({}, [0, -1, 0, 0]));
+                await runner.wait(300);
+            } finally {
+                disconnectGamepad();
+            }
+            await runner.wait(50);
+            const newZ = runner.gameWindow.playerPosition?.z || 0;
+            if (Math.abs(newZ - initialZ) < 0.1) {
+                throw new Error(`Cart did not move. Initial Z: ${initialZ}, New Z: ${newZ}`);
+            }
+            if (runner.gameWindow.InputOrchestrator.keys.forward) {
+                throw new Error('Forward should release when the pad disconnects');
+            }
+        }
+    );
+
+    runner.addTest('gamepad-start-pauses', 'Gamepad Controls', 'START button pauses',
+        'Verifies the START button toggles pause like Escape',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            runner.simulateClick(runner.getElement('#start-btn'));
+            await runner.wait(200);
+
+            try {
+                connectGamepad(createPad({ 9: 1 }));
+                await runner.wait(100);
+            } finally {
+                disconnectGamepad();
+            }
+            await runner.wait(50);
+            if (runner.getGameState() !== 'PAUSED') {
+                throw new Error(`Expected PAUSED after START, got ${runner.getGameState()}`);
+            }
+        }
+    );
+
+    // Touch Control Tests - forced on through the touchControls setting (AUTO hides them on desktop)
+    const pointer = (type, element, dx = 0, dy = 0) => {
+        const rect = element.getBoundingClientRect();
+        element.dispatchEvent(new runner.gameWindow.PointerEvent(type, {
+            pointerId: 7, pointerType: 'touch', bubbles: true, cancelable: true,
+            clientX: rect.left + rect.width / 2 + dx, clientY: rect.top + rect.height / 2 + dy
+        }));
+    };
+
+    runner.addTest('touch-controls-shown', 'Touch Controls', 'Touch controls show during play',
+        'Verifies the joystick and fire button appear while playing and hide on pause',
+        async () => {
+            const settings = runner.gameWindow.SettingsOrchestrator;
+            const previous = settings.get('touchControls');
+            try {
+                settings.set('touchControls', 'ON');
+                runner.resetGame();
+                await runner.wait(100);
+                runner.simulateClick(runner.getElement('#start-btn'));
+                await runner.wait(200);
+
+                if (!runner.isVisible(runner.getElement('#touch-controls'))
+                    || !runner.isVisible(runner.getElement('#touch-stick')) || !runner.isVisible(runner.getElement('#touch-fire'))) {
+                    throw new Error('Joystick and fire button should be visible while playing');
+                }
+                pointer('pointerdown', runner.getElement('#touch-pause'));
+                pointer('pointerup', runner.getElement('#touch-pause'));
+                await runner.wait(50);
+                if (runner.getGameState() !== 'PAUSED') {
+                    throw new Error(`Expected PAUSED after the pause button, got ${runner.getGameState()}`);
+                }
+                // Only the #touch-controls container is hidden - its children keep their own display
+                if (runner.isVisible(runner.getElement('#touch-controls'))) {
+                    throw new Error('Touch controls should hide while paused');
+                }
+            } finally {
+                settings.set('touchControls', previous);
+            }
+        }
+    );
+
+    runner.addTest('touch-stick-drives', 'Touch Controls', 'Joystick drives the cart',
+        'Verifies dragging the joystick up moves the cart and releasing it stops',
+        async () => {
+            const settings = runner.gameWindow.SettingsOrchestrator;
+            const previous = settings.get('touchControls');
+            try {
+                settings.set('touchControls', 'ON');
+                runner.resetGame();
+                await runner.wait(100);
+                runner.simulateClick(runner.getElement('#start-btn'));
+                await runner.wait(200);
+
+                const stick = runner.getElement('#touch-stick');
+                const initialZ = runner.gameWindow.playerPosition?.z || 0;
+                pointer('pointerdown', stick, 0, -60);
+                await runner.wait(300);
+                pointer('pointerup', stick, 0, -60);
+                await runner.wait(50);
+
+                const newZ = runner.gameWindow.playerPosition?.z || 0;
+                if (Math.abs(newZ - initialZ) < 0.1) {
+                    throw new Error(`Cart did not move. Initial Z: ${initialZ}, New Z: ${newZ}`);
+                }
+                if (runner.gameWindow.InputOrchestrator.keys.forward) {
+                    throw new Error('Forward should release when the joystick is let go');
+                }
+            } finally {
+                settings.set('touchControls', previous);
+            }
+        }
+    );
+
+    runner.addTest('touch-fire-charges', 'Touch Controls', 'Fire button charges and fires',
+        'Verifies holding the fire button charges the slingshot and lifting fires it',
+        async () => {
+            const settings = runner.gameWindow.SettingsOrchestrator;
+            const previous = settings.get('touchControls');
+            try {
+                settings.set('touchControls', 'ON');
+                runner.resetGame();
+                await runner.wait(100);
+                runner.simulateClick(runner.getElement('#start-btn'));
+                await runner.wait(200);
+
+                const fire = runner.getElement('#touch-fire');
+                const weapon = runner.gameWindow.WeaponOrchestrator;
+                pointer('pointerdown', fire);
+                await runner.wait(200);
+                if (!weapon.isCharging()) {
+                    throw new Error('Holding the fire button should charge the slingshot');
+                }
+                pointer('pointerup', fire);
+                await runner.wait(50);
+                if (weapon.isCharging()) {
+                    throw new Error('Lifting the fire button should release the shot');
+                }
+            } finally {
+                settings.set('touchControls', previous);
+            }
+        }
+    );
+
     // Player Health UI Tests
     runner.addTest('health-bar-visible', 'Player Health UI', 'Health bar visible in HUD',
         'Verifies health bar is visible in HUD during gameplay',
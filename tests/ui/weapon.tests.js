@@ -542,4 +542,36 @@
         }
     );
 
+    runner.addTest('mouse-aim-turns-and-aims', 'Mouse Aim', 'Mouse movement steers and aims',
+        'Verifies mouse aim turns the cart horizontally and offsets the crosshair vertically',
+        async () => {
+            runner.resetGame();
+            await runner.wait(100);
+            const win = runner.gameWindow;
+
+            try {
+                win.SettingsOrchestrator.set('mouseAim', true);
+                runner.simulateClick(runner.getElement('#start-btn'));
+                await runner.wait(200);
+
+                const initialRot = win.playerRotation || 0;
+                const initialTop = parseFloat(runner.getElement('#crosshair').style.top);
+                // Pointer lock needs a real click - inject movement the way a locked mouse would
+                win.InputOrchestrator.addMouseDelta(200, 60);
+                await runner.wait(100);
+
+                const newRot = win.playerRotation || 0;
+                if (newRot >= initialRot) {
+                    throw new Error(`Moving right should turn right. Initial: ${initialRot}, New: ${newRot}`);
+                }
+                const newTop = parseFloat(runner.getElement('#crosshair').style.top);
+                if (!(newTop > initialTop)) {
+                    throw new Error(`Moving down should lower the crosshair. Initial: ${initialTop}, New: ${newTop}`);
+                }
+            } finally {
+                win.SettingsOrchestrator.set('mouseAim', false);
+            }
+        }
+    );
+
 })(window.runner);